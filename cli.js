@@ -0,0 +1,569 @@
+#!/usr/bin/env node
+import path from 'path';
+import fs from 'fs';
+import { parseArgs } from 'util';
+import dotenv from 'dotenv';
+import {
+  analyze,
+  analyzeBatch,
+  analyzeThemeMatrix,
+  analyzeResponsive,
+  analyzeStateMatrix,
+  analyzeTokenCompliance,
+  parseDesignTokens,
+  compareImages,
+  compareElements,
+  fetchFigmaDesign,
+  renderFigmaNode,
+  rasterizeFigmaJSON,
+  captureURL,
+  compareDOM,
+  stitchScreenshots,
+  sliceForScreenshot,
+  importDesign,
+  checkRegression
+} from './lib/index.js';
+
+dotenv.config();
+
+// Exit codes: 0 = passed, 1 = below threshold, 2 = error / bad usage
+const EXIT_PASS = 0;
+const EXIT_BELOW_THRESHOLD = 1;
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage: node cli.js <analyze|compare|elements|batch|themes|responsive|dom|states> [options]
+
+Modes:
+  analyze     Figma JSON and/or design tokens vs screenshot (same as POST /analyze)
+  compare     Exported design image vs screenshot (same as POST /compare)
+  elements    Text element comparison via OCR (same as POST /api/compare-elements)
+  batch       Every top-level frame vs a folder of screenshots (same as POST /analyze-batch)
+  themes      One screenshot per Figma variable mode, named after the mode (same as POST /analyze-themes)
+  responsive  Mobile/tablet/desktop frames of a screen at their widths (same as POST /analyze-responsive)
+  dom         Computed styles and element boxes of the page at --url (same as POST /api/compare-dom)
+  states      Hover, focus, pressed, disabled and error variants of components vs a screenshot
+              of each state (same as POST /analyze-states)
+
+Options:
+  --figma <file>         Figma JSON file (analyze, elements, dom); Penpot, Sketch and XD JSON exports are converted
+  --frame <name>         Board/artboard to use from a Penpot, Sketch or XD export (default: the first)
+  --file-key <key>       Fetch the Figma design from the API instead of --figma
+  --node-id <id>         Node to fetch with --file-key
+  --token <token>        Figma access token (defaults to FIGMA_TOKEN)
+  --use-proxy            Fetch from Figma through the corporate proxy
+  --design <file>        Exported Figma image (compare); or render --file-key/--node-id, or rasterize --figma locally
+  --scale <n>            Render scale of the design image in compare mode (0.01-4, default 1)
+  --tokens <file>        Style Dictionary / Tokens Studio / DTCG tokens file (analyze); alone it runs
+                         a token compliance check, with --figma it adds one to the report
+  --pixel-ratio <n>      Screenshot pixels per token pixel, e.g. 2 for @2x captures (default 1)
+  --screenshot <file>    Rendered screenshot
+  --url <url>            Capture the screenshot from this URL in headless Chrome at the Figma frame's size
+                         instead of --screenshot (analyze, elements; needs the optional puppeteer package);
+                         the page to compare in dom mode; captured at each breakpoint width (responsive);
+                         the page whose components are put in each state and captured (states)
+  --wait-for <selector>  With --url, wait for this element before the capture
+  --selectors <file>     JSON map of Figma node id or layer name to CSS selector (dom); elements with a
+                         data-figma-id attribute and text matching Figma text are found without one
+  --tolerance <px>       Allowed difference of element positions and sizes (dom, default 1)
+  --captures <file>      JSON list of { component, selector, states? } locating each component on the
+                         --url page, with optional selectors of elements already in a state (states)
+  --component <name>     Only component sets whose name contains this (states)
+  --variant <props>      Other variant properties to hold fixed, e.g. "Size=Large, Type=Primary" (states)
+  --screenshots <dir>    Folder of screenshots, paired with frames by name or visual similarity (batch)
+                         or with variable modes by file name, e.g. login-dark.png (themes),
+                         or with breakpoints by name or width, e.g. login-375.png (responsive),
+                         or with component states by file name, e.g. button-hover@2x.png (states);
+                         in analyze and elements, viewport screenshots of a tall page stitched in
+                         file name order (login-1.png, login-2.png, ...)
+  --slice-top <px>       Compare the screenshot with the slice of a tall frame scrolled to this
+                         offset, as tall as the screenshot (analyze, elements)
+  --breakpoints <file>   JSON list of { name, width, frame } (responsive; default: one per top-level frame)
+  --screen <name>        Only top-level frames whose name contains this (responsive)
+  --mode <name>          Resolve variable-bound colors in this Figma variable mode, e.g. Dark (analyze, dom)
+  --baseline <name>      Also compare against the last approved capture for this screen (compare)
+  --viewport <WxH>       Baseline viewport (defaults to the screenshot size); with --url, the capture size
+  --out <dir>            Output directory for report and images (default: ./uiux-report)
+  --threshold <percent>  Exit with code 1 when accuracy/similarity is below this value (no exit-code check
+                         when omitted); in responsive and states mode also the accuracy each breakpoint or
+                         state needs to pass, which defaults to 80
+  -h, --help             Show this help`;
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      figma: { type: 'string' },
+      frame: { type: 'string' },
+      'file-key': { type: 'string' },
+      'node-id': { type: 'string' },
+      token: { type: 'string' },
+      'use-proxy': { type: 'boolean', default: false },
+      design: { type: 'string' },
+      scale: { type: 'string' },
+      screenshot: { type: 'string' },
+      url: { type: 'string' },
+      'wait-for': { type: 'string' },
+      selectors: { type: 'string' },
+      tolerance: { type: 'string' },
+      captures: { type: 'string' },
+      component: { type: 'string' },
+      variant: { type: 'string' },
+      screenshots: { type: 'string' },
+      breakpoints: { type: 'string' },
+      screen: { type: 'string' },
+      'slice-top': { type: 'string' },
+      tokens: { type: 'string' },
+      mode: { type: 'string' },
+      'pixel-ratio': { type: 'string' },
+      baseline: { type: 'string' },
+      viewport: { type: 'string' },
+      out: { type: 'string', default: 'uiux-report' },
+      threshold: { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+  return { mode: positionals[0], values };
+}
+
+function figmaToken(values) {
+  const token = values.token || process.env.FIGMA_TOKEN;
+  if (!token) {
+    throw new Error('A Figma token is required with --file-key (use --token or FIGMA_TOKEN)');
+  }
+  return token;
+}
+
+// Figma errors carry the HTTP response body; surface its details
+function figmaError(error) {
+  if (error.body) {
+    const extra = error.body.details || error.body.suggestion;
+    return new Error(extra ? `${error.message} (${extra})` : error.message);
+  }
+  return error;
+}
+
+// Figma JSON file from disk; Penpot, Sketch and XD exports are converted
+function readFigmaFile(values, { allFrames = false } = {}) {
+  return importDesign(JSON.parse(fs.readFileSync(values.figma, 'utf8')), { frame: values.frame, allFrames });
+}
+
+// Load the Figma JSON from disk or from the Figma API
+async function loadFigmaJSON(values, { allFrames = false } = {}) {
+  if (values.figma) {
+    return readFigmaFile(values, { allFrames });
+  }
+
+  if (values['file-key']) {
+    try {
+      const { design } = await fetchFigmaDesign({
+        fileKey: values['file-key'],
+        nodeId: values['node-id'],
+        token: figmaToken(values),
+        useProxy: values['use-proxy']
+      });
+      return design;
+    } catch (error) {
+      throw figmaError(error);
+    }
+  }
+
+  throw new Error('Provide --figma <file> or --file-key <key>');
+}
+
+// Copy an input file into the output directory so derived images land next to it
+function copyInput(filePath, outDir, name) {
+  if (!filePath) {
+    throw new Error(`Missing --${name} <file>`);
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  const target = path.join(outDir, name + path.extname(filePath).toLowerCase());
+  fs.copyFileSync(filePath, target);
+  return target;
+}
+
+// Exported design image from disk, the node rendered by the Figma images endpoint,
+// or the Figma JSON file rasterized locally
+async function loadDesignImage(values, outDir) {
+  if (!values.design && values.figma) {
+    const raster = await rasterizeFigmaJSON(readFigmaFile(values), {
+      outputDir: outDir,
+      scale: values.scale
+    });
+    const target = path.join(outDir, 'design.png');
+    fs.renameSync(raster.path, target);
+    return target;
+  }
+  if (values.design || !values['file-key']) {
+    return copyInput(values.design, outDir, 'design');
+  }
+  if (!values['node-id']) {
+    throw new Error('Rendering a design needs --node-id with --file-key');
+  }
+
+  try {
+    const render = await renderFigmaNode({
+      fileKey: values['file-key'],
+      nodeId: values['node-id'],
+      token: figmaToken(values),
+      scale: values.scale,
+      useProxy: values['use-proxy']
+    });
+    const target = path.join(outDir, 'design.png');
+    fs.copyFileSync(render.path, target);
+    return target;
+  } catch (error) {
+    throw figmaError(error);
+  }
+}
+
+// Copy every image in --screenshots into the output directory; names are kept for pairing
+function copyScreenshots(values, outDir) {
+  if (!values.screenshots || !fs.existsSync(values.screenshots)) {
+    throw new Error('Missing --screenshots <dir>');
+  }
+
+  const screenshotsDir = path.join(outDir, 'screenshots');
+  fs.mkdirSync(screenshotsDir, { recursive: true });
+  return fs.readdirSync(values.screenshots)
+    .filter(file => /\.(png|jpe?g|webp)$/i.test(file))
+    .map(file => {
+      const target = path.join(screenshotsDir, file);
+      fs.copyFileSync(path.join(values.screenshots, file), target);
+      return { path: target, name: file };
+    });
+}
+
+// Screenshot from disk, --screenshots stitched into one full-height image, or --url captured at
+// the Figma frame's viewport (--viewport overrides it).
+// Returns { path, capture, stitch }; capture and stitch describe the capture or stitching for the report.
+async function loadScreenshot(values, outDir, figmaJSON, options) {
+  if (values.screenshots && !values.url) {
+    const shots = copyScreenshots(values, outDir)
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const { path: stitchedPath, ...stitch } = await stitchScreenshots(shots.map(shot => shot.path), options);
+    return { path: stitchedPath, capture: null, stitch };
+  }
+  if (!values.url) {
+    return { path: copyInput(values.screenshot, outDir, 'screenshot'), capture: null };
+  }
+  const [width, height] = (values.viewport || '').split('x');
+  const { path: capturePath, ...capture } = await captureURL({
+    url: values.url,
+    figmaJSON,
+    options: { ...options, width, height, waitForSelector: values['wait-for'] }
+  });
+  return { path: capturePath, capture };
+}
+
+// The slice of a tall frame that --slice-top selects, else the whole frame
+async function sliceDesign(values, figmaJSON, screenshot) {
+  if (values['slice-top'] === undefined) return figmaJSON;
+  return sliceForScreenshot(figmaJSON, screenshot.path, { top: values['slice-top'] });
+}
+
+// Record how the screenshot was produced and which part of the frame it was compared with
+function annotateReport(report, screenshot, design = null) {
+  if (screenshot.capture) report.capture = screenshot.capture;
+  if (screenshot.stitch) report.stitch = screenshot.stitch;
+  if (design?.slice) report.slice = design.slice;
+}
+
+async function run(mode, values) {
+  const outDir = path.resolve(values.out);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // Reports reference images relative to the report file
+  const options = { outputDir: outDir, urlPrefix: '.' };
+
+  if (mode === 'analyze') {
+    const designTokens = values.tokens
+      ? parseDesignTokens(JSON.parse(fs.readFileSync(values.tokens, 'utf8')))
+      : null;
+    options.pixelRatio = values['pixel-ratio'];
+
+    if (designTokens && !values.figma && !values['file-key']) {
+      const screenshot = await loadScreenshot(values, outDir, null, options);
+      const report = await analyzeTokenCompliance({ tokens: designTokens, screenshot: screenshot.path, options });
+      annotateReport(report, screenshot);
+      return {
+        report,
+        reportFile: `report-${report.id}.json`,
+        metric: 'token compliance',
+        score: report.accuracy === null ? 0 : parseFloat(report.accuracy),
+        details: `${report.totalMismatches} off-token values`
+      };
+    }
+
+    const figmaJSON = await loadFigmaJSON(values);
+    const screenshot = await loadScreenshot(values, outDir, figmaJSON, options);
+    const design = await sliceDesign(values, figmaJSON, screenshot);
+    options.designTokens = designTokens;
+    options.variableMode = values.mode;
+    const report = await analyze({ figmaJSON: design, screenshot: screenshot.path, options });
+    annotateReport(report, screenshot, design);
+    return {
+      report,
+      reportFile: `report-${report.id}.json`,
+      metric: 'accuracy',
+      score: parseFloat(report.accuracy),
+      details: `${report.totalMismatches} mismatches` +
+        (report.tokenCompliance ? `; token compliance ${report.tokenCompliance.compliance ?? 'n/a'}%` : '')
+    };
+  }
+
+  if (mode === 'compare') {
+    const designPath = await loadDesignImage(values, outDir);
+    const screenshotPath = copyInput(values.screenshot, outDir, 'screenshot');
+    const report = await compareImages(designPath, screenshotPath, options);
+    let score = parseFloat(report.similarity);
+    let details = `${report.diffRegions} significant difference regions`;
+
+    if (values.baseline) {
+      report.regression = await checkRegression({
+        name: values.baseline,
+        viewport: values.viewport,
+        screenshot: screenshotPath,
+        reportId: report.id,
+        options
+      });
+
+      // The threshold applies to whichever comparison is worse
+      const vsBaseline = report.regression.vsLastApproved;
+      if (vsBaseline) {
+        score = Math.min(score, parseFloat(vsBaseline.similarity));
+        details += `; vs last approved ${vsBaseline.similarity}%`;
+      } else {
+        details += '; no approved baseline yet';
+      }
+      details += `; capture ${report.regression.captureId} pending review (${report.regression.key})`;
+    }
+
+    return {
+      report,
+      reportFile: `report-${report.id}.json`,
+      metric: 'similarity',
+      score,
+      details
+    };
+  }
+
+  if (mode === 'elements') {
+    const figmaJSON = await loadFigmaJSON(values);
+    const screenshot = await loadScreenshot(values, outDir, figmaJSON, options);
+    const design = await sliceDesign(values, figmaJSON, screenshot);
+    const report = await compareElements({ figmaJSON: design, screenshot: screenshot.path, options });
+    annotateReport(report, screenshot, design);
+    return {
+      report,
+      reportFile: `element-comparison-${report.id}.json`,
+      metric: 'accuracy',
+      score: parseFloat(report.summary.overallAccuracy),
+      details: `${report.summary.matchingElements}/${report.summary.matchedElements} matched elements passing`
+    };
+  }
+
+  if (mode === 'batch') {
+    const figmaJSON = await loadFigmaJSON(values, { allFrames: true });
+    const screenshots = copyScreenshots(values, outDir);
+    const report = await analyzeBatch({ figmaJSON, screenshots, options });
+
+    // Write each screen's report next to the roll-up and link it by file name
+    report.screens.forEach(screen => {
+      if (!screen.report) return;
+      screen.reportFile = `report-${screen.report.id}.json`;
+      fs.writeFileSync(path.join(outDir, screen.reportFile), JSON.stringify(screen.report, null, 2));
+      delete screen.report;
+      delete screen.figmaJSON;
+    });
+
+    const failed = report.screens.filter(screen => screen.status === 'failed').length;
+    return {
+      report,
+      reportFile: `batch-${report.id}.json`,
+      metric: 'combined accuracy',
+      score: report.accuracy === null ? 0 : parseFloat(report.accuracy),
+      details: `${report.summary.analyzed}/${report.summary.frames} frames analyzed` +
+        (failed ? `, ${failed} failed` : '') +
+        (report.unmatchedScreenshots.length ? `, ${report.unmatchedScreenshots.length} unmatched screenshots` : '')
+    };
+  }
+
+  if (mode === 'themes') {
+    const figmaJSON = await loadFigmaJSON(values);
+    const screenshots = copyScreenshots(values, outDir);
+    const report = await analyzeThemeMatrix({ figmaJSON, screenshots, options });
+
+    report.modes.forEach(result => {
+      if (!result.report) return;
+      result.reportFile = `report-${result.report.id}.json`;
+      fs.writeFileSync(path.join(outDir, result.reportFile), JSON.stringify(result.report, null, 2));
+      delete result.report;
+    });
+
+    return {
+      report,
+      reportFile: `themes-${report.id}.json`,
+      metric: 'combined color accuracy',
+      score: report.accuracy === null ? 0 : parseFloat(report.accuracy),
+      details: report.modes
+        .map(result => `${result.mode} ${result.colorAccuracy !== null ? result.colorAccuracy + '%' : 'failed'}`)
+        .join(', ')
+    };
+  }
+
+  if (mode === 'responsive') {
+    const figmaJSON = await loadFigmaJSON(values, { allFrames: true });
+    const screenshots = values.screenshots ? copyScreenshots(values, outDir) : [];
+    const report = await analyzeResponsive({
+      figmaJSON,
+      breakpoints: values.breakpoints ? JSON.parse(fs.readFileSync(values.breakpoints, 'utf8')) : null,
+      screenshots,
+      options: {
+        ...options,
+        url: values.url,
+        waitForSelector: values['wait-for'],
+        screen: values.screen,
+        threshold: values.threshold
+      }
+    });
+
+    report.breakpoints.forEach(result => {
+      if (!result.report) return;
+      result.reportFile = `report-${result.report.id}.json`;
+      fs.writeFileSync(path.join(outDir, result.reportFile), JSON.stringify(result.report, null, 2));
+      delete result.report;
+      delete result.figmaJSON;
+      delete result.screenshotPath;
+    });
+
+    // Every breakpoint has to pass, so the threshold applies to the lowest one
+    return {
+      report,
+      reportFile: `responsive-${report.id}.json`,
+      metric: 'lowest breakpoint accuracy',
+      score: report.summary.lowestAccuracy === null ? 0 : report.summary.lowestAccuracy,
+      details: report.breakpoints
+        .map(result => `${result.name} ${result.accuracy !== null ? result.accuracy + '%' : result.status}`)
+        .join(', ') +
+        (report.divergences.length ? `; ${report.divergences.length} layout issues at some breakpoints only` : '')
+    };
+  }
+
+  if (mode === 'states') {
+    const figmaJSON = await loadFigmaJSON(values, { allFrames: true });
+    const screenshots = values.screenshots ? copyScreenshots(values, outDir) : [];
+    // "Size=Large, Type=Primary", the same notation as Figma variant names
+    const variant = values.variant
+      ? Object.fromEntries(values.variant.split(',').map(pair => pair.split('=').map(part => part.trim())).filter(([key, value]) => key && value))
+      : null;
+    const report = await analyzeStateMatrix({
+      figmaJSON,
+      screenshots,
+      options: {
+        ...options,
+        url: values.url,
+        waitForSelector: values['wait-for'],
+        components: values.captures ? JSON.parse(fs.readFileSync(values.captures, 'utf8')) : null,
+        component: values.component,
+        variant,
+        threshold: values.threshold
+      }
+    });
+
+    // Every state has to pass, so the threshold applies to the lowest one
+    return {
+      report,
+      reportFile: `states-${report.id}.json`,
+      metric: 'lowest state accuracy',
+      score: report.summary.lowestAccuracy === null ? 0 : report.summary.lowestAccuracy,
+      details: report.components
+        .map(component => `${component.component} ${component.states.filter(state => state.passed).length}/${component.states.length} states passed`)
+        .join(', ') +
+        (report.summary.unchanged ? `; ${report.summary.unchanged} states look the same as the default` : '')
+    };
+  }
+
+  if (mode === 'dom') {
+    if (!values.url) {
+      throw new Error('dom mode needs the --url of the page to compare');
+    }
+    const figmaJSON = await loadFigmaJSON(values);
+    const [width, height] = (values.viewport || '').split('x');
+    const report = await compareDOM({
+      figmaJSON,
+      url: values.url,
+      options: {
+        ...options,
+        width,
+        height,
+        waitForSelector: values['wait-for'],
+        selectors: values.selectors ? JSON.parse(fs.readFileSync(values.selectors, 'utf8')) : {},
+        positionTolerance: values.tolerance,
+        variableMode: values.mode
+      }
+    });
+    return {
+      report,
+      reportFile: `dom-${report.id}.json`,
+      metric: 'passing style checks',
+      score: report.accuracy === null ? 0 : parseFloat(report.accuracy),
+      details: `${report.totalMismatches} mismatches across ${report.summary.matchedElements} matched elements` +
+        (report.summary.unmatchedFigmaElements ? `, ${report.summary.unmatchedFigmaElements} Figma elements not found in the DOM` : '')
+    };
+  }
+
+  throw new Error(`Unknown mode: ${mode}`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseCliArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_ERROR;
+  }
+
+  const { mode, values } = args;
+  if (values.help || !mode) {
+    console.log(USAGE);
+    return values.help ? EXIT_PASS : EXIT_ERROR;
+  }
+
+  let threshold = null;
+  if (values.threshold !== undefined) {
+    threshold = parseFloat(values.threshold);
+    if (isNaN(threshold)) {
+      console.error(`Invalid --threshold: ${values.threshold}`);
+      return EXIT_ERROR;
+    }
+  }
+
+  try {
+    const result = await run(mode, values);
+    const reportPath = path.join(path.resolve(values.out), result.reportFile);
+    fs.writeFileSync(reportPath, JSON.stringify(result.report, null, 2));
+
+    console.log('');
+    console.log(`Report: ${reportPath}`);
+    console.log(`${result.metric}: ${result.score.toFixed(2)}% (${result.details})`);
+
+    if (threshold !== null && !(result.score >= threshold)) {
+      console.log(`FAIL: ${result.metric} ${result.score.toFixed(2)}% is below threshold ${threshold}%`);
+      return EXIT_BELOW_THRESHOLD;
+    }
+    if (threshold !== null) {
+      console.log(`PASS: ${result.metric} meets threshold ${threshold}%`);
+    }
+    return EXIT_PASS;
+  } catch (error) {
+    console.error(`${mode} failed:`, error.message);
+    return EXIT_ERROR;
+  }
+}
+
+main().then(code => process.exit(code));
@@ -0,0 +1,171 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { aiCacheDir } from './config.js';
+
+// Content-addressed cache of vision-model responses:
+//   ai-cache/<key>.json  where key = sha256(image bytes, provider/model, system prompt, prompt)
+// Each entry keeps the raw model text and the parsed result, so a cached AI report
+// can be reproduced exactly for audits.
+//
+// Cache modes (options.cacheMode, form field `cacheMode`, or AI_CACHE_MODE):
+//   use      read cached responses, call the model and store on a miss (default)
+//   refresh  always call the model and overwrite the cached entry
+//   replay   only read cached responses; a miss is an error (no model calls)
+//   off      bypass the cache entirely
+
+export const CACHE_MODES = ['use', 'refresh', 'replay', 'off'];
+
+function cacheDir() {
+  return process.env.AI_CACHE_DIR || aiCacheDir;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+export function resolveCacheMode(mode) {
+  const resolved = mode || process.env.AI_CACHE_MODE || 'use';
+  if (!CACHE_MODES.includes(resolved)) {
+    const error = new Error(`Unknown cache mode: ${resolved}. Use one of ${CACHE_MODES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return resolved;
+}
+
+function entryPath(key) {
+  // Keys are hex digests; anything else could escape the cache directory
+  if (!/^[a-f0-9]{64}$/.test(key)) {
+    const error = new Error(`Invalid cache key: ${key}`);
+    error.status = 400;
+    throw error;
+  }
+  return path.join(cacheDir(), `${key}.json`);
+}
+
+function readEntry(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Summary of an entry without the (large) response bodies
+function entrySummary(entry) {
+  const { rawResponse, parsed, ...summary } = entry;
+  return summary;
+}
+
+// Call provider.detect(request) through the cache.
+// parse(text) turns the raw model text into the structure callers use; it is stored with the entry.
+// Returns { text, model, provider, parsed, cache: { key, mode, hit, createdAt } }.
+export async function cachedDetect(provider, request, { mode, parse = text => text } = {}) {
+  const cacheMode = resolveCacheMode(mode);
+
+  // Replayed mock responses are already deterministic
+  if (cacheMode === 'off' || provider.name === 'mock') {
+    const result = await provider.detect(request);
+    return { ...result, parsed: parse(result.text), cache: { key: null, mode: cacheMode, hit: false } };
+  }
+
+  const imageHash = hash(fs.readFileSync(request.imagePath));
+  const modelId = `${provider.name}:${provider.model}`;
+  const key = hash([imageHash, modelId, request.systemPrompt || '', request.prompt].join('\0'));
+  const filePath = entryPath(key);
+
+  if (cacheMode !== 'refresh' && fs.existsSync(filePath)) {
+    const entry = readEntry(filePath);
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastUsedAt = new Date().toISOString();
+    fs.writeFileSync(filePath, JSON.stringify(entry, null, 2));
+    console.log(`AI cache hit ${key.substring(0, 12)} (${modelId}, ${entry.hits} hits)`);
+    return {
+      text: entry.rawResponse,
+      model: entry.model,
+      provider: entry.provider,
+      parsed: entry.parsed,
+      cache: { key, mode: cacheMode, hit: true, createdAt: entry.createdAt }
+    };
+  }
+
+  if (cacheMode === 'replay') {
+    const error = new Error(`No cached ${modelId} response for this image and prompt (replay-only mode)`);
+    error.status = 404;
+    error.cacheMiss = true;
+    throw error;
+  }
+
+  const result = await provider.detect(request);
+  const parsed = parse(result.text);
+  const entry = {
+    key,
+    provider: result.provider,
+    model: result.model,
+    imageHash,
+    promptHash: hash((request.systemPrompt || '') + '\0' + request.prompt),
+    image: path.basename(request.imagePath),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    hits: 0,
+    rawResponse: result.text,
+    parsed
+  };
+  fs.mkdirSync(cacheDir(), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(entry, null, 2));
+  console.log(`AI cache ${cacheMode === 'refresh' ? 'refreshed' : 'stored'} ${key.substring(0, 12)} (${modelId})`);
+
+  return { ...result, parsed, cache: { key, mode: cacheMode, hit: false, createdAt: entry.createdAt } };
+}
+
+// List cache entries (summaries only), newest first. Filters: provider, model, imageHash
+export function listCacheEntries({ provider, model, imageHash } = {}) {
+  const dir = cacheDir();
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .filter(file => /^[a-f0-9]{64}\.json$/.test(file))
+    .map(file => {
+      try {
+        return entrySummary(readEntry(path.join(dir, file)));
+      } catch (error) {
+        console.warn(`Skipping unreadable cache entry ${file}:`, error.message);
+        return null;
+      }
+    })
+    .filter(entry => entry &&
+      (!provider || entry.provider === provider) &&
+      (!model || entry.model === model) &&
+      (!imageHash || entry.imageHash === imageHash))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Full entry including the raw response and parsed result
+export function getCacheEntry(key) {
+  const filePath = entryPath(key);
+  return fs.existsSync(filePath) ? readEntry(filePath) : null;
+}
+
+// Delete one entry (key) or every entry matching the filters; olderThan is an ISO date.
+// Returns the deleted keys.
+export function purgeCache({ key, provider, model, imageHash, olderThan } = {}) {
+  if (key) {
+    const filePath = entryPath(key);
+    if (!fs.existsSync(filePath)) return [];
+    fs.unlinkSync(filePath);
+    return [key];
+  }
+
+  const cutoff = olderThan ? new Date(olderThan) : null;
+  if (cutoff && isNaN(cutoff)) {
+    const error = new Error(`Invalid olderThan date: ${olderThan}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const deleted = listCacheEntries({ provider, model, imageHash })
+    .filter(entry => !cutoff || new Date(entry.createdAt) < cutoff)
+    .map(entry => {
+      fs.unlinkSync(entryPath(entry.key));
+      return entry.key;
+    });
+  console.log(`Purged ${deleted.length} AI cache entries`);
+  return deleted;
+}
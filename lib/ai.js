@@ -0,0 +1,914 @@
+import { mapFieldsToDetected } from './fields.js';
+import { cachedDetect } from './ai-cache.js';
+import { getVisionProvider } from './vision-providers.js';
+
+// Analyze screenshot with a vision model (OpenAI by default; see vision-providers.js)
+// options: { provider, apiKey, model, cacheMode } - provider defaults to VISION_PROVIDER / OPENAI_MODE,
+// cacheMode controls the response cache (see ai-cache.js)
+export async function analyzeWithVisionModel(screenshotPath, figmaProperties, { provider: providerName, apiKey, model: modelName, cacheMode } = {}) {
+  try {
+    // The comparison prompt is large; default OpenAI to the cheaper mini model here
+    const provider = getVisionProvider(providerName, { apiKey, model: modelName, defaultModel: 'gpt-4o-mini' });
+    
+    // Check if we should do field-specific analysis
+    const hasFormFields = figmaProperties.formFields && figmaProperties.formFields.length > 0;
+    
+    // Create appropriate prompt based on whether we have form fields
+    let prompt;
+    let systemMessage;
+    
+    if (hasFormFields) {
+      // Field-specific analysis
+      prompt = createFieldAnalysisPrompt(figmaProperties);
+      systemMessage = `You are an expert UI/UX validation system with advanced computer vision capabilities. Your role is to perform precise visual comparison between implementation screenshots and Figma design specifications.
+
+CORE RESPONSIBILITIES:
+1. DETECT: Identify ALL interactive elements (inputs, buttons, checkboxes, dropdowns, links, etc.) with pixel-perfect accuracy
+2. MEASURE: Record exact positions (x,y from top-left), dimensions (width×height), and visual properties
+3. COMPARE: Match detected elements against expected specifications from Figma
+4. ANALYZE: Identify all deviations - position shifts, size differences, color variations, missing elements
+5. REPORT: Provide actionable feedback with specific coordinates and measurements
+
+PRECISION REQUIREMENTS:
+- Coordinates must be exact pixel values from the top-left corner (0,0)
+- Measure to the element's actual boundaries, not including shadows or focus rings
+- Report colors in hex format (#RRGGBB)
+- Note subtle differences (even 1-2px variations matter in pixel-perfect implementations)
+
+OUTPUT FORMAT:
+You MUST respond with ONLY a valid JSON object. No markdown formatting, no explanations, no additional text.
+Start with { and end with }. The JSON must be parseable by JSON.parse().`;
+    } else {
+      // General UI analysis
+      prompt = createUIAnalysisPrompt(figmaProperties);
+      systemMessage = `You are an advanced UI/UX comparison system that performs detailed visual analysis between screenshots and Figma design specifications.
+
+ANALYSIS OBJECTIVES:
+1. Compare ALL visual properties against the provided Figma specifications
+2. Identify and measure deviations in colors, spacing, typography, layout, and dimensions
+3. Provide specific, measurable differences (not general observations)
+4. Report exact locations and values for all mismatches
+
+COMPARISON METHODOLOGY:
+- Use Delta E for color comparison (ΔE < 1 = imperceptible, ΔE > 10 = different colors)
+- Measure spacing in pixels from element boundaries
+- Report position deviations with exact pixel offsets
+- Identify missing or unexpected elements with their locations
+
+OUTPUT REQUIREMENTS:
+Return ONLY a valid JSON object - no markdown, no explanations, no additional text.
+The response must start with { and end with }. Must be valid JSON parseable by JSON.parse().`;
+    }
+    
+    console.log(`Sending image to ${provider.name} (${provider.model}) for analysis...`);
+    console.log('Analysis type:', hasFormFields ? 'Field-specific' : 'General UI');
+    
+    if (hasFormFields) {
+      console.log(`Analyzing ${figmaProperties.formFields.length} expected fields:`);
+      figmaProperties.formFields.forEach((field, index) => {
+        const x = field.properties?.position?.x || 0;
+        const y = field.properties?.position?.y || 0;
+        const width = field.properties?.dimensions?.width || 0;
+        const height = field.properties?.dimensions?.height || 0;
+        console.log(`  ${index + 1}. ${field.type} "${field.name}" at (${x}, ${y}) size: ${width}×${height}`);
+      });
+      console.log(`Frame dimensions: ${figmaProperties.dimensions?.width}×${figmaProperties.dimensions?.height}`);
+    }
+    
+    // Parse AI response into structured data (cached together with the raw response)
+    const { text: aiResponse, model, parsed: structuredAnalysis, cache } = await cachedDetect(provider, {
+      imagePath: screenshotPath,
+      systemPrompt: systemMessage,
+      prompt: prompt + "\n\nREMEMBER: Output ONLY the JSON object. No other text.",
+      maxTokens: 3000,
+      temperature: 0.1 // Low temperature for more consistent analysis
+    }, { mode: cacheMode, parse: parseAIResponse });
+    
+    console.log('AI Response received, length:', aiResponse.length);
+    console.log('First 500 chars of response:', aiResponse.substring(0, 500));
+    
+    // Log field detection results if available
+    if (structuredAnalysis.detectedFields) {
+      console.log(`${provider.name} detected ${structuredAnalysis.detectedFields.length} fields:`);
+      structuredAnalysis.detectedFields.forEach((field, index) => {
+        console.log(`  ${index + 1}. ${field.type} at (${field.bounds?.x || 0}, ${field.bounds?.y || 0})`);
+      });
+    }
+    
+    if (structuredAnalysis.fieldMatching) {
+      console.log(`Field matching results:`);
+      console.log(`  - Successful matches: ${structuredAnalysis.fieldMatching.matches?.length || 0}`);
+      console.log(`  - Unmatched expected: ${structuredAnalysis.fieldMatching.unmatchedExpected?.length || 0}`);
+      console.log(`  - Unmatched detected: ${structuredAnalysis.fieldMatching.unmatchedDetected?.length || 0}`);
+    }
+    
+    return {
+      rawResponse: aiResponse,
+      provider: provider.name,
+      model,
+      cache,
+      ...structuredAnalysis,
+      confidence: 0.85, // High confidence for GPT-4V
+      analysisTimestamp: new Date().toISOString()
+    };
+    
+  } catch (error) {
+    // Replay-only cache misses and bad options are request errors, not model failures
+    if (error.status) throw error;
+    console.error('Vision model API error:', error);
+    
+    // Return a fallback analysis
+    return {
+      error: error.message,
+      confidence: 0.0,
+      elements: [],
+      spacing: { issues: ['AI analysis failed'] },
+      layout: { patterns: [], issues: ['AI analysis unavailable'] },
+      recommendations: ['AI analysis failed - using computer vision only'],
+      insights: ['Vision model analysis could not be completed']
+    };
+  }
+}
+
+// Create detailed prompt for UI analysis
+// Create prompt specifically for field detection and analysis
+function createFieldAnalysisPrompt(figmaProperties) {
+  const screenType = figmaProperties.screenType;
+  const formFields = figmaProperties.formFields || [];
+  
+  // Prepare field specifications
+  const fieldSpecs = formFields.map(field => ({
+    name: field.name,
+    type: field.type,
+    position: {
+      x: Math.round(field.properties.position?.x || 0),
+      y: Math.round(field.properties.position?.y || 0)
+    },
+    dimensions: {
+      width: Math.round(field.properties.dimensions?.width || 0),
+      height: Math.round(field.properties.dimensions?.height || 0)
+    },
+    styling: {
+      backgroundColor: field.properties.styling?.backgroundColor || 'transparent',
+      borderColor: field.properties.styling?.borderColor || 'none',
+      borderRadius: field.properties.styling?.borderRadius || 0
+    },
+    label: field.label || '',
+    placeholder: field.placeholder || ''
+  }));
+  
+  return `You are analyzing a UI screenshot to validate form field implementation against a Figma design.
+
+CONTEXT:
+This is a ${screenType.type} screen with ${formFields.length} expected form fields. Your task is to:
+1. Identify ALL form fields (inputs, buttons, checkboxes, etc.) in the screenshot
+2. Match each detected field with the expected fields from the Figma design
+3. Report any differences in position, size, style, or content
+
+EXPECTED FIELDS FROM FIGMA DESIGN:
+${fieldSpecs.map((field, index) => `
+Field ${index + 1}: ${field.type.toUpperCase()} - "${field.name}"
+   - Expected Position: (${field.position.x}, ${field.position.y}) pixels from top-left of the screen
+   - Expected Size: ${field.dimensions.width}×${field.dimensions.height} pixels
+   - Label Text: "${field.label || 'No label'}"
+   - Placeholder: "${field.placeholder || 'No placeholder'}"
+   - Visual Style:
+     * Background Color: ${field.styling.backgroundColor}
+     * Border Color: ${field.styling.borderColor}
+     * Border Radius: ${field.styling.borderRadius}px
+`).join('')}
+
+ANALYSIS INSTRUCTIONS:
+1. Scan the entire screenshot systematically from top to bottom
+2. Identify every interactive element (input fields, buttons, checkboxes, etc.)
+3. For each detected field, note its exact position and dimensions
+4. Compare visual properties (colors, borders, rounded corners)
+5. Check for text content (labels, placeholders, button text)
+6. Match detected fields to expected fields based on position and type
+
+IMPORTANT:
+- Coordinates must be measured from the top-left corner (0,0) of the screenshot image
+- The screenshot dimensions are ${figmaProperties.dimensions?.width || 'unknown'}×${figmaProperties.dimensions?.height || 'unknown'} pixels
+- Be EXTREMELY precise with pixel coordinates - measure to the exact top-left corner of each element
+- Report ALL fields you see, even if they don't match expected fields
+- Pay attention to subtle differences in styling (border colors, corner radius)
+- Note if fields appear disabled or have focus states
+
+Return a JSON object with this EXACT structure:
+{
+  "screenType": {
+    "detected": "login|register|profile|search|contact|checkout|form|unknown",
+    "confidence": 0.0-1.0,
+    "matchesExpected": true|false,
+    "reasoning": "Why this screen type was identified"
+  },
+  "detectedFields": [
+    {
+      "type": "input|button|checkbox|radio|select|textarea|link",
+      "bounds": {
+        "x": 0,
+        "y": 0,
+        "width": 0,
+        "height": 0
+      },
+      "properties": {
+        "backgroundColor": "#hexcode or transparent",
+        "borderColor": "#hexcode or none",
+        "borderRadius": 0,
+        "borderWidth": 0,
+        "hasBorder": true|false,
+        "hasPlaceholder": true|false,
+        "placeholderText": "detected placeholder text or empty",
+        "labelText": "detected label text or empty",
+        "buttonText": "for buttons only, the button text",
+        "isDisabled": true|false,
+        "hasFocus": true|false,
+        "fontSize": 0,
+        "fontFamily": "detected font family"
+      },
+      "confidence": 0.0-1.0,
+      "notes": "Any additional observations about this field"
+    }
+  ],
+  "fieldMatching": {
+    "totalExpected": ${formFields.length},
+    "totalDetected": 0,
+    "overallMatchRate": 0.0-1.0,
+    "matches": [
+      {
+        "expectedFieldName": "field name from design",
+        "expectedType": "expected field type",
+        "detectedFieldIndex": 0,
+        "matchConfidence": 0.0-1.0,
+        "positionMatch": true|false,
+        "positionDeviation": {"x": 0, "y": 0},
+        "typeMatch": true|false,
+        "sizeMatch": true|false,
+        "sizeDeviation": {"width": 0, "height": 0},
+        "styleMatch": true|false,
+        "styleDeviations": ["List of style differences"]
+      }
+    ],
+    "unmatchedExpected": [
+      {
+        "fieldName": "name",
+        "fieldType": "type",
+        "expectedPosition": {"x": 0, "y": 0},
+        "reason": "Why this field wasn't found"
+      }
+    ],
+    "unmatchedDetected": [
+      {
+        "fieldIndex": 0,
+        "fieldType": "type",
+        "position": {"x": 0, "y": 0},
+        "description": "Description of unexpected field"
+      }
+    ]
+  },
+  "mismatches": [
+    {
+      "category": "position|size|style|color|missing|extra",
+      "severity": "critical|major|minor",
+      "elementName": "Name of the element",
+      "location": {"x": 0, "y": 0},
+      "expected": "What was expected from Figma",
+      "actual": "What was found in screenshot",
+      "deviation": "Specific measurement of difference",
+      "recommendation": "How to fix this issue",
+      "visualImpact": "How this affects the user experience"
+    }
+  ],
+  "colorAnalysis": {
+    "primaryColorMatch": true|false,
+    "colorDeviations": [
+      {
+        "element": "Element name",
+        "expectedColor": "#hexcode",
+        "actualColor": "#hexcode",
+        "deltaE": 0.0,
+        "location": {"x": 0, "y": 0},
+        "acceptability": "perfect|acceptable|noticeable|unacceptable"
+      }
+    ]
+  },
+  "spacingAnalysis": {
+    "overallConsistency": 0.0-1.0,
+    "deviations": [
+      {
+        "type": "padding|margin|gap",
+        "location": "Description of where",
+        "expected": "Xpx",
+        "actual": "Ypx",
+        "impact": "visual impact description"
+      }
+    ]
+  },
+  "summary": {
+    "overallScore": 0-100,
+    "totalMismatches": 0,
+    "criticalIssues": 0,
+    "majorIssues": 0,
+    "minorIssues": 0,
+    "topPriorities": [
+      "Most important issue to fix first",
+      "Second priority",
+      "Third priority"
+    ]
+  }
+}`;
+}
+
+function createUIAnalysisPrompt(figmaProperties) {
+  // Prepare detailed Figma specifications for comparison
+  const figmaColors = figmaProperties.colors.map(c => `${c.value} (${c.token || c.name || 'unnamed'})`).join(', ');
+  const figmaTypography = figmaProperties.typography.map(t => 
+    `${t.fontFamily} ${t.fontSize}px (${t.fontWeight || 'normal'})${t.token ? ` [${t.token}]` : ''}`
+  ).join(', ') || 'No typography specified';
+  
+  const figmaDimensions = figmaProperties.dimensions ? 
+    `Width: ${figmaProperties.dimensions.width}px, Height: ${figmaProperties.dimensions.height}px` : 
+    'Not specified';
+  
+  const figmaSpacing = {
+    padding: figmaProperties.spacing.padding || 'Not specified',
+    margin: figmaProperties.spacing.margin || 'Not specified',
+    gap: figmaProperties.spacing.gap || 'Not specified'
+  };
+  
+  const figmaBorders = figmaProperties.borders || {};
+  const figmaElements = figmaProperties.elements.map(el => ({
+    type: el.type,
+    name: el.name,
+    position: el.properties.position,
+    dimensions: { width: el.properties.position?.width, height: el.properties.position?.height }
+  }));
+  
+  return `Analyze the provided screenshot and compare it against the Figma design specifications below. Return your analysis as a JSON object.
+
+FIGMA DESIGN SPECIFICATIONS TO COMPARE AGAINST:
+
+1. COLORS:
+   - Specified colors: ${figmaColors}
+   - Total color palette size: ${figmaProperties.colors.length} colors
+
+2. DIMENSIONS:
+   - ${figmaDimensions}
+
+3. SPACING:
+   - Padding: ${JSON.stringify(figmaSpacing.padding)}
+   - Margin: ${JSON.stringify(figmaSpacing.margin)}
+   - Gap between elements: ${figmaSpacing.gap}px
+
+4. TYPOGRAPHY:
+   - Specified fonts: ${figmaTypography}
+   - Total text styles: ${figmaProperties.typography.length}
+
+5. LAYOUT:
+   - Layout mode: ${figmaProperties.layout.mode || 'Not specified'}
+   - Alignment: ${figmaProperties.layout.primaryAxisAlignItems || 'Not specified'}
+   - Item spacing: ${figmaProperties.layout.itemSpacing || 'Not specified'}px
+
+6. BORDERS & EFFECTS:
+   - Border radius: ${figmaBorders.radius || 'Not specified'}
+   - Border width: ${figmaBorders.strokeWeight || 'Not specified'}
+   - Border color: ${figmaBorders.color || 'Not specified'}
+
+7. ELEMENTS (${figmaProperties.elements.length} total):
+${figmaElements.slice(0, 5).map(el => `   - ${el.type}: "${el.name}" at position (${el.position?.x || 0}, ${el.position?.y || 0}) with size ${el.dimensions.width}x${el.dimensions.height}`).join('\n')}
+${figmaElements.length > 5 ? `   ... and ${figmaElements.length - 5} more elements` : ''}
+
+TASK: Compare the screenshot against the specifications above.
+
+Return a JSON object with this exact structure:
+{
+  "comparisonResults": {
+    "overallMatch": 0-100,
+    "pixelPerfectScore": 0-100,
+    "summary": "Brief summary of how well the implementation matches the design",
+    "matchBreakdown": {
+      "colors": 0-100,
+      "spacing": 0-100,
+      "typography": 0-100,
+      "layout": 0-100,
+      "dimensions": 0-100
+    }
+  },
+  "mismatches": [
+    {
+      "category": "color|spacing|typography|layout|dimension|element",
+      "severity": "critical|major|minor",
+      "elementDescription": "What element is affected",
+      "location": {
+        "description": "Where in the UI (e.g., 'top navigation', 'main button')",
+        "coordinates": {"x": 0, "y": 0}
+      },
+      "expected": {
+        "value": "Expected value from Figma",
+        "source": "Where this expectation comes from in Figma"
+      },
+      "actual": {
+        "value": "Actual value in screenshot",
+        "measurement": "How this was measured"
+      },
+      "deviation": {
+        "amount": "Numeric or descriptive deviation",
+        "percentage": "Percentage difference if applicable"
+      },
+      "visualImpact": "High|Medium|Low - How noticeable this is to users",
+      "recommendation": "Specific action to fix this mismatch",
+      "codeHint": "Suggested CSS/code change if applicable"
+    }
+  ],
+  "colorAnalysis": {
+    "overallColorAccuracy": 0-100,
+    "colorPaletteCoverage": "X of Y expected colors found",
+    "deviations": [
+      {
+        "element": "Element name or description",
+        "location": {"x": 0, "y": 0},
+        "figmaColor": {
+          "hex": "#hexcode",
+          "name": "Color name if available",
+          "usage": "primary|secondary|accent|background|text"
+        },
+        "detectedColor": {
+          "hex": "#hexcode",
+          "confidence": 0.0-1.0
+        },
+        "deltaE": 0.0,
+        "perceptibility": "imperceptible|barely|noticeable|obvious",
+        "acceptability": "perfect|acceptable|review|fix",
+        "fix": "Change color to #hexcode"
+      }
+    ],
+    "missingColors": [
+      {
+        "color": "#hexcode",
+        "name": "Color name",
+        "expectedUsage": "Where this color should appear"
+      }
+    ],
+    "unexpectedColors": [
+      {
+        "color": "#hexcode",
+        "location": "Where found",
+        "possibleReason": "Why this might have appeared"
+      }
+    ]
+  },
+  "spacingAnalysis": {
+    "consistencyScore": 0-100,
+    "gridAlignment": true|false,
+    "deviations": [
+      {
+        "type": "padding|margin|gap",
+        "element": "Element or area description",
+        "location": "Visual location description",
+        "expected": {
+          "value": "Xpx",
+          "side": "top|right|bottom|left|all"
+        },
+        "actual": {
+          "value": "Ypx",
+          "measured": "How this was measured"
+        },
+        "deviation": "±Zpx",
+        "impact": "Breaks rhythm|Creates misalignment|Minor visual difference",
+        "fix": "Set padding/margin to Xpx"
+      }
+    ],
+    "rhythmAnalysis": {
+      "hasConsistentRhythm": true|false,
+      "baseUnit": "Detected base spacing unit (e.g., 8px)",
+      "violations": ["Areas not following the spacing rhythm"]
+    }
+  },
+  "typographyAnalysis": {
+    "overallAccuracy": 0-100,
+    "deviations": [
+      {
+        "element": "Text element description",
+        "location": "Where in UI",
+        "expected": {
+          "fontFamily": "Font name",
+          "fontSize": "Xpx",
+          "fontWeight": "weight",
+          "lineHeight": "value",
+          "letterSpacing": "value"
+        },
+        "actual": {
+          "fontFamily": "Detected font",
+          "fontSize": "Ypx",
+          "fontWeight": "weight",
+          "lineHeight": "value",
+          "letterSpacing": "value"
+        },
+        "deviations": ["List of specific differences"],
+        "readabilityImpact": "None|Minor|Major",
+        "fix": "CSS properties to apply"
+      }
+    ]
+  },
+  "layoutAnalysis": {
+    "layoutType": "Detected layout type (flex|grid|absolute)",
+    "alignmentScore": 0-100,
+    "deviations": [
+      {
+        "issue": "Description of layout issue",
+        "elements": ["Affected elements"],
+        "expected": "Expected layout behavior",
+        "actual": "Actual layout behavior",
+        "impact": "Visual impact description",
+        "fix": "How to correct the layout"
+      }
+    ],
+    "responsiveness": {
+      "appearsResponsive": true|false,
+      "concerns": ["Potential responsive issues"]
+    }
+  },
+  "elementAnalysis": {
+    "expectedCount": 0,
+    "detectedCount": 0,
+    "matchRate": 0-100,
+    "missing": [
+      {
+        "element": "Element name/type",
+        "expectedLocation": {"x": 0, "y": 0},
+        "importance": "critical|important|nice-to-have",
+        "impact": "Functionality or visual impact"
+      }
+    ],
+    "extra": [
+      {
+        "element": "Element description",
+        "location": {"x": 0, "y": 0},
+        "possibleReason": "Why this might be here"
+      }
+    ],
+    "mispositioned": [
+      {
+        "element": "Element name",
+        "expectedPosition": {"x": 0, "y": 0},
+        "actualPosition": {"x": 0, "y": 0},
+        "offset": {"x": 0, "y": 0},
+        "fix": "Move element by X,Y pixels"
+      }
+    ]
+  },
+  "recommendations": {
+    "critical": [
+      "Must-fix issues affecting core functionality or brand"
+    ],
+    "important": [
+      "Should-fix issues affecting user experience"
+    ],
+    "minor": [
+      "Nice-to-fix issues for pixel perfection"
+    ],
+    "codeSnippets": [
+      {
+        "element": "Element to fix",
+        "css": "Suggested CSS code",
+        "explanation": "Why this fix works"
+      }
+    ]
+  },
+  "summary": {
+    "overallScore": 0-100,
+    "pixelPerfect": true|false,
+    "productionReady": true|false,
+    "totalIssues": 0,
+    "breakdown": {
+      "critical": 0,
+      "major": 0,
+      "minor": 0
+    },
+    "estimatedFixTime": "Quick fix|Few hours|Half day|Full day",
+    "topPriorities": [
+      "First issue to address",
+      "Second issue to address",
+      "Third issue to address"
+    ]
+  },
+  "confidence": 0.0-1.0
+}
+
+IMPORTANT INSTRUCTIONS:
+1. Focus on COMPARING the screenshot AGAINST the Figma specifications
+2. For each property, explicitly state whether it matches or deviates from the design, and by how much
+3. Output ONLY the JSON object - no explanatory text before or after
+4. Do NOT say "I cannot analyze images" - you CAN analyze this image
+5. Start your response with { and end with }`;
+}
+
+// Parse AI response into structured data
+function parseAIResponse(aiResponse) {
+  try {
+    // Log the raw response for debugging
+    console.log('Raw AI Response:', aiResponse.substring(0, 200) + '...');
+    
+    // First try to parse as direct JSON
+    try {
+      const parsed = JSON.parse(aiResponse);
+      console.log('Successfully parsed direct JSON response');
+      return convertParsedResponse(parsed);
+    } catch (e) {
+      // If direct parse fails, try to extract JSON from the response
+      console.log('Direct JSON parse failed, attempting to extract JSON...');
+    }
+    
+    // Try to extract JSON from the response
+    const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const parsed = JSON.parse(jsonMatch[0]);
+      console.log('Successfully extracted and parsed JSON from response');
+      return convertParsedResponse(parsed);
+    }
+    
+    // If we get here, the AI didn't return proper JSON
+    console.error('AI did not return valid JSON. Response:', aiResponse);
+    throw new Error('Invalid JSON response from AI');
+    
+  } catch (error) {
+    console.error('Error parsing AI response:', error);
+    return createFallbackResponse(aiResponse);
+  }
+}
+
+// Helper function to convert parsed response to expected format
+function convertParsedResponse(parsed) {
+  // Check if this is a field-specific response
+  if (parsed.detectedFields && parsed.fieldMatching) {
+    // Field-specific response format with enhanced structure
+    return {
+      // Field detection results
+      screenType: parsed.screenType || { detected: 'unknown', confidence: 0, matchesExpected: false },
+      detectedFields: parsed.detectedFields || [],
+      // Add detectedElements for field comparison compatibility
+      detectedElements: parsed.detectedFields || [],
+      fieldMatching: parsed.fieldMatching || {
+        totalExpected: 0,
+        totalDetected: 0,
+        overallMatchRate: 0,
+        matches: [],
+        unmatchedExpected: [],
+        unmatchedDetected: []
+      },
+      
+      // Enhanced mismatch reporting
+      mismatches: parsed.mismatches || [],
+      colorAnalysis: parsed.colorAnalysis || {},
+      spacingAnalysis: parsed.spacingAnalysis || {},
+      
+      // Summary information
+      summary: parsed.summary || {
+        overallScore: 0,
+        totalMismatches: parsed.mismatches?.length || 0,
+        criticalIssues: 0,
+        majorIssues: 0,
+        minorIssues: 0,
+        topPriorities: []
+      },
+      
+      fieldIssues: parsed.issues || [],
+      
+      // Also include standard comparison results for compatibility
+      comparisonResults: {
+        overallMatch: parsed.summary?.overallScore || 
+          (parsed.fieldMatching ? Math.round((parsed.fieldMatching.matches.length / Math.max(parsed.fieldMatching.totalExpected, 1)) * 100) : 0),
+        summary: parsed.summary?.topPriorities?.[0] || 
+          `Detected ${parsed.fieldMatching?.totalDetected || 0} fields, expected ${parsed.fieldMatching?.totalExpected || 0}`
+      },
+      
+      // Empty standard properties for compatibility
+      elements: [],
+      spacing: { patterns: [], gaps: [], issues: [] },
+      layout: { type: 'unknown', patterns: [], issues: [] },
+      typography: { fonts: [], sizes: [], hierarchy: 'unknown', issues: [] },
+      colors: { primary: [], secondary: [], issues: [] }
+    };
+  }
+  
+  // Standard UI comparison response with enhanced structure
+  return {
+    // Preserve comparison results
+    comparisonResults: parsed.comparisonResults || { overallMatch: 0, summary: 'No comparison available' },
+    
+    // Enhanced mismatch reporting
+    mismatches: parsed.mismatches || [],
+    
+    // Extract elements from comparison
+    elements: parsed.elementAnalysis?.missing || parsed.elementComparison?.missingElements || [],
+    
+    // Extract spacing issues from enhanced structure
+    spacing: {
+      patterns: parsed.spacingAnalysis?.rhythmAnalysis?.baseUnit ? [parsed.spacingAnalysis.rhythmAnalysis.baseUnit] : 
+                (parsed.spacingComparison?.detectedSpacing?.gaps ? ['detected'] : []),
+      gaps: parsed.spacingAnalysis?.deviations?.map(d => d.actual?.value) || 
+            parsed.spacingComparison?.detectedSpacing?.gaps || [],
+      issues: parsed.spacingAnalysis?.deviations?.map(d => d.impact) || 
+              parsed.spacingComparison?.deviations || []
+    },
+    
+    // Extract layout issues from enhanced structure
+    layout: {
+      type: parsed.layoutAnalysis?.layoutType || parsed.layoutComparison?.detectedLayout || 'unknown',
+      patterns: [],
+      issues: parsed.layoutAnalysis?.deviations?.map(d => d.issue) || [
+        ...(parsed.layoutComparison?.alignmentIssues || []),
+        ...(parsed.layoutComparison?.deviations || [])
+      ]
+    },
+    
+    // Extract typography issues from enhanced structure
+    typography: {
+      fonts: parsed.typographyAnalysis?.deviations?.map(d => d.actual?.fontFamily).filter(Boolean) || 
+             parsed.typographyComparison?.detectedFonts || [],
+      sizes: parsed.typographyAnalysis?.deviations?.map(d => d.actual?.fontSize).filter(Boolean) || [],
+      hierarchy: 'unknown',
+      issues: parsed.typographyAnalysis?.deviations?.map(d => d.deviations?.join(', ')).filter(Boolean) || 
+              parsed.typographyComparison?.deviations || []
+    },
+    
+    // Extract color issues from enhanced structure
+    colors: {
+      primary: parsed.colorAnalysis?.deviations?.map(d => d.detectedColor?.hex).filter(Boolean) || 
+               parsed.colorComparison?.detectedColors || [],
+      secondary: [],
+      issues: parsed.colorAnalysis?.deviations?.map(d => d.fix).filter(Boolean) || 
+              parsed.colorComparison?.deviations || []
+    },
+    
+    // Add all analysis sections
+    colorAnalysis: parsed.colorAnalysis,
+    spacingAnalysis: parsed.spacingAnalysis,
+    typographyAnalysis: parsed.typographyAnalysis,
+    layoutAnalysis: parsed.layoutAnalysis,
+    elementAnalysis: parsed.elementAnalysis,
+    
+    // Legacy comparison data for backward compatibility
+    colorComparison: parsed.colorComparison || parsed.colorAnalysis,
+    spacingComparison: parsed.spacingComparison || parsed.spacingAnalysis,
+    dimensionComparison: parsed.dimensionComparison,
+    elementComparison: parsed.elementComparison || parsed.elementAnalysis,
+    typographyComparison: parsed.typographyComparison || parsed.typographyAnalysis,
+    layoutComparison: parsed.layoutComparison || parsed.layoutAnalysis,
+    borderComparison: parsed.borderComparison,
+    
+    // Enhanced recommendations structure
+    criticalIssues: parsed.recommendations?.critical || parsed.criticalIssues || [],
+    recommendations: [
+      ...(parsed.recommendations?.critical || []),
+      ...(parsed.recommendations?.important || []),
+      ...(parsed.recommendations?.minor || [])
+    ].filter(Boolean).length > 0 ? [
+      ...(parsed.recommendations?.critical || []),
+      ...(parsed.recommendations?.important || []),
+      ...(parsed.recommendations?.minor || [])
+    ].filter(Boolean) : parsed.recommendations || [],
+    codeSnippets: parsed.recommendations?.codeSnippets || [],
+    
+    // Summary information  
+    summary: parsed.summary || {
+      overallScore: parsed.comparisonResults?.overallMatch || 0,
+      pixelPerfect: false,
+      productionReady: false,
+      totalIssues: parsed.mismatches?.length || 0,
+      breakdown: {
+        critical: parsed.mismatches?.filter(m => m.severity === 'critical').length || 0,
+        major: parsed.mismatches?.filter(m => m.severity === 'major').length || 0,
+        minor: parsed.mismatches?.filter(m => m.severity === 'minor').length || 0
+      },
+      topPriorities: parsed.summary?.topPriorities || []
+    },
+    
+    insights: [
+      parsed.comparisonResults?.summary || 'Comparison analysis completed',
+      ...(parsed.summary?.topPriorities || []),
+      ...(parsed.criticalIssues || [])
+    ].filter(Boolean),
+    
+    confidence: parsed.confidence || 0.5
+  };
+}
+
+// Create fallback response when AI doesn't return proper JSON
+function createFallbackResponse(aiResponse) {
+  // Extract any useful information from the text response
+  const response = {
+    comparisonResults: { overallMatch: 0, summary: 'Failed to parse AI response as JSON' },
+    elements: [],
+    spacing: { 
+      patterns: [], 
+      gaps: [], 
+      issues: ['Could not parse detailed spacing from AI response'] 
+    },
+    layout: { 
+      type: 'unknown', 
+      patterns: [], 
+      issues: ['Could not parse layout details'] 
+    },
+    typography: { 
+      fonts: [], 
+      sizes: [], 
+      issues: ['Could not parse typography details'] 
+    },
+    colors: { 
+      primary: [], 
+      secondary: [], 
+      issues: ['Could not parse color details'] 
+    },
+    recommendations: [],
+    insights: [],
+    rawResponse: aiResponse,
+    confidence: 0
+  };
+  
+  // Check if the AI said it cannot analyze images
+  if (aiResponse.includes('cannot analyze') || aiResponse.includes('unable to analyze')) {
+    response.comparisonResults.summary = 'AI reported it cannot analyze images. This might be a model limitation.';
+    response.recommendations.push('Ensure you are using a valid OpenAI API key with GPT-4 Vision access');
+    response.recommendations.push('Try regenerating the analysis or check the OpenAI API status');
+    response.insights.push('The AI model may not have image analysis capabilities enabled');
+  } else {
+    response.recommendations.push('AI provided analysis but response was not in JSON format');
+    response.recommendations.push('Check the console for the raw AI response');
+    response.insights.push('Response parsing failed - manual review needed');
+  }
+  
+  return response;
+}
+
+// Combine computer vision and AI analyses
+export function combineAnalyses(cvAnalysis, aiAnalysis, figmaProperties) {
+  // Check if we have field-specific AI analysis
+  const hasFieldAnalysis = aiAnalysis.detectedFields && aiAnalysis.fieldMatching;
+  
+  if (hasFieldAnalysis && figmaProperties?.formFields) {
+    // Perform field mapping
+    const fieldMapping = mapFieldsToDetected(
+      figmaProperties.formFields,
+      aiAnalysis.detectedFields,
+      figmaProperties.dimensions
+    );
+    
+    return {
+      // Keep original CV analysis
+      ...cvAnalysis,
+      
+      // Add field-specific results
+      screenType: aiAnalysis.screenType,
+      detectedFields: aiAnalysis.detectedFields,
+      fieldMatching: aiAnalysis.fieldMatching,
+      fieldMapping: fieldMapping,
+      fieldIssues: aiAnalysis.fieldIssues || [],
+      
+      // Add AI insights
+      aiElements: aiAnalysis.elements || [],
+      aiSpacing: aiAnalysis.spacing || {},
+      aiLayout: aiAnalysis.layout || {},
+      aiTypography: aiAnalysis.typography || {},
+      aiColors: aiAnalysis.colors || {},
+      aiAccessibility: aiAnalysis.accessibility || {},
+      
+      // Enhanced analysis with field focus
+      enhancedAnalysis: {
+        isFieldBased: true,
+        fieldMatchRate: fieldMapping.summary?.matchRate || 0,
+        totalFigmaFields: figmaProperties.formFields.length,
+        totalDetectedFields: aiAnalysis.detectedFields?.length || 0,
+        successfulMatches: fieldMapping.mappings?.length || 0,
+        unmatchedFigmaFields: fieldMapping.unmatchedFigma?.length || 0,
+        unmatchedDetectedFields: fieldMapping.unmatchedDetected?.length || 0,
+        overallFieldScore: fieldMapping.overallScore || 0
+      }
+    };
+  }
+  
+  // Standard analysis without field detection
+  return {
+    // Keep original CV analysis
+    ...cvAnalysis,
+    
+    // Add AI insights
+    aiElements: aiAnalysis.elements || [],
+    aiSpacing: aiAnalysis.spacing || {},
+    aiLayout: aiAnalysis.layout || {},
+    aiTypography: aiAnalysis.typography || {},
+    aiColors: aiAnalysis.colors || {},
+    aiAccessibility: aiAnalysis.accessibility || {},
+    
+    // Enhanced analysis combining both
+    enhancedAnalysis: {
+      totalElementsCV: cvAnalysis.elements?.length || 0,
+      totalElementsAI: aiAnalysis.elements?.length || 0,
+      spacingPatternsCV: cvAnalysis.spacing?.spacingPatterns?.length || 0,
+      spacingPatternsAI: aiAnalysis.spacing?.patterns?.length || 0,
+      layoutComplexityCV: cvAnalysis.layout?.complexity || 'unknown',
+      layoutComplexityAI: aiAnalysis.layout?.type || 'unknown',
+      confidenceScore: aiAnalysis.confidence || 0.5
+    }
+  };
+}
@@ -0,0 +1,234 @@
+import { outputUrl, resolveOutput } from './config.js';
+import { analyzeWithVisionModel, combineAnalyses } from './ai.js';
+import { measureAutoLayout } from './auto-layout.js';
+import { compareProperties, comparePropertiesEnhanced } from './comparison.js';
+import { normalizeScreenshotToFigma, validateDimensions } from './dimensions.js';
+import { compareFieldDetectionResults } from './fields.js';
+import { createSpacingOverlay } from './overlay.js';
+import { extractFigmaProperties } from './shared/figma-properties.js';
+import { reportStage } from './progress.js';
+import { checkTokenCompliance } from './tokens.js';
+import { analyzeScreenshot } from './vision.js';
+
+// Design tokens supplied with a Figma spec (options.designTokens) add an off-token check
+async function designTokenCompliance(screenshotPath, detectedProperties, options) {
+  if (!options.designTokens) return undefined;
+  return checkTokenCompliance({
+    screenshot: screenshotPath,
+    tokens: options.designTokens,
+    detectedProperties,
+    options
+  });
+}
+
+// Standard JSON vs screenshot analysis pipeline, shared by /analyze and the CLI
+export async function analyze({ figmaJSON, screenshot: screenshotPath, options = {} }) {
+  const output = resolveOutput(options);
+  
+  // Extract properties from Figma JSON once; validation and normalization reuse them
+  reportStage(options, 'extract', 'Extracting Figma properties');
+  console.log('Extracting Figma properties (standard analyze)...');
+  const figmaProperties = options.figmaProperties || extractFigmaProperties(figmaJSON, { mode: options.variableMode });
+  
+  // Validate dimensions
+  reportStage(options, 'validate', 'Validating screenshot dimensions');
+  const dimensionValidation = await validateDimensions(screenshotPath, figmaJSON, figmaProperties, { breakpoint: options.breakpoint });
+  console.log('Dimension validation:', dimensionValidation);
+  
+  if (!dimensionValidation.isValid) {
+    const error = new Error(dimensionValidation.message);
+    error.validation = dimensionValidation;
+    throw error;
+  }
+  
+  // Normalize screenshot to match Figma dimensions
+  reportStage(options, 'normalize', 'Normalizing screenshot to Figma dimensions');
+  console.log('Starting screenshot normalization (standard analyze)...');
+  const normalizedScreenshotPath = await normalizeScreenshotToFigma(screenshotPath, figmaJSON, output, dimensionValidation);
+  console.log('Screenshot normalized to:', normalizedScreenshotPath);
+  
+  console.log('Extracted form fields:', figmaProperties.formFields?.length || 0);
+  console.log('Field metrics:', figmaProperties.fieldMetrics);
+  console.log('Form fields details:', JSON.stringify(figmaProperties.formFields, null, 2));
+  console.log('Detected screen type:', figmaProperties.screenType);
+  
+  // Analyze normalized screenshot
+  reportStage(options, 'vision', 'Analyzing screenshot');
+  const detectedProperties = await analyzeScreenshot(normalizedScreenshotPath);
+  reportStage(options, 'layout', 'Measuring auto-layout frames');
+  detectedProperties.autoLayout = await measureAutoLayout(normalizedScreenshotPath, figmaProperties.autoLayoutFrames, figmaJSON);
+  
+  // Compare properties
+  reportStage(options, 'compare', 'Comparing properties');
+  const comparison = compareProperties(figmaProperties, detectedProperties);
+  const tokenCompliance = await designTokenCompliance(normalizedScreenshotPath, detectedProperties, options);
+  
+  // Create spacing overlay visualization on normalized screenshot
+  reportStage(options, 'overlay', 'Rendering spacing overlay');
+  const spacingOverlay = await createSpacingOverlay(normalizedScreenshotPath, detectedProperties, comparison, Date.now(), output);
+  
+  // Generate report
+  const reportId = Date.now();
+  return {
+    id: reportId,
+    timestamp: new Date().toISOString(),
+    analysisType: 'STANDARD',
+    screenType: figmaProperties.screenType,
+    dimensionValidation: dimensionValidation,
+    figmaProperties: figmaProperties,
+    detectedProperties: detectedProperties,
+    accuracy: comparison.accuracy,
+    totalMismatches: comparison.mismatches.length,
+    colorMismatches: comparison.colorMismatches,
+    propertyMismatches: comparison.mismatches,
+    spacingMismatches: comparison.spacingMismatches || [],
+    textMismatches: comparison.textMismatches || [],
+    sizeMismatches: comparison.sizeMismatches || [],
+    layoutMismatches: comparison.layoutMismatches || [],
+    autoLayout: comparison.autoLayout,
+    fieldMismatches: comparison.fieldMismatches || [],
+    formFields: figmaProperties.formFields || [],
+    fieldGroups: figmaProperties.fieldGroups || [],
+    fieldMetrics: figmaProperties.fieldMetrics || null,
+    tokenCompliance,
+    visualizations: {
+      spacingOverlay: spacingOverlay,
+      screenshotPath: outputUrl(output, normalizedScreenshotPath)
+    }
+  };
+}
+
+// AI-enhanced analysis pipeline (CV + vision model), shared by /analyze-with-ai
+// options.provider picks the vision provider (openai, azure, gemini, mock, ...)
+// options.cacheMode controls the AI response cache (use, refresh, replay, off)
+// options.designTokens (raw or parsed tokens JSON) adds report.tokenCompliance in both pipelines
+// options.variableMode (e.g. "Dark") resolves variable-bound colors in that Figma variable mode
+// options.figmaProperties: already extracted properties of figmaJSON in that mode (e.g. cached by the design store)
+// options.breakpoint (mobile, tablet, desktop) sets the dimension tolerance instead of guessing it from the frame width
+export async function analyzeWithAI({ figmaJSON, screenshot: screenshotPath, options = {} }) {
+  const output = resolveOutput(options);
+  const apiKey = options.apiKey;
+  
+  // Extract properties from Figma JSON once; validation and normalization reuse them
+  reportStage(options, 'extract', 'Extracting Figma properties');
+  console.log('Extracting Figma properties...');
+  const figmaProperties = options.figmaProperties || extractFigmaProperties(figmaJSON, { mode: options.variableMode });
+  
+  // Validate dimensions
+  reportStage(options, 'validate', 'Validating screenshot dimensions');
+  const dimensionValidation = await validateDimensions(screenshotPath, figmaJSON, figmaProperties, { breakpoint: options.breakpoint });
+  console.log('Dimension validation:', dimensionValidation);
+  
+  if (!dimensionValidation.isValid) {
+    const error = new Error(dimensionValidation.message);
+    error.validation = dimensionValidation;
+    throw error;
+  }
+  
+  // Normalize screenshot to match Figma dimensions
+  reportStage(options, 'normalize', 'Normalizing screenshot to Figma dimensions');
+  console.log('Starting screenshot normalization...');
+  const normalizedScreenshotPath = await normalizeScreenshotToFigma(screenshotPath, figmaJSON, output, dimensionValidation);
+  console.log('Screenshot normalized to:', normalizedScreenshotPath);
+  
+  console.log('Extracted form fields:', figmaProperties.formFields?.length || 0);
+  console.log('Field metrics:', figmaProperties.fieldMetrics);
+  console.log('Form fields details:', JSON.stringify(figmaProperties.formFields, null, 2));
+  console.log('Detected screen type:', figmaProperties.screenType);
+  
+  // Perform standard computer vision analysis on normalized screenshot
+  reportStage(options, 'vision', 'Analyzing screenshot');
+  const detectedProperties = await analyzeScreenshot(normalizedScreenshotPath);
+  reportStage(options, 'layout', 'Measuring auto-layout frames');
+  detectedProperties.autoLayout = await measureAutoLayout(normalizedScreenshotPath, figmaProperties.autoLayoutFrames, figmaJSON);
+  
+  // Perform AI-powered analysis on normalized screenshot
+  reportStage(options, 'ai', 'Running AI vision analysis');
+  const aiAnalysis = await analyzeWithVisionModel(normalizedScreenshotPath, figmaProperties, {
+    provider: options.provider,
+    apiKey,
+    cacheMode: options.cacheMode
+  });
+  
+  // Perform automatic field comparison if we have form fields
+  reportStage(options, 'fields', 'Comparing form fields');
+  let fieldComparisonResult = null;
+  if (figmaProperties.formFields && figmaProperties.formFields.length > 0 && aiAnalysis.detectedElements) {
+    console.log('Performing automatic field comparison...');
+    console.log('Figma form fields count:', figmaProperties.formFields.length);
+    console.log('AI detected elements count:', aiAnalysis.detectedElements.length);
+    
+    // Ensure the Figma data is in the right format for comparison
+    const figmaDataForComparison = {
+      properties: figmaProperties,
+      formFields: figmaProperties.formFields // Also put at root level
+    };
+    
+    fieldComparisonResult = compareFieldDetectionResults(
+      figmaDataForComparison,
+      { detectedElements: aiAnalysis.detectedElements },
+      'Figma Design',
+      'OpenAI Detection'
+    );
+    console.log(`Field comparison completed: ${fieldComparisonResult.summary.matches.total} matches found`);
+  } else {
+    console.log('Skipping field comparison:');
+    console.log('- Figma form fields:', figmaProperties.formFields?.length || 0);
+    console.log('- AI detected elements:', aiAnalysis.detectedElements?.length || 0);
+  }
+  
+  // Combine both analyses
+  const enhancedDetectedProperties = combineAnalyses(detectedProperties, aiAnalysis, figmaProperties);
+  
+  // Compare properties with enhanced comparison logic
+  reportStage(options, 'compare', 'Comparing properties');
+  const comparison = comparePropertiesEnhanced(figmaProperties, enhancedDetectedProperties);
+  const tokenCompliance = await designTokenCompliance(normalizedScreenshotPath, detectedProperties, options);
+  
+  // Create spacing overlay visualization
+  reportStage(options, 'overlay', 'Rendering spacing overlay');
+  const spacingOverlay = await createSpacingOverlay(screenshotPath, detectedProperties, comparison, Date.now(), output);
+  
+  // Generate comprehensive report
+  const reportId = Date.now();
+  return {
+    id: reportId,
+    timestamp: new Date().toISOString(),
+    analysisType: 'AI_ENHANCED',
+    screenType: figmaProperties.screenType,
+    dimensionValidation: dimensionValidation,
+    figmaProperties: figmaProperties,
+    detectedProperties: enhancedDetectedProperties,
+    aiAnalysis: aiAnalysis,
+    formFields: figmaProperties.formFields || [],
+    fieldGroups: figmaProperties.fieldGroups || [],
+    fieldMetrics: figmaProperties.fieldMetrics || null,
+    // Field-based analysis results
+    fieldAnalysis: {
+      isFieldBased: comparison.isFieldBased || false,
+      detectedFields: enhancedDetectedProperties.detectedFields || [],
+      fieldMapping: enhancedDetectedProperties.fieldMapping || null,
+      fieldComparisons: comparison.fieldComparisons || null,
+      screenTypeMatch: enhancedDetectedProperties.screenType?.matchesExpected || false,
+      // Add automatic field comparison results
+      fieldDetectionComparison: fieldComparisonResult
+    },
+    accuracy: comparison.accuracy,
+    confidenceScore: aiAnalysis.confidence || 0.8,
+    totalMismatches: comparison.mismatches.length,
+    colorMismatches: comparison.colorMismatches,
+    propertyMismatches: comparison.mismatches,
+    spacingMismatches: comparison.spacingMismatches || [],
+    textMismatches: comparison.textMismatches || [],
+    sizeMismatches: comparison.sizeMismatches || [],
+    layoutMismatches: comparison.layoutMismatches || [],
+    autoLayout: comparison.autoLayout,
+    recommendations: aiAnalysis.recommendations || [],
+    insights: aiAnalysis.insights || [],
+    tokenCompliance,
+    visualizations: {
+      spacingOverlay: spacingOverlay,
+      screenshotPath: outputUrl(output, normalizedScreenshotPath)
+    }
+  };
+}
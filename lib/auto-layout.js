@@ -0,0 +1,423 @@
+import sharp from 'sharp';
+import { figmaNodeToSVG, findRenderRoot } from './rasterize.js';
+
+// Auto-layout verification: checks each HORIZONTAL/VERTICAL frame's padding, itemSpacing,
+// primary/counter axis alignment and child order against where its children actually are
+// in the screenshot.
+//
+// measureAutoLayout() finds each child's box in the (normalized) screenshot as the ink that
+// differs from the frame's background. Ink is not the layout box (text has line-height space
+// above and below its glyphs), so the same measurement runs on a local render of the Figma
+// JSON and each edge is corrected by the render's ink-to-box offset.
+// verifyAutoLayout() then compares those boxes with the Figma spec.
+// Frames come from extractFigmaProperties().autoLayoutFrames; all boxes are in root-frame pixels.
+
+// Measured values within this many pixels pass; beyond MAJOR they are major mismatches
+const LAYOUT_TOLERANCE = 2;
+const MAJOR_LAYOUT_DIFFERENCE = 8;
+// Sum of RGB channel differences for a pixel to count as ink rather than background
+const INK_THRESHOLD = 48;
+// How far (px) a child's ink may drift from its Figma box and still be attributed to it
+const MAX_SEARCH_MARGIN = 16;
+
+const AXES = {
+  VERTICAL: {
+    start: 'y', size: 'height', counterStart: 'x', counterSize: 'width',
+    paddingStart: 'top', paddingEnd: 'bottom', counterPaddingStart: 'left', counterPaddingEnd: 'right'
+  },
+  HORIZONTAL: {
+    start: 'x', size: 'width', counterStart: 'y', counterSize: 'height',
+    paddingStart: 'left', paddingEnd: 'right', counterPaddingStart: 'top', counterPaddingEnd: 'bottom'
+  }
+};
+
+const PADDING_NAMES = { top: 'paddingTop', right: 'paddingRight', bottom: 'paddingBottom', left: 'paddingLeft' };
+
+async function loadPixels(input) {
+  const { data, info } = await sharp(input).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+function clampBox(image, box) {
+  const x = Math.max(0, Math.floor(box.x));
+  const y = Math.max(0, Math.floor(box.y));
+  const right = Math.min(image.width, Math.ceil(box.x + box.width));
+  const bottom = Math.min(image.height, Math.ceil(box.y + box.height));
+  return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null;
+}
+
+function expandBox(box, margin) {
+  return { x: box.x - margin, y: box.y - margin, width: box.width + margin * 2, height: box.height + margin * 2 };
+}
+
+function unionBoxes(boxes) {
+  const x = Math.min(...boxes.map(box => box.x));
+  const y = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+function intersectionOverUnion(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+}
+
+// Most common color on a 1px ring just inside (inset > 0) or outside (inset < 0) a box
+function ringColor(image, box, inset) {
+  const ring = clampBox(image, expandBox(box, -inset));
+  if (!ring) return null;
+
+  const counts = new Map();
+  const sample = (x, y) => {
+    const offset = (y * image.width + x) * image.channels;
+    const key = `${image.data[offset]},${image.data[offset + 1]},${image.data[offset + 2]}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  };
+  for (let x = ring.x; x < ring.x + ring.width; x++) {
+    sample(x, ring.y);
+    sample(x, ring.y + ring.height - 1);
+  }
+  for (let y = ring.y; y < ring.y + ring.height; y++) {
+    sample(ring.x, y);
+    sample(ring.x + ring.width - 1, y);
+  }
+
+  const [key] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return key.split(',').map(Number);
+}
+
+// Bounding boxes of connected ink regions (pixels unlike the background) inside a box
+function inkComponents(image, area, background) {
+  const box = clampBox(image, area);
+  if (!box || !background) return [];
+
+  const { data, width, channels } = image;
+  const isInk = (x, y) => {
+    const offset = (y * width + x) * channels;
+    return Math.abs(data[offset] - background[0]) +
+      Math.abs(data[offset + 1] - background[1]) +
+      Math.abs(data[offset + 2] - background[2]) > INK_THRESHOLD;
+  };
+
+  const visited = new Uint8Array(box.width * box.height);
+  const components = [];
+  for (let startY = 0; startY < box.height; startY++) {
+    for (let startX = 0; startX < box.width; startX++) {
+      const startIndex = startY * box.width + startX;
+      if (visited[startIndex]) continue;
+      visited[startIndex] = 1;
+      if (!isInk(box.x + startX, box.y + startY)) continue;
+
+      let minX = startX, maxX = startX, minY = startY, maxY = startY, pixels = 0;
+      const stack = [startIndex];
+      while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % box.width;
+        const y = (index - x) / box.width;
+        pixels++;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+
+        const neighbours = [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]];
+        for (const [nx, ny] of neighbours) {
+          if (nx < 0 || ny < 0 || nx >= box.width || ny >= box.height) continue;
+          const neighbour = ny * box.width + nx;
+          if (visited[neighbour]) continue;
+          visited[neighbour] = 1;
+          if (isInk(box.x + nx, box.y + ny)) stack.push(neighbour);
+        }
+      }
+
+      // Single stray pixels are compression noise
+      if (pixels >= 3) {
+        components.push({ x: box.x + minX, y: box.y + minY, width: maxX - minX + 1, height: maxY - minY + 1 });
+      }
+    }
+  }
+  return components;
+}
+
+// Attribute ink to the child whose (slightly expanded) box contains its center, nearest first
+function childInkBoxes(frame, components) {
+  const margin = Math.min(Math.max(frame.itemSpacing / 2, 4), MAX_SEARCH_MARGIN);
+  const assigned = frame.children.map(() => []);
+
+  components.forEach(component => {
+    const cx = component.x + component.width / 2;
+    const cy = component.y + component.height / 2;
+    let best = -1;
+    let bestDistance = Infinity;
+    frame.children.forEach((child, index) => {
+      const area = expandBox(child.position, margin);
+      if (cx < area.x || cx > area.x + area.width || cy < area.y || cy > area.y + area.height) return;
+      const distance = Math.hypot(cx - (child.position.x + child.position.width / 2), cy - (child.position.y + child.position.height / 2));
+      if (distance < bestDistance) {
+        best = index;
+        bestDistance = distance;
+      }
+    });
+    if (best >= 0) assigned[best].push(component);
+  });
+
+  return assigned.map(boxes => boxes.length > 0 ? unionBoxes(boxes) : null);
+}
+
+// Ink boxes of every auto-layout frame and its children in one image.
+// Returns { [frameId]: { box, observable, children: [box | null] } }
+function measureImage(image, frames) {
+  const measured = {};
+  const childBoxes = new Map(); // Figma node id -> measured box, for nested frames
+
+  frames.forEach(frame => {
+    let box = frame.position;
+    let observable = false;
+    let background;
+
+    if (frame.depth === 0) {
+      // The screenshot is normalized to the root frame
+      box = { x: 0, y: 0, width: image.width, height: image.height };
+      observable = true;
+      background = ringColor(image, box, 1);
+    } else if (frame.hasBackground) {
+      box = childBoxes.get(frame.nodeId) || nearestInk(image, frame.position) || frame.position;
+      observable = childBoxes.has(frame.nodeId) || box !== frame.position;
+      background = ringColor(image, box, 2);
+    } else {
+      // Unfilled frames show their parent's background, just outside their box
+      background = ringColor(image, frame.position, -2);
+    }
+
+    const components = inkComponents(image, expandBox(box, MAX_SEARCH_MARGIN), background);
+    const children = childInkBoxes(frame, components);
+    frame.children.forEach((child, index) => {
+      if (children[index]) childBoxes.set(child.id, children[index]);
+    });
+
+    measured[frame.id] = { box, observable, children };
+  });
+  return measured;
+}
+
+// A filled frame that isn't a child of another auto-layout frame: best-overlapping ink
+// region around its Figma box, measured against the surrounding background
+function nearestInk(image, position) {
+  const background = ringColor(image, expandBox(position, MAX_SEARCH_MARGIN), 1);
+  const candidates = inkComponents(image, expandBox(position, MAX_SEARCH_MARGIN), background);
+  const best = candidates
+    .map(candidate => ({ candidate, iou: intersectionOverUnion(candidate, position) }))
+    .sort((a, b) => b.iou - a.iou)[0];
+  return best && best.iou >= 0.5 ? best.candidate : null;
+}
+
+// Measure where each auto-layout child sits in the screenshot (already normalized to the
+// root frame size). Pass figmaJSON to correct ink boxes with a local render of the design.
+// Returns { frames: { [frameId]: { box, observable, children: [box | null] } }, corrected }
+export async function measureAutoLayout(screenshotPath, autoLayoutFrames, figmaJSON = null) {
+  const frames = autoLayoutFrames || [];
+  if (frames.length === 0) return { frames: {}, corrected: false };
+
+  const screenshot = await loadPixels(screenshotPath);
+  const measured = measureImage(screenshot, frames);
+
+  // Same measurement on the design itself: the offset between its ink and the Figma boxes
+  let reference = null;
+  const root = figmaJSON ? findRenderRoot(figmaJSON) : null;
+  if (root) {
+    try {
+      const { svg } = figmaNodeToSVG(root);
+      const render = await loadPixels(await sharp(Buffer.from(svg))
+        .resize(screenshot.width, screenshot.height, { fit: 'fill' })
+        .png()
+        .toBuffer());
+      reference = measureImage(render, frames);
+    } catch (error) {
+      console.warn('Auto layout: local render for ink correction failed:', error.message);
+    }
+  }
+
+  if (reference) {
+    frames.forEach(frame => {
+      measured[frame.id].children = measured[frame.id].children.map((box, index) => {
+        const designInk = reference[frame.id].children[index];
+        if (!box || !designInk) return box;
+        const expected = frame.children[index].position;
+        const left = box.x + (expected.x - designInk.x);
+        const top = box.y + (expected.y - designInk.y);
+        const right = box.x + box.width + (expected.x + expected.width - designInk.x - designInk.width);
+        const bottom = box.y + box.height + (expected.y + expected.height - designInk.y - designInk.height);
+        return { x: left, y: top, width: right - left, height: bottom - top };
+      });
+    });
+  }
+
+  return { frames: measured, corrected: Boolean(reference) };
+}
+
+function check(property, expected, measured, extra = {}) {
+  const difference = Math.abs(measured - expected);
+  return {
+    property,
+    ...extra,
+    expected: Math.round(expected),
+    measured: Math.round(measured),
+    difference: Math.round(difference),
+    pass: difference <= LAYOUT_TOLERANCE,
+    severity: difference <= LAYOUT_TOLERANCE ? null : difference > MAJOR_LAYOUT_DIFFERENCE ? 'major' : 'minor'
+  };
+}
+
+function end(box, start, size) {
+  return box[start] + box[size];
+}
+
+function verifyFrame(frame, measurement) {
+  const axis = AXES[frame.layoutMode];
+  const checks = [];
+  const children = frame.children.map((child, index) => ({ ...child, measured: measurement?.children[index] || null }));
+  const matched = children.filter(child => child.measured);
+  const frameBox = measurement?.box || frame.position;
+  const frameMatched = Boolean(measurement?.observable);
+
+  const result = {
+    id: frame.id,
+    nodeId: frame.nodeId,
+    name: frame.name,
+    layoutMode: frame.layoutMode,
+    expected: {
+      padding: frame.padding,
+      itemSpacing: frame.itemSpacing,
+      primaryAxisAlignItems: frame.primaryAxisAlignItems,
+      counterAxisAlignItems: frame.counterAxisAlignItems,
+      children: frame.children.map(child => child.name)
+    },
+    frameMatched,
+    totalChildren: children.length,
+    matchedChildren: matched.length,
+    unmatchedChildren: children.filter(child => !child.measured).map(child => child.name),
+    checks
+  };
+
+  if (matched.length === 0) {
+    result.status = 'unverified';
+    return result;
+  }
+
+  const first = matched[0];
+  const last = matched[matched.length - 1];
+  const frameStart = frameBox[axis.start];
+  const frameEnd = end(frameBox, axis.start, axis.size);
+  const paddingStart = frame.padding[axis.paddingStart];
+  const paddingEnd = frame.padding[axis.paddingEnd];
+  const alignItems = frame.primaryAxisAlignItems;
+
+  // Padding is only observable on the side(s) the children are packed against
+  if (frameMatched && first === children[0] && (alignItems === 'MIN' || alignItems === 'SPACE_BETWEEN')) {
+    checks.push(check(PADDING_NAMES[axis.paddingStart], paddingStart, first.measured[axis.start] - frameStart, { child: first.name }));
+  }
+  if (frameMatched && last === children[children.length - 1] && (alignItems === 'MAX' || alignItems === 'SPACE_BETWEEN')) {
+    checks.push(check(PADDING_NAMES[axis.paddingEnd], paddingEnd, frameEnd - end(last.measured, axis.start, axis.size), { child: last.name }));
+  }
+  if (frameMatched && matched.length === children.length && alignItems === 'CENTER') {
+    // Centered content leaves equal space before the first and after the last child
+    const leading = first.measured[axis.start] - frameStart - paddingStart;
+    const trailing = frameEnd - paddingEnd - end(last.measured, axis.start, axis.size);
+    checks.push(check('primaryAxisAlignItems', 0, leading - trailing, { alignment: 'CENTER' }));
+  }
+
+  // Gaps between children that are adjacent in the layout and both found on screen
+  children.forEach((child, index) => {
+    const next = children[index + 1];
+    if (!next || !child.measured || !next.measured) return;
+    const expectedGap = alignItems === 'SPACE_BETWEEN'
+      ? next.position[axis.start] - end(child.position, axis.start, axis.size)
+      : frame.itemSpacing;
+    const measuredGap = next.measured[axis.start] - end(child.measured, axis.start, axis.size);
+    checks.push(check('itemSpacing', expectedGap, measuredGap, { child: `${child.name} → ${next.name}` }));
+  });
+
+  // Counter axis alignment per child; STRETCH children span the whole content box
+  if (frameMatched) {
+    const counterStart = frameBox[axis.counterStart] + frame.padding[axis.counterPaddingStart];
+    const counterEnd = end(frameBox, axis.counterStart, axis.counterSize) - frame.padding[axis.counterPaddingEnd];
+    matched.forEach(child => {
+      const box = child.measured;
+      const childStart = box[axis.counterStart];
+      const childEnd = end(box, axis.counterStart, axis.counterSize);
+      const alignment = child.layoutAlign === 'STRETCH' ? 'STRETCH' : frame.counterAxisAlignItems;
+      const extra = { child: child.name, alignment };
+
+      if (alignment === 'MIN' || alignment === 'STRETCH' || alignment === 'BASELINE') {
+        checks.push(check('counterAxisAlignItems', counterStart, childStart, extra));
+      }
+      if (alignment === 'MAX' || alignment === 'STRETCH') {
+        checks.push(check('counterAxisAlignItems', counterEnd, childEnd, extra));
+      }
+      if (alignment === 'CENTER') {
+        checks.push(check('counterAxisAlignItems', (counterStart + counterEnd) / 2, (childStart + childEnd) / 2, extra));
+      }
+    });
+  }
+
+  // Child order: the found children must appear in layout order along the primary axis
+  if (matched.length > 1) {
+    const measuredOrder = [...matched]
+      .sort((a, b) => a.measured[axis.start] - b.measured[axis.start])
+      .map(child => child.name);
+    const expectedOrder = matched.map(child => child.name);
+    const inOrder = measuredOrder.every((name, index) => name === expectedOrder[index]);
+    checks.push({
+      property: 'childOrder',
+      expected: expectedOrder,
+      measured: measuredOrder,
+      pass: inOrder,
+      severity: inOrder ? null : 'major'
+    });
+  }
+
+  result.status = checks.length === 0 ? 'unverified' : checks.every(item => item.pass) ? 'pass' : 'fail';
+  return result;
+}
+
+// Verify every auto-layout frame against detected.autoLayout (from measureAutoLayout).
+// Returns { frames: [{ name, status, checks: [{ property, expected, measured, pass }] }], summary, mismatches }
+// where mismatches are the failed checks in the report's mismatch format.
+export function verifyAutoLayout(autoLayoutFrames, detected) {
+  const measurements = detected.autoLayout?.frames || {};
+  const frames = (autoLayoutFrames || []).map(frame => verifyFrame(frame, measurements[frame.id]));
+
+  const mismatches = [];
+  frames.forEach(frame => {
+    frame.checks.filter(item => !item.pass).forEach(item => {
+      const ordered = item.property === 'childOrder';
+      mismatches.push({
+        property: `Auto Layout ${item.property}: ${frame.name}`,
+        frame: frame.name,
+        frameId: frame.nodeId,
+        child: item.child || null,
+        expected: ordered ? item.expected.join(' → ') : `${item.expected}px`,
+        actual: ordered ? item.measured.join(' → ') : `${item.measured}px`,
+        severity: item.severity,
+        difference: item.difference
+      });
+    });
+  });
+
+  const summary = {
+    frames: frames.length,
+    passed: frames.filter(frame => frame.status === 'pass').length,
+    failed: frames.filter(frame => frame.status === 'fail').length,
+    unverified: frames.filter(frame => frame.status === 'unverified').length,
+    checks: frames.reduce((sum, frame) => sum + frame.checks.length, 0)
+  };
+  if (summary.frames > 0) {
+    console.log(`Auto layout: ${summary.passed} passed, ${summary.failed} failed, ${summary.unverified} unverified of ${summary.frames} frames`);
+  }
+
+  return { frames, summary, mismatches };
+}
@@ -0,0 +1,214 @@
+import path from 'path';
+import fs from 'fs';
+import sharp from 'sharp';
+import { baselinesDir, resolveOutput } from './config.js';
+import { compareImages } from './pixel-diff.js';
+
+// Approved screenshots are stored per screen/viewport:
+//   baselines/<key>/baseline.png              - last approved capture
+//   baselines/<key>/baseline.json             - metadata and approval history
+//   baselines/<key>/captures/<captureId>.png  - captures waiting for review
+//   baselines/<key>/captures/<captureId>.json
+// where <key> is "<name>@<viewport>", e.g. "login@1440x900".
+
+export function baselineKey(name, viewport) {
+  const clean = value => String(value).trim().replace(/[^a-zA-Z0-9_-]+/g, '-');
+  return `${clean(name)}@${clean(viewport)}`;
+}
+
+function baselinePaths(key) {
+  const dir = path.join(baselinesDir, key);
+  return {
+    dir,
+    image: path.join(dir, 'baseline.png'),
+    meta: path.join(dir, 'baseline.json'),
+    captures: path.join(dir, 'captures')
+  };
+}
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function writeJSON(filePath, data) {
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+// Reject keys that would escape the baselines directory
+function assertValidKey(key) {
+  if (!key || key !== path.basename(key) || key.startsWith('.')) {
+    const error = new Error(`Invalid baseline key: ${key}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+function listCaptures(key) {
+  const { captures } = baselinePaths(key);
+  if (!fs.existsSync(captures)) return [];
+
+  return fs.readdirSync(captures)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readJSON(path.join(captures, file)))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+export function getBaseline(key) {
+  assertValidKey(key);
+  const paths = baselinePaths(key);
+  if (!fs.existsSync(paths.dir)) return null;
+
+  const meta = fs.existsSync(paths.meta) ? readJSON(paths.meta) : null;
+  return {
+    key,
+    name: meta?.name || key.split('@')[0],
+    viewport: meta?.viewport || key.split('@')[1],
+    hasBaseline: fs.existsSync(paths.image),
+    approved: meta?.approved || null,
+    history: meta?.history || [],
+    captures: listCaptures(key)
+  };
+}
+
+export function listBaselines() {
+  if (!fs.existsSync(baselinesDir)) return [];
+
+  return fs.readdirSync(baselinesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      const baseline = getBaseline(entry.name);
+      return {
+        key: baseline.key,
+        name: baseline.name,
+        viewport: baseline.viewport,
+        hasBaseline: baseline.hasBaseline,
+        approved: baseline.approved,
+        pendingCaptures: baseline.captures.filter(c => c.status === 'pending').length
+      };
+    });
+}
+
+// Compare a new capture against the last approved baseline for its screen/viewport
+// and record it as a pending capture that can later be approved or rejected.
+export async function checkRegression({ name, viewport, screenshot, reportId = null, options = {} }) {
+  const output = resolveOutput(options);
+
+  // Default the viewport to the capture's own dimensions
+  if (!viewport) {
+    const metadata = await sharp(screenshot).metadata();
+    viewport = `${metadata.width}x${metadata.height}`;
+  }
+
+  const key = baselineKey(name, viewport);
+  const paths = baselinePaths(key);
+  fs.mkdirSync(paths.captures, { recursive: true });
+
+  const captureId = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+  const captureImage = path.join(paths.captures, `${captureId}.png`);
+  await sharp(screenshot).png().toFile(captureImage);
+
+  const meta = fs.existsSync(paths.meta) ? readJSON(paths.meta) : null;
+  let vsLastApproved = null;
+
+  if (fs.existsSync(paths.image)) {
+    console.log(`Comparing capture against approved baseline ${key}...`);
+
+    // Work on copies so resized/diff images never land in the baselines directory.
+    // The report references the resized/diff images only, so the copies are removed afterwards.
+    const baselineCopy = path.join(output.dir, `baseline-${captureId}.png`);
+    const captureCopy = path.join(output.dir, `capture-${captureId}.png`);
+    fs.copyFileSync(paths.image, baselineCopy);
+    fs.copyFileSync(captureImage, captureCopy);
+
+    try {
+      vsLastApproved = await compareImages(baselineCopy, captureCopy, options);
+    } finally {
+      fs.rmSync(baselineCopy, { force: true });
+      fs.rmSync(captureCopy, { force: true });
+    }
+  } else {
+    console.log(`No approved baseline for ${key} yet; capture recorded for approval`);
+  }
+
+  const capture = {
+    captureId,
+    key,
+    name,
+    viewport,
+    createdAt: new Date().toISOString(),
+    reportId,
+    status: 'pending',
+    similarity: vsLastApproved ? vsLastApproved.similarity : null,
+    diffRegions: vsLastApproved ? vsLastApproved.diffRegions : null
+  };
+  writeJSON(path.join(paths.captures, `${captureId}.json`), capture);
+
+  return {
+    key,
+    name,
+    viewport,
+    captureId,
+    status: capture.status,
+    hasBaseline: !!vsLastApproved,
+    baselineApprovedAt: meta?.approved?.approvedAt || null,
+    vsLastApproved
+  };
+}
+
+// Approve (promote to baseline) or reject a pending capture
+export function reviewCapture(key, captureId, action, { reviewer = null, comment = null } = {}) {
+  assertValidKey(key);
+  if (action !== 'approve' && action !== 'reject') {
+    const error = new Error(`Unknown review action: ${action}. Use "approve" or "reject"`);
+    error.status = 400;
+    throw error;
+  }
+
+  const paths = baselinePaths(key);
+  const captureMeta = path.join(paths.captures, `${path.basename(captureId)}.json`);
+  const captureImage = path.join(paths.captures, `${path.basename(captureId)}.png`);
+
+  if (!fs.existsSync(captureMeta)) {
+    const error = new Error(`Capture ${captureId} not found for baseline ${key}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const capture = readJSON(captureMeta);
+  if (capture.status !== 'pending') {
+    const error = new Error(`Capture ${captureId} was already ${capture.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  capture.status = action === 'approve' ? 'approved' : 'rejected';
+  capture.reviewedAt = new Date().toISOString();
+  capture.reviewer = reviewer;
+  capture.comment = comment;
+  writeJSON(captureMeta, capture);
+
+  if (action === 'approve') {
+    fs.copyFileSync(captureImage, paths.image);
+
+    const meta = fs.existsSync(paths.meta) ? readJSON(paths.meta) : { history: [] };
+    const approved = {
+      captureId: capture.captureId,
+      reportId: capture.reportId,
+      approvedAt: capture.reviewedAt,
+      reviewer,
+      comment
+    };
+    writeJSON(paths.meta, {
+      key,
+      name: capture.name,
+      viewport: capture.viewport,
+      approved,
+      history: [...(meta.history || []), approved]
+    });
+    console.log(`Capture ${captureId} promoted to baseline ${key}`);
+  } else {
+    console.log(`Capture ${captureId} rejected for baseline ${key}`);
+  }
+
+  return getBaseline(key);
+}
@@ -0,0 +1,250 @@
+import path from 'path';
+import sharp from 'sharp';
+import { analyze, analyzeWithAI } from './analyze.js';
+import { colorDistance, extractDominantColors } from './color.js';
+import { reportStage } from './progress.js';
+import { extractFigmaProperties } from './shared/figma-properties.js';
+
+// Screenshots paired by visual similarity need at least this score (0-1)
+const MIN_VISUAL_SCORE = 0.5;
+// A screenshot palette color counts as present in the frame within this deltaE
+const PALETTE_MATCH_DELTA_E = 10;
+
+// Top-level FRAMEs of a Figma file, page or node response
+export function findTopLevelFrames(figmaJSON) {
+  const frames = [];
+  const collect = node => {
+    if (!node) return;
+    if (node.type === 'FRAME') {
+      frames.push(node);
+    } else if (node.type === 'DOCUMENT' || node.type === 'CANVAS') {
+      (node.children || []).forEach(collect);
+    }
+  };
+
+  if (figmaJSON.nodes) {
+    Object.values(figmaJSON.nodes).forEach(node => collect(node.document));
+  } else if (figmaJSON.document) {
+    collect(figmaJSON.document);
+  } else {
+    collect(figmaJSON);
+  }
+  return frames;
+}
+
+// Wrap one frame like a single-node Figma API response so it is analyzed on its own.
+// The source's style, component and variable maps come along so its tokens still resolve.
+export function frameDesign(figmaJSON, frame) {
+  const sources = [figmaJSON, ...Object.values(figmaJSON.nodes || {})];
+  const merged = key => Object.assign({}, ...sources.map(source => source[key] || {}));
+  const design = {
+    name: frame.name,
+    nodes: {
+      [frame.id]: {
+        document: frame,
+        styles: merged('styles'),
+        components: merged('components'),
+        componentSets: merged('componentSets')
+      }
+    }
+  };
+  ['variables', 'variableCollections', 'meta'].forEach(key => {
+    if (figmaJSON[key]) design[key] = figmaJSON[key];
+  });
+  return design;
+}
+
+// "Login Screen", "login-screen.png" and "LoginScreen@2x.png" all normalize to "loginscreen"
+function normalizeName(name) {
+  return String(name)
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/@\d+x$/i, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+function pairByName(frames, screenshots) {
+  const pairs = [];
+  const usedFrames = new Set();
+  const usedScreenshots = new Set();
+
+  // Exact normalized matches first, then one name containing the other
+  const strategies = [
+    (frameName, shotName) => frameName === shotName,
+    (frameName, shotName) => frameName.includes(shotName) || shotName.includes(frameName)
+  ];
+
+  strategies.forEach(matches => {
+    screenshots.forEach((shot, shotIndex) => {
+      if (usedScreenshots.has(shotIndex)) return;
+      const shotName = normalizeName(shot.name);
+      if (!shotName) return;
+
+      const frameIndex = frames.findIndex((frame, index) =>
+        !usedFrames.has(index) && normalizeName(frame.name) && matches(normalizeName(frame.name), shotName)
+      );
+      if (frameIndex === -1) return;
+
+      usedFrames.add(frameIndex);
+      usedScreenshots.add(shotIndex);
+      pairs.push({ frameIndex, shotIndex, matchedBy: 'name', score: 1 });
+    });
+  });
+
+  return { pairs, usedFrames, usedScreenshots };
+}
+
+// Cheap visual signature without rendering the frame: aspect ratio plus palette overlap
+async function visualScore(frame, frameColors, shot) {
+  const box = frame.absoluteBoundingBox;
+  if (!box?.width || !box?.height || !shot.metadata.width || !shot.metadata.height) return 0;
+
+  const frameRatio = box.width / box.height;
+  const shotRatio = shot.metadata.width / shot.metadata.height;
+  const aspectScore = Math.min(frameRatio, shotRatio) / Math.max(frameRatio, shotRatio);
+
+  let colorScore = 0;
+  if (shot.palette.length > 0 && frameColors.length > 0) {
+    const present = shot.palette.filter(color =>
+      frameColors.some(frameColor => colorDistance(color.hex, frameColor) <= PALETTE_MATCH_DELTA_E)
+    );
+    colorScore = present.length / shot.palette.length;
+  }
+
+  return aspectScore * 0.5 + colorScore * 0.5;
+}
+
+async function pairByVisualSimilarity(frames, screenshots, usedFrames, usedScreenshots) {
+  const freeFrames = frames.map((frame, index) => index).filter(index => !usedFrames.has(index));
+  const freeShots = screenshots.map((shot, index) => index).filter(index => !usedScreenshots.has(index));
+  if (freeFrames.length === 0 || freeShots.length === 0) return [];
+
+  console.log(`Pairing ${freeShots.length} screenshot(s) with ${freeFrames.length} frame(s) by visual similarity...`);
+
+  const frameColors = new Map(freeFrames.map(index => [
+    index,
+    extractFigmaProperties(frames[index]).colors.map(color => color.value)
+  ]));
+
+  const candidates = [];
+  for (const shotIndex of freeShots) {
+    const shot = screenshots[shotIndex];
+    const colors = await extractDominantColors(shot.path);
+    const signature = {
+      metadata: await sharp(shot.path).metadata(),
+      palette: colors?.palette || []
+    };
+    for (const frameIndex of freeFrames) {
+      const score = await visualScore(frames[frameIndex], frameColors.get(frameIndex), signature);
+      candidates.push({ frameIndex, shotIndex, score });
+    }
+  }
+
+  // Greedy assignment, best scores first
+  const pairs = [];
+  candidates
+    .filter(candidate => candidate.score >= MIN_VISUAL_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .forEach(candidate => {
+      if (usedFrames.has(candidate.frameIndex) || usedScreenshots.has(candidate.shotIndex)) return;
+      usedFrames.add(candidate.frameIndex);
+      usedScreenshots.add(candidate.shotIndex);
+      pairs.push({ ...candidate, score: parseFloat(candidate.score.toFixed(3)), matchedBy: 'visual' });
+    });
+  return pairs;
+}
+
+// Analyze every top-level frame of a Figma file against a set of screenshots.
+// screenshots: [{ path, name }] where name is the original file name used for pairing.
+// Returns a roll-up with per-screen results; each successful screen carries its full report.
+export async function analyzeBatch({ figmaJSON, screenshots, options = {} }) {
+  const frames = findTopLevelFrames(figmaJSON);
+  if (frames.length === 0) {
+    const error = new Error('No top-level FRAME nodes found in the Figma design');
+    error.status = 400;
+    throw error;
+  }
+  if (!screenshots || screenshots.length === 0) {
+    const error = new Error('At least one screenshot is required');
+    error.status = 400;
+    throw error;
+  }
+
+  console.log(`Batch analysis: ${frames.length} frame(s), ${screenshots.length} screenshot(s)`);
+
+  reportStage(options, 'pair', `Pairing ${screenshots.length} screenshot(s) with ${frames.length} frame(s)`);
+  const named = pairByName(frames, screenshots);
+  const visual = await pairByVisualSimilarity(frames, screenshots, named.usedFrames, named.usedScreenshots);
+  const pairs = [...named.pairs, ...visual];
+
+  const runAnalysis = options.useAI ? analyzeWithAI : analyze;
+  const screens = [];
+  for (const [index, pair] of pairs.entries()) {
+    const frame = frames[pair.frameIndex];
+    const shot = screenshots[pair.shotIndex];
+    reportStage(options, 'screen', `Analyzing ${frame.name} (${index + 1}/${pairs.length})`);
+    console.log(`Analyzing frame "${frame.name}" against ${shot.name} (matched by ${pair.matchedBy})...`);
+
+    const frameJSON = frameDesign(figmaJSON, frame);
+    const screen = {
+      frameId: frame.id,
+      frameName: frame.name,
+      screenshot: shot.name,
+      matchedBy: pair.matchedBy,
+      matchScore: pair.score
+    };
+
+    try {
+      const report = await runAnalysis({ figmaJSON: frameJSON, screenshot: shot.path, options });
+      const accuracy = parseFloat(report.accuracy);
+      screens.push({
+        ...screen,
+        status: 'analyzed',
+        accuracy: isNaN(accuracy) ? null : accuracy,
+        totalMismatches: report.totalMismatches,
+        figmaJSON: frameJSON,
+        report
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error(`Batch analysis failed for frame "${frame.name}":`, error.message);
+      screens.push({
+        ...screen,
+        status: 'failed',
+        accuracy: null,
+        error: error.message,
+        validation: error.validation || null
+      });
+    }
+  }
+
+  const analyzed = screens.filter(screen => screen.accuracy !== null);
+  const combinedAccuracy = analyzed.length > 0
+    ? analyzed.reduce((sum, screen) => sum + screen.accuracy, 0) / analyzed.length
+    : null;
+
+  // Screen reports are saved next to the roll-up, so its id must not repeat theirs
+  const id = Math.max(Date.now(), ...screens.map(screen => (screen.report?.id || 0) + 1));
+
+  return {
+    id,
+    timestamp: new Date().toISOString(),
+    analysisType: 'BATCH',
+    accuracy: combinedAccuracy === null ? null : combinedAccuracy.toFixed(2),
+    summary: {
+      frames: frames.length,
+      screenshots: screenshots.length,
+      paired: pairs.length,
+      analyzed: analyzed.length,
+      failed: screens.length - analyzed.length,
+      lowestAccuracy: analyzed.length > 0 ? Math.min(...analyzed.map(screen => screen.accuracy)) : null
+    },
+    screens,
+    unmatchedFrames: frames
+      .filter((frame, index) => !pairs.some(pair => pair.frameIndex === index))
+      .map(frame => ({ frameId: frame.id, frameName: frame.name })),
+    unmatchedScreenshots: screenshots
+      .filter((shot, index) => !pairs.some(pair => pair.shotIndex === index))
+      .map(shot => path.basename(shot.name))
+  };
+}
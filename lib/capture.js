@@ -0,0 +1,168 @@
+import path from 'path';
+import sharp from 'sharp';
+import { outputUrl, resolveOutput } from './config.js';
+import { reportStage } from './progress.js';
+import { findRenderRoot } from './rasterize.js';
+
+// Headless-browser capture of a running app, sized to the Figma frame, so analyses start from
+// a screenshot that already matches the design's viewport instead of a hand-taken one.
+// Uses the optional puppeteer dependency (npm install puppeteer). In containers without a
+// user namespace set CAPTURE_NO_SANDBOX=true; PUPPETEER_EXECUTABLE_PATH points at another Chrome.
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MAX_VIEWPORT = 10000;
+// networkidle2 rather than networkidle0: dev servers keep a live-reload socket open
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+
+function captureError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+async function loadPuppeteer() {
+  try {
+    return (await import('puppeteer')).default;
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw captureError('URL capture needs the optional puppeteer dependency: npm install puppeteer', 501);
+    }
+    throw error;
+  }
+}
+
+function parseCaptureUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw captureError(`Invalid capture URL: ${url}`, 400);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw captureError(`Only http and https URLs can be captured, not ${parsed.protocol}`, 400);
+  }
+  return parsed.href;
+}
+
+// Viewport of a capture: explicit width/height, else the root frame's absoluteBoundingBox.
+// Returns { width, height, source: 'request' | 'figma', nodeName }.
+export function captureViewport(figmaJSON, { width, height } = {}) {
+  const root = figmaJSON ? findRenderRoot(figmaJSON) : null;
+  const frame = root?.absoluteBoundingBox;
+  const viewport = {
+    width: Math.round(parseFloat(width) || frame?.width || 0),
+    height: Math.round(parseFloat(height) || frame?.height || 0),
+    source: width && height ? 'request' : 'figma',
+    nodeName: root?.name || null
+  };
+
+  if (!viewport.width || !viewport.height) {
+    throw captureError('No viewport to capture at: send a Figma frame with an absoluteBoundingBox, or a width and height', 400);
+  }
+  if (viewport.width > MAX_VIEWPORT || viewport.height > MAX_VIEWPORT) {
+    throw captureError(`Viewport ${viewport.width}x${viewport.height} exceeds ${MAX_VIEWPORT}px`, 400);
+  }
+  return viewport;
+}
+
+// Open `url` in headless Chrome at the Figma frame's viewport, wait for it to settle and hand the
+// page to use(page, context); the browser is closed afterwards. context: { capturedUrl, viewport,
+// deviceScaleFactor, response }.
+// options: width/height (override the frame), deviceScaleFactor (default 1), waitUntil (default
+// networkidle2), waitForSelector, delay (ms after load), timeout (ms, default 30000), onProgress, signal.
+export async function withCapturePage({ url, figmaJSON = null, options = {} }, use) {
+  const capturedUrl = parseCaptureUrl(url);
+  const viewport = captureViewport(figmaJSON, options);
+  const deviceScaleFactor = parseFloat(options.deviceScaleFactor) || 1;
+  if (deviceScaleFactor <= 0 || deviceScaleFactor > 4) {
+    throw captureError(`Invalid deviceScaleFactor: ${options.deviceScaleFactor}. Use a number between 0.1 and 4`, 400);
+  }
+  const waitUntil = options.waitUntil || 'networkidle2';
+  if (!WAIT_UNTIL.includes(waitUntil)) {
+    throw captureError(`Invalid waitUntil: ${waitUntil}. Use one of: ${WAIT_UNTIL.join(', ')}`, 400);
+  }
+  const timeout = parseInt(options.timeout) || DEFAULT_TIMEOUT_MS;
+
+  const puppeteer = await loadPuppeteer();
+  reportStage(options, 'capture', `Opening ${capturedUrl} at ${viewport.width}x${viewport.height}`);
+
+  let browser;
+  try {
+    browser = await puppeteer.launch({
+      headless: true,
+      args: process.env.CAPTURE_NO_SANDBOX === 'true' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
+    });
+  } catch (error) {
+    // Puppeteer's message carries Chrome's stderr (e.g. a missing system library) and a help link
+    const reason = error.message.split('TROUBLESHOOTING')[0].replace(/\s+/g, ' ').trim();
+    throw captureError(`Could not start the headless browser: ${reason}`, 503);
+  }
+
+  try {
+    const page = await browser.newPage();
+    await page.setViewport({ width: viewport.width, height: viewport.height, deviceScaleFactor });
+
+    let response;
+    try {
+      response = await page.goto(capturedUrl, { waitUntil, timeout });
+    } catch (error) {
+      throw captureError(`Could not load ${capturedUrl}: ${error.message}`, 502);
+    }
+    if (response && response.status() >= 400) {
+      throw captureError(`${capturedUrl} returned HTTP ${response.status()}`, 502);
+    }
+
+    if (options.waitForSelector) {
+      try {
+        await page.waitForSelector(options.waitForSelector, { visible: true, timeout });
+      } catch (error) {
+        throw captureError(`Selector "${options.waitForSelector}" did not appear on ${capturedUrl}`, 502);
+      }
+    }
+    // Web fonts change text metrics; wait for them before looking at the page
+    await page.evaluate(() => document.fonts?.ready);
+    const delay = parseInt(options.delay) || 0;
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    return await use(page, { capturedUrl, viewport, deviceScaleFactor, response });
+  } finally {
+    await browser.close();
+  }
+}
+
+// Screenshot an open capture page to a PNG in the output directory.
+// options: fullPage (capture below the fold too), outputDir/urlPrefix.
+// Returns { path, url, capturedUrl, finalUrl, status, title, width, height, viewport, deviceScaleFactor, fullPage }.
+export async function screenshotPage(page, { capturedUrl, viewport, deviceScaleFactor, response }, options = {}) {
+  const output = resolveOutput(options);
+  const fullPage = options.fullPage === true || options.fullPage === 'true';
+  reportStage(options, 'capture', 'Taking the screenshot');
+
+  const outputPath = path.join(output.dir, `capture-${Date.now()}.png`);
+  await page.screenshot({ path: outputPath, fullPage, captureBeyondViewport: fullPage });
+  const title = await page.title();
+  const { width, height } = await sharp(outputPath).metadata();
+  console.log(`Captured ${capturedUrl} at ${viewport.width}x${viewport.height}@${deviceScaleFactor}x to ${path.basename(outputPath)}`);
+
+  return {
+    path: outputPath,
+    url: outputUrl(output, outputPath),
+    capturedUrl,
+    finalUrl: page.url(),
+    status: response?.status() || null,
+    title,
+    width,
+    height,
+    viewport,
+    deviceScaleFactor,
+    fullPage
+  };
+}
+
+// Open `url` in headless Chrome at the Figma frame's viewport and screenshot it to a PNG.
+// Takes the options of withCapturePage and screenshotPage; returns screenshotPage's result.
+export async function captureURL({ url, figmaJSON = null, options = {} }) {
+  return withCapturePage({ url, figmaJSON, options }, (page, context) => screenshotPage(page, context, options));
+}
@@ -0,0 +1,498 @@
+import sharp from 'sharp';
+
+// Calculate color distance using Delta E 2000 formula
+export function colorDistance(hex1, hex2) {
+  const lab1 = hexToLab(hex1);
+  const lab2 = hexToLab(hex2);
+  
+  if (!lab1 || !lab2) return 999;
+  
+  return deltaE2000(lab1, lab2);
+}
+
+// Convert hex to LAB color space
+export function hexToLab(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return null;
+  
+  // Convert RGB to XYZ
+  let rLinear = rgb.r / 255;
+  let gLinear = rgb.g / 255;
+  let bLinear = rgb.b / 255;
+  
+  // Apply gamma correction
+  rLinear = rLinear > 0.04045 ? Math.pow((rLinear + 0.055) / 1.055, 2.4) : rLinear / 12.92;
+  gLinear = gLinear > 0.04045 ? Math.pow((gLinear + 0.055) / 1.055, 2.4) : gLinear / 12.92;
+  bLinear = bLinear > 0.04045 ? Math.pow((bLinear + 0.055) / 1.055, 2.4) : bLinear / 12.92;
+  
+  // Observer = 2°, Illuminant = D65
+  const x = (rLinear * 0.4124564 + gLinear * 0.3575761 + bLinear * 0.1804375) * 100;
+  const y = (rLinear * 0.2126729 + gLinear * 0.7151522 + bLinear * 0.0721750) * 100;
+  const z = (rLinear * 0.0193339 + gLinear * 0.1191920 + bLinear * 0.9503041) * 100;
+  
+  // Normalize for D65 illuminant
+  const xn = 95.047;
+  const yn = 100.000;
+  const zn = 108.883;
+  
+  const fx = x / xn;
+  const fy = y / yn;
+  const fz = z / zn;
+  
+  const fx3 = Math.pow(fx, 1/3);
+  const fy3 = Math.pow(fy, 1/3);
+  const fz3 = Math.pow(fz, 1/3);
+  
+  const L = fx > 0.008856 ? (116 * fy3 - 16) : (903.3 * fy);
+  const A = 500 * ((fx > 0.008856 ? fx3 : (7.787 * fx + 16/116)) - 
+                   (fy > 0.008856 ? fy3 : (7.787 * fy + 16/116)));
+  const B = 200 * ((fy > 0.008856 ? fy3 : (7.787 * fy + 16/116)) - 
+                   (fz > 0.008856 ? fz3 : (7.787 * fz + 16/116)));
+  
+  return { l: L, a: A, b: B };
+}
+
+// Delta E 2000 formula implementation
+export function deltaE2000(lab1, lab2) {
+  const kL = 1, kC = 1, kH = 1;
+  
+  const L1 = lab1.l, a1 = lab1.a, b1 = lab1.b;
+  const L2 = lab2.l, a2 = lab2.a, b2 = lab2.b;
+  
+  // Calculate C and h
+  const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+  const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+  const Cab = (C1 + C2) / 2;
+  
+  const G = 0.5 * (1 - Math.sqrt(Math.pow(Cab, 7) / (Math.pow(Cab, 7) + Math.pow(25, 7))));
+  
+  const ap1 = a1 * (1 + G);
+  const ap2 = a2 * (1 + G);
+  
+  const Cp1 = Math.sqrt(ap1 * ap1 + b1 * b1);
+  const Cp2 = Math.sqrt(ap2 * ap2 + b2 * b2);
+  
+  const hp1 = Math.atan2(b1, ap1) * 180 / Math.PI;
+  const hp2 = Math.atan2(b2, ap2) * 180 / Math.PI;
+  
+  const h1 = hp1 >= 0 ? hp1 : hp1 + 360;
+  const h2 = hp2 >= 0 ? hp2 : hp2 + 360;
+  
+  // Calculate deltas
+  const dL = L2 - L1;
+  const dCp = Cp2 - Cp1;
+  
+  let dhp;
+  if (Cp1 * Cp2 === 0) {
+    dhp = 0;
+  } else if (Math.abs(h2 - h1) <= 180) {
+    dhp = h2 - h1;
+  } else if (h2 - h1 > 180) {
+    dhp = h2 - h1 - 360;
+  } else {
+    dhp = h2 - h1 + 360;
+  }
+  
+  const dHp = 2 * Math.sqrt(Cp1 * Cp2) * Math.sin(dhp * Math.PI / 360);
+  
+  // Calculate averages
+  const Lp = (L1 + L2) / 2;
+  const Cp = (Cp1 + Cp2) / 2;
+  
+  let hp;
+  if (Cp1 * Cp2 === 0) {
+    hp = h1 + h2;
+  } else if (Math.abs(h1 - h2) <= 180) {
+    hp = (h1 + h2) / 2;
+  } else if (h1 + h2 < 360) {
+    hp = (h1 + h2 + 360) / 2;
+  } else {
+    hp = (h1 + h2 - 360) / 2;
+  }
+  
+  // Calculate T
+  const T = 1 - 0.17 * Math.cos((hp - 30) * Math.PI / 180) +
+            0.24 * Math.cos(2 * hp * Math.PI / 180) +
+            0.32 * Math.cos((3 * hp + 6) * Math.PI / 180) -
+            0.20 * Math.cos((4 * hp - 63) * Math.PI / 180);
+  
+  // Calculate SL, SC, SH
+  const SL = 1 + (0.015 * Math.pow(Lp - 50, 2)) / Math.sqrt(20 + Math.pow(Lp - 50, 2));
+  const SC = 1 + 0.045 * Cp;
+  const SH = 1 + 0.015 * Cp * T;
+  
+  // Calculate RT
+  const dTheta = 30 * Math.exp(-Math.pow((hp - 275) / 25, 2));
+  const RC = 2 * Math.sqrt(Math.pow(Cp, 7) / (Math.pow(Cp, 7) + Math.pow(25, 7)));
+  const RT = -RC * Math.sin(2 * dTheta * Math.PI / 180);
+  
+  // Final calculation
+  const dE = Math.sqrt(
+    Math.pow(dL / (kL * SL), 2) +
+    Math.pow(dCp / (kC * SC), 2) +
+    Math.pow(dHp / (kH * SH), 2) +
+    RT * (dCp / (kC * SC)) * (dHp / (kH * SH))
+  );
+  
+  return dE;
+}
+
+// Extract dominant colors from an image with improved accuracy
+export async function extractDominantColors(imagePath) {
+  try {
+    const metadata = await sharp(imagePath).metadata();
+    console.log('Analyzing image:', metadata.width, 'x', metadata.height);
+    
+    // Multiple sampling strategies for better color detection
+    const strategies = [
+      // 1. Full image sampling with better resize
+      await sampleFullImage(imagePath, metadata),
+      // 2. Grid-based sampling
+      await sampleImageGrid(imagePath, metadata),
+      // 3. Edge detection sampling
+      await sampleEdgeColors(imagePath, metadata)
+    ];
+    
+    // Merge all detected colors
+    const allColors = new Map();
+    strategies.forEach(colors => {
+      colors.forEach((count, hex) => {
+        allColors.set(hex, (allColors.get(hex) || 0) + count);
+      });
+    });
+    
+    // Convert to array and filter
+    let colorArray = Array.from(allColors.entries())
+      .map(([hex, count]) => ({
+        hex,
+        rgb: hexToRgb(hex),
+        count,
+        lab: hexToLab(hex)
+      }))
+      .filter(color => {
+        // Filter out near-white and near-black colors
+        const rgb = color.rgb;
+        const brightness = (rgb.r + rgb.g + rgb.b) / 3;
+        const isNearWhite = brightness > 240;
+        const isNearBlack = brightness < 15;
+        const isGray = Math.abs(rgb.r - rgb.g) < 10 && Math.abs(rgb.g - rgb.b) < 10 && Math.abs(rgb.r - rgb.b) < 10;
+        
+        // Keep colors that are not too light, not too dark, and not gray (unless they're UI grays)
+        return !isNearWhite && !isNearBlack && (!isGray || (brightness > 100 && brightness < 200));
+      });
+    
+    // Cluster similar colors using k-means
+    const clusteredColors = clusterColors(colorArray, 15); // Max 15 clusters
+    
+    // Sort by importance (frequency * saturation)
+    const rankedColors = clusteredColors
+      .map(cluster => {
+        const rgb = cluster.rgb;
+        const saturation = getColorSaturation(rgb);
+        const importance = cluster.count * (0.5 + saturation * 0.5);
+        
+        return {
+          hex: cluster.hex,
+          rgb: cluster.rgb,
+          frequency: cluster.count,
+          importance,
+          saturation
+        };
+      })
+      .sort((a, b) => b.importance - a.importance)
+      .slice(0, 10); // Top 10 colors
+    
+    // Find the most important color as dominant
+    const dominant = rankedColors[0]?.hex || '#000000';
+    
+    console.log(`Detected ${rankedColors.length} important colors from ${colorArray.length} raw colors`);
+    
+    return {
+      dominant,
+      palette: rankedColors
+    };
+  } catch (error) {
+    console.error('Color extraction error:', error);
+    return {
+      dominant: '#000000',
+      palette: []
+    };
+  }
+}
+
+// Sample full image with contain mode
+async function sampleFullImage(imagePath, metadata) {
+  const sampleSize = 150; // Larger sample for better accuracy
+  const buffer = await sharp(imagePath)
+    .resize(sampleSize, sampleSize, { 
+      fit: 'contain', // Preserve entire image
+      background: { r: 255, g: 255, b: 255, alpha: 1 }
+    })
+    .raw()
+    .toBuffer();
+  
+  const colorMap = new Map();
+  const channels = metadata.channels || 3;
+  
+  for (let i = 0; i < buffer.length; i += channels) {
+    const r = buffer[i];
+    const g = buffer[i + 1];
+    const b = buffer[i + 2];
+    
+    // Skip pure white (background)
+    if (r === 255 && g === 255 && b === 255) continue;
+    
+    const hex = rgbToHex2(r, g, b);
+    colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
+  }
+  
+  return colorMap;
+}
+
+// Sample image in a grid pattern
+async function sampleImageGrid(imagePath, metadata) {
+  const gridSize = 20; // 20x20 grid
+  const cellWidth = Math.floor(metadata.width / gridSize);
+  const cellHeight = Math.floor(metadata.height / gridSize);
+  const colorMap = new Map();
+  
+  // Get raw image buffer
+  const { data, info } = await sharp(imagePath)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  const channels = info.channels;
+  
+  // Sample center of each grid cell
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      const x = Math.floor(col * cellWidth + cellWidth / 2);
+      const y = Math.floor(row * cellHeight + cellHeight / 2);
+      
+      if (x < info.width && y < info.height) {
+        const idx = (y * info.width + x) * channels;
+        const r = data[idx];
+        const g = data[idx + 1];
+        const b = data[idx + 2];
+        
+        const hex = rgbToHex2(r, g, b);
+        colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
+      }
+    }
+  }
+  
+  return colorMap;
+}
+
+// Sample colors from edges (where UI elements typically are)
+async function sampleEdgeColors(imagePath, metadata) {
+  // Use edge detection to find UI boundaries
+  const edges = await sharp(imagePath)
+    .greyscale()
+    .convolve({
+      width: 3,
+      height: 3,
+      kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1] // Edge detection kernel
+    })
+    .raw()
+    .toBuffer();
+  
+  // Get original image
+  const { data: original } = await sharp(imagePath)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  const colorMap = new Map();
+  const channels = metadata.channels || 3;
+  const threshold = 50; // Edge strength threshold
+  
+  // Sample colors where edges are detected
+  for (let i = 0; i < edges.length; i++) {
+    if (edges[i] > threshold) {
+      const pixelIdx = i * channels;
+      const r = original[pixelIdx];
+      const g = original[pixelIdx + 1];
+      const b = original[pixelIdx + 2];
+      
+      const hex = rgbToHex2(r, g, b);
+      colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
+    }
+  }
+  
+  return colorMap;
+}
+
+// K-means clustering for colors
+function clusterColors(colors, maxClusters) {
+  if (colors.length <= maxClusters) {
+    return colors;
+  }
+  
+  // Initialize clusters with k-means++
+  const clusters = [];
+  const usedIndices = new Set();
+  
+  // First cluster center is random
+  const firstIdx = Math.floor(Math.random() * colors.length);
+  clusters.push({
+    center: colors[firstIdx].lab,
+    members: [],
+    hex: colors[firstIdx].hex,
+    rgb: colors[firstIdx].rgb,
+    count: 0
+  });
+  usedIndices.add(firstIdx);
+  
+  // Select remaining centers using k-means++ method
+  for (let i = 1; i < Math.min(maxClusters, colors.length); i++) {
+    let maxMinDist = -1;
+    let bestIdx = -1;
+    
+    colors.forEach((color, idx) => {
+      if (usedIndices.has(idx)) return;
+      
+      // Find minimum distance to existing centers
+      let minDist = Infinity;
+      clusters.forEach(cluster => {
+        const dist = deltaE2000(color.lab, cluster.center);
+        minDist = Math.min(minDist, dist);
+      });
+      
+      if (minDist > maxMinDist) {
+        maxMinDist = minDist;
+        bestIdx = idx;
+      }
+    });
+    
+    if (bestIdx !== -1) {
+      clusters.push({
+        center: colors[bestIdx].lab,
+        members: [],
+        hex: colors[bestIdx].hex,
+        rgb: colors[bestIdx].rgb,
+        count: 0
+      });
+      usedIndices.add(bestIdx);
+    }
+  }
+  
+  // Assign colors to clusters
+  let changed = true;
+  let iterations = 0;
+  
+  while (changed && iterations < 20) {
+    changed = false;
+    
+    // Clear members
+    clusters.forEach(cluster => {
+      cluster.members = [];
+      cluster.count = 0;
+    });
+    
+    // Assign each color to nearest cluster
+    colors.forEach(color => {
+      let minDist = Infinity;
+      let bestCluster = null;
+      
+      clusters.forEach(cluster => {
+        const dist = deltaE2000(color.lab, cluster.center);
+        if (dist < minDist) {
+          minDist = dist;
+          bestCluster = cluster;
+        }
+      });
+      
+      if (bestCluster) {
+        bestCluster.members.push(color);
+        bestCluster.count += color.count;
+      }
+    });
+    
+    // Update cluster centers
+    clusters.forEach(cluster => {
+      if (cluster.members.length > 0) {
+        // Calculate new center as weighted average
+        let totalWeight = 0;
+        let lSum = 0, aSum = 0, bSum = 0;
+        
+        cluster.members.forEach(member => {
+          const weight = member.count;
+          totalWeight += weight;
+          lSum += member.lab.l * weight;
+          aSum += member.lab.a * weight;
+          bSum += member.lab.b * weight;
+        });
+        
+        const newCenter = {
+          l: lSum / totalWeight,
+          a: aSum / totalWeight,
+          b: bSum / totalWeight
+        };
+        
+        // Check if center changed significantly
+        if (deltaE2000(cluster.center, newCenter) > 0.1) {
+          changed = true;
+          cluster.center = newCenter;
+          
+          // Find the member closest to the new center
+          let minDist = Infinity;
+          let bestMember = cluster.members[0];
+          
+          cluster.members.forEach(member => {
+            const dist = deltaE2000(member.lab, newCenter);
+            if (dist < minDist) {
+              minDist = dist;
+              bestMember = member;
+            }
+          });
+          
+          cluster.hex = bestMember.hex;
+          cluster.rgb = bestMember.rgb;
+        }
+      }
+    });
+    
+    iterations++;
+  }
+  
+  // Filter out empty clusters and those with very few members
+  return clusters
+    .filter(cluster => cluster.count > 10)
+    .map(cluster => ({
+      hex: cluster.hex,
+      rgb: cluster.rgb,
+      count: cluster.count
+    }));
+}
+
+// Calculate color saturation
+function getColorSaturation(rgb) {
+  const r = rgb.r / 255;
+  const g = rgb.g / 255;
+  const b = rgb.b / 255;
+  
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  
+  if (max === 0) return 0;
+  
+  return (max - min) / max;
+}
+
+// Temporary - remove this duplicate later
+function rgbToHex2(r, g, b) {
+  return '#' + [r, g, b].map(x => {
+    const hex = x.toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  }).join('');
+}
+
+// Convert hex to RGB
+function hexToRgb(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  return result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16)
+  } : null;
+}
@@ -0,0 +1,447 @@
+import { verifyAutoLayout } from './auto-layout.js';
+import { colorDistance } from './color.js';
+
+// Enhanced comparison with AI insights
+export function comparePropertiesEnhanced(figma, detected) {
+  // Start with basic comparison
+  const basicComparison = compareProperties(figma, detected);
+  
+  // Add AI-enhanced comparisons
+  const layoutMismatches = [];
+  const spacingMismatches = [];
+  
+  // Compare AI-detected spacing with Figma spacing
+  if (detected.aiSpacing && detected.aiSpacing.issues) {
+    detected.aiSpacing.issues.forEach(issue => {
+      spacingMismatches.push({
+        type: 'spacing',
+        issue: issue,
+        severity: 'medium',
+        source: 'AI_ANALYSIS'
+      });
+    });
+  }
+  
+  // Compare layout patterns
+  if (detected.aiLayout && detected.aiLayout.issues) {
+    detected.aiLayout.issues.forEach(issue => {
+      layoutMismatches.push({
+        type: 'layout',
+        issue: issue,
+        severity: 'medium',
+        source: 'AI_ANALYSIS'
+      });
+    });
+  }
+  
+  // Add field-level comparisons if available
+  let fieldComparisonResults = null;
+  let fieldLevelAccuracy = null;
+  
+  if (detected.fieldMapping && detected.fieldMapping.mappings) {
+    // Extract field comparisons from mappings
+    const fieldComparisons = detected.fieldMapping.mappings.map(mapping => ({
+      fieldName: mapping.figmaField.name,
+      fieldType: mapping.figmaField.type,
+      component: mapping.figmaField.component || null,
+      matchScore: mapping.matchScore,
+      comparison: mapping.comparison,
+      differences: mapping.comparison?.differences || []
+    }));
+    
+    // Calculate field-level accuracy
+    const totalFieldScore = fieldComparisons.reduce((sum, fc) => 
+      sum + (fc.comparison?.overallScore || 0), 0);
+    fieldLevelAccuracy = detected.fieldMapping.mappings.length > 0 ?
+      (totalFieldScore / detected.fieldMapping.mappings.length) : 0;
+    
+    fieldComparisonResults = {
+      comparisons: fieldComparisons,
+      unmatchedFigmaFields: detected.fieldMapping.unmatchedFigma || [],
+      unmatchedDetectedFields: detected.fieldMapping.unmatchedDetected || [],
+      summary: detected.fieldMapping.summary || {}
+    };
+  }
+  
+  // Calculate enhanced accuracy including AI insights
+  const aiInsightScore = detected.enhancedAnalysis?.confidenceScore || 0.5;
+  let enhancedAccuracy;
+  
+  if (fieldLevelAccuracy !== null && detected.enhancedAnalysis?.isFieldBased) {
+    // If we have field-based analysis, weight it heavily
+    enhancedAccuracy = (fieldLevelAccuracy * 100 * 0.6 + basicComparison.accuracy * 0.3 + aiInsightScore * 100 * 0.1).toFixed(2);
+  } else {
+    // Standard weighted accuracy
+    enhancedAccuracy = (basicComparison.accuracy * 0.7 + aiInsightScore * 100 * 0.3).toFixed(2);
+  }
+  
+  return {
+    ...basicComparison,
+    accuracy: enhancedAccuracy,
+    layoutMismatches: [...(basicComparison.layoutMismatches || []), ...layoutMismatches],
+    spacingMismatches: [...(basicComparison.spacingMismatches || []), ...spacingMismatches],
+    enhancedWithAI: true,
+    aiConfidence: aiInsightScore,
+    fieldComparisons: fieldComparisonResults,
+    isFieldBased: detected.enhancedAnalysis?.isFieldBased || false
+  };
+}
+
+// Compare Figma properties with detected properties
+export function compareProperties(figma, detected) {
+  const mismatches = [];
+  const colorMismatches = [];
+  
+  // Compare colors with better tolerance
+  figma.colors.forEach(figmaColor => {
+    // Find the closest matching color
+    let closestMatch = null;
+    let minDistance = Infinity;
+    
+    detected.colors.forEach(detectedColor => {
+      const distance = colorDistance(figmaColor.value, detectedColor.hex);
+      if (distance < minDistance) {
+        minDistance = distance;
+        closestMatch = detectedColor;
+      }
+    });
+    
+    // Color matching thresholds for Delta E 2000
+    // Human perception: ΔE < 1 = not perceptible, 1-2 = barely perceptible, 2-10 = perceptible, > 10 = different colors
+    const EXACT_MATCH = 1.0;   // Not perceptible by human eye
+    const CLOSE_MATCH = 2.3;   // Just noticeable difference
+    const POOR_MATCH = 10.0;   // Clearly different colors
+    
+    if (!closestMatch || minDistance > POOR_MATCH) {
+      colorMismatches.push({
+        property: figmaColor.property,
+        nodeId: figmaColor.nodeId || null,
+        elementName: figmaColor.elementName || null,
+        usage: figmaColor.usage || null,
+        token: figmaColor.token || null,
+        component: figmaColor.component || null,
+        expected: figmaColor.value,
+        actual: closestMatch ? closestMatch.hex : 'Not detected',
+        severity: 'major',
+        distance: minDistance,
+        deltaE: minDistance.toFixed(2)
+      });
+      
+      mismatches.push({
+        property: `Color: ${figmaColor.property}`,
+        token: figmaColor.token || null,
+        component: figmaColor.component || null,
+        expected: figmaColor.value,
+        actual: closestMatch ? closestMatch.hex : 'Not detected',
+        severity: 'major'
+      });
+    } else if (minDistance > CLOSE_MATCH) {
+      colorMismatches.push({
+        property: figmaColor.property,
+        nodeId: figmaColor.nodeId || null,
+        elementName: figmaColor.elementName || null,
+        usage: figmaColor.usage || null,
+        token: figmaColor.token || null,
+        component: figmaColor.component || null,
+        expected: figmaColor.value,
+        actual: closestMatch.hex,
+        severity: 'minor',
+        distance: minDistance,
+        deltaE: minDistance.toFixed(2)
+      });
+      
+      mismatches.push({
+        property: `Color: ${figmaColor.property}`,
+        token: figmaColor.token || null,
+        component: figmaColor.component || null,
+        expected: figmaColor.value,
+        actual: closestMatch.hex,
+        severity: 'minor'
+      });
+    } else if (minDistance > EXACT_MATCH) {
+      // Very close but not exact - might be due to compression or rendering
+      colorMismatches.push({
+        property: figmaColor.property,
+        nodeId: figmaColor.nodeId || null,
+        elementName: figmaColor.elementName || null,
+        usage: figmaColor.usage || null,
+        token: figmaColor.token || null,
+        component: figmaColor.component || null,
+        expected: figmaColor.value,
+        actual: closestMatch.hex,
+        severity: 'minor',
+        distance: minDistance,
+        deltaE: minDistance.toFixed(2)
+      });
+    }
+    // If minDistance <= EXACT_MATCH, it's considered a perfect match
+  });
+  
+  // Calculate accuracy
+  const totalChecks = figma.colors.length;
+  const exactMatches = figma.colors.length - colorMismatches.length;
+  const minorMatches = colorMismatches.filter(m => m.severity === 'minor').length;
+  const matches = exactMatches + (minorMatches * 0.5); // Minor matches count as half
+  const accuracy = totalChecks > 0 ? (matches / totalChecks * 100).toFixed(2) : 100;
+  
+  // Log for debugging
+  console.log('Color comparison summary:');
+  console.log('- Total Figma colors:', figma.colors.length);
+  console.log('- Total detected colors:', detected.colors.length);
+  console.log('- Exact matches:', exactMatches);
+  console.log('- Minor mismatches:', minorMatches);
+  console.log('- Major mismatches:', colorMismatches.filter(m => m.severity === 'major').length);
+  
+  // Compare spacing if available
+  const spacingMismatches = compareSpacing(figma, detected);
+  
+  // Compare dimensions
+  const dimensionMismatches = compareDimensions(figma, detected);
+  
+  // Compare typography if available
+  const textMismatches = compareTypography(figma, detected);
+  
+  // Verify auto-layout frames (padding, item spacing, alignment, child order) against detected positions
+  const autoLayout = verifyAutoLayout(figma.autoLayoutFrames, detected);
+  const layoutMismatches = autoLayout.mismatches;
+  
+  // Add all mismatches to the main array
+  mismatches.push(...spacingMismatches, ...dimensionMismatches, ...textMismatches, ...layoutMismatches);
+  
+  // Compare form fields if available
+  const fieldMismatches = [];
+  if (figma.formFields && figma.formFields.length > 0) {
+    console.log(`Comparing ${figma.formFields.length} form fields...`);
+    
+    figma.formFields.forEach(figmaField => {
+      const fieldX = figmaField.properties?.position?.x || 0;
+      const fieldY = figmaField.properties?.position?.y || 0;
+      console.log(`Analyzing field: ${figmaField.type} "${figmaField.name}" at (${fieldX}, ${fieldY})`);
+      
+      // Check field properties
+      if (figmaField.properties) {
+        // Check border radius
+        if (figmaField.properties.styling?.borderRadius) {
+          fieldMismatches.push({
+            property: `Field Border Radius: ${figmaField.type}`,
+            nodeId: figmaField.nodeId || null,
+            elementName: figmaField.name || null,
+            component: figmaField.component || null,
+            expected: `${figmaField.properties.styling.borderRadius}px`,
+            detected: 'Check visual analysis',
+            severity: 'info'
+          });
+        }
+        
+        // Check field dimensions
+        if (figmaField.properties.dimensions) {
+          fieldMismatches.push({
+            property: `Field Size: ${figmaField.type}`,
+            nodeId: figmaField.nodeId || null,
+            elementName: figmaField.name || null,
+            component: figmaField.component || null,
+            expected: `${figmaField.properties.dimensions.width}x${figmaField.properties.dimensions.height}`,
+            detected: 'Check visual analysis',
+            severity: 'info'
+          });
+        }
+        
+        // Check field colors
+        if (figmaField.properties.styling?.backgroundColor) {
+          fieldMismatches.push({
+            property: `Field Background: ${figmaField.type}`,
+            nodeId: figmaField.nodeId || null,
+            elementName: figmaField.name || null,
+            token: figmaField.tokens?.background || null,
+            component: figmaField.component || null,
+            expected: figmaField.properties.styling.backgroundColor,
+            detected: 'Check visual analysis',
+            severity: 'info'
+          });
+        }
+      }
+    });
+    
+    mismatches.push(...fieldMismatches);
+  }
+  
+  // Recalculate accuracy including all comparisons
+  const totalPropertyChecks = figma.colors.length + 
+                      (figma.spacing ? Object.keys(figma.spacing).length : 0) + 
+                      (figma.typography.length > 0 ? 3 : 0) + // font, size, weight
+                      (figma.dimensions ? 2 : 0) + // width, height
+                      autoLayout.summary.checks;
+                      
+  const totalMismatches = mismatches.filter(m => m.severity === 'major').length;
+  const allMinorMismatches = mismatches.filter(m => m.severity === 'minor').length;
+  const overallAccuracy = totalPropertyChecks > 0 ? 
+    ((totalPropertyChecks - totalMismatches - allMinorMismatches * 0.5) / totalPropertyChecks * 100).toFixed(2) : 100;
+  
+  return {
+    accuracy: overallAccuracy,
+    mismatches: mismatches,
+    colorMismatches: colorMismatches,
+    spacingMismatches: spacingMismatches,
+    textMismatches: textMismatches,
+    sizeMismatches: dimensionMismatches,
+    layoutMismatches: layoutMismatches,
+    autoLayout: { frames: autoLayout.frames, summary: autoLayout.summary },
+    fieldMismatches: fieldMismatches
+  };
+}
+
+// Compare spacing with configurable tolerance
+function compareSpacing(figma, detected) {
+  const mismatches = [];
+  
+  // Define tolerance thresholds
+  const SPACING_TOLERANCE = {
+    EXACT: 2,    // ±2px
+    CLOSE: 5,    // ±5px
+    ACCEPTABLE: 10 // ±10px
+  };
+  
+  // Compare padding if available
+  if (figma.spacing.padding && detected.spacing) {
+    const figmaPadding = figma.spacing.padding;
+    
+    // Since we can't detect exact padding from screenshot, compare against detected gaps
+    if (detected.spacing.averageGap) {
+      const avgGap = detected.spacing.averageGap;
+      
+      // Check if average gap is close to any of the padding values
+      const paddingValues = [figmaPadding.top, figmaPadding.right, figmaPadding.bottom, figmaPadding.left];
+      const closestPadding = paddingValues.reduce((closest, pad) => {
+        return Math.abs(pad - avgGap) < Math.abs(closest - avgGap) ? pad : closest;
+      }, paddingValues[0]);
+      
+      const difference = Math.abs(closestPadding - avgGap);
+      
+      if (difference > SPACING_TOLERANCE.ACCEPTABLE) {
+        mismatches.push({
+          property: 'Average Spacing',
+          expected: `${closestPadding}px (from padding)`,
+          actual: `${avgGap}px`,
+          severity: difference > SPACING_TOLERANCE.ACCEPTABLE * 2 ? 'major' : 'minor',
+          difference: difference
+        });
+      }
+    }
+  }
+  
+  // Compare gap/item spacing
+  if (figma.spacing.gap !== undefined && detected.spacing && detected.spacing.spacingPatterns) {
+    const expectedGap = figma.spacing.gap;
+    const detectedGaps = detected.spacing.spacingPatterns.map(p => p.gap);
+    
+    if (detectedGaps.length > 0) {
+      // Check how many gaps match the expected value
+      const matchingGaps = detectedGaps.filter(gap => 
+        Math.abs(gap - expectedGap) <= SPACING_TOLERANCE.CLOSE
+      );
+      
+      const matchRatio = matchingGaps.length / detectedGaps.length;
+      
+      if (matchRatio < 0.8) { // Less than 80% match
+        mismatches.push({
+          property: 'Item Spacing Consistency',
+          expected: `${expectedGap}px`,
+          actual: `Varies: ${Math.min(...detectedGaps)}-${Math.max(...detectedGaps)}px`,
+          severity: matchRatio < 0.5 ? 'major' : 'minor',
+          details: `${Math.round(matchRatio * 100)}% of gaps match expected value`
+        });
+      }
+    }
+  }
+  
+  // Check spacing consistency between elements
+  if (detected.spacing && detected.spacing.spacingPatterns && detected.spacing.spacingPatterns.length > 2) {
+    const gaps = detected.spacing.spacingPatterns.map(p => p.gap);
+    const avgGap = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+    const variance = gaps.reduce((sum, gap) => sum + Math.pow(gap - avgGap, 2), 0) / gaps.length;
+    const stdDev = Math.sqrt(variance);
+    
+    // High standard deviation indicates inconsistent spacing
+    if (stdDev > SPACING_TOLERANCE.ACCEPTABLE) {
+      mismatches.push({
+        property: 'Spacing Consistency',
+        expected: 'Consistent spacing',
+        actual: `High variance (σ=${stdDev.toFixed(1)}px)`,
+        severity: stdDev > SPACING_TOLERANCE.ACCEPTABLE * 2 ? 'major' : 'minor',
+        details: `Gaps range from ${Math.min(...gaps)}px to ${Math.max(...gaps)}px`
+      });
+    }
+  }
+  
+  return mismatches;
+}
+
+// Compare dimensions with percentage tolerance
+function compareDimensions(figma, detected) {
+  const mismatches = [];
+  
+  // Define tolerance as percentage of expected dimension
+  const DIMENSION_TOLERANCE = {
+    EXACT: 0.01,    // 1%
+    CLOSE: 0.02,    // 2%
+    ACCEPTABLE: 0.05 // 5%
+  };
+  
+  if (figma.dimensions && detected.dimensions) {
+    // Compare width
+    if (figma.dimensions.width && detected.dimensions.width) {
+      const widthDiff = Math.abs(figma.dimensions.width - detected.dimensions.width);
+      const widthDiffPercent = widthDiff / figma.dimensions.width;
+      
+      if (widthDiffPercent > DIMENSION_TOLERANCE.ACCEPTABLE) {
+        mismatches.push({
+          property: 'Width',
+          expected: `${figma.dimensions.width}px`,
+          actual: `${detected.dimensions.width}px`,
+          severity: widthDiffPercent > DIMENSION_TOLERANCE.ACCEPTABLE * 2 ? 'major' : 'minor',
+          difference: `${widthDiff}px (${(widthDiffPercent * 100).toFixed(1)}%)`
+        });
+      }
+    }
+    
+    // Compare height
+    if (figma.dimensions.height && detected.dimensions.height) {
+      const heightDiff = Math.abs(figma.dimensions.height - detected.dimensions.height);
+      const heightDiffPercent = heightDiff / figma.dimensions.height;
+      
+      if (heightDiffPercent > DIMENSION_TOLERANCE.ACCEPTABLE) {
+        mismatches.push({
+          property: 'Height',
+          expected: `${figma.dimensions.height}px`,
+          actual: `${detected.dimensions.height}px`,
+          severity: heightDiffPercent > DIMENSION_TOLERANCE.ACCEPTABLE * 2 ? 'major' : 'minor',
+          difference: `${heightDiff}px (${(heightDiffPercent * 100).toFixed(1)}%)`
+        });
+      }
+    }
+  }
+  
+  return mismatches;
+}
+
+// Compare typography properties
+function compareTypography(figma, detected) {
+  const mismatches = [];
+  
+  // We can't detect exact typography from screenshots, but we can check text regions
+  if (figma.typography.length > 0 && detected.textRegions) {
+    const expectedTextElements = figma.typography.length;
+    const detectedTextElements = detected.textRegions.length;
+    
+    if (Math.abs(expectedTextElements - detectedTextElements) > 2) {
+      mismatches.push({
+        property: 'Text Elements Count',
+        expected: `${expectedTextElements} text elements`,
+        actual: `${detectedTextElements} text regions detected`,
+        severity: Math.abs(expectedTextElements - detectedTextElements) > 5 ? 'major' : 'minor'
+      });
+    }
+  }
+  
+  return mismatches;
+}
@@ -0,0 +1,49 @@
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import { HttpsProxyAgent } from 'https-proxy-agent';
+
+const __filename = fileURLToPath(import.meta.url);
+const rootDir = path.join(dirname(__filename), '..');
+
+// Figma REST API root; point FIGMA_API_BASE_URL at a local stand-in during development
+export const FIGMA_API_BASE_URL = (process.env.FIGMA_API_BASE_URL || 'https://api.figma.com').replace(/\/$/, '');
+
+export const PROXY_URL = 'http://proxy.jpmchase.net:8443';
+export const proxyAgent = new HttpsProxyAgent(PROXY_URL, {
+  timeout: 10000,
+  rejectUnauthorized: false
+});
+
+// Create necessary directories
+export const uploadsDir = path.join(rootDir, 'uploads');
+export const reportsDir = path.join(rootDir, 'reports');
+export const baselinesDir = path.join(rootDir, 'baselines');
+// Recorded vision-model responses replayed by the mock provider (created on first recording)
+export const visionRecordingsDir = path.join(rootDir, 'vision-recordings');
+// Content-addressed cache of vision-model responses (created on first write)
+export const aiCacheDir = path.join(rootDir, 'ai-cache');
+// Node renders from the Figma images endpoint, cached per file/node/scale (created on first render)
+export const figmaRendersDir = path.join(rootDir, 'figma-renders');
+// Stored Figma documents and their parsed properties (created on first write)
+export const designsDir = path.join(rootDir, 'designs');
+if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir);
+if (!fs.existsSync(reportsDir)) fs.mkdirSync(reportsDir);
+if (!fs.existsSync(baselinesDir)) fs.mkdirSync(baselinesDir);
+
+// Where generated images are written and how reports link to them.
+// The server serves uploads/ statically; the CLI points this at its output directory.
+export const defaultOutput = { dir: uploadsDir, urlPrefix: '/uploads' };
+
+export function outputUrl(output, filePath) {
+  return `${output.urlPrefix}/${path.basename(filePath)}`;
+}
+
+// Build the output location from public API options ({ outputDir, urlPrefix })
+export function resolveOutput(options = {}) {
+  return {
+    dir: options.outputDir || defaultOutput.dir,
+    urlPrefix: options.urlPrefix ?? defaultOutput.urlPrefix
+  };
+}
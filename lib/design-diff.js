@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { outputUrl, resolveOutput } from './config.js';
+import { extractFigmaProperties } from './shared/figma-properties.js';
+import { findRenderRoot, figmaNodeToSVG } from './rasterize.js';
+
+// Changelog between two snapshots of the same Figma node (two file versions, or two saved pastes).
+// Elements are paired by Figma node id, else by their name path, and compared on the
+// properties extractFigmaProperties reads. Thumbnails are cropped from local renders
+// of each snapshot (lib/rasterize.js), so no Figma token is needed.
+
+const TYPOGRAPHY_FIELDS = ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'textAlign', 'textCase', 'textDecoration'];
+const PADDING_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Thumbnails are cropped for the first changes only; the changelog itself is complete
+const MAX_THUMBNAILS = 40;
+const THUMBNAIL_PADDING = 8;
+
+// Elements of a snapshot with their name path ("Login / Form / Email") and pairing key
+function snapshotElements(figmaJSON) {
+  const properties = extractFigmaProperties(figmaJSON);
+  const byId = new Map(properties.elements.map(element => [element.id, element]));
+  const pathCounts = {};
+
+  const elements = properties.elements.map(element => {
+    const names = [];
+    for (let current = element; current; current = byId.get(current.parentId)) {
+      names.unshift(current.name);
+    }
+    const elementPath = names.join(' / ');
+    // Unnamed duplicates ("Rectangle", "Rectangle") are told apart by their order
+    const occurrence = pathCounts[`${element.type}:${elementPath}`] = (pathCounts[`${element.type}:${elementPath}`] || 0) + 1;
+
+    return { ...element, path: elementPath, pathKey: `${element.type}:${elementPath}#${occurrence}` };
+  });
+
+  const byElementId = new Map(elements.map(element => [element.id, element]));
+  elements.forEach(element => {
+    element.parent = byElementId.get(element.parentId) || null;
+  });
+  return elements;
+}
+
+// Pair elements by node id first, then by type + name path
+function pairElements(beforeElements, afterElements) {
+  const pairs = [];
+  const unmatchedAfter = new Set(afterElements);
+  const afterByNodeId = new Map(afterElements.filter(element => element.nodeId).map(element => [element.nodeId, element]));
+  const afterByPath = new Map(afterElements.map(element => [element.pathKey, element]));
+  const removed = [];
+
+  beforeElements.forEach(before => {
+    let after = before.nodeId ? afterByNodeId.get(before.nodeId) : null;
+    if (!after || !unmatchedAfter.has(after)) {
+      const candidate = afterByPath.get(before.pathKey);
+      after = candidate && unmatchedAfter.has(candidate) ? candidate : null;
+    }
+
+    if (after) {
+      unmatchedAfter.delete(after);
+      pairs.push({ before, after });
+    } else {
+      removed.push(before);
+    }
+  });
+
+  return { pairs, removed, added: [...unmatchedAfter] };
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Property-level changes of a paired element: colors, typography, radius, spacing and text
+function propertyChanges(before, after) {
+  const changes = [];
+  const add = (category, property, beforeValue, afterValue, beforeToken = null, afterToken = null) => {
+    if (sameValue(beforeValue, afterValue) && beforeToken === afterToken) return;
+    const change = { category, property, before: beforeValue ?? null, after: afterValue ?? null };
+    if (beforeToken || afterToken) {
+      change.tokens = { before: beforeToken, after: afterToken };
+    }
+    changes.push(change);
+  };
+
+  const b = before.properties;
+  const a = after.properties;
+
+  add('color', 'fill', b.backgroundColor, a.backgroundColor, before.tokens.fill?.name || null, after.tokens.fill?.name || null);
+  add('color', 'stroke', b.border?.color, a.border?.color, before.tokens.stroke?.name || null, after.tokens.stroke?.name || null);
+
+  if (b.typography || a.typography) {
+    const bt = b.typography || {};
+    const at = a.typography || {};
+    add('color', 'textColor', bt.color, at.color, bt.colorToken || null, at.colorToken || null);
+    add('typography', 'textStyle', bt.token, at.token);
+    TYPOGRAPHY_FIELDS.forEach(field => add('typography', field, bt[field], at[field]));
+    add('text', 'content', bt.content, at.content);
+  }
+
+  add('radius', 'borderRadius', b.borderRadius, a.borderRadius);
+
+  PADDING_SIDES.forEach(side => {
+    const property = `padding${side[0].toUpperCase()}${side.slice(1)}`;
+    add('spacing', property, b.padding?.[side], a.padding?.[side]);
+  });
+  add('spacing', 'itemSpacing', b.gap, a.gap);
+
+  return changes;
+}
+
+// Offset from the parent, so children of a moved frame are not all reported as moved too
+function offsetInParent(element) {
+  const position = element.properties.position;
+  const parentPosition = element.parent?.properties.position;
+  return parentPosition
+    ? { x: position.x - parentPosition.x, y: position.y - parentPosition.y }
+    : { x: position.x, y: position.y };
+}
+
+function geometryChange(before, after) {
+  const from = before.properties.position;
+  const to = after.properties.position;
+  const result = { moved: null, resized: null, reparented: null };
+  if (from && to) {
+    const fromOffset = offsetInParent(before);
+    const toOffset = offsetInParent(after);
+    if (fromOffset.x !== toOffset.x || fromOffset.y !== toOffset.y) {
+      result.moved = { from: { x: from.x, y: from.y }, to: { x: to.x, y: to.y } };
+    }
+    if (from.width !== to.width || from.height !== to.height) {
+      result.resized = { from: { width: from.width, height: from.height }, to: { width: to.width, height: to.height } };
+    }
+  }
+  if ((before.parent?.pathKey || null) !== (after.parent?.pathKey || null) &&
+      (before.parent?.nodeId || null) !== (after.parent?.nodeId || null)) {
+    result.reparented = { from: before.parent?.path || null, to: after.parent?.path || null };
+  }
+  return result;
+}
+
+function changeEntry(change, element, side) {
+  return {
+    change,
+    nodeId: element.nodeId,
+    name: element.name,
+    type: element.type,
+    path: element.path,
+    component: element.component?.name || null,
+    bounds: {
+      before: side === 'after' ? null : element.properties.position || null,
+      after: side === 'before' ? null : element.properties.position || null
+    }
+  };
+}
+
+// Added/removed subtrees are listed once, at their top element
+function topLevelOnly(elements) {
+  const set = new Set(elements);
+  return elements
+    .filter(element => !element.parent || !set.has(element.parent))
+    .map(element => {
+      let descendants = 0;
+      elements.forEach(other => {
+        for (let current = other.parent; current; current = current.parent) {
+          if (current === element) {
+            descendants++;
+            break;
+          }
+        }
+      });
+      return { element, descendants };
+    });
+}
+
+// Render a snapshot locally and index its nodes' absolute boxes for cropping
+async function renderSnapshot(figmaJSON, scale) {
+  const root = findRenderRoot(figmaJSON);
+  if (!root) return null;
+
+  const boxes = new Map();
+  const collect = node => {
+    if (node.id && node.absoluteBoundingBox) boxes.set(node.id, node.absoluteBoundingBox);
+    (node.children || []).forEach(collect);
+  };
+  collect(root);
+
+  const { svg } = figmaNodeToSVG(root, { scale });
+  const { data, info } = await sharp(Buffer.from(svg)).png().toBuffer({ resolveWithObject: true });
+  return { root, boxes, scale, image: data, width: info.width, height: info.height };
+}
+
+// Crop a node (with some context around it) out of a snapshot render
+async function cropThumbnail(render, nodeId, outputPath) {
+  const box = nodeId ? render.boxes.get(nodeId) : null;
+  if (!box) return false;
+
+  const origin = render.root.absoluteBoundingBox;
+  const left = Math.max(Math.floor((box.x - origin.x - THUMBNAIL_PADDING) * render.scale), 0);
+  const top = Math.max(Math.floor((box.y - origin.y - THUMBNAIL_PADDING) * render.scale), 0);
+  const right = Math.min(Math.ceil((box.x - origin.x + box.width + THUMBNAIL_PADDING) * render.scale), render.width);
+  const bottom = Math.min(Math.ceil((box.y - origin.y + box.height + THUMBNAIL_PADDING) * render.scale), render.height);
+  if (right - left < 1 || bottom - top < 1) return false;
+
+  await sharp(render.image).extract({ left, top, width: right - left, height: bottom - top }).png().toFile(outputPath);
+  return true;
+}
+
+function snapshotSummary(figmaJSON, elements, label) {
+  const root = findRenderRoot(figmaJSON);
+  return {
+    label: label || null,
+    nodeId: root?.id || null,
+    name: root?.name || null,
+    elements: elements.length,
+    render: null
+  };
+}
+
+// Diff two Figma JSON snapshots of the same node.
+// options: beforeLabel/afterLabel (e.g. version ids), thumbnails (default true),
+// scale (thumbnail render scale, default 1), outputDir/urlPrefix.
+// Returns a DESIGN_DIFF changelog: added/removed/modified elements with their property changes.
+export async function diffFigmaDesigns({ before, after, options = {} }) {
+  if (!before || !after) {
+    const error = new Error('Both before and after Figma JSON snapshots are required');
+    error.status = 400;
+    throw error;
+  }
+
+  const beforeElements = snapshotElements(before);
+  const afterElements = snapshotElements(after);
+  const { pairs, removed, added } = pairElements(beforeElements, afterElements);
+  console.log(`Design diff: ${pairs.length} paired, ${added.length} added, ${removed.length} removed element(s)`);
+
+  const changes = [];
+  topLevelOnly(removed).forEach(({ element, descendants }) => {
+    changes.push({ ...changeEntry('removed', element, 'before'), descendants, properties: [] });
+  });
+  topLevelOnly(added).forEach(({ element, descendants }) => {
+    changes.push({ ...changeEntry('added', element, 'after'), descendants, properties: [] });
+  });
+  pairs.forEach(({ before: beforeElement, after: afterElement }) => {
+    const properties = propertyChanges(beforeElement, afterElement);
+    const geometry = geometryChange(beforeElement, afterElement);
+    if (properties.length === 0 && !geometry.moved && !geometry.resized && !geometry.reparented) return;
+
+    const entry = changeEntry('modified', afterElement, 'both');
+    entry.bounds.before = beforeElement.properties.position || null;
+    // Pasted snapshots can pair elements whose node ids differ
+    if (beforeElement.nodeId !== afterElement.nodeId) {
+      entry.previousNodeId = beforeElement.nodeId;
+    }
+    changes.push({ ...entry, ...geometry, properties });
+  });
+
+  const countCategory = category => changes.reduce((sum, change) =>
+    sum + change.properties.filter(property => property.category === category).length, 0);
+  const summary = {
+    total: changes.length,
+    added: changes.filter(change => change.change === 'added').length,
+    removed: changes.filter(change => change.change === 'removed').length,
+    modified: changes.filter(change => change.change === 'modified').length,
+    moved: changes.filter(change => change.moved || change.reparented).length,
+    resized: changes.filter(change => change.resized).length,
+    color: countCategory('color'),
+    typography: countCategory('typography'),
+    radius: countCategory('radius'),
+    spacing: countCategory('spacing'),
+    text: countCategory('text')
+  };
+
+  const beforeSnapshot = snapshotSummary(before, beforeElements, options.beforeLabel);
+  const afterSnapshot = snapshotSummary(after, afterElements, options.afterLabel);
+  const sameNode = beforeSnapshot.nodeId === afterSnapshot.nodeId;
+  if (!sameNode) {
+    console.warn(`Diffing different Figma nodes (${beforeSnapshot.nodeId} and ${afterSnapshot.nodeId})`);
+  }
+
+  const result = {
+    id: Date.now(),
+    timestamp: new Date().toISOString(),
+    analysisType: 'DESIGN_DIFF',
+    before: beforeSnapshot,
+    after: afterSnapshot,
+    sameNode,
+    summary,
+    changes
+  };
+
+  if (options.thumbnails !== false && changes.length > 0) {
+    await attachThumbnails(result, before, after, options);
+  }
+
+  return result;
+}
+
+// Full before/after renders plus per-change crops (first MAX_THUMBNAILS changes)
+async function attachThumbnails(result, before, after, options) {
+  const output = resolveOutput(options);
+  const scale = parseFloat(options.scale) || 1;
+  if (scale <= 0 || scale > 4) {
+    const error = new Error(`Invalid scale: ${options.scale}. Use a number between 0.01 and 4`);
+    error.status = 400;
+    throw error;
+  }
+
+  const renders = {};
+  for (const [side, figmaJSON] of [['before', before], ['after', after]]) {
+    try {
+      renders[side] = await renderSnapshot(figmaJSON, scale);
+    } catch (error) {
+      console.warn(`Could not render the ${side} snapshot for thumbnails:`, error.message);
+    }
+    if (renders[side]) {
+      const renderPath = path.join(output.dir, `design-diff-${result.id}-${side}.png`);
+      fs.writeFileSync(renderPath, renders[side].image);
+      result[side].render = outputUrl(output, renderPath);
+    }
+  }
+
+  for (const [index, change] of result.changes.slice(0, MAX_THUMBNAILS).entries()) {
+    change.thumbnails = { before: null, after: null };
+    for (const side of ['before', 'after']) {
+      if (!renders[side] || !change.bounds[side]) continue;
+      const nodeId = side === 'before' && change.previousNodeId !== undefined ? change.previousNodeId : change.nodeId;
+      const thumbnailPath = path.join(output.dir, `design-diff-${result.id}-${index}-${side}.png`);
+      if (await cropThumbnail(renders[side], nodeId, thumbnailPath)) {
+        change.thumbnails[side] = outputUrl(output, thumbnailPath);
+      }
+    }
+  }
+}
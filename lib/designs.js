@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { designsDir } from './config.js';
+import { fetchFigmaDesign } from './figma-api.js';
+import { findRenderRoot } from './rasterize.js';
+import { extractFigmaProperties, listVariableModes } from './shared/figma-properties.js';
+
+// Fetched or pasted Figma documents, stored so analyses can reference them by id:
+//   designs/<id>/design.json             - the Figma JSON as fetched or pasted
+//   designs/<id>/meta.json               - file key, node id, version and summary
+//   designs/<id>/properties/<mode>.json  - cached extractFigmaProperties output per variable
+//                                          mode ("default" when colors are used as stored)
+// where <id> is "<fileKey>_<nodeId>_<version>". Pasted JSON without a file key is stored as
+// "pasted", and without a version under its content hash, so the same paste is stored once.
+
+function storeDir() {
+  return process.env.DESIGNS_DIR || designsDir;
+}
+
+function clean(value) {
+  return String(value).trim().replace(/[^a-zA-Z0-9-]+/g, '-');
+}
+
+function designPaths(id) {
+  const dir = path.join(storeDir(), id);
+  return {
+    dir,
+    design: path.join(dir, 'design.json'),
+    meta: path.join(dir, 'meta.json'),
+    properties: path.join(dir, 'properties')
+  };
+}
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Reject ids that would escape the designs directory
+function assertValidId(id) {
+  if (!id || id !== path.basename(id) || id.startsWith('.')) {
+    const error = new Error(`Invalid design id: ${id}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+export function designId({ fileKey, nodeId, version, contentHash }) {
+  return [
+    clean(fileKey || 'pasted'),
+    clean(nodeId ? nodeId.replace(':', '-') : 'document'),
+    clean(version || contentHash.substring(0, 12))
+  ].join('_');
+}
+
+function propertiesPath(id, mode) {
+  return path.join(designPaths(id).properties, `${mode ? clean(mode) : 'default'}.json`);
+}
+
+// Store a Figma document and cache its parsed properties.
+// source is 'fetch' (from the Figma API) or 'paste'; format is the tool the JSON was imported
+// from (see importDesign). Saving the same file/node/version again
+// replaces the stored JSON and keeps createdAt. Returns the stored design's metadata.
+export function saveDesign({ figmaJSON, fileKey = null, nodeId = null, version = null, lastModified = null, name = null, source = 'paste' }) {
+  if (!figmaJSON || typeof figmaJSON !== 'object') {
+    const error = new Error('A Figma JSON document is required');
+    error.status = 400;
+    throw error;
+  }
+
+  const json = JSON.stringify(figmaJSON);
+  const contentHash = crypto.createHash('sha256').update(json).digest('hex');
+  const id = designId({ fileKey, nodeId, version, contentHash });
+  const paths = designPaths(id);
+  const existing = fs.existsSync(paths.meta) ? readJSON(paths.meta) : null;
+
+  // Cached properties belong to the previous content
+  if (existing && existing.contentHash !== contentHash) {
+    fs.rmSync(paths.properties, { recursive: true, force: true });
+  }
+  fs.mkdirSync(paths.properties, { recursive: true });
+
+  const properties = extractFigmaProperties(figmaJSON);
+  fs.writeFileSync(propertiesPath(id, null), JSON.stringify(properties));
+  fs.writeFileSync(paths.design, json);
+
+  const now = new Date().toISOString();
+  const meta = {
+    id,
+    name: name || findRenderRoot(figmaJSON)?.name || figmaJSON.name || null,
+    fileKey,
+    nodeId: nodeId ? nodeId.replace('-', ':') : null,
+    version,
+    lastModified,
+    source,
+    format: figmaJSON.importedFrom?.format || 'figma',
+    contentHash,
+    size: Buffer.byteLength(json),
+    elements: properties.elements.length,
+    dimensions: properties.dimensions,
+    formFields: properties.formFields?.length || 0,
+    variableModes: listVariableModes(figmaJSON).flatMap(collection => collection.modes.map(mode => mode.name)),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2));
+  console.log(`${existing ? 'Updated' : 'Stored'} design ${id} (${meta.elements} elements)`);
+
+  return meta;
+}
+
+export function getDesign(id) {
+  assertValidId(id);
+  const { meta } = designPaths(id);
+  return fs.existsSync(meta) ? readJSON(meta) : null;
+}
+
+function getDesignOrThrow(id) {
+  const meta = getDesign(id);
+  if (!meta) {
+    const error = new Error(`Design ${id} not found`);
+    error.status = 404;
+    throw error;
+  }
+  return meta;
+}
+
+// The stored Figma JSON and its metadata: { design, figmaJSON }
+export function loadDesign(id) {
+  const design = getDesignOrThrow(id);
+  return { design, figmaJSON: readJSON(designPaths(id).design) };
+}
+
+// Parsed properties of a stored design in a variable mode (null for colors as stored),
+// extracted on first use and cached next to the design
+export function getDesignProperties(id, mode = null) {
+  getDesignOrThrow(id);
+  const cachePath = propertiesPath(id, mode);
+  if (fs.existsSync(cachePath)) {
+    return readJSON(cachePath);
+  }
+
+  const properties = extractFigmaProperties(readJSON(designPaths(id).design), { mode });
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(properties));
+  console.log(`Cached properties of design ${id}${mode ? ` in mode ${mode}` : ''}`);
+  return properties;
+}
+
+// Stored designs, most recently updated first. Filters: fileKey, nodeId
+export function listDesigns({ fileKey, nodeId } = {}) {
+  const dir = storeDir();
+  if (!fs.existsSync(dir)) return [];
+
+  const wantedNodeId = nodeId ? nodeId.replace('-', ':') : null;
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => {
+      try {
+        return getDesign(entry.name);
+      } catch (error) {
+        console.warn(`Skipping unreadable design ${entry.name}:`, error.message);
+        return null;
+      }
+    })
+    .filter(design => design &&
+      (!fileKey || design.fileKey === fileKey) &&
+      (!wantedNodeId || design.nodeId === wantedNodeId))
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+export function deleteDesign(id) {
+  assertValidId(id);
+  const { dir } = designPaths(id);
+  if (!fs.existsSync(dir)) return false;
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log(`Deleted design ${id}`);
+  return true;
+}
+
+// Fetch the latest version of a stored design's file/node from Figma and store it.
+// A new file version is stored next to the old one; the same version replaces it.
+// Returns { design, previousId, changed }.
+export async function refreshDesign(id, { token, cookie, useProxy = false } = {}) {
+  const previous = getDesignOrThrow(id);
+  if (!previous.fileKey) {
+    const error = new Error(`Design ${id} was pasted and has no Figma file to refresh from`);
+    error.status = 400;
+    throw error;
+  }
+
+  const fetched = await fetchFigmaDesign({
+    fileKey: previous.fileKey,
+    nodeId: previous.nodeId,
+    token,
+    cookie,
+    useProxy
+  });
+  const design = saveDesign({
+    figmaJSON: fetched.design,
+    fileKey: previous.fileKey,
+    nodeId: previous.nodeId,
+    version: fetched.version,
+    lastModified: fetched.lastModified,
+    source: 'fetch'
+  });
+
+  return { design, previousId: id, changed: design.id !== id || design.contentHash !== previous.contentHash };
+}
@@ -0,0 +1,154 @@
+import path from 'path';
+import sharp from 'sharp';
+import { defaultOutput } from './config.js';
+import { extractFigmaProperties } from './shared/figma-properties.js';
+
+// Breakpoint of a viewport width when none is configured: below 768px mobile,
+// below 1024px tablet, else desktop
+export function breakpointType(width) {
+  if (width < 768) return 'mobile';
+  if (width < 1024) return 'tablet';
+  return 'desktop';
+}
+
+// Validate screenshot dimensions against Figma design.
+// Pass figmaProperties when the caller has already extracted them, and breakpoint
+// ('mobile', 'tablet' or 'desktop') when the frame's breakpoint is configured.
+export async function validateDimensions(screenshotPath, figmaJSON, figmaProperties = null, { breakpoint = null } = {}) {
+  try {
+    // Extract Figma dimensions from the parsed properties
+    figmaProperties = figmaProperties || extractFigmaProperties(figmaJSON);
+    let figmaBounds = figmaProperties.dimensions;
+    
+    // If no dimensions found, try to get from root node
+    if (!figmaBounds?.width || !figmaBounds?.height) {
+      // Try to find root node with absoluteBoundingBox
+      const findRootBounds = (node) => {
+        if (node.absoluteBoundingBox) {
+          return {
+            width: Math.round(node.absoluteBoundingBox.width),
+            height: Math.round(node.absoluteBoundingBox.height)
+          };
+        }
+        if (node.children) {
+          for (const child of node.children) {
+            const bounds = findRootBounds(child);
+            if (bounds) return bounds;
+          }
+        }
+        return null;
+      };
+      
+      figmaBounds = findRootBounds(figmaJSON) || { 
+        width: 375,  // Common mobile width
+        height: 812  // Common mobile height (iPhone X/11)
+      };
+    }
+    
+    // Get screenshot metadata
+    const metadata = await sharp(screenshotPath).metadata();
+    
+    // Calculate aspect ratios
+    const figmaAspectRatio = figmaBounds.width / figmaBounds.height;
+    const screenshotAspectRatio = metadata.width / metadata.height;
+    
+    // Calculate aspect ratio difference
+    const aspectRatioDiff = Math.abs(figmaAspectRatio - screenshotAspectRatio);
+    
+    // Intelligent tolerance based on design type
+    let aspectRatioTolerance = 0.15; // Default 15% tolerance
+    
+    // Check if this is a scrollable/long design (height > 2x width)
+    const isScrollableDesign = figmaBounds.height > figmaBounds.width * 2;
+    
+    const designBreakpoint = breakpoint || breakpointType(figmaBounds.width);
+    const isMobileDesign = designBreakpoint === 'mobile';
+    
+    if (isScrollableDesign && isMobileDesign) {
+      // For tall mobile scrollable designs, use relaxed tolerance
+      aspectRatioTolerance = 0.35; // 35% tolerance
+      console.log('Detected scrollable mobile design - using relaxed tolerance');
+    } else if (isScrollableDesign) {
+      // For other scrollable designs
+      aspectRatioTolerance = 0.25; // 25% tolerance
+    } else if (isMobileDesign) {
+      // For standard mobile designs
+      aspectRatioTolerance = 0.10; // 10% tolerance
+    }
+    
+    const validation = {
+      isValid: aspectRatioDiff <= aspectRatioTolerance,
+      figmaDimensions: figmaBounds,
+      screenshotDimensions: {
+        width: metadata.width,
+        height: metadata.height
+      },
+      figmaAspectRatio: figmaAspectRatio.toFixed(3),
+      screenshotAspectRatio: screenshotAspectRatio.toFixed(3),
+      aspectRatioDifference: aspectRatioDiff.toFixed(3),
+      tolerance: aspectRatioTolerance,
+      designType: isScrollableDesign ? 'scrollable' : 'standard',
+      breakpoint: designBreakpoint,
+      message: ''
+    };
+    
+    if (!validation.isValid) {
+      validation.message = `Aspect ratio mismatch exceeds ${(aspectRatioTolerance * 100).toFixed(0)}% tolerance: Figma (${validation.figmaAspectRatio}) vs Screenshot (${validation.screenshotAspectRatio}). For best results, capture screenshot at ${figmaBounds.width}px width.` +
+        (isScrollableDesign ? ' For a tall design, stitch screenshots taken while scrolling or compare a slice of the frame (sliceTop).' : '');
+      // Still proceed but with warning
+      validation.warning = true;
+      validation.isValid = true; // Allow comparison to proceed with warning
+    } else {
+      validation.message = `Dimensions validated successfully (within ${(aspectRatioTolerance * 100).toFixed(0)}% tolerance)`;
+    }
+    
+    return validation;
+  } catch (error) {
+    console.error('Dimension validation error:', error);
+    throw error;
+  }
+}
+
+// Normalize screenshot to match Figma dimensions.
+// Pass the result of validateDimensions when it has already run for this screenshot.
+export async function normalizeScreenshotToFigma(screenshotPath, figmaJSON, output = defaultOutput, validation = null) {
+  try {
+    // First validate dimensions
+    validation = validation || await validateDimensions(screenshotPath, figmaJSON);
+    
+    if (!validation.isValid) {
+      console.warn('Dimension validation failed:', validation.message);
+      // You may want to throw an error here or handle it differently
+      // For now, we'll continue with normalization but log the warning
+    }
+    
+    const figmaBounds = validation.figmaDimensions;
+    const metadata = validation.screenshotDimensions;
+    
+    // Check if dimensions already match
+    if (metadata.width === figmaBounds.width && metadata.height === figmaBounds.height) {
+      console.log('Screenshot dimensions already match Figma design');
+      return screenshotPath;
+    }
+    
+    // Log dimension mismatch
+    console.log(`Normalizing screenshot: ${metadata.width}x${metadata.height} -> ${figmaBounds.width}x${figmaBounds.height}`);
+    
+    // Create normalized image path
+    const normalizedPath = path.join(output.dir, `normalized-${Date.now()}.png`);
+    
+    // Resize screenshot to match Figma dimensions
+    await sharp(screenshotPath)
+      .resize(figmaBounds.width, figmaBounds.height, { 
+        fit: 'contain', 
+        background: { r: 255, g: 255, b: 255, alpha: 1 } 
+      })
+      .toFile(normalizedPath);
+    
+    return normalizedPath;
+  } catch (error) {
+    console.error('Error normalizing screenshot:', error);
+    console.log('Proceeding with original screenshot.');
+    return screenshotPath;
+  }
+}
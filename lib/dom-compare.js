@@ -0,0 +1,509 @@
+import { withCapturePage, screenshotPage } from './capture.js';
+import { reportStage } from './progress.js';
+import { extractFigmaProperties } from './shared/figma-properties.js';
+
+// DOM comparison: load the implementation headlessly and compare getComputedStyle values and
+// bounding rects of DOM elements with what extractFigmaProperties extracted. Unlike the
+// screenshot pipelines nothing is estimated; every mismatch carries the exact CSS value.
+//
+// Figma elements are mapped to DOM elements by, in order:
+//   data-figma-id - elements carrying the Figma node id (data-figma-id="1:23" or "1-23")
+//   selector      - options.selectors, { "<node id or name>": "<css selector>" }
+//   text          - TEXT nodes to the element whose text content is the same (nearest one wins)
+//   container     - styled frames to the common ancestor of their matched text whose size is closest
+
+// Sub-pixel differences from layout rounding are not mismatches
+const VALUE_TOLERANCE = 0.5;
+const DEFAULT_POSITION_TOLERANCE = 1;
+// A container candidate's width and height may differ by this much in total (relative)
+const MAX_CONTAINER_SIZE_DIFFERENCE = 0.4;
+
+const CHECK_CATEGORIES = {
+  color: ['color', 'backgroundColor', 'borderColor', 'boxShadow'],
+  text: ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight'],
+  spacing: ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderRadius', 'borderWidth'],
+  size: ['x', 'y', 'width', 'height']
+};
+
+// Runs in the page: every element with text, form controls, data-figma-id elements and the
+// requested selectors, with their ancestors, computed styles and document-relative rects
+function collectDOM(selectorEntries) {
+  const STYLE_PROPERTIES = [
+    'color', 'backgroundColor', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopLeftRadius', 'borderTopRightRadius', 'borderBottomRightRadius', 'borderBottomLeftRadius',
+    'borderTopWidth', 'borderTopStyle', 'borderTopColor', 'boxShadow', 'display', 'visibility'
+  ];
+  const elements = [];
+  const indexOf = new Map();
+
+  const documentRect = rect => ({
+    x: rect.left + window.scrollX,
+    y: rect.top + window.scrollY,
+    width: rect.width,
+    height: rect.height
+  });
+
+  const cssPath = element => {
+    const parts = [];
+    for (let node = element; node && node.nodeType === 1; node = node.parentElement) {
+      if (node.id) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      let part = node.tagName.toLowerCase();
+      const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+      parts.unshift(part);
+      if (node === document.body) break;
+    }
+    return parts.join(' > ');
+  };
+
+  const add = element => {
+    if (indexOf.has(element)) return indexOf.get(element);
+    const style = getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const isControl = element.matches('input, textarea, select');
+    const ownText = !isControl && Array.from(element.childNodes).some(node => node.nodeType === 3 && node.textContent.trim());
+
+    // Text is measured by its glyph box, like a Figma TEXT node, not the (often full-width) block
+    let textRect = null;
+    if (ownText) {
+      const range = document.createRange();
+      range.selectNodeContents(element);
+      textRect = documentRect(range.getBoundingClientRect());
+    }
+
+    const entry = {
+      index: elements.length,
+      parent: null,
+      tag: element.tagName.toLowerCase(),
+      figmaId: element.getAttribute('data-figma-id'),
+      selector: cssPath(element),
+      text: isControl ? (element.value || element.placeholder || '') : element.textContent,
+      hasText: ownText || (isControl && !!(element.value || element.placeholder)),
+      visible: style.display !== 'none' && style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0,
+      rect: documentRect(rect),
+      textRect,
+      style: {}
+    };
+    STYLE_PROPERTIES.forEach(property => {
+      entry.style[property] = style[property];
+    });
+    indexOf.set(element, entry.index);
+    elements.push(entry);
+    return entry.index;
+  };
+
+  const addWithAncestors = element => {
+    let index = add(element);
+    for (let node = element; node.parentElement && node !== document.documentElement; node = node.parentElement) {
+      if (elements[index].parent !== null) break;
+      const parentIndex = add(node.parentElement);
+      elements[index].parent = parentIndex;
+      index = parentIndex;
+    }
+  };
+
+  document.querySelectorAll('[data-figma-id]').forEach(addWithAncestors);
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    const parent = walker.currentNode.parentElement;
+    if (walker.currentNode.textContent.trim() && parent && !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) {
+      addWithAncestors(parent);
+    }
+  }
+  document.querySelectorAll('input, textarea, select, button').forEach(addWithAncestors);
+
+  const selectorMatches = {};
+  selectorEntries.forEach(({ key, selector }) => {
+    let element = null;
+    try {
+      element = document.querySelector(selector);
+    } catch (error) {
+      element = null;
+    }
+    if (element) addWithAncestors(element);
+    selectorMatches[key] = element ? indexOf.get(element) : null;
+  });
+
+  return { elements, selectorMatches };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function normalizeNodeId(id) {
+  return String(id).replace(/(\d)-(\d)/g, '$1:$2');
+}
+
+// Computed colors are rgb()/rgba(); returns { hex, alpha } (hex null when transparent)
+export function parseCSSColor(value) {
+  const match = String(value || '').match(/rgba?\(([^)]+)\)/);
+  if (!match) return { hex: null, alpha: 0 };
+  const [r, g, b, a = '1'] = match[1].split(/[\s,/]+/).filter(Boolean);
+  const alpha = a.endsWith('%') ? parseFloat(a) / 100 : parseFloat(a);
+  const hex = '#' + [r, g, b].map(channel => Math.round(parseFloat(channel)).toString(16).padStart(2, '0')).join('');
+  return { hex: alpha === 0 ? null : hex, alpha };
+}
+
+function cssColorValue(value) {
+  const { hex, alpha } = parseCSSColor(value);
+  if (!hex) return 'transparent';
+  return alpha < 1 ? `${hex} @ ${round(alpha)}` : hex;
+}
+
+function px(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// "rgba(0, 0, 0, 0.1) 0px 1px 2px 0px, rgb(0, 0, 0) 0px 0px 0px 1px inset"
+export function parseBoxShadow(value) {
+  if (!value || value === 'none') return [];
+  return value.split(/,(?![^(]*\))/).map(part => {
+    const color = part.match(/rgba?\([^)]*\)/)?.[0];
+    const [x = 0, y = 0, blur = 0, spread = 0] = (part.replace(color || '', '').match(/-?[\d.]+px/g) || []).map(parseFloat);
+    return { inset: /\binset\b/.test(part), x, y, blur, spread, color: parseCSSColor(color).hex };
+  });
+}
+
+function formatShadows(shadows) {
+  if (shadows.length === 0) return 'none';
+  return shadows
+    .map(shadow => `${shadow.inset ? 'inset ' : ''}${shadow.x}px ${shadow.y}px ${shadow.blur}px ${shadow.spread}px ${shadow.color || 'transparent'}`)
+    .join(', ');
+}
+
+function numberCheck(property, figma, dom, tolerance = VALUE_TOLERANCE) {
+  const domNumber = typeof dom === 'number' ? dom : null;
+  return {
+    property,
+    figma,
+    dom,
+    match: domNumber !== null && Math.abs(domNumber - figma) <= tolerance,
+    delta: domNumber === null ? null : round(domNumber - figma)
+  };
+}
+
+function valueCheck(property, figma, dom) {
+  return { property, figma, dom, match: String(figma).toLowerCase() === String(dom).toLowerCase(), delta: null };
+}
+
+function textChecks(element, dom) {
+  const typography = element.properties.typography;
+  const checks = [];
+  if (typography.color) {
+    checks.push(valueCheck('color', typography.color, cssColorValue(dom.style.color)));
+  }
+  if (typography.fontFamily && typography.fontFamily !== 'Unknown') {
+    const family = dom.style.fontFamily.split(',')[0].replace(/["']/g, '').trim();
+    checks.push(valueCheck('fontFamily', typography.fontFamily, family));
+  }
+  checks.push(numberCheck('fontSize', typography.fontSize, px(dom.style.fontSize)));
+  checks.push(numberCheck('fontWeight', typography.fontWeight, px(dom.style.fontWeight), 0));
+  if (typeof typography.lineHeight === 'number') {
+    checks.push(numberCheck('lineHeight', round(typography.lineHeight), px(dom.style.lineHeight) ?? dom.style.lineHeight));
+  }
+  return checks;
+}
+
+export function boxChecks(element, dom) {
+  const properties = element.properties;
+  const checks = [];
+
+  if (properties.backgroundColor) {
+    checks.push(valueCheck('backgroundColor', properties.backgroundColor, cssColorValue(dom.style.backgroundColor)));
+  }
+  if (properties.padding) {
+    ['Top', 'Right', 'Bottom', 'Left'].forEach(side => {
+      checks.push(numberCheck(`padding${side}`, properties.padding[side.toLowerCase()], px(dom.style[`padding${side}`])));
+    });
+  }
+  if (properties.borderRadius !== undefined && element.type !== 'ELLIPSE') {
+    const figma = typeof properties.borderRadius === 'number'
+      ? { topLeft: properties.borderRadius, topRight: properties.borderRadius, bottomRight: properties.borderRadius, bottomLeft: properties.borderRadius }
+      : properties.borderRadius;
+    // Percentage radii resolve against the box
+    const corner = value => String(value).endsWith('%')
+      ? round(parseFloat(value) / 100 * Math.min(dom.rect.width, dom.rect.height))
+      : px(value);
+    const domRadius = {
+      topLeft: corner(dom.style.borderTopLeftRadius),
+      topRight: corner(dom.style.borderTopRightRadius),
+      bottomRight: corner(dom.style.borderBottomRightRadius),
+      bottomLeft: corner(dom.style.borderBottomLeftRadius)
+    };
+    const uniform = values => Object.values(values).every(value => value === values.topLeft);
+    checks.push({
+      property: 'borderRadius',
+      figma: uniform(figma) ? figma.topLeft : figma,
+      dom: uniform(domRadius) ? domRadius.topLeft : domRadius,
+      match: Object.keys(figma).every(key => domRadius[key] !== null && Math.abs(domRadius[key] - figma[key]) <= VALUE_TOLERANCE),
+      delta: null
+    });
+  }
+  if (properties.border) {
+    const hasBorder = dom.style.borderTopStyle !== 'none';
+    checks.push(numberCheck('borderWidth', properties.border.width, hasBorder ? px(dom.style.borderTopWidth) : 0));
+    checks.push(valueCheck('borderColor', properties.border.color, hasBorder ? cssColorValue(dom.style.borderTopColor) : 'none'));
+  }
+
+  const figmaShadows = (properties.shadows || [])
+    .filter(shadow => shadow.visible !== false)
+    .map(shadow => ({
+      inset: shadow.type === 'INNER_SHADOW',
+      x: shadow.offset.x,
+      y: shadow.offset.y,
+      blur: shadow.radius,
+      spread: shadow.spread,
+      color: shadow.color
+    }));
+  const domShadows = parseBoxShadow(dom.style.boxShadow);
+  checks.push({
+    property: 'boxShadow',
+    figma: formatShadows(figmaShadows),
+    dom: formatShadows(domShadows),
+    match: figmaShadows.length === domShadows.length && figmaShadows.every((shadow, index) => {
+      const other = domShadows[index];
+      return shadow.inset === other.inset &&
+        ['x', 'y', 'blur', 'spread'].every(key => Math.abs(shadow[key] - other[key]) <= VALUE_TOLERANCE) &&
+        String(shadow.color).toLowerCase() === String(other.color).toLowerCase();
+    }),
+    delta: null
+  });
+  return checks;
+}
+
+// Figma positions are relative to the frame, DOM rects to the page; the frame is the page
+function rectChecks(element, dom, tolerance) {
+  const position = element.properties.position;
+  if (!position) return [];
+  const rect = element.type === 'TEXT' && dom.textRect ? dom.textRect : dom.rect;
+  return ['x', 'y', 'width', 'height'].map(key => numberCheck(key, position[key], round(rect[key]), tolerance));
+}
+
+function center(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+// Vectors and boolean operations are icons, not boxes with CSS styles
+const BOX_TYPES = ['FRAME', 'COMPONENT', 'INSTANCE', 'RECTANGLE', 'ELLIPSE'];
+
+function isStyledContainer(element) {
+  const properties = element.properties;
+  return BOX_TYPES.includes(element.type) &&
+    !!(properties.backgroundColor || properties.border || properties.padding || properties.borderRadius || properties.shadows);
+}
+
+function sameBox(a, b) {
+  return !!(a && b) && ['x', 'y', 'width', 'height'].every(key => Math.abs(a[key] - b[key]) <= 1);
+}
+
+// Map Figma elements to DOM entries; returns Map(elementId -> { dom, matchedBy })
+export function matchElements(figmaElements, domElements, selectorMatches, selectors) {
+  const matches = new Map();
+  const visible = domElements.filter(dom => dom.visible);
+
+  // 1. data-figma-id
+  const byFigmaId = new Map(visible.filter(dom => dom.figmaId).map(dom => [normalizeNodeId(dom.figmaId), dom]));
+  figmaElements.forEach(element => {
+    const dom = element.nodeId && byFigmaId.get(normalizeNodeId(element.nodeId));
+    if (dom) matches.set(element.id, { dom, matchedBy: 'data-figma-id' });
+  });
+
+  // 2. Explicit selectors, keyed by node id or name
+  Object.keys(selectors).forEach(key => {
+    const dom = domElements[selectorMatches[key]];
+    if (!dom) return;
+    const element = figmaElements.find(candidate =>
+      !matches.has(candidate.id) && (normalizeNodeId(candidate.nodeId || '') === normalizeNodeId(key) || candidate.name === key));
+    if (element) matches.set(element.id, { dom, matchedBy: 'selector' });
+  });
+
+  // 3. TEXT nodes by text content, nearest element first
+  // Each DOM element stands for one Figma text; containers matched above may still hold one
+  const usedText = new Set(figmaElements
+    .filter(element => element.type === 'TEXT' && matches.has(element.id))
+    .map(element => matches.get(element.id).dom.index));
+  figmaElements
+    .filter(element => element.type === 'TEXT' && !matches.has(element.id) && element.properties.typography?.content)
+    .forEach(element => {
+      const text = normalizeText(element.properties.typography.content);
+      const target = element.properties.position ? center(element.properties.position) : { x: 0, y: 0 };
+      const candidates = visible.filter(dom => dom.hasText && !usedText.has(dom.index) && normalizeText(dom.text) === text);
+      if (candidates.length === 0) return;
+      const distance = dom => {
+        const point = center(dom.textRect || dom.rect);
+        return Math.hypot(point.x - target.x, point.y - target.y);
+      };
+      const dom = candidates.reduce((best, candidate) => distance(candidate) < distance(best) ? candidate : best);
+      usedText.add(dom.index);
+      matches.set(element.id, { dom, matchedBy: 'text' });
+    });
+
+  // 4. Styled containers: the common DOM ancestor of their matched text closest in size
+  const children = new Map();
+  figmaElements.forEach(element => {
+    if (!children.has(element.parentId)) children.set(element.parentId, []);
+    children.get(element.parentId).push(element);
+  });
+  const byId = new Map(figmaElements.map(element => [element.id, element]));
+  const textDescendants = element => (children.get(element.id) || []).flatMap(child =>
+    child.type === 'TEXT' ? [child] : textDescendants(child));
+  // A background rectangle filling its parent stands for the parent's box in the DOM
+  const textScope = element => {
+    const text = textDescendants(element);
+    const parent = byId.get(element.parentId);
+    return text.length === 0 && parent && sameBox(element.properties.position, parent.properties.position)
+      ? textScope(parent)
+      : text;
+  };
+  const ancestors = dom => {
+    const chain = [];
+    for (let current = dom; current; current = current.parent === null ? null : domElements[current.parent]) {
+      chain.push(current);
+    }
+    return chain;
+  };
+
+  figmaElements
+    .filter(element => isStyledContainer(element) && !matches.has(element.id) && element.properties.position)
+    .forEach(element => {
+      const matchedText = textScope(element).map(text => matches.get(text.id)?.dom).filter(Boolean);
+      if (matchedText.length === 0) return;
+      const chains = matchedText.map(ancestors);
+      const common = chains[0].filter(candidate => chains.every(chain => chain.includes(candidate)) && candidate.visible);
+      const { width, height } = element.properties.position;
+      const sizeDifference = dom =>
+        Math.abs(dom.rect.width - width) / Math.max(width, 1) + Math.abs(dom.rect.height - height) / Math.max(height, 1);
+      const best = common.reduce((found, candidate) =>
+        !found || sizeDifference(candidate) < sizeDifference(found) ? candidate : found, null);
+      if (best && sizeDifference(best) <= MAX_CONTAINER_SIZE_DIFFERENCE) {
+        matches.set(element.id, { dom: best, matchedBy: 'container' });
+      }
+    });
+
+  return matches;
+}
+
+function mismatchCategories(mismatches) {
+  const counts = {};
+  Object.entries(CHECK_CATEGORIES).forEach(([category, propertiesOfCategory]) => {
+    counts[category] = mismatches.filter(mismatch => propertiesOfCategory.includes(mismatch.property)).length;
+  });
+  return counts;
+}
+
+// Compare a Figma frame with the page at `url` rendered at the frame's viewport.
+// options: selectors ({ "<node id or name>": "<css selector>" }), positionTolerance (px, default 1),
+// variableMode, figmaProperties (precomputed), the withCapturePage options, outputDir/urlPrefix,
+// onProgress, signal.
+// Returns a DOM_COMPARISON report with per-element checks and the exact mismatching values.
+export async function compareDOM({ figmaJSON, url, options = {} }) {
+  reportStage(options, 'extract', 'Extracting Figma properties');
+  const figmaProperties = options.figmaProperties || extractFigmaProperties(figmaJSON, { mode: options.variableMode });
+  const selectors = options.selectors || {};
+  const positionTolerance = parseFloat(options.positionTolerance) >= 0 ? parseFloat(options.positionTolerance) : DEFAULT_POSITION_TOLERANCE;
+
+  const { capture, dom } = await withCapturePage({ url, figmaJSON, options }, async (page, context) => {
+    const screenshot = await screenshotPage(page, context, options);
+    reportStage(options, 'dom', 'Reading computed styles');
+    const collected = await page.evaluate(collectDOM, Object.entries(selectors).map(([key, selector]) => ({ key, selector })));
+    return { capture: screenshot, dom: collected };
+  });
+  console.log(`Collected ${dom.elements.length} DOM elements from ${capture.capturedUrl}`);
+
+  reportStage(options, 'match', 'Matching Figma nodes to DOM elements');
+  const matches = matchElements(figmaProperties.elements, dom.elements, dom.selectorMatches, selectors);
+
+  reportStage(options, 'compare', `Comparing ${matches.size} matched elements`);
+  const elements = [];
+  const mismatches = [];
+  figmaProperties.elements.forEach(element => {
+    const match = matches.get(element.id);
+    if (!match) return;
+    const checks = [
+      ...(element.type === 'TEXT' && element.properties.typography ? textChecks(element, match.dom) : boxChecks(element, match.dom)),
+      ...rectChecks(element, match.dom, positionTolerance)
+    ];
+    const failed = checks.filter(check => !check.match);
+    failed.forEach(check => mismatches.push({
+      elementId: element.id,
+      nodeId: element.nodeId,
+      name: element.name,
+      selector: match.dom.selector,
+      ...check
+    }));
+    elements.push({
+      elementId: element.id,
+      nodeId: element.nodeId,
+      name: element.name,
+      type: element.type,
+      matchedBy: match.matchedBy,
+      dom: {
+        selector: match.dom.selector,
+        tag: match.dom.tag,
+        figmaId: match.dom.figmaId,
+        text: match.dom.hasText ? match.dom.text.trim().substring(0, 120) : null,
+        rect: match.dom.rect
+      },
+      checks,
+      mismatches: failed.length
+    });
+  });
+
+  const unmatched = figmaProperties.elements
+    .filter(element => !matches.has(element.id) &&
+      ((element.type === 'TEXT' && element.properties.typography?.content) || isStyledContainer(element)))
+    .map(element => ({
+      elementId: element.id,
+      nodeId: element.nodeId,
+      name: element.name,
+      type: element.type,
+      content: element.properties.typography?.content || null
+    }));
+  const unusedSelectors = Object.keys(selectors).filter(key => dom.selectorMatches[key] === null);
+
+  const totalChecks = elements.reduce((sum, element) => sum + element.checks.length, 0);
+  const passingChecks = totalChecks - mismatches.length;
+  const matchedBy = {};
+  elements.forEach(element => {
+    matchedBy[element.matchedBy] = (matchedBy[element.matchedBy] || 0) + 1;
+  });
+  const { path: capturePath, ...captureInfo } = capture;
+
+  return {
+    id: Date.now(),
+    timestamp: new Date().toISOString(),
+    analysisType: 'DOM_COMPARISON',
+    url: capture.capturedUrl,
+    accuracy: totalChecks > 0 ? (passingChecks / totalChecks * 100).toFixed(2) : null,
+    totalMismatches: mismatches.length,
+    summary: {
+      figmaElements: elements.length + unmatched.length,
+      matchedElements: elements.length,
+      unmatchedFigmaElements: unmatched.length,
+      domElements: dom.elements.length,
+      checks: totalChecks,
+      passingChecks,
+      mismatches: mismatches.length,
+      mismatchesByCategory: mismatchCategories(mismatches),
+      matchedBy,
+      positionTolerance
+    },
+    elements,
+    mismatches,
+    unmatched,
+    unusedSelectors,
+    capture: captureInfo,
+    screenshot: capture.url,
+    screenType: figmaProperties.screenType
+  };
+}
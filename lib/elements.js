@@ -0,0 +1,561 @@
+import sharp from 'sharp';
+import { outputUrl, resolveOutput } from './config.js';
+import { extractAllTextFromScreenshot } from './ocr.js';
+import { reportStage } from './progress.js';
+
+// Element-level comparison pipeline, shared by /api/compare-elements and the CLI
+export async function compareElements({ figmaJSON, screenshot: screenshotPath, options = {} }) {
+  const output = resolveOutput(options);
+  
+  console.log('Starting element-level comparison...');
+  
+  // Step 1: Extract text from Figma
+  reportStage(options, 'extract', 'Extracting text elements from Figma');
+  const figmaTextElements = extractAllTextFromFigma(figmaJSON);
+  console.log(`Found ${figmaTextElements.length} text elements in Figma`);
+  
+  // Step 2: Extract text from screenshot using OCR with improved grouping
+  reportStage(options, 'ocr', 'Running OCR on screenshot');
+  const ocrResult = await extractAllTextFromScreenshot(screenshotPath);
+  console.log(`OCR extracted ${ocrResult.elements.length} grouped text elements`);
+  
+  // Step 3: Match elements by text content using improved algorithm
+  reportStage(options, 'match', 'Matching elements by text');
+  const { matches, unmatchedFigma, unmatchedScreenshot } = matchElementsByText(
+    figmaTextElements, 
+    ocrResult.elements
+  );
+  console.log(`Matched ${matches.length} elements by text`);
+  
+  // Step 4: Extract colors and compare properties for each match
+  reportStage(options, 'compare', `Comparing ${matches.length} matched elements`);
+  const comparisonResults = [];
+  
+  for (const match of matches) {
+    // Extract colors from the screenshot region
+    const screenshotColors = await extractElementColors(
+      screenshotPath, 
+      match.screenshotElement.bounds
+    );
+    
+    // Compare properties and generate verdict
+    const comparison = compareElementProperties(
+      match.figmaElement,
+      match.screenshotElement,
+      screenshotColors
+    );
+    
+    comparison.matchConfidence = match.confidence;
+    comparison.matchType = match.matchType;
+    
+    // Add the estimated font size if not already present
+    if (!comparison.screenshotProperties.fontSize && match.screenshotElement.fontSize) {
+      comparison.screenshotProperties.fontSize = match.screenshotElement.fontSize;
+    }
+    
+    comparisonResults.push(comparison);
+  }
+  
+  // Calculate summary statistics
+  const summary = {
+    totalElements: figmaTextElements.length,
+    matchedElements: matches.length,
+    unmatchedFigmaElements: unmatchedFigma.length,
+    unmatchedScreenshotElements: unmatchedScreenshot.length,
+    
+    matchingElements: comparisonResults.filter(r => r.overallMatch === 'MATCHING').length,
+    notMatchingElements: comparisonResults.filter(r => r.overallMatch === 'NOT MATCHING').length,
+    
+    colorIssues: comparisonResults.filter(r => 
+      r.issues.includes('TEXT_COLOR') || r.issues.includes('BACKGROUND_COLOR')
+    ).length,
+    fontIssues: comparisonResults.filter(r => r.issues.includes('FONT_SIZE')).length,
+    
+    overallAccuracy: matches.length > 0 
+      ? ((comparisonResults.filter(r => r.overallMatch === 'MATCHING').length / matches.length) * 100).toFixed(2) + '%'
+      : '0%'
+  };
+  
+  // Generate response
+  return {
+    success: true,
+    id: Date.now(),
+    timestamp: new Date().toISOString(),
+    analysisType: 'ELEMENT_COMPARISON',
+    summary,
+    comparisonTable: comparisonResults,
+    unmatchedFigmaElements: unmatchedFigma.map(el => ({
+      text: el.text,
+      color: el.textColor,
+      fontSize: el.fontSize,
+      reason: 'No matching text found in screenshot'
+    })),
+    unmatchedScreenshotElements: unmatchedScreenshot
+      .filter(el => {
+        // Filter out very short text elements that are likely just fragments
+        return el.text.length > 2 && 
+               (el.type === 'line' || el.type === 'paragraph' || el.type === 'ui-element' || el.text.includes(' '));
+      })
+      .map(el => ({
+        text: el.text,
+        bounds: el.bounds,
+        type: el.type,
+        reason: 'No matching text found in Figma'
+      })),
+    screenshotPath: outputUrl(output, screenshotPath)
+  };
+}
+
+// Enhanced Figma text extraction with all properties
+function extractAllTextFromFigma(figmaJSON) {
+  const textElements = [];
+  
+  function rgbToHex(color) {
+    if (!color) return null;
+    const r = Math.round(color.r * 255);
+    const g = Math.round(color.g * 255);
+    const b = Math.round(color.b * 255);
+    return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+  }
+  
+  function traverse(node, parentBg = null) {
+    // Extract text nodes
+    if (node.type === 'TEXT' && node.characters) {
+      const element = {
+        id: node.id,
+        text: node.characters.trim(),
+        bounds: node.absoluteBoundingBox,
+        textColor: null,
+        backgroundColor: parentBg,
+        fontSize: node.style?.fontSize || null,
+        fontFamily: node.style?.fontFamily || null,
+        fontWeight: node.style?.fontWeight || null,
+        letterSpacing: node.style?.letterSpacing || null,
+        lineHeight: node.style?.lineHeightPx || node.style?.lineHeightPercent || null,
+        textAlign: node.style?.textAlignHorizontal || null
+      };
+      
+      // Extract text color from fills
+      if (node.fills && node.fills.length > 0 && node.fills[0].type === 'SOLID') {
+        element.textColor = rgbToHex(node.fills[0].color);
+      }
+      
+      textElements.push(element);
+    }
+    
+    // Track background colors from parent frames/rectangles
+    let currentBg = parentBg;
+    if ((node.type === 'FRAME' || node.type === 'RECTANGLE' || node.type === 'COMPONENT') && 
+        node.fills && node.fills.length > 0 && node.fills[0].type === 'SOLID') {
+      currentBg = rgbToHex(node.fills[0].color);
+    }
+    
+    // Traverse children
+    if (node.children) {
+      node.children.forEach(child => traverse(child, currentBg));
+    }
+  }
+  
+  // Handle different JSON formats
+  if (figmaJSON.nodes) {
+    // Direct pasted JSON format - traverse all nodes
+    for (const nodeId in figmaJSON.nodes) {
+      const node = figmaJSON.nodes[nodeId];
+      if (node.document) {
+        traverse(node.document);
+      }
+    }
+  } else if (figmaJSON.document) {
+    // Figma API response format - traverse document.children
+    if (figmaJSON.document.children) {
+      figmaJSON.document.children.forEach(child => traverse(child));
+    } else {
+      traverse(figmaJSON.document);
+    }
+  } else if (figmaJSON.children) {
+    // Direct frame/node format
+    figmaJSON.children.forEach(child => traverse(child));
+  } else {
+    // Fallback - try to traverse the object directly
+    traverse(figmaJSON);
+  }
+  
+  console.log(`Extracted ${textElements.length} text elements from Figma`);
+  return textElements;
+}
+
+// Extract color from specific region of screenshot
+async function extractElementColors(screenshotPath, bounds) {
+  try {
+    // Extract the region containing the text element
+    const regionBuffer = await sharp(screenshotPath)
+      .extract({
+        left: Math.max(0, Math.round(bounds.x)),
+        top: Math.max(0, Math.round(bounds.y)),
+        width: Math.round(bounds.width),
+        height: Math.round(bounds.height)
+      })
+      .raw()
+      .toBuffer();
+    
+    const metadata = await sharp(screenshotPath)
+      .extract({
+        left: Math.max(0, Math.round(bounds.x)),
+        top: Math.max(0, Math.round(bounds.y)),
+        width: Math.round(bounds.width),
+        height: Math.round(bounds.height)
+      })
+      .metadata();
+    
+    // Analyze pixels to find text color (darkest/most frequent non-background color)
+    const colorMap = new Map();
+    const pixelCount = metadata.width * metadata.height;
+    
+    for (let i = 0; i < regionBuffer.length; i += 3) {
+      const r = regionBuffer[i];
+      const g = regionBuffer[i + 1];
+      const b = regionBuffer[i + 2];
+      const hex = '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+      
+      colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
+    }
+    
+    // Sort colors by frequency
+    const sortedColors = Array.from(colorMap.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(entry => ({ color: entry[0], frequency: entry[1] / pixelCount }));
+    
+    // The most frequent color is likely the background
+    const backgroundColor = sortedColors[0]?.color || '#FFFFFF';
+    
+    // Text color is usually darker and less frequent than background
+    let textColor = '#000000';
+    for (const colorData of sortedColors) {
+      if (colorData.frequency < 0.5) { // Less than 50% of pixels
+        // Check if it's darker than background (simple luminance check)
+        const bgLum = parseInt(backgroundColor.slice(1, 3), 16) + 
+                     parseInt(backgroundColor.slice(3, 5), 16) + 
+                     parseInt(backgroundColor.slice(5, 7), 16);
+        const colorLum = parseInt(colorData.color.slice(1, 3), 16) + 
+                        parseInt(colorData.color.slice(3, 5), 16) + 
+                        parseInt(colorData.color.slice(5, 7), 16);
+        
+        if (Math.abs(bgLum - colorLum) > 100) { // Significant contrast
+          textColor = colorData.color;
+          break;
+        }
+      }
+    }
+    
+    return {
+      textColor,
+      backgroundColor,
+      dominantColors: sortedColors.slice(0, 5).map(c => c.color)
+    };
+  } catch (error) {
+    console.error('Color extraction error:', error);
+    return {
+      textColor: '#000000',
+      backgroundColor: '#FFFFFF',
+      dominantColors: []
+    };
+  }
+}
+
+// Match elements by text content with improved algorithm
+function matchElementsByText(figmaElements, screenshotElements) {
+  const matches = [];
+  const unmatchedFigma = [];
+  const unmatchedScreenshot = [...screenshotElements];
+  
+  // Helper to normalize text for comparison
+  const normalizeText = (text) => {
+    return text
+      .toLowerCase()
+      .replace(/[\s\n\r]+/g, ' ') // Normalize whitespace
+      .replace(/[^\w\s]/g, '') // Remove punctuation
+      .trim();
+  };
+  
+  // Helper to check if texts are similar enough
+  const textsAreSimilar = (text1, text2, threshold = 0.8) => {
+    const norm1 = normalizeText(text1);
+    const norm2 = normalizeText(text2);
+    
+    // Exact match after normalization
+    if (norm1 === norm2) return { score: 1.0, type: 'EXACT' };
+    
+    // Check if one contains the other
+    if (norm1.includes(norm2) || norm2.includes(norm1)) {
+      const lengthRatio = Math.min(norm1.length, norm2.length) / Math.max(norm1.length, norm2.length);
+      return { score: 0.9 * lengthRatio, type: 'CONTAINS' };
+    }
+    
+    // Check word overlap
+    const words1 = norm1.split(' ');
+    const words2 = norm2.split(' ');
+    const commonWords = words1.filter(w => words2.includes(w));
+    const wordOverlapScore = commonWords.length / Math.max(words1.length, words2.length);
+    
+    if (wordOverlapScore >= threshold) {
+      return { score: wordOverlapScore, type: 'WORD_OVERLAP' };
+    }
+    
+    // Levenshtein distance for fuzzy matching
+    const distance = levenshteinDistance(norm1, norm2);
+    const maxLen = Math.max(norm1.length, norm2.length);
+    const similarity = 1 - (distance / maxLen);
+    
+    if (similarity >= threshold) {
+      return { score: similarity, type: 'FUZZY' };
+    }
+    
+    return null;
+  };
+  
+  // First pass: Try to match complete text elements
+  figmaElements.forEach(figmaEl => {
+    let bestMatch = null;
+    let bestScore = 0;
+    let bestIndex = -1;
+    let matchType = null;
+    
+    unmatchedScreenshot.forEach((screenEl, index) => {
+      const similarity = textsAreSimilar(figmaEl.text, screenEl.text, 0.7);
+      
+      if (similarity && similarity.score > bestScore) {
+        bestMatch = screenEl;
+        bestScore = similarity.score;
+        bestIndex = index;
+        matchType = similarity.type;
+      }
+    });
+    
+    if (bestMatch) {
+      matches.push({
+        figmaElement: figmaEl,
+        screenshotElement: bestMatch,
+        matchType: matchType,
+        confidence: bestScore
+      });
+      unmatchedScreenshot.splice(bestIndex, 1);
+    } else {
+      unmatchedFigma.push(figmaEl);
+    }
+  });
+  
+  // Second pass: Try to match unmatched Figma elements with combined screenshot elements
+  const stillUnmatchedFigma = [];
+  unmatchedFigma.forEach(figmaEl => {
+    const figmaWords = normalizeText(figmaEl.text).split(' ');
+    
+    // Look for screenshot elements that together might form the Figma text
+    let combinedMatches = [];
+    let combinedText = '';
+    let totalScore = 0;
+    
+    for (let i = 0; i < unmatchedScreenshot.length; i++) {
+      const screenEl = unmatchedScreenshot[i];
+      const screenWords = normalizeText(screenEl.text).split(' ');
+      
+      // Check if this screenshot element contains words from Figma element
+      const hasCommonWords = screenWords.some(sw => figmaWords.includes(sw));
+      
+      if (hasCommonWords) {
+        combinedMatches.push({ element: screenEl, index: i });
+        combinedText += (combinedText ? ' ' : '') + screenEl.text;
+        
+        // Check if combined text now matches Figma text
+        const similarity = textsAreSimilar(figmaEl.text, combinedText, 0.75);
+        if (similarity) {
+          // Create a combined match
+          const combinedBounds = combinedMatches.reduce((bounds, match) => {
+            const el = match.element;
+            return {
+              x: Math.min(bounds.x, el.bounds.x),
+              y: Math.min(bounds.y, el.bounds.y),
+              width: Math.max(bounds.x + bounds.width, el.bounds.x + el.bounds.width) - Math.min(bounds.x, el.bounds.x),
+              height: Math.max(bounds.y + bounds.height, el.bounds.y + el.bounds.height) - Math.min(bounds.y, el.bounds.y)
+            };
+          }, combinedMatches[0].element.bounds);
+          
+          matches.push({
+            figmaElement: figmaEl,
+            screenshotElement: {
+              text: combinedText,
+              bounds: combinedBounds,
+              type: 'combined',
+              confidence: combinedMatches[0].element.confidence
+            },
+            matchType: 'COMBINED',
+            confidence: similarity.score
+          });
+          
+          // Remove matched screenshot elements
+          combinedMatches.reverse().forEach(match => {
+            unmatchedScreenshot.splice(match.index, 1);
+          });
+          
+          return; // Found a match, move to next Figma element
+        }
+      }
+    }
+    
+    // If still no match found, add to unmatched
+    if (combinedMatches.length === 0) {
+      stillUnmatchedFigma.push(figmaEl);
+    }
+  });
+  
+  console.log(`Matching complete: ${matches.length} matches found`);
+  console.log(`Unmatched Figma: ${stillUnmatchedFigma.length}, Unmatched Screenshot: ${unmatchedScreenshot.length}`);
+  
+  return { 
+    matches, 
+    unmatchedFigma: stillUnmatchedFigma, 
+    unmatchedScreenshot 
+  };
+}
+
+// Calculate Levenshtein distance for fuzzy matching
+function levenshteinDistance(str1, str2) {
+  const matrix = [];
+  
+  for (let i = 0; i <= str2.length; i++) {
+    matrix[i] = [i];
+  }
+  
+  for (let j = 0; j <= str1.length; j++) {
+    matrix[0][j] = j;
+  }
+  
+  for (let i = 1; i <= str2.length; i++) {
+    for (let j = 1; j <= str1.length; j++) {
+      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+        matrix[i][j] = matrix[i - 1][j - 1];
+      } else {
+        matrix[i][j] = Math.min(
+          matrix[i - 1][j - 1] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j] + 1
+        );
+      }
+    }
+  }
+  
+  return matrix[str2.length][str1.length];
+}
+
+// Compare colors with tolerance
+function colorsMatch(color1, color2, threshold = 10) {
+  if (!color1 || !color2) return false;
+  
+  // Convert hex to RGB
+  const hex2rgb = hex => {
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+    return result ? {
+      r: parseInt(result[1], 16),
+      g: parseInt(result[2], 16),
+      b: parseInt(result[3], 16)
+    } : null;
+  };
+  
+  const rgb1 = hex2rgb(color1);
+  const rgb2 = hex2rgb(color2);
+  
+  if (!rgb1 || !rgb2) return false;
+  
+  // Calculate color distance (simple Euclidean)
+  const distance = Math.sqrt(
+    Math.pow(rgb1.r - rgb2.r, 2) +
+    Math.pow(rgb1.g - rgb2.g, 2) +
+    Math.pow(rgb1.b - rgb2.b, 2)
+  );
+  
+  return distance <= threshold;
+}
+
+// Compare element properties and generate verdict
+function compareElementProperties(figmaEl, screenshotEl, screenshotColors) {
+  const comparison = {
+    element: figmaEl.text,
+    elementType: 'TEXT',
+    
+    figmaProperties: {
+      text: figmaEl.text,
+      textColor: figmaEl.textColor || 'Not specified',
+      backgroundColor: figmaEl.backgroundColor || 'transparent',
+      fontSize: figmaEl.fontSize,
+      fontFamily: figmaEl.fontFamily
+    },
+    
+    screenshotProperties: {
+      text: screenshotEl.text,
+      textColor: screenshotColors.textColor,
+      backgroundColor: screenshotColors.backgroundColor,
+      fontSize: screenshotEl.fontSize,
+      fontFamily: 'Detected from screenshot'
+    },
+    
+    comparison: {
+      text: figmaEl.text.toLowerCase() === screenshotEl.text.toLowerCase() ? 'MATCHING' : 'NOT MATCHING',
+      textColor: 'CHECKING',
+      backgroundColor: 'CHECKING',
+      fontSize: 'CHECKING'
+    },
+    
+    overallMatch: 'PENDING',
+    issues: [],
+    details: []
+  };
+  
+  // Compare text colors
+  if (figmaEl.textColor && screenshotColors.textColor) {
+    const textColorMatch = colorsMatch(figmaEl.textColor, screenshotColors.textColor, 20);
+    comparison.comparison.textColor = textColorMatch ? 'MATCHING' : 'NOT MATCHING';
+    
+    if (!textColorMatch) {
+      comparison.issues.push('TEXT_COLOR');
+      comparison.details.push(`Text color mismatch - Figma: ${figmaEl.textColor} vs UI: ${screenshotColors.textColor}`);
+    }
+  } else {
+    comparison.comparison.textColor = 'UNABLE TO COMPARE';
+  }
+  
+  // Compare background colors
+  if (figmaEl.backgroundColor && screenshotColors.backgroundColor) {
+    const bgColorMatch = colorsMatch(figmaEl.backgroundColor, screenshotColors.backgroundColor, 20);
+    comparison.comparison.backgroundColor = bgColorMatch ? 'MATCHING' : 'NOT MATCHING';
+    
+    if (!bgColorMatch) {
+      comparison.issues.push('BACKGROUND_COLOR');
+      comparison.details.push(`Background color mismatch - Figma: ${figmaEl.backgroundColor} vs UI: ${screenshotColors.backgroundColor}`);
+    }
+  } else {
+    comparison.comparison.backgroundColor = figmaEl.backgroundColor ? 'UNABLE TO COMPARE' : 'N/A';
+  }
+  
+  // Compare font sizes
+  if (figmaEl.fontSize && screenshotEl.fontSize) {
+    const sizeDiff = Math.abs(figmaEl.fontSize - screenshotEl.fontSize);
+    comparison.comparison.fontSize = sizeDiff <= 2 ? 'MATCHING' : 'NOT MATCHING';
+    
+    if (sizeDiff > 2) {
+      comparison.issues.push('FONT_SIZE');
+      comparison.details.push(`Font size mismatch - Figma: ${figmaEl.fontSize}px vs UI: ${screenshotEl.fontSize}px (estimated)`);
+    }
+  } else {
+    comparison.comparison.fontSize = 'UNABLE TO COMPARE';
+  }
+  
+  // Determine overall match
+  const hasIssues = comparison.issues.length > 0;
+  comparison.overallMatch = hasIssues ? 'NOT MATCHING' : 'MATCHING';
+  
+  if (hasIssues) {
+    comparison.severity = comparison.issues.includes('TEXT_COLOR') || comparison.issues.includes('BACKGROUND_COLOR') 
+      ? 'HIGH' : 'MEDIUM';
+  }
+  
+  return comparison;
+}
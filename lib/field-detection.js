@@ -0,0 +1,191 @@
+import sharp from 'sharp';
+import { cachedDetect } from './ai-cache.js';
+import { getVisionProvider, parseJSONResponse } from './vision-providers.js';
+
+// Helper function to estimate bounds based on position description
+function estimateBounds(element, imageMetadata) {
+  const { width, height } = imageMetadata;
+  
+  // Default sizes based on element type
+  const defaultSizes = {
+    input: { width: 250, height: 40 },
+    button: { width: 120, height: 40 },
+    checkbox: { width: 20, height: 20 },
+    radio: { width: 20, height: 20 },
+    select: { width: 200, height: 40 },
+    textarea: { width: 300, height: 100 },
+    link: { width: 100, height: 30 }
+  };
+  
+  const size = defaultSizes[element.type] || { width: 150, height: 40 };
+  
+  // Try to parse position from notes or use center as default
+  let x = width / 2 - size.width / 2;
+  let y = height / 2 - size.height / 2;
+  
+  // Check if position info is in notes or other fields
+  const positionText = (element.notes || '').toLowerCase();
+  
+  if (positionText.includes('top') || positionText.includes('header')) {
+    y = 50;
+  } else if (positionText.includes('bottom') || positionText.includes('footer')) {
+    y = height - size.height - 50;
+  }
+  
+  if (positionText.includes('left')) {
+    x = 50;
+  } else if (positionText.includes('right')) {
+    x = width - size.width - 50;
+  } else if (positionText.includes('center')) {
+    x = width / 2 - size.width / 2;
+  }
+  
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    width: size.width,
+    height: size.height
+  };
+}
+
+const FIELD_DETECTION_SYSTEM_PROMPT = "You are an expert UI/UX analyst who identifies interactive elements in screenshots. You have excellent vision and can spot all buttons, form fields, and clickable elements. Always respond with ONLY valid JSON - no markdown, no explanations, just the JSON object.";
+
+function fieldDetectionPrompt(metadata) {
+  return `Analyze this UI screenshot and identify ALL interactive elements like form fields, buttons, and links.
+
+IMPORTANT: Focus on detecting elements accurately rather than precise coordinates. The image is ${metadata.width}x${metadata.height} pixels.
+
+For each interactive element you see:
+1. Identify the TYPE (input field, button, checkbox, dropdown, link, etc.)
+2. Note its APPROXIMATE LOCATION (you can describe as "top-left", "center", "bottom-right" or give rough coordinates)
+3. Capture any VISIBLE TEXT (labels, placeholders, button text)
+4. Describe its VISUAL STYLE (colors, borders, if it looks disabled/enabled)
+
+Common elements to look for:
+- Text input fields (username, password, email, search boxes)
+- Buttons (submit, login, register, action buttons)
+- Checkboxes and radio buttons
+- Dropdown/select menus
+- Links and navigation items
+- Text areas for longer input
+- Toggle switches
+- File upload areas
+
+Return ONLY a JSON object with this exact structure:
+{
+"imageInfo": {
+  "width": ${metadata.width},
+  "height": ${metadata.height}
+},
+"detectedElements": [
+  {
+    "type": "input|button|checkbox|radio|select|textarea|link|other",
+    "bounds": {
+      "x": 0,
+      "y": 0,
+      "width": 0,
+      "height": 0
+    },
+    "properties": {
+      "backgroundColor": "#hexcode or transparent",
+      "borderColor": "#hexcode or none",
+      "borderRadius": 0,
+      "borderWidth": 0,
+      "hasShadow": true|false
+    },
+    "text": {
+      "label": "any label text near the field",
+      "placeholder": "placeholder text if visible",
+      "value": "current value if any",
+      "buttonText": "text on buttons"
+    },
+    "state": {
+      "isEnabled": true|false,
+      "hasFocus": true|false,
+      "isChecked": true|false
+    },
+    "confidence": 0.0-1.0,
+    "notes": "any additional observations"
+  }
+],
+"summary": {
+  "totalElements": 0,
+  "elementsByType": {
+    "input": 0,
+    "button": 0,
+    "checkbox": 0,
+    "other": 0
+  },
+  "screenType": "login|register|form|dashboard|other",
+  "observations": "general observations about the UI"
+}
+}`;
+}
+
+// Make sure every detected element has usable bounds inside the image
+function normalizeDetection(detectionResult, metadata) {
+  // Validate and normalize bounds
+  if (detectionResult.detectedElements && Array.isArray(detectionResult.detectedElements)) {
+    console.log(`Detected ${detectionResult.detectedElements.length} elements`);
+    
+    // Process each element to ensure valid bounds
+    detectionResult.detectedElements = detectionResult.detectedElements.map((elem, index) => {
+      // If bounds are missing or invalid, estimate based on position description
+      if (!elem.bounds || typeof elem.bounds.x !== 'number') {
+        console.log(`Element ${index + 1} (${elem.type}) has invalid bounds, estimating...`);
+        
+        // Try to estimate bounds based on position description or set defaults
+        const estimatedBounds = estimateBounds(elem, metadata);
+        elem.bounds = estimatedBounds;
+      }
+      
+      // Ensure bounds are within image dimensions
+      if (elem.bounds) {
+        elem.bounds.x = Math.max(0, Math.min(elem.bounds.x, metadata.width - 10));
+        elem.bounds.y = Math.max(0, Math.min(elem.bounds.y, metadata.height - 10));
+        elem.bounds.width = Math.min(elem.bounds.width || 100, metadata.width - elem.bounds.x);
+        elem.bounds.height = Math.min(elem.bounds.height || 40, metadata.height - elem.bounds.y);
+      }
+      
+      console.log(`  ${index + 1}. ${elem.type} at (${elem.bounds?.x}, ${elem.bounds?.y})`);
+      return elem;
+    });
+  }
+  
+  return detectionResult;
+}
+
+// Detect interactive elements in a screenshot with any registered vision provider
+export async function detectFields(imagePath, { provider: providerName, apiKey, model, cacheMode } = {}) {
+  const provider = getVisionProvider(providerName, { apiKey, model });
+  console.log(`Starting field detection with ${provider.name} (${provider.model})...`);
+  
+  // Get image metadata
+  const metadata = await sharp(imagePath).metadata();
+  console.log(`Image dimensions: ${metadata.width}x${metadata.height}`);
+  
+  const { text: aiResponse, parsed: detection, cache } = await cachedDetect(provider, {
+    imagePath,
+    systemPrompt: FIELD_DETECTION_SYSTEM_PROMPT,
+    prompt: fieldDetectionPrompt(metadata),
+    maxTokens: 4000,
+    temperature: 0.2
+  }, {
+    mode: cacheMode,
+    parse: text => normalizeDetection(parseJSONResponse(text, provider.name), metadata)
+  });
+  console.log(`${provider.name} response received`);
+  
+  return { detection, rawResponse: aiResponse, provider: provider.name, cache };
+}
+
+// Detect interactive elements in a screenshot with OpenAI (or Azure OpenAI when OPENAI_MODE=azure)
+export async function detectFieldsWithOpenAI(imagePath, apiKey, options = {}) {
+  const provider = process.env.OPENAI_MODE === 'azure' ? 'azure' : 'openai';
+  return detectFields(imagePath, { ...options, provider, apiKey });
+}
+
+// Detect interactive elements in a screenshot with Gemini
+export async function detectFieldsWithGemini(imagePath, apiKey, options = {}) {
+  return detectFields(imagePath, { ...options, provider: 'gemini', apiKey });
+}
@@ -0,0 +1,733 @@
+// Compare individual field properties and calculate differences
+export function compareFieldProperties(figmaField, detectedField) {
+  const differences = [];
+  const scores = {
+    position: 1,
+    dimensions: 1,
+    style: 1,
+    content: 1
+  };
+  
+  // 1. Position comparison
+  const figmaPos = figmaField.properties?.position || {};
+  const detectedPos = detectedField.bounds || {};
+  
+  if (figmaPos.x !== undefined && detectedPos.x !== undefined) {
+    const xDiff = Math.abs(figmaPos.x - detectedPos.x);
+    const yDiff = Math.abs(figmaPos.y - detectedPos.y);
+    
+    if (xDiff > 5 || yDiff > 5) {
+      differences.push({
+        property: 'position',
+        expected: `(${figmaPos.x}, ${figmaPos.y})`,
+        detected: `(${detectedPos.x}, ${detectedPos.y})`,
+        difference: `Shifted by ${xDiff}px horizontally, ${yDiff}px vertically`,
+        severity: (xDiff > 20 || yDiff > 20) ? 'major' : 'minor'
+      });
+      
+      // Score based on deviation
+      scores.position = Math.max(0, 1 - (xDiff + yDiff) / 100);
+    }
+  }
+  
+  // 2. Dimensions comparison
+  const figmaDims = figmaField.properties?.dimensions || {};
+  const detectedDims = detectedField.bounds || {};
+  
+  if (figmaDims.width && detectedDims.width) {
+    const widthDiff = Math.abs(figmaDims.width - detectedDims.width);
+    const heightDiff = Math.abs(figmaDims.height - detectedDims.height);
+    
+    if (widthDiff > 5 || heightDiff > 5) {
+      differences.push({
+        property: 'dimensions',
+        expected: `${figmaDims.width}x${figmaDims.height}`,
+        detected: `${detectedDims.width}x${detectedDims.height}`,
+        difference: `Width diff: ${widthDiff}px, Height diff: ${heightDiff}px`,
+        severity: (widthDiff > 20 || heightDiff > 20) ? 'major' : 'minor'
+      });
+      
+      scores.dimensions = Math.max(0, 1 - (widthDiff + heightDiff) / (figmaDims.width + figmaDims.height));
+    }
+  }
+  
+  // 3. Style comparison
+  const figmaStyle = figmaField.properties?.styling || {};
+  const detectedStyle = detectedField.properties || {};
+  
+  // Background color
+  if (figmaStyle.backgroundColor && detectedStyle.backgroundColor) {
+    if (figmaStyle.backgroundColor !== detectedStyle.backgroundColor) {
+      differences.push({
+        property: 'backgroundColor',
+        token: figmaField.tokens?.background || null,
+        expected: figmaStyle.backgroundColor,
+        detected: detectedStyle.backgroundColor,
+        difference: `Color mismatch`,
+        severity: 'minor'
+      });
+      scores.style *= 0.8;
+    }
+  }
+  
+  // Border
+  if (figmaStyle.borderColor !== 'none' || detectedStyle.hasBorder) {
+    if ((figmaStyle.borderColor === 'none' && detectedStyle.hasBorder) ||
+        (figmaStyle.borderColor !== 'none' && !detectedStyle.hasBorder)) {
+      differences.push({
+        property: 'border',
+        token: figmaField.tokens?.border || null,
+        expected: figmaStyle.borderColor !== 'none' ? 'Has border' : 'No border',
+        detected: detectedStyle.hasBorder ? 'Has border' : 'No border',
+        difference: 'Border presence mismatch',
+        severity: 'minor'
+      });
+      scores.style *= 0.9;
+    }
+  }
+  
+  // Border radius
+  if (figmaStyle.borderRadius !== undefined && detectedStyle.borderRadius !== undefined) {
+    const radiusDiff = Math.abs(figmaStyle.borderRadius - detectedStyle.borderRadius);
+    if (radiusDiff > 2) {
+      differences.push({
+        property: 'borderRadius',
+        expected: `${figmaStyle.borderRadius}px`,
+        detected: `${detectedStyle.borderRadius}px`,
+        difference: `Radius differs by ${radiusDiff}px`,
+        severity: radiusDiff > 5 ? 'minor' : 'trivial'
+      });
+      scores.style *= (1 - radiusDiff / 20);
+    }
+  }
+  
+  // 4. Content comparison (placeholder, label, button text)
+  if (figmaField.type === 'button' && detectedStyle.buttonText) {
+    const expectedText = figmaField.name || figmaField.label || '';
+    if (expectedText && detectedStyle.buttonText && 
+        expectedText.toLowerCase() !== detectedStyle.buttonText.toLowerCase()) {
+      differences.push({
+        property: 'buttonText',
+        expected: expectedText,
+        detected: detectedStyle.buttonText,
+        difference: 'Button text mismatch',
+        severity: 'major'
+      });
+      scores.content = 0.5;
+    }
+  }
+  
+  if (figmaField.placeholder && detectedStyle.placeholderText) {
+    if (figmaField.placeholder.toLowerCase() !== detectedStyle.placeholderText.toLowerCase()) {
+      differences.push({
+        property: 'placeholder',
+        expected: figmaField.placeholder,
+        detected: detectedStyle.placeholderText,
+        difference: 'Placeholder text mismatch',
+        severity: 'minor'
+      });
+      scores.content *= 0.8;
+    }
+  }
+  
+  // Calculate overall score
+  const overallScore = (scores.position + scores.dimensions + scores.style + scores.content) / 4;
+  
+  // Every difference names the component the field instantiates
+  differences.forEach(difference => {
+    difference.component = figmaField.component || null;
+  });
+  
+  return {
+    fieldName: figmaField.name,
+    fieldType: figmaField.type,
+    component: figmaField.component || null,
+    differences: differences,
+    scores: scores,
+    overallScore: overallScore,
+    matchQuality: overallScore > 0.9 ? 'excellent' : 
+                  overallScore > 0.7 ? 'good' : 
+                  overallScore > 0.5 ? 'fair' : 'poor'
+  };
+}
+
+// Map Figma fields to AI-detected fields
+export function mapFieldsToDetected(figmaFields, detectedFields, screenDimensions) {
+  if (!figmaFields || !detectedFields || figmaFields.length === 0 || detectedFields.length === 0) {
+    return {
+      mappings: [],
+      unmatchedFigma: figmaFields || [],
+      unmatchedDetected: detectedFields || [],
+      overallScore: 0
+    };
+  }
+  
+  const mappings = [];
+  const usedDetectedIndices = new Set();
+  
+  // Calculate position tolerance based on screen dimensions
+  const positionToleranceX = screenDimensions ? screenDimensions.width * 0.1 : 50; // 10% of width
+  const positionToleranceY = screenDimensions ? screenDimensions.height * 0.05 : 30; // 5% of height
+  
+  // For each Figma field, find the best matching detected field
+  figmaFields.forEach((figmaField, figmaIndex) => {
+    let bestMatch = null;
+    let bestScore = 0;
+    let bestDetectedIndex = -1;
+    
+    detectedFields.forEach((detectedField, detectedIndex) => {
+      // Skip if already matched
+      if (usedDetectedIndices.has(detectedIndex)) return;
+      
+      // Calculate match score based on multiple factors
+      let score = 0;
+      const scoreDetails = {
+        position: 0,
+        type: 0,
+        dimensions: 0,
+        style: 0
+      };
+      
+      // 1. Position matching (40% weight)
+      const figmaPos = figmaField.properties?.position || {};
+      const detectedPos = detectedField.bounds || {};
+      
+      if (figmaPos.x !== undefined && detectedPos.x !== undefined) {
+        const xDiff = Math.abs(figmaPos.x - detectedPos.x);
+        const yDiff = Math.abs(figmaPos.y - detectedPos.y);
+        
+        if (xDiff <= positionToleranceX && yDiff <= positionToleranceY) {
+          // Calculate position score based on proximity
+          const xScore = 1 - (xDiff / positionToleranceX);
+          const yScore = 1 - (yDiff / positionToleranceY);
+          scoreDetails.position = (xScore + yScore) / 2 * 0.4;
+          score += scoreDetails.position;
+        }
+      }
+      
+      // 2. Type matching (30% weight)
+      if (figmaField.type && detectedField.type) {
+        // Direct type match
+        if (figmaField.type === detectedField.type) {
+          scoreDetails.type = 0.3;
+        }
+        // Compatible types
+        else if (
+          (figmaField.type === 'input' && ['input', 'email', 'password', 'text'].includes(detectedField.type)) ||
+          (figmaField.type === 'button' && detectedField.type === 'button')
+        ) {
+          scoreDetails.type = 0.2;
+        }
+        score += scoreDetails.type;
+      }
+      
+      // 3. Dimension matching (20% weight)
+      const figmaDims = figmaField.properties?.dimensions || {};
+      const detectedDims = detectedField.bounds || {};
+      
+      if (figmaDims.width && detectedDims.width) {
+        const widthRatio = Math.min(figmaDims.width, detectedDims.width) / 
+                          Math.max(figmaDims.width, detectedDims.width);
+        const heightRatio = Math.min(figmaDims.height, detectedDims.height) / 
+                           Math.max(figmaDims.height, detectedDims.height);
+        
+        // Accept if dimensions are within 20% of each other
+        if (widthRatio > 0.8 && heightRatio > 0.8) {
+          scoreDetails.dimensions = ((widthRatio + heightRatio) / 2 - 0.8) * 0.2 / 0.2;
+          score += scoreDetails.dimensions;
+        }
+      }
+      
+      // 4. Style matching (10% weight)
+      const figmaStyle = figmaField.properties?.styling || {};
+      const detectedStyle = detectedField.properties || {};
+      
+      let styleMatches = 0;
+      let styleChecks = 0;
+      
+      // Check border
+      if (figmaStyle.borderColor && detectedStyle.borderColor) {
+        styleChecks++;
+        if (figmaStyle.borderColor === detectedStyle.borderColor || 
+            (figmaStyle.borderColor !== 'none' && detectedStyle.hasBorder)) {
+          styleMatches++;
+        }
+      }
+      
+      // Check border radius
+      if (figmaStyle.borderRadius !== undefined && detectedStyle.borderRadius !== undefined) {
+        styleChecks++;
+        if (Math.abs(figmaStyle.borderRadius - detectedStyle.borderRadius) < 5) {
+          styleMatches++;
+        }
+      }
+      
+      if (styleChecks > 0) {
+        scoreDetails.style = (styleMatches / styleChecks) * 0.1;
+        score += scoreDetails.style;
+      }
+      
+      // Update best match if this is better
+      if (score > bestScore && score > 0.3) { // Minimum threshold of 30%
+        bestScore = score;
+        bestMatch = {
+          figmaField: figmaField,
+          figmaIndex: figmaIndex,
+          detectedField: detectedField,
+          detectedIndex: detectedIndex,
+          matchScore: score,
+          scoreDetails: scoreDetails,
+          positionDiff: {
+            x: Math.abs((figmaPos.x || 0) - (detectedPos.x || 0)),
+            y: Math.abs((figmaPos.y || 0) - (detectedPos.y || 0))
+          }
+        };
+        bestDetectedIndex = detectedIndex;
+      }
+    });
+    
+    // Add the best match if found
+    if (bestMatch) {
+      // Perform detailed field comparison
+      const fieldComparison = compareFieldProperties(
+        bestMatch.figmaField,
+        bestMatch.detectedField
+      );
+      bestMatch.comparison = fieldComparison;
+      
+      mappings.push(bestMatch);
+      usedDetectedIndices.add(bestDetectedIndex);
+    }
+  });
+  
+  // Find unmatched fields
+  const matchedFigmaIndices = new Set(mappings.map(m => m.figmaIndex));
+  const unmatchedFigma = figmaFields.filter((_, index) => !matchedFigmaIndices.has(index));
+  const unmatchedDetected = detectedFields.filter((_, index) => !usedDetectedIndices.has(index));
+  
+  // Calculate overall score
+  const overallScore = figmaFields.length > 0 ? 
+    (mappings.reduce((sum, m) => sum + m.matchScore, 0) / figmaFields.length) : 0;
+  
+  return {
+    mappings: mappings,
+    unmatchedFigma: unmatchedFigma,
+    unmatchedDetected: unmatchedDetected,
+    overallScore: overallScore,
+    summary: {
+      totalFigmaFields: figmaFields.length,
+      totalDetectedFields: detectedFields.length,
+      successfulMatches: mappings.length,
+      matchRate: figmaFields.length > 0 ? (mappings.length / figmaFields.length) : 0
+    }
+  };
+}
+
+// Extract field elements from a comprehensive JSON response
+function extractFieldElementsFromJSON(jsonData) {
+  // Check if it's a field detection response
+  if (jsonData.detectedElements && Array.isArray(jsonData.detectedElements)) {
+    return jsonData.detectedElements;
+  }
+  
+  // Check if it's an analysis response with detected fields
+  if (jsonData.detectedFields && Array.isArray(jsonData.detectedFields)) {
+    return jsonData.detectedFields;
+  }
+  
+  // Check for nested field detection results
+  if (jsonData.fieldAnalysis?.detectedElements) {
+    return jsonData.fieldAnalysis.detectedElements;
+  }
+  
+  // Look for form fields in properties
+  if (jsonData.properties?.formFields && jsonData.properties.formFields.length > 0) {
+    console.log(`extractFieldElementsFromJSON: Found ${jsonData.properties.formFields.length} form fields in properties`);
+    // Convert form fields to detected elements format
+    return jsonData.properties.formFields.map(field => ({
+      type: field.type,
+      bounds: {
+        x: field.properties?.position?.x || 0,
+        y: field.properties?.position?.y || 0,
+        width: field.properties?.dimensions?.width || 0,
+        height: field.properties?.dimensions?.height || 0
+      },
+      properties: {
+        backgroundColor: field.properties?.styling?.backgroundColor,
+        borderColor: field.properties?.styling?.borderColor,
+        borderRadius: field.properties?.styling?.borderRadius,
+        borderWidth: field.properties?.styling?.borderWidth,
+        hasShadow: field.properties?.styling?.hasShadow
+      },
+      text: {
+        label: field.label,
+        placeholder: field.placeholder,
+        value: field.value,
+        buttonText: field.type === 'button' ? field.name : undefined
+      },
+      state: {
+        isEnabled: true,
+        hasFocus: false,
+        isChecked: field.type === 'checkbox' ? false : undefined
+      },
+      confidence: 1.0,
+      name: field.name,
+      properties: field.properties
+    }));
+  }
+  
+  // Also check if formFields is at the root level
+  if (jsonData.formFields && Array.isArray(jsonData.formFields) && jsonData.formFields.length > 0) {
+    console.log(`extractFieldElementsFromJSON: Found ${jsonData.formFields.length} form fields at root level`);
+    return jsonData.formFields.map(field => ({
+      type: field.type || 'input',
+      bounds: {
+        x: field.properties?.position?.x || field.x || 0,
+        y: field.properties?.position?.y || field.y || 0,
+        width: field.properties?.dimensions?.width || field.width || 100,
+        height: field.properties?.dimensions?.height || field.height || 40
+      },
+      properties: field.properties?.styling || field.style || {},
+      text: {
+        label: field.label || field.name || '',
+        placeholder: field.placeholder || '',
+        value: field.value || '',
+        buttonText: field.type === 'button' ? field.name : undefined
+      },
+      name: field.name || field.label || 'Unknown Field',
+      properties: field.properties
+    }));
+  }
+  
+  return [];
+}
+
+// Compare field detection results between two sources
+export function compareFieldDetectionResults(source1Data, source2Data, source1Name = 'Source 1', source2Name = 'Source 2') {
+  console.log('\n=== Field Comparison Debug ===');
+  console.log('Source1 data type:', typeof source1Data);
+  console.log('Source1 keys:', source1Data ? Object.keys(source1Data).slice(0, 10) : 'null');
+  console.log('Source2 data type:', typeof source2Data);
+  console.log('Source2 keys:', source2Data ? Object.keys(source2Data).slice(0, 10) : 'null');
+  
+  // Extract field elements from both sources
+  const fields1 = extractFieldElementsFromJSON(source1Data);
+  const fields2 = extractFieldElementsFromJSON(source2Data);
+  
+  console.log(`Comparing fields - ${source1Name}: ${fields1.length} fields, ${source2Name}: ${fields2.length} fields`);
+  
+  if (fields1.length === 0) {
+    console.log('No fields extracted from source1. Checking structure...');
+    console.log('source1Data.properties exists?', !!source1Data.properties);
+    console.log('source1Data.properties.formFields exists?', !!source1Data.properties?.formFields);
+    console.log('source1Data.formFields exists?', !!source1Data.formFields);
+  }
+  
+  const comparison = {
+    summary: {
+      source1: {
+        name: source1Name,
+        totalFields: fields1.length,
+        fieldTypes: {}
+      },
+      source2: {
+        name: source2Name,
+        totalFields: fields2.length,
+        fieldTypes: {}
+      },
+      matches: {
+        total: 0,
+        byType: {},
+        averageAccuracy: 0
+      }
+    },
+    fieldMatches: [],
+    unmatchedSource1: [],
+    unmatchedSource2: [],
+    accuracyMetrics: {
+      positionAccuracy: 0,
+      dimensionAccuracy: 0,
+      styleAccuracy: 0,
+      typeAccuracy: 0,
+      overallAccuracy: 0
+    }
+  };
+  
+  // Count field types
+  fields1.forEach(field => {
+    comparison.summary.source1.fieldTypes[field.type] = (comparison.summary.source1.fieldTypes[field.type] || 0) + 1;
+  });
+  
+  fields2.forEach(field => {
+    comparison.summary.source2.fieldTypes[field.type] = (comparison.summary.source2.fieldTypes[field.type] || 0) + 1;
+  });
+  
+  // Match fields between sources
+  const usedIndices2 = new Set();
+  const matchScores = [];
+  
+  fields1.forEach((field1, idx1) => {
+    let bestMatch = null;
+    let bestScore = 0;
+    let bestIdx2 = -1;
+    
+    fields2.forEach((field2, idx2) => {
+      if (usedIndices2.has(idx2)) return;
+      
+      // Calculate match score
+      let score = 0;
+      const scoreBreakdown = {};
+      
+      // Type matching (30% weight)
+      if (field1.type === field2.type) {
+        score += 0.3;
+        scoreBreakdown.type = 1.0;
+      } else {
+        scoreBreakdown.type = 0.0;
+      }
+      
+      // Position matching (30% weight)
+      if (field1.bounds && field2.bounds) {
+        const xDiff = Math.abs((field1.bounds.x || 0) - (field2.bounds.x || 0));
+        const yDiff = Math.abs((field1.bounds.y || 0) - (field2.bounds.y || 0));
+        const positionScore = Math.max(0, 1 - (xDiff + yDiff) / 200);
+        score += positionScore * 0.3;
+        scoreBreakdown.position = positionScore;
+      }
+      
+      // Dimension matching (20% weight)
+      if (field1.bounds && field2.bounds) {
+        const widthDiff = Math.abs((field1.bounds.width || 0) - (field2.bounds.width || 0));
+        const heightDiff = Math.abs((field1.bounds.height || 0) - (field2.bounds.height || 0));
+        const dimensionScore = Math.max(0, 1 - (widthDiff + heightDiff) / 200);
+        score += dimensionScore * 0.2;
+        scoreBreakdown.dimension = dimensionScore;
+      }
+      
+      // Style matching (10% weight)
+      let styleScore = 0;
+      let styleChecks = 0;
+      
+      if (field1.properties && field2.properties) {
+        // Background color
+        if (field1.properties.backgroundColor && field2.properties.backgroundColor) {
+          styleChecks++;
+          if (field1.properties.backgroundColor === field2.properties.backgroundColor) {
+            styleScore++;
+          }
+        }
+        
+        // Border
+        if (field1.properties.borderColor !== undefined && field2.properties.borderColor !== undefined) {
+          styleChecks++;
+          if (field1.properties.borderColor === field2.properties.borderColor) {
+            styleScore++;
+          }
+        }
+        
+        // Border radius
+        if (field1.properties.borderRadius !== undefined && field2.properties.borderRadius !== undefined) {
+          styleChecks++;
+          if (Math.abs(field1.properties.borderRadius - field2.properties.borderRadius) < 3) {
+            styleScore++;
+          }
+        }
+      }
+      
+      if (styleChecks > 0) {
+        const styleRatio = styleScore / styleChecks;
+        score += styleRatio * 0.1;
+        scoreBreakdown.style = styleRatio;
+      }
+      
+      // Text matching (10% weight)
+      let textScore = 0;
+      let textChecks = 0;
+      
+      if (field1.text && field2.text) {
+        // Check button text
+        if (field1.text.buttonText && field2.text.buttonText) {
+          textChecks++;
+          if (field1.text.buttonText.toLowerCase() === field2.text.buttonText.toLowerCase()) {
+            textScore++;
+          }
+        }
+        
+        // Check placeholder
+        if (field1.text.placeholder && field2.text.placeholder) {
+          textChecks++;
+          if (field1.text.placeholder.toLowerCase() === field2.text.placeholder.toLowerCase()) {
+            textScore++;
+          }
+        }
+        
+        // Check label
+        if (field1.text.label && field2.text.label) {
+          textChecks++;
+          if (field1.text.label.toLowerCase() === field2.text.label.toLowerCase()) {
+            textScore++;
+          }
+        }
+      }
+      
+      if (textChecks > 0) {
+        const textRatio = textScore / textChecks;
+        score += textRatio * 0.1;
+        scoreBreakdown.text = textRatio;
+      }
+      
+      if (score > bestScore && score > 0.3) {
+        bestScore = score;
+        bestMatch = {
+          field1: field1,
+          field2: field2,
+          score: score,
+          scoreBreakdown: scoreBreakdown
+        };
+        bestIdx2 = idx2;
+      }
+    });
+    
+    if (bestMatch) {
+      usedIndices2.add(bestIdx2);
+      comparison.fieldMatches.push({
+        source1Field: bestMatch.field1,
+        source2Field: bestMatch.field2,
+        matchScore: bestMatch.score,
+        scoreBreakdown: bestMatch.scoreBreakdown,
+        differences: calculateFieldDifferences(bestMatch.field1, bestMatch.field2)
+      });
+      
+      // Track match scores for accuracy calculation
+      matchScores.push(bestMatch.scoreBreakdown);
+      
+      // Update match count by type
+      const fieldType = bestMatch.field1.type;
+      comparison.summary.matches.byType[fieldType] = (comparison.summary.matches.byType[fieldType] || 0) + 1;
+    } else {
+      comparison.unmatchedSource1.push(field1);
+    }
+  });
+  
+  // Find unmatched fields from source 2
+  fields2.forEach((field2, idx2) => {
+    if (!usedIndices2.has(idx2)) {
+      comparison.unmatchedSource2.push(field2);
+    }
+  });
+  
+  // Calculate accuracy metrics
+  if (matchScores.length > 0) {
+    comparison.accuracyMetrics.positionAccuracy = 
+      matchScores.reduce((sum, s) => sum + (s.position || 0), 0) / matchScores.length;
+    comparison.accuracyMetrics.dimensionAccuracy = 
+      matchScores.reduce((sum, s) => sum + (s.dimension || 0), 0) / matchScores.length;
+    comparison.accuracyMetrics.styleAccuracy = 
+      matchScores.reduce((sum, s) => sum + (s.style || 0), 0) / matchScores.length;
+    comparison.accuracyMetrics.typeAccuracy = 
+      matchScores.reduce((sum, s) => sum + (s.type || 0), 0) / matchScores.length;
+    
+    comparison.accuracyMetrics.overallAccuracy = 
+      (comparison.accuracyMetrics.positionAccuracy * 0.3 +
+       comparison.accuracyMetrics.dimensionAccuracy * 0.2 +
+       comparison.accuracyMetrics.styleAccuracy * 0.1 +
+       comparison.accuracyMetrics.typeAccuracy * 0.3 +
+       (matchScores.reduce((sum, s) => sum + (s.text || 0), 0) / matchScores.length) * 0.1);
+  }
+  
+  comparison.summary.matches.total = comparison.fieldMatches.length;
+  comparison.summary.matches.averageAccuracy = comparison.accuracyMetrics.overallAccuracy;
+  
+  return comparison;
+}
+
+// Calculate specific differences between two fields
+function calculateFieldDifferences(field1, field2) {
+  const differences = [];
+  
+  // Position differences
+  if (field1.bounds && field2.bounds) {
+    const xDiff = Math.abs((field1.bounds.x || 0) - (field2.bounds.x || 0));
+    const yDiff = Math.abs((field1.bounds.y || 0) - (field2.bounds.y || 0));
+    
+    if (xDiff > 0 || yDiff > 0) {
+      differences.push({
+        property: 'position',
+        source1: `(${field1.bounds.x}, ${field1.bounds.y})`,
+        source2: `(${field2.bounds.x}, ${field2.bounds.y})`,
+        difference: `${xDiff}px horizontal, ${yDiff}px vertical`
+      });
+    }
+    
+    // Dimension differences
+    const widthDiff = Math.abs((field1.bounds.width || 0) - (field2.bounds.width || 0));
+    const heightDiff = Math.abs((field1.bounds.height || 0) - (field2.bounds.height || 0));
+    
+    if (widthDiff > 0 || heightDiff > 0) {
+      differences.push({
+        property: 'dimensions',
+        source1: `${field1.bounds.width}x${field1.bounds.height}`,
+        source2: `${field2.bounds.width}x${field2.bounds.height}`,
+        difference: `${widthDiff}px width, ${heightDiff}px height`
+      });
+    }
+  }
+  
+  // Style differences
+  if (field1.properties && field2.properties) {
+    if (field1.properties.backgroundColor !== field2.properties.backgroundColor) {
+      differences.push({
+        property: 'backgroundColor',
+        source1: field1.properties.backgroundColor || 'none',
+        source2: field2.properties.backgroundColor || 'none'
+      });
+    }
+    
+    if (field1.properties.borderColor !== field2.properties.borderColor) {
+      differences.push({
+        property: 'borderColor',
+        source1: field1.properties.borderColor || 'none',
+        source2: field2.properties.borderColor || 'none'
+      });
+    }
+    
+    const radiusDiff = Math.abs((field1.properties.borderRadius || 0) - (field2.properties.borderRadius || 0));
+    if (radiusDiff > 0) {
+      differences.push({
+        property: 'borderRadius',
+        source1: `${field1.properties.borderRadius}px`,
+        source2: `${field2.properties.borderRadius}px`,
+        difference: `${radiusDiff}px`
+      });
+    }
+  }
+  
+  // Text differences
+  if (field1.text && field2.text) {
+    if (field1.text.buttonText !== field2.text.buttonText) {
+      differences.push({
+        property: 'buttonText',
+        source1: field1.text.buttonText || 'none',
+        source2: field2.text.buttonText || 'none'
+      });
+    }
+    
+    if (field1.text.placeholder !== field2.text.placeholder) {
+      differences.push({
+        property: 'placeholder',
+        source1: field1.text.placeholder || 'none',
+        source2: field2.text.placeholder || 'none'
+      });
+    }
+    
+    if (field1.text.label !== field2.text.label) {
+      differences.push({
+        property: 'label',
+        source1: field1.text.label || 'none',
+        source2: field2.text.label || 'none'
+      });
+    }
+  }
+  
+  return differences;
+}
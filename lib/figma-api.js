@@ -0,0 +1,360 @@
+import path from 'path';
+import fs from 'fs';
+import { FIGMA_API_BASE_URL, PROXY_URL, proxyAgent, figmaRendersDir, resolveOutput } from './config.js';
+import { extractFigmaProperties } from './shared/figma-properties.js';
+
+// Build an error carrying the HTTP status and body the Figma proxy should respond with
+function figmaFetchError(status, body) {
+  const error = new Error(body.error);
+  error.status = status;
+  error.body = body;
+  return error;
+}
+
+// Rendered images of unpinned ("latest") versions are re-requested after this long
+const LATEST_RENDER_TTL_MS = (parseInt(process.env.FIGMA_RENDER_TTL_MINUTES) || 60) * 60 * 1000;
+
+function rendersDir() {
+  return process.env.FIGMA_RENDERS_DIR || figmaRendersDir;
+}
+
+// Links use 1-2, the API uses 1:2
+function toApiNodeId(nodeId) {
+  return nodeId.replace('-', ':');
+}
+
+// GET a Figma API URL, or a rendered image URL when no token/cookie is given
+async function figmaGet(url, { token, cookie, useProxy = false, what = 'Figma design' }) {
+  const fetchOptions = { headers: {} };
+  if (token) {
+    fetchOptions.headers['X-Figma-Token'] = token;
+    fetchOptions.headers['Content-Type'] = 'application/json';
+  }
+  
+  // Add cookie if provided (convert X-Figma-Cookie to Cookie)
+  if (cookie) {
+    fetchOptions.headers['Cookie'] = cookie;
+  }
+  
+  // Only use proxy if requested
+  if (useProxy) {
+    console.log(`Fetching ${what} via proxy: ${PROXY_URL}`);
+    fetchOptions.agent = proxyAgent;
+  } else {
+    console.log(`Fetching ${what} directly (no proxy)`);
+  }
+  console.log(`Request URL: ${url}`);
+  
+  let response;
+  try {
+    response = await fetch(url, fetchOptions);
+  } catch (fetchError) {
+    console.error('Fetch error:', fetchError);
+    
+    if (useProxy && fetchError.cause?.code === 'UND_ERR_CONNECT_TIMEOUT') {
+      throw figmaFetchError(504, { 
+        error: 'Proxy connection timeout. Please check if you are on the corporate network or disable proxy.',
+        details: `Could not connect to proxy: ${PROXY_URL}`,
+        suggestion: 'Try unchecking "Use corporate proxy" if you are not on the corporate network.'
+      });
+    }
+    
+    throw figmaFetchError(500, { 
+      error: 'Failed to connect to Figma API',
+      details: fetchError.message
+    });
+  }
+  
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({}));
+    throw figmaFetchError(response.status, { error: error.err || `Failed to fetch ${what}` });
+  }
+  
+  return response;
+}
+
+function withVersion(url, version) {
+  return version ? `${url}${url.includes('?') ? '&' : '?'}version=${encodeURIComponent(version)}` : url;
+}
+
+// Extract the properties of a fetched node or file, in the shape /figma/fetch returns.
+// design keeps the response's styles, components and componentSets maps next to the document
+// (the node-response shape for nodes), so token and component names resolve from it later.
+function designResult(design, data) {
+  console.log(`Extracting properties from Figma node "${design.name}"...`);
+  const properties = extractFigmaProperties(design);
+  console.log(`Extracted ${properties.formFields?.length || 0} form fields from Figma`);
+  
+  return { 
+    design,
+    properties: properties,
+    formFields: properties.formFields || [],
+    version: data.version || null,
+    lastModified: data.lastModified || null
+  };
+}
+
+// Fetch a Figma file or node and extract its properties.
+// version pins a file version id (from GET /v1/files/:key/versions); the latest version otherwise.
+export async function fetchFigmaDesign({ fileKey, nodeId, token, cookie, version, useProxy = false, baseUrl = FIGMA_API_BASE_URL }) {
+  if (nodeId) {
+    const result = await fetchFigmaNodes({ fileKey, nodeIds: [nodeId], token, cookie, version, useProxy, baseUrl });
+    const [node] = result.nodes;
+    return {
+      design: node.design,
+      properties: node.properties,
+      formFields: node.formFields,
+      version: result.version,
+      lastModified: result.lastModified
+    };
+  }
+  
+  const response = await figmaGet(withVersion(`${baseUrl}/v1/files/${fileKey}`, version), { token, cookie, useProxy });
+  const data = await response.json();
+  
+  // Log for debugging
+  console.log('Figma API response structure:', Object.keys(data));
+  
+  if (!data.document) {
+    throw figmaFetchError(404, { error: 'No design data found' });
+  }
+  return designResult({
+    name: data.name || data.document.name,
+    document: data.document,
+    styles: data.styles || {},
+    components: data.components || {},
+    componentSets: data.componentSets || {}
+  }, data);
+}
+
+// Fetch several nodes of a file in one request (GET /v1/files/:key/nodes?ids=a,b).
+// Node ids may use the link (1-2) or API (1:2) form. Ids Figma does not know are listed in
+// `missing`; when none are found the request fails with 404.
+// Returns { nodes: [{ nodeId, name, design, properties, formFields, version, lastModified }], missing, version, lastModified }.
+export async function fetchFigmaNodes({ fileKey, nodeIds, token, cookie, version, useProxy = false, baseUrl = FIGMA_API_BASE_URL }) {
+  const apiNodeIds = [...new Set((nodeIds || []).map(nodeId => toApiNodeId(String(nodeId).trim())).filter(Boolean))];
+  if (!fileKey || apiNodeIds.length === 0) {
+    throw figmaFetchError(400, { error: 'fileKey and at least one node id are required' });
+  }
+  
+  const url = withVersion(`${baseUrl}/v1/files/${fileKey}/nodes?ids=${apiNodeIds.map(encodeURIComponent).join(',')}`, version);
+  const response = await figmaGet(url, { token, cookie, useProxy });
+  const data = await response.json();
+  
+  // Unknown ids come back as null entries
+  const nodes = [];
+  const missing = [];
+  apiNodeIds.forEach(apiNodeId => {
+    const node = data.nodes?.[apiNodeId];
+    if (!node) {
+      missing.push(apiNodeId);
+      return;
+    }
+    const nodeData = node.document || node;
+    const design = {
+      name: nodeData.name,
+      nodes: {
+        [apiNodeId]: {
+          document: nodeData,
+          styles: node.styles || {},
+          components: node.components || {},
+          componentSets: node.componentSets || {}
+        }
+      }
+    };
+    nodes.push({ nodeId: apiNodeId, name: nodeData.name || null, ...designResult(design, data) });
+  });
+  
+  if (nodes.length === 0) {
+    throw figmaFetchError(404, {
+      error: `Node${missing.length > 1 ? 's' : ''} ${missing.join(', ')} not found in file ${fileKey}`,
+      missing
+    });
+  }
+  if (missing.length > 0) {
+    console.warn(`Figma nodes not found: ${missing.join(', ')}`);
+  }
+  
+  return {
+    nodes,
+    missing,
+    version: data.version || null,
+    lastModified: data.lastModified || null
+  };
+}
+
+// Container types whose children are listed as frames in the picker (sections group frames)
+const FRAME_TYPES = ['FRAME', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'GROUP'];
+// The images endpoint renders this many ids per request
+const THUMBNAIL_BATCH_SIZE = 50;
+
+// Pages -> top-level frames of a file, for picking the node to analyze.
+// Frames inside sections are listed with their section name. Thumbnails are rendered by the
+// images endpoint at thumbnailScale (default 0.25) and link to Figma's CDN; they expire after
+// a while and are null when rendering fails.
+// Returns { fileKey, name, version, lastModified, frameCount, pages: [{ id, name, frames: [...] }] }.
+export async function fetchFigmaFrames({
+  fileKey,
+  token,
+  cookie,
+  version,
+  useProxy = false,
+  thumbnails = true,
+  thumbnailScale = 0.25,
+  baseUrl = FIGMA_API_BASE_URL
+}) {
+  if (!fileKey) {
+    throw figmaFetchError(400, { error: 'fileKey is required to list frames' });
+  }
+  const scale = parseFloat(thumbnailScale);
+  if (isNaN(scale) || scale < 0.01 || scale > 4) {
+    throw figmaFetchError(400, { error: `Invalid thumbnailScale: ${thumbnailScale}. Use a number between 0.01 and 4` });
+  }
+  
+  // depth=3: pages, their top-level nodes, and the frames inside sections
+  const response = await figmaGet(withVersion(`${baseUrl}/v1/files/${fileKey}?depth=3`, version), { token, cookie, useProxy, what: 'Figma file tree' });
+  const data = await response.json();
+  if (!data.document) {
+    throw figmaFetchError(404, { error: 'No design data found' });
+  }
+  
+  const frameEntry = (node, section) => ({
+    id: node.id,
+    // node-id as it appears in Figma links
+    linkNodeId: node.id.replace(':', '-'),
+    name: node.name,
+    type: node.type,
+    section: section ? section.name : null,
+    width: node.absoluteBoundingBox ? Math.round(node.absoluteBoundingBox.width) : null,
+    height: node.absoluteBoundingBox ? Math.round(node.absoluteBoundingBox.height) : null,
+    thumbnail: null
+  });
+  
+  const pages = (data.document.children || []).map(page => {
+    const frames = [];
+    (page.children || []).forEach(node => {
+      if (node.type === 'SECTION') {
+        (node.children || []).filter(child => FRAME_TYPES.includes(child.type)).forEach(child => frames.push(frameEntry(child, node)));
+      } else if (FRAME_TYPES.includes(node.type)) {
+        frames.push(frameEntry(node, null));
+      }
+    });
+    return { id: page.id, name: page.name, frames };
+  });
+  
+  const allFrames = pages.flatMap(page => page.frames);
+  console.log(`Found ${allFrames.length} frame(s) on ${pages.length} page(s) of ${data.name || fileKey}`);
+  
+  if (thumbnails && allFrames.length > 0) {
+    for (let start = 0; start < allFrames.length; start += THUMBNAIL_BATCH_SIZE) {
+      const batch = allFrames.slice(start, start + THUMBNAIL_BATCH_SIZE);
+      const url = withVersion(`${baseUrl}/v1/images/${fileKey}?ids=${batch.map(frame => encodeURIComponent(frame.id)).join(',')}&scale=${scale}&format=png`, version);
+      try {
+        const imagesResponse = await figmaGet(url, { token, cookie, useProxy, what: 'frame thumbnails' });
+        const images = (await imagesResponse.json()).images || {};
+        batch.forEach(frame => {
+          frame.thumbnail = images[frame.id] || null;
+        });
+      } catch (error) {
+        // The tree is still useful without thumbnails
+        console.warn('Could not render frame thumbnails:', error.message);
+      }
+    }
+  }
+  
+  return {
+    fileKey,
+    name: data.name || null,
+    version: data.version || null,
+    lastModified: data.lastModified || null,
+    frameCount: allFrames.length,
+    pages
+  };
+}
+
+function renderCachePath({ fileKey, nodeId, scale, version }) {
+  const safe = value => String(value).replace(/[^a-zA-Z0-9.]/g, '-');
+  return path.join(rendersDir(), `${safe(fileKey)}_${safe(toApiNodeId(nodeId))}_${safe(version || 'latest')}@${scale}x.png`);
+}
+
+// Render a node to PNG with the Figma images endpoint (GET /v1/images/:fileKey) and cache it
+// in figma-renders/ (or FIGMA_RENDERS_DIR). Renders of a pinned version are reused forever,
+// "latest" renders for FIGMA_RENDER_TTL_MINUTES (default 60); refresh forces a new render.
+// With options.outputDir the render is copied there (pipelines write derived images next to it).
+// Returns { path, cachePath, cached, fileKey, nodeId, scale, version, renderedAt }.
+export async function renderFigmaNode({
+  fileKey,
+  nodeId,
+  token,
+  cookie,
+  scale = 1,
+  version,
+  useProxy = false,
+  refresh = false,
+  baseUrl = FIGMA_API_BASE_URL
+}, options = {}) {
+  if (!fileKey || !nodeId) {
+    throw figmaFetchError(400, { error: 'fileKey and nodeId are required to render a Figma node' });
+  }
+  const renderScale = parseFloat(scale);
+  // The images endpoint accepts scales between 0.01 and 4
+  if (isNaN(renderScale) || renderScale < 0.01 || renderScale > 4) {
+    throw figmaFetchError(400, { error: `Invalid scale: ${scale}. Use a number between 0.01 and 4` });
+  }
+
+  const cachePath = renderCachePath({ fileKey, nodeId, scale: renderScale, version });
+  let cached = false;
+  if (!refresh && fs.existsSync(cachePath)) {
+    const age = Date.now() - fs.statSync(cachePath).mtimeMs;
+    cached = Boolean(version) || age < LATEST_RENDER_TTL_MS;
+  }
+
+  if (cached) {
+    console.log(`Using cached Figma render ${path.basename(cachePath)}`);
+  } else {
+    if (!token) {
+      throw figmaFetchError(400, { error: 'A Figma token is required to render a node' });
+    }
+
+    const apiNodeId = toApiNodeId(nodeId);
+    let url = `${baseUrl}/v1/images/${fileKey}?ids=${encodeURIComponent(apiNodeId)}&scale=${renderScale}&format=png`;
+    if (version) {
+      url += `&version=${encodeURIComponent(version)}`;
+    }
+    const response = await figmaGet(url, { token, cookie, useProxy, what: 'Figma render' });
+    const data = await response.json();
+    if (data.err) {
+      throw figmaFetchError(502, { error: `Figma could not render node ${apiNodeId}`, details: data.err });
+    }
+
+    // The images map is keyed by the colon form; null means Figma could not render the node
+    const imageUrl = data.images?.[apiNodeId] || data.images?.[nodeId];
+    if (!imageUrl) {
+      throw figmaFetchError(404, { error: `No rendered image returned for node ${apiNodeId}` });
+    }
+
+    // Rendered images live on Figma's CDN, which must not receive the token
+    const image = await figmaGet(imageUrl, { useProxy, what: 'rendered image' });
+    fs.mkdirSync(rendersDir(), { recursive: true });
+    fs.writeFileSync(cachePath, Buffer.from(await image.arrayBuffer()));
+    console.log(`Cached Figma render ${path.basename(cachePath)}`);
+  }
+
+  let renderPath = cachePath;
+  if (options.outputDir) {
+    const output = resolveOutput(options);
+    renderPath = path.join(output.dir, `figma-render-${Date.now()}.png`);
+    fs.copyFileSync(cachePath, renderPath);
+  }
+
+  return {
+    path: renderPath,
+    cachePath,
+    cached,
+    fileKey,
+    nodeId: toApiNodeId(nodeId),
+    scale: renderScale,
+    version: version || null,
+    renderedAt: fs.statSync(cachePath).mtime.toISOString()
+  };
+}
@@ -0,0 +1,57 @@
+// Programmatic API for the UI/UX analysis pipelines.
+// The Express routes in server.js and the CLI are thin wrappers over these functions.
+//
+//   import { analyze, compareImages } from './lib/index.js';
+//   const report = await analyze({ figmaJSON, screenshot: 'screen.png', options: { outputDir: 'out' } });
+//
+// options.outputDir / options.urlPrefix control where generated images are written
+// and how the report links to them (defaults: uploads/ and '/uploads').
+
+export { analyze, analyzeWithAI } from './analyze.js';
+export { analyzeBatch, findTopLevelFrames } from './batch.js';
+export { analyzeThemeMatrix } from './themes.js';
+export { analyzeResponsive, parseBreakpoints } from './responsive.js';
+export { analyzeTokenCompliance, checkTokenCompliance, parseDesignTokens } from './tokens.js';
+export { compareImages } from './pixel-diff.js';
+export { compareElements } from './elements.js';
+export { fetchFigmaDesign, fetchFigmaNodes, fetchFigmaFrames, renderFigmaNode } from './figma-api.js';
+export { diffFigmaDesigns } from './design-diff.js';
+export { saveDesign, getDesign, loadDesign, getDesignProperties, listDesigns, deleteDesign, refreshDesign } from './designs.js';
+export { rasterizeFigmaJSON, figmaNodeToSVG, findRenderRoot } from './rasterize.js';
+export { captureURL, captureViewport, withCapturePage, screenshotPage } from './capture.js';
+export { compareDOM } from './dom-compare.js';
+export { stitchScreenshots, sliceFigmaFrame, sliceForScreenshot } from './scroll.js';
+export { analyzeStateMatrix, findComponentStates, parseStateCaptures } from './states.js';
+export { detectFieldsWithOpenAI, detectFieldsWithGemini } from './field-detection.js';
+export { detectFields } from './field-detection.js';
+export { cachedDetect, listCacheEntries, getCacheEntry, purgeCache, CACHE_MODES } from './ai-cache.js';
+export { compareFieldDetectionResults, compareFieldProperties } from './fields.js';
+export {
+  getVisionProvider,
+  registerVisionProvider,
+  listVisionProviders,
+  defaultVisionProviderName,
+  parseJSONResponse
+} from './vision-providers.js';
+export { saveReport, loadReport, queryReports, deleteReport, listReportSummaries, reportTrends } from './reports.js';
+export { diffReports } from './report-diff.js';
+export { reportStage } from './progress.js';
+export { enqueueJob, runJob, getJob, listJobs, subscribeJob, cancelJob } from './jobs.js';
+export { checkRegression, reviewCapture, listBaselines, getBaseline, baselineKey } from './baselines.js';
+
+// Lower-level building blocks
+export {
+  extractFigmaProperties,
+  calculateSpacingRelationships,
+  detectScreenType,
+  listVariableModes,
+  rgbToHex
+} from './shared/figma-properties.js';
+export { importDesign, detectDesignFormat, DESIGN_FORMATS } from './shared/design-importers.js';
+export { validateDimensions, normalizeScreenshotToFigma, breakpointType } from './dimensions.js';
+export { analyzeScreenshot } from './vision.js';
+export { compareProperties, comparePropertiesEnhanced } from './comparison.js';
+export { createSpacingOverlay } from './overlay.js';
+export { extractDominantColors, deltaE2000, hexToLab, colorDistance } from './color.js';
+export { extractAllTextFromScreenshot } from './ocr.js';
+export { uploadsDir, reportsDir, baselinesDir } from './config.js';
@@ -0,0 +1,193 @@
+import { EventEmitter } from 'events';
+
+// In-memory background jobs for long-running analyses.
+// A job wraps a `run({ onProgress, signal })` function; pipelines report stages through
+// onProgress and stop at the next stage boundary once signal is aborted.
+// Jobs do not survive a server restart; their reports are persisted as usual.
+// Inline requests run through the same slots (runJob), so MAX_CONCURRENT_JOBS bounds all heavy work.
+
+const MAX_CONCURRENT_JOBS = parseInt(process.env.MAX_CONCURRENT_JOBS) || 2;
+// Finished jobs are kept this long so clients can still fetch the result
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+function isFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+// Public view of a job (no internals such as the run function or abort controller)
+function jobView(job, { includeResult = true } = {}) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: job.stage,
+    message: job.message,
+    progress: job.progress,
+    queuePosition: job.status === 'queued' ? queue.indexOf(job) + 1 : null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    result: includeResult ? job.result : undefined
+  };
+}
+
+function notify(job) {
+  job.events.emit('update', jobView(job, { includeResult: isFinished(job) }));
+}
+
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+  jobs.forEach((job, id) => {
+    if (isFinished(job) && new Date(job.finishedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  });
+}
+
+async function startJob(job) {
+  runningCount++;
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(`Job ${job.id} (${job.type}) started; ${runningCount}/${MAX_CONCURRENT_JOBS} running`);
+  notify(job);
+
+  const onProgress = (stage, message = null) => {
+    job.stage = stage;
+    job.message = message;
+    job.progress.push({ stage, message, at: new Date().toISOString() });
+    notify(job);
+  };
+
+  try {
+    job.result = await job.run({ onProgress, signal: job.controller.signal });
+    job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+  } catch (error) {
+    if (job.controller.signal.aborted) {
+      job.status = 'cancelled';
+    } else {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      job.status = 'failed';
+      job.failure = error;
+      job.error = {
+        message: error.message,
+        status: error.status || (error.validation ? 400 : 500),
+        validation: error.validation || null
+      };
+    }
+  } finally {
+    runningCount--;
+    job.finishedAt = new Date().toISOString();
+    console.log(`Job ${job.id} (${job.type}) ${job.status}`);
+    notify(job);
+    runNext();
+  }
+}
+
+function runNext() {
+  while (runningCount < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    startJob(queue.shift());
+  }
+  // Queue positions changed for everyone still waiting
+  queue.forEach(notify);
+}
+
+function createJob(type, run) {
+  pruneFinishedJobs();
+
+  const job = {
+    id: `${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    type,
+    status: 'queued',
+    stage: 'queued',
+    message: null,
+    progress: [],
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+    run,
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  runNext();
+  return job;
+}
+
+// Queue a job and return its public view; it starts as soon as a slot is free
+export function enqueueJob(type, run) {
+  return jobView(createJob(type, run));
+}
+
+// Queue a job and wait for it, for requests answered inline.
+// Resolves with the result, or rejects with the run's own error (or a 409 when cancelled).
+export function runJob(type, run) {
+  const job = createJob(type, run);
+  return new Promise((resolve, reject) => {
+    job.events.on('update', () => {
+      if (job.status === 'completed') {
+        resolve(job.result);
+      } else if (job.status === 'failed') {
+        reject(job.failure);
+      } else if (job.status === 'cancelled') {
+        const error = new Error(`Job ${job.id} was cancelled`);
+        error.status = 409;
+        reject(error);
+      }
+    });
+  });
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? jobView(job) : null;
+}
+
+export function listJobs() {
+  return Array.from(jobs.values())
+    .map(job => jobView(job, { includeResult: false }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Subscribe to a job's updates; returns an unsubscribe function
+export function subscribeJob(id, listener) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  job.events.on('update', listener);
+  return () => job.events.off('update', listener);
+}
+
+// Cancel a queued job immediately, or ask a running one to stop at its next stage
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    const error = new Error(`Job ${id} not found`);
+    error.status = 404;
+    throw error;
+  }
+  if (isFinished(job)) {
+    const error = new Error(`Job ${id} already ${job.status}`);
+    error.status = 409;
+    throw error;
+  }
+
+  job.controller.abort();
+  if (job.status === 'queued') {
+    queue.splice(queue.indexOf(job), 1);
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+    notify(job);
+    queue.forEach(notify);
+  } else {
+    job.message = 'Cancelling after the current stage...';
+    notify(job);
+  }
+  return jobView(job);
+}
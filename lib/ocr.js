@@ -0,0 +1,276 @@
+import path from 'path';
+import fs from 'fs';
+import Tesseract from 'tesseract.js';
+
+// OCR Text Extraction using Tesseract.js with local data only (no CDN)
+export async function extractAllTextFromScreenshot(screenshotPath) {
+  let worker = null;
+  try {
+    console.log('Starting OCR text extraction from:', screenshotPath);
+    
+    // Debug: Check current working directory and tessdata path
+    const cwd = process.cwd();
+    const tessdataPath = path.join(cwd, 'tessdata');
+    const engDataPath = path.join(tessdataPath, 'eng.traineddata');
+    
+    console.log('Current working directory:', cwd);
+    console.log('Tessdata path:', tessdataPath);
+    console.log('Checking for eng.traineddata at:', engDataPath);
+    
+    // Verify the file exists
+    if (!fs.existsSync(engDataPath)) {
+      console.error('ERROR: eng.traineddata not found at:', engDataPath);
+      console.error('Please download the file with:');
+      console.error('curl -L https://github.com/tesseract-ocr/tessdata/raw/main/eng.traineddata -o tessdata/eng.traineddata');
+      return {
+        elements: [],
+        lines: [],
+        paragraphs: [],
+        words: [],
+        fullText: '',
+        error: `eng.traineddata not found at ${engDataPath}`
+      };
+    }
+    
+    const fileSize = fs.statSync(engDataPath).size;
+    console.log('eng.traineddata found, size:', fileSize, 'bytes');
+    
+    // Check if file size is correct (should be ~23MB, not 5MB)
+    if (fileSize < 20000000) {
+      console.warn('WARNING: eng.traineddata seems too small. Expected ~23MB, got', Math.round(fileSize/1024/1024), 'MB');
+      console.warn('The file might be corrupted or wrong version. Re-download with:');
+      console.warn('curl -L https://github.com/tesseract-ocr/tessdata/raw/main/eng.traineddata -o tessdata/eng.traineddata');
+    }
+    
+    // Try simplified worker creation first
+    try {
+      console.log('Attempting simplified worker creation...');
+      
+      // Method 1: Create worker without logger to avoid serialization issues
+      worker = await Tesseract.createWorker({
+        langPath: tessdataPath,  // Use direct path without file:// protocol
+        gzip: false,
+        cacheMethod: 'none'
+        // Removed logger to avoid DataCloneError
+      });
+      
+      console.log('Worker created, loading language...');
+      await worker.loadLanguage('eng');
+      console.log('Language loaded, initializing...');
+      await worker.initialize('eng');
+      console.log('OCR worker initialized successfully');
+      
+    } catch (workerError) {
+      console.error('Worker creation failed:', workerError);
+      console.error('Full error stack:', workerError.stack);
+      
+      // Try Method 2: Direct recognize without worker
+      console.log('Attempting direct recognition without worker...');
+      try {
+        const { data } = await Tesseract.recognize(
+          screenshotPath,
+          'eng',
+          {
+            langPath: tessdataPath,
+            gzip: false,
+            cacheMethod: 'none'
+          }
+        );
+        console.log('Direct recognition successful');
+        return processOCRData(data);
+      } catch (directError) {
+        console.error('Direct recognition also failed:', directError.message);
+        console.error('Make sure tessdata/eng.traineddata exists and is ~23MB');
+        return {
+          elements: [],
+          lines: [],
+          paragraphs: [],
+          words: [],
+          fullText: '',
+          error: 'All OCR methods failed. Check tessdata/eng.traineddata (should be ~23MB)'
+        };
+      }
+    }
+    
+    const { data } = await worker.recognize(screenshotPath);
+    
+    // Terminate the worker after use
+    if (worker) {
+      await worker.terminate();
+    }
+    
+    return processOCRData(data);
+  } catch (error) {
+    console.error('OCR extraction failed:', error);
+    if (worker) {
+      try {
+        await worker.terminate();
+      } catch (e) {
+        console.error('Failed to terminate worker:', e);
+      }
+    }
+    return [];
+  }
+}
+
+// Helper function to process OCR data
+function processOCRData(data) {
+  // Group words into logical text elements based on lines and proximity
+  const textElements = [];
+  const processedLines = new Set();
+  
+  // Process lines to create complete text elements
+  if (data.lines && data.lines.length > 0) {
+      data.lines.forEach(line => {
+        if (line.text && line.text.trim() && !processedLines.has(line.text)) {
+          processedLines.add(line.text);
+          
+          // Create a text element from the complete line
+          textElements.push({
+            text: line.text.trim(),
+            bounds: {
+              x: line.bbox.x0,
+              y: line.bbox.y0,
+              width: line.bbox.x1 - line.bbox.x0,
+              height: line.bbox.y1 - line.bbox.y0
+            },
+            confidence: line.confidence,
+            fontSize: Math.round((line.bbox.y1 - line.bbox.y0) * 0.75),
+            type: 'line'
+          });
+          
+          // Also add individual words from this line for fallback matching
+          if (line.words && line.words.length > 1) {
+            // For multi-word lines, also create elements for significant words (> 3 chars)
+            line.words.forEach(word => {
+              if (word.text && word.text.length > 3 && !word.text.match(/^(the|and|for|with|from|this|that)$/i)) {
+                textElements.push({
+                  text: word.text.trim(),
+                  bounds: {
+                    x: word.bbox.x0,
+                    y: word.bbox.y0,
+                    width: word.bbox.x1 - word.bbox.x0,
+                    height: word.bbox.y1 - word.bbox.y0
+                  },
+                  confidence: word.confidence,
+                  fontSize: Math.round((word.bbox.y1 - word.bbox.y0) * 0.75),
+                  type: 'word',
+                  parentLine: line.text.trim()
+                });
+              }
+            });
+          }
+        }
+      });
+    }
+    
+    // Process paragraphs for better context
+    const paragraphElements = [];
+    if (data.paragraphs && data.paragraphs.length > 0) {
+      data.paragraphs.forEach(para => {
+        if (para.text && para.text.trim()) {
+          paragraphElements.push({
+            text: para.text.trim(),
+            bounds: {
+              x: para.bbox.x0,
+              y: para.bbox.y0,
+              width: para.bbox.x1 - para.bbox.x0,
+              height: para.bbox.y1 - para.bbox.y0
+            },
+            confidence: para.confidence,
+            type: 'paragraph'
+          });
+        }
+      });
+    }
+    
+    // Also create button/label groups by detecting common UI patterns
+    const uiPatterns = [
+      /^(SIGN\s*(UP|IN)|LOG\s*(IN|OUT)|SUBMIT|CANCEL|OK|NEXT|BACK|CONTINUE)$/i,
+      /^(Email|Password|Username|Name|Phone|Address|City|State|Zip)$/i,
+      /^(Terms|Privacy|Policy|Service|Agreement).*$/i
+    ];
+    
+    // Group nearby words that form common UI elements
+    const groupedElements = [];
+    const usedWords = new Set();
+    
+    data.words?.forEach((word, index) => {
+      if (usedWords.has(index)) return;
+      
+      // Check if this word is part of a common pattern
+      for (const pattern of uiPatterns) {
+        // Look ahead to see if combining with next words matches pattern
+        let combined = word.text;
+        let endIndex = index;
+        let bbox = { ...word.bbox };
+        
+        for (let j = index + 1; j < Math.min(index + 5, data.words.length); j++) {
+          const nextWord = data.words[j];
+          
+          // Check if words are on same line (similar Y position)
+          if (Math.abs(nextWord.bbox.y0 - word.bbox.y0) < 10) {
+            const testCombined = combined + ' ' + nextWord.text;
+            
+            if (pattern.test(testCombined) || testCombined.match(pattern)) {
+              combined = testCombined;
+              endIndex = j;
+              bbox.x1 = Math.max(bbox.x1, nextWord.bbox.x1);
+              bbox.y1 = Math.max(bbox.y1, nextWord.bbox.y1);
+            }
+          }
+        }
+        
+        if (endIndex > index) {
+          // Mark words as used
+          for (let k = index; k <= endIndex; k++) {
+            usedWords.add(k);
+          }
+          
+          groupedElements.push({
+            text: combined.trim(),
+            bounds: {
+              x: bbox.x0,
+              y: bbox.y0,
+              width: bbox.x1 - bbox.x0,
+              height: bbox.y1 - bbox.y0
+            },
+            confidence: word.confidence,
+            fontSize: Math.round((bbox.y1 - bbox.y0) * 0.75),
+            type: 'ui-element'
+          });
+          break;
+        }
+      }
+    });
+    
+    // Combine all elements, prioritizing larger text blocks
+    const allElements = [
+      ...paragraphElements,
+      ...textElements,
+      ...groupedElements
+    ];
+    
+    // Remove duplicates based on text content
+    const uniqueElements = [];
+    const seenTexts = new Set();
+    
+    allElements.forEach(element => {
+      const normalizedText = element.text.toLowerCase().trim();
+      if (!seenTexts.has(normalizedText) && normalizedText.length > 0) {
+        seenTexts.add(normalizedText);
+        uniqueElements.push(element);
+      }
+    });
+    
+    console.log(`OCR extracted and grouped into ${uniqueElements.length} text elements`);
+    console.log('Sample elements:', uniqueElements.slice(0, 5).map(e => `"${e.text}" (${e.type})`));
+    
+    return {
+      elements: uniqueElements,
+      lines: data.lines || [],
+      paragraphs: data.paragraphs || [],
+      words: data.words || [],
+      fullText: data.text || ''
+    };
+}
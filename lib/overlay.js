@@ -0,0 +1,290 @@
+import path from 'path';
+import { PNG } from 'pngjs';
+import sharp from 'sharp';
+import { defaultOutput, outputUrl } from './config.js';
+
+// Create spacing/layout overlay visualization
+export async function createSpacingOverlay(screenshotPath, detectedProperties, comparison, reportId, output = defaultOutput) {
+  try {
+    const metadata = await sharp(screenshotPath).metadata();
+    const { width, height } = metadata;
+    
+    // Create a semi-transparent overlay
+    const overlay = await sharp({
+      create: {
+        width: width,
+        height: height,
+        channels: 4,
+        background: { r: 0, g: 0, b: 0, alpha: 0 }
+      }
+    }).png().toBuffer();
+    
+    // Convert to PNG for manipulation
+    const overlayPng = PNG.sync.read(overlay);
+    
+    // Draw UI element boundaries
+    if (detectedProperties.elements) {
+      detectedProperties.elements.forEach(element => {
+        if (element.bounds) {
+          drawElementOutline(overlayPng, element.bounds, width, height, 
+            { r: 59, g: 130, b: 246, a: 180 }); // Blue for elements
+        }
+      });
+    }
+    
+    // Draw spacing indicators
+    if (detectedProperties.spacing && detectedProperties.spacing.spacingPatterns) {
+      detectedProperties.spacing.spacingPatterns.forEach(pattern => {
+        // Find elements by ID
+        const fromElement = detectedProperties.elements.find(e => e.id === pattern.from);
+        const toElement = detectedProperties.elements.find(e => e.id === pattern.to);
+        
+        if (fromElement && toElement) {
+          drawSpacingIndicator(overlayPng, fromElement.bounds, toElement.bounds, 
+            pattern.gap, pattern.type, width, height);
+        }
+      });
+    }
+    
+    // Draw text region indicators
+    if (detectedProperties.textRegions) {
+      detectedProperties.textRegions.forEach(region => {
+        drawTextRegionIndicator(overlayPng, region, width, height);
+      });
+    }
+    
+    // Draw mismatches with different colors based on severity
+    if (comparison.spacingMismatches) {
+      // Add visual indicators for spacing issues
+      comparison.spacingMismatches.forEach((mismatch, index) => {
+        if (mismatch.severity === 'major') {
+          // Draw attention marker
+          drawAttentionMarker(overlayPng, 20, 20 + index * 30, width, height, 
+            { r: 239, g: 68, b: 68, a: 200 }); // Red for major issues
+        }
+      });
+    }
+    
+    // Convert back to buffer
+    const overlayBuffer = PNG.sync.write(overlayPng);
+    
+    // Create the final overlay by compositing over the original screenshot
+    const overlayPath = path.join(output.dir, `spacing-overlay-${reportId}.png`);
+    
+    await sharp(screenshotPath)
+      .composite([{
+        input: overlayBuffer,
+        blend: 'over'
+      }])
+      .toFile(overlayPath);
+    
+    return outputUrl(output, overlayPath);
+  } catch (error) {
+    console.error('Error creating spacing overlay:', error);
+    return null;
+  }
+}
+
+// Draw element outline on PNG
+function drawElementOutline(png, bounds, width, height, color) {
+  const thickness = 2;
+  const { x, y, width: w, height: h } = bounds;
+  
+  // Draw rectangle outline
+  for (let t = 0; t < thickness; t++) {
+    // Top line
+    for (let px = x; px < x + w && px < width; px++) {
+      const idx = ((y + t) * width + px) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = color.r;
+        png.data[idx + 1] = color.g;
+        png.data[idx + 2] = color.b;
+        png.data[idx + 3] = color.a;
+      }
+    }
+    
+    // Bottom line
+    for (let px = x; px < x + w && px < width; px++) {
+      const idx = ((y + h - 1 - t) * width + px) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = color.r;
+        png.data[idx + 1] = color.g;
+        png.data[idx + 2] = color.b;
+        png.data[idx + 3] = color.a;
+      }
+    }
+    
+    // Left line
+    for (let py = y; py < y + h && py < height; py++) {
+      const idx = (py * width + x + t) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = color.r;
+        png.data[idx + 1] = color.g;
+        png.data[idx + 2] = color.b;
+        png.data[idx + 3] = color.a;
+      }
+    }
+    
+    // Right line
+    for (let py = y; py < y + h && py < height; py++) {
+      const idx = (py * width + x + w - 1 - t) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = color.r;
+        png.data[idx + 1] = color.g;
+        png.data[idx + 2] = color.b;
+        png.data[idx + 3] = color.a;
+      }
+    }
+  }
+}
+
+// Draw spacing indicator between elements
+function drawSpacingIndicator(png, fromBounds, toBounds, gap, type, width, height) {
+  const color = { r: 255, g: 152, b: 0, a: 200 }; // Orange for spacing
+  
+  if (type === 'horizontal') {
+    // Draw horizontal spacing line
+    const y = Math.round(fromBounds.y + fromBounds.height / 2);
+    const x1 = fromBounds.x + fromBounds.width;
+    const x2 = toBounds.x;
+    
+    // Draw line
+    for (let x = x1; x < x2 && x < width; x++) {
+      const idx = (y * width + x) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = color.r;
+        png.data[idx + 1] = color.g;
+        png.data[idx + 2] = color.b;
+        png.data[idx + 3] = color.a;
+      }
+    }
+    
+    // Draw gap text
+    drawText(png, `${gap}px`, Math.round((x1 + x2) / 2 - 15), y - 10, width, height);
+  } else if (type === 'vertical') {
+    // Draw vertical spacing line
+    const x = Math.round(fromBounds.x + fromBounds.width / 2);
+    const y1 = fromBounds.y + fromBounds.height;
+    const y2 = toBounds.y;
+    
+    // Draw line
+    for (let y = y1; y < y2 && y < height; y++) {
+      const idx = (y * width + x) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = color.r;
+        png.data[idx + 1] = color.g;
+        png.data[idx + 2] = color.b;
+        png.data[idx + 3] = color.a;
+      }
+    }
+    
+    // Draw gap text
+    drawText(png, `${gap}px`, x + 5, Math.round((y1 + y2) / 2), width, height);
+  }
+}
+
+// Draw text region indicator
+function drawTextRegionIndicator(png, region, width, height) {
+  const color = { r: 76, g: 175, b: 80, a: 150 }; // Green for text regions
+  drawElementOutline(png, region, width, height, color);
+}
+
+// Draw attention marker for issues
+function drawAttentionMarker(png, x, y, width, height, color) {
+  const size = 20;
+  
+  // Draw exclamation mark or circle
+  for (let py = y; py < y + size && py < height; py++) {
+    for (let px = x; px < x + size && px < width; px++) {
+      const dx = px - (x + size / 2);
+      const dy = py - (y + size / 2);
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      
+      if (distance < size / 2) {
+        const idx = (py * width + px) * 4;
+        if (idx >= 0 && idx < png.data.length - 3) {
+          png.data[idx] = color.r;
+          png.data[idx + 1] = color.g;
+          png.data[idx + 2] = color.b;
+          png.data[idx + 3] = color.a;
+        }
+      }
+    }
+  }
+}
+
+// Simple text drawing (numbers only for now)
+function drawText(png, text, x, y, width, height) {
+  // This is a simplified version - in production, you'd use a proper font rendering library
+  const color = { r: 255, g: 255, b: 255, a: 255 };
+  const bgColor = { r: 0, g: 0, b: 0, a: 200 };
+  
+  // Draw background rectangle
+  const textWidth = text.length * 6;
+  const textHeight = 10;
+  
+  for (let py = y; py < y + textHeight && py < height; py++) {
+    for (let px = x; px < x + textWidth && px < width; px++) {
+      const idx = (py * width + px) * 4;
+      if (idx >= 0 && idx < png.data.length - 3) {
+        png.data[idx] = bgColor.r;
+        png.data[idx + 1] = bgColor.g;
+        png.data[idx + 2] = bgColor.b;
+        png.data[idx + 3] = bgColor.a;
+      }
+    }
+  }
+}
+
+// Draw bounding box on image
+export function drawBoundingBox(image, region, width, height) {
+  const color = {r: 255, g: 0, b: 0}; // Red color
+  const thickness = 3;
+  
+  // Expand box slightly for visibility
+  const padding = 5;
+  const minX = Math.max(0, region.minX - padding);
+  const maxX = Math.min(width - 1, region.maxX + padding);
+  const minY = Math.max(0, region.minY - padding);
+  const maxY = Math.min(height - 1, region.maxY + padding);
+  
+  // Draw top and bottom lines
+  for (let x = minX; x <= maxX; x++) {
+    for (let t = 0; t < thickness; t++) {
+      // Top line
+      if (minY + t < height) {
+        const idx = ((minY + t) * width + x) * 4;
+        image.data[idx] = color.r;
+        image.data[idx + 1] = color.g;
+        image.data[idx + 2] = color.b;
+      }
+      // Bottom line
+      if (maxY - t >= 0) {
+        const idx = ((maxY - t) * width + x) * 4;
+        image.data[idx] = color.r;
+        image.data[idx + 1] = color.g;
+        image.data[idx + 2] = color.b;
+      }
+    }
+  }
+  
+  // Draw left and right lines
+  for (let y = minY; y <= maxY; y++) {
+    for (let t = 0; t < thickness; t++) {
+      // Left line
+      if (minX + t < width) {
+        const idx = (y * width + minX + t) * 4;
+        image.data[idx] = color.r;
+        image.data[idx + 1] = color.g;
+        image.data[idx + 2] = color.b;
+      }
+      // Right line
+      if (maxX - t >= 0) {
+        const idx = (y * width + maxX - t) * 4;
+        image.data[idx] = color.r;
+        image.data[idx + 1] = color.g;
+        image.data[idx + 2] = color.b;
+      }
+    }
+  }
+}
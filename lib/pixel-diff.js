@@ -0,0 +1,194 @@
+import path from 'path';
+import fs from 'fs';
+import { PNG } from 'pngjs';
+import pixelmatch from 'pixelmatch';
+import sharp from 'sharp';
+import { outputUrl, resolveOutput } from './config.js';
+import { extractDominantColors } from './color.js';
+import { drawBoundingBox } from './overlay.js';
+
+// Pixel comparison pipeline, shared by /compare and the CLI
+export async function compareImages(figmaPath, renderedPath, options = {}) {
+  const output = resolveOutput(options);
+
+  // Convert images to PNG if needed and resize to same dimensions
+  const figmaPNG = await convertToPNG(figmaPath);
+  const renderedPNG = await convertToPNG(renderedPath);
+
+  // Get dimensions
+  const figmaImg = PNG.sync.read(fs.readFileSync(figmaPNG));
+  const renderedImg = PNG.sync.read(fs.readFileSync(renderedPNG));
+
+  // Resize images to match dimensions
+  const targetWidth = Math.max(figmaImg.width, renderedImg.width);
+  const targetHeight = Math.max(figmaImg.height, renderedImg.height);
+
+  const figmaResized = await resizeImage(figmaPNG, targetWidth, targetHeight);
+  const renderedResized = await resizeImage(renderedPNG, targetWidth, targetHeight);
+
+  // Load resized images
+  const img1 = PNG.sync.read(fs.readFileSync(figmaResized));
+  const img2 = PNG.sync.read(fs.readFileSync(renderedResized));
+
+  // Create diff image
+  const diff = new PNG({ width: targetWidth, height: targetHeight });
+
+  // Perform pixel comparison with higher threshold for UI differences
+  const numDiffPixels = pixelmatch(
+    img1.data,
+    img2.data,
+    diff.data,
+    targetWidth,
+    targetHeight,
+    { 
+      threshold: 0.3, // Higher threshold to ignore minor differences
+      includeAA: false, // Ignore anti-aliasing differences
+      alpha: 0.2,
+      diffColor: [255, 0, 0], // Red for different pixels
+    }
+  );
+  
+  // Extract color information from both images
+  const figmaColors = await extractDominantColors(figmaResized);
+  const renderedColors = await extractDominantColors(renderedResized);
+
+  // Calculate metrics
+  const totalPixels = targetWidth * targetHeight;
+  const similarity = ((totalPixels - numDiffPixels) / totalPixels * 100).toFixed(2);
+
+  // Save diff image
+  const diffPath = path.join(output.dir, `diff-${Date.now()}.png`);
+  fs.writeFileSync(diffPath, PNG.sync.write(diff));
+
+  // Find regions of differences (connected components)
+  const diffRegions = findDifferenceRegions(diff, targetWidth, targetHeight);
+  
+  // Create overlay with original image and bounding boxes
+  const overlay = new PNG({ width: targetWidth, height: targetHeight });
+  
+  // First, copy the original image
+  for (let i = 0; i < img1.data.length; i++) {
+    overlay.data[i] = img1.data[i];
+  }
+  
+  // Draw bounding boxes around difference regions
+  diffRegions.forEach(region => {
+    if (region.pixelCount > 100) { // Only show significant regions
+      drawBoundingBox(overlay, region, targetWidth, targetHeight);
+    }
+  });
+  
+  const overlayPath = path.join(output.dir, `overlay-${Date.now()}.png`);
+  fs.writeFileSync(overlayPath, PNG.sync.write(overlay));
+
+  // Generate report
+  const reportId = Date.now();
+  return {
+    id: reportId,
+    timestamp: new Date().toISOString(),
+    analysisType: 'PIXEL_COMPARISON',
+    dimensions: { width: targetWidth, height: targetHeight },
+    totalPixels: totalPixels,
+    diffPixels: numDiffPixels,
+    matchedPixels: totalPixels - numDiffPixels,
+    similarity: similarity,
+    figmaImage: outputUrl(output, figmaResized),
+    renderedImage: outputUrl(output, renderedResized),
+    diffImage: outputUrl(output, diffPath),
+    overlayImage: outputUrl(output, overlayPath),
+    diffRegions: diffRegions.filter(r => r.pixelCount > 100).length,
+    significantDifferences: diffRegions.filter(r => r.pixelCount > 100),
+    colorAnalysis: {
+      figmaColors: figmaColors,
+      renderedColors: renderedColors
+    }
+  };
+}
+
+// Helper function to convert image to PNG
+async function convertToPNG(imagePath) {
+  const outputPath = imagePath.replace(path.extname(imagePath), '.png');
+  if (path.extname(imagePath).toLowerCase() !== '.png') {
+    await sharp(imagePath).png().toFile(outputPath);
+    return outputPath;
+  }
+  return imagePath;
+}
+
+// Helper function to resize image
+async function resizeImage(imagePath, width, height) {
+  const outputPath = imagePath.replace('.png', '-resized.png');
+  await sharp(imagePath)
+    .resize(width, height, { fit: 'contain', background: { r: 255, g: 255, b: 255, alpha: 1 } })
+    .toFile(outputPath);
+  return outputPath;
+}
+
+// Helper function to find connected regions of differences
+function findDifferenceRegions(diffImage, width, height) {
+  const visited = new Array(width * height).fill(false);
+  const regions = [];
+  
+  // Convert image data to binary mask
+  const diffMask = [];
+  for (let i = 0; i < diffImage.data.length; i += 4) {
+    diffMask.push(diffImage.data[i] > 0 || diffImage.data[i + 1] > 0 || diffImage.data[i + 2] > 0);
+  }
+  
+  // Find connected components using flood fill
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      
+      if (!visited[idx] && diffMask[idx]) {
+        const region = floodFill(diffMask, visited, x, y, width, height);
+        if (region.pixelCount > 10) { // Ignore tiny regions
+          regions.push(region);
+        }
+      }
+    }
+  }
+  
+  return regions;
+}
+
+// Flood fill to find connected component
+function floodFill(mask, visited, startX, startY, width, height) {
+  const region = {
+    minX: width,
+    minY: height,
+    maxX: 0,
+    maxY: 0,
+    pixelCount: 0
+  };
+  
+  const stack = [{x: startX, y: startY}];
+  
+  while (stack.length > 0) {
+    const {x, y} = stack.pop();
+    const idx = y * width + x;
+    
+    if (x < 0 || x >= width || y < 0 || y >= height || visited[idx] || !mask[idx]) {
+      continue;
+    }
+    
+    visited[idx] = true;
+    region.pixelCount++;
+    region.minX = Math.min(region.minX, x);
+    region.maxX = Math.max(region.maxX, x);
+    region.minY = Math.min(region.minY, y);
+    region.maxY = Math.max(region.maxY, y);
+    
+    // Check 8 neighbors
+    stack.push({x: x + 1, y: y});
+    stack.push({x: x - 1, y: y});
+    stack.push({x: x, y: y + 1});
+    stack.push({x: x, y: y - 1});
+    stack.push({x: x + 1, y: y + 1});
+    stack.push({x: x - 1, y: y - 1});
+    stack.push({x: x + 1, y: y - 1});
+    stack.push({x: x - 1, y: y + 1});
+  }
+  
+  return region;
+}
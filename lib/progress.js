@@ -0,0 +1,13 @@
+// Stage reporting for long pipelines run as background jobs (see jobs.js).
+// options.onProgress(stage, message) is called at each stage boundary and
+// options.signal (an AbortSignal) stops the pipeline there when the job is cancelled.
+export function reportStage(options, stage, message = null) {
+  if (options?.signal?.aborted) {
+    const error = new Error('Cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+  if (options?.onProgress) {
+    options.onProgress(stage, message);
+  }
+}
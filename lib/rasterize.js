@@ -0,0 +1,341 @@
+import path from 'path';
+import sharp from 'sharp';
+import { outputUrl, resolveOutput } from './config.js';
+
+// Approximate local renderer for Figma node JSON, for pixel diffs when only the pasted JSON
+// is available. The node tree is turned into SVG and rasterized with sharp.
+// Supported: frames/groups/components (fills, strokes, clipping), rectangles and ellipses with
+// SOLID fills/strokes and corner radii, DROP_SHADOW effects and TEXT (font size/weight/family,
+// alignment, line height). Gradients, images, vectors, lines and rotation are skipped and counted.
+
+const CONTAINER_TYPES = ['FRAME', 'GROUP', 'COMPONENT', 'COMPONENT_SET', 'INSTANCE', 'SECTION'];
+const SHAPE_TYPES = ['RECTANGLE', 'ELLIPSE'];
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Figma colors are 0-1 floats; paint opacity multiplies the color alpha
+function svgColor(color, opacity = 1) {
+  const channel = value => Math.round((value || 0) * 255);
+  const alpha = (color.a ?? 1) * opacity;
+  return { value: `rgb(${channel(color.r)},${channel(color.g)},${channel(color.b)})`, opacity: round(alpha) };
+}
+
+// First node with a bounding box: the frame of a node response, or the first frame of a file
+export function findRenderRoot(figmaJSON) {
+  let node = figmaJSON.nodes
+    ? Object.values(figmaJSON.nodes)[0]?.document
+    : figmaJSON.document || figmaJSON;
+
+  while (node && !node.absoluteBoundingBox) {
+    node = (node.children || []).find(child => child.absoluteBoundingBox || child.children);
+  }
+  return node || null;
+}
+
+// SVG outline of a node's box: rect with rx, per-corner path, or ellipse
+function shapeElement(node, box, attributes, inset = 0) {
+  const x = round(box.x + inset);
+  const y = round(box.y + inset);
+  const width = round(Math.max(box.width - inset * 2, 0));
+  const height = round(Math.max(box.height - inset * 2, 0));
+
+  if (node.type === 'ELLIPSE') {
+    return `<ellipse cx="${round(x + width / 2)}" cy="${round(y + height / 2)}" rx="${round(width / 2)}" ry="${round(height / 2)}" ${attributes}/>`;
+  }
+
+  const radii = node.rectangleCornerRadii;
+  if (radii && new Set(radii).size > 1) {
+    const limit = Math.min(width, height) / 2;
+    const [topLeft, topRight, bottomRight, bottomLeft] = radii.map(radius => Math.max(Math.min(radius - inset, limit), 0));
+    const d = [
+      `M${x + topLeft},${y}`,
+      `H${x + width - topRight}`,
+      `A${topRight},${topRight} 0 0 1 ${x + width},${y + topRight}`,
+      `V${y + height - bottomRight}`,
+      `A${bottomRight},${bottomRight} 0 0 1 ${x + width - bottomRight},${y + height}`,
+      `H${x + bottomLeft}`,
+      `A${bottomLeft},${bottomLeft} 0 0 1 ${x},${y + height - bottomLeft}`,
+      `V${y + topLeft}`,
+      `A${topLeft},${topLeft} 0 0 1 ${x + topLeft},${y}`,
+      'Z'
+    ].join(' ');
+    return `<path d="${d}" ${attributes}/>`;
+  }
+
+  const radius = Math.max((node.cornerRadius || radii?.[0] || 0) - inset, 0);
+  const rx = radius > 0 ? ` rx="${round(Math.min(radius, width / 2, height / 2))}"` : '';
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}"${rx} ${attributes}/>`;
+}
+
+// Render state shared by one rasterization: relative coordinates, defs and counters
+function createContext(root) {
+  return {
+    origin: { x: root.absoluteBoundingBox.x, y: root.absoluteBoundingBox.y },
+    defs: [],
+    nextId: 0,
+    rendered: 0,
+    skipped: {}
+  };
+}
+
+function skip(context, reason) {
+  context.skipped[reason] = (context.skipped[reason] || 0) + 1;
+}
+
+function relativeBox(node, context) {
+  const box = node.absoluteBoundingBox;
+  return {
+    x: box.x - context.origin.x,
+    y: box.y - context.origin.y,
+    width: box.width,
+    height: box.height
+  };
+}
+
+function visiblePaints(paints, context) {
+  return (paints || []).filter(paint => {
+    if (paint.visible === false) return false;
+    if (paint.type !== 'SOLID' || !paint.color) {
+      skip(context, `${paint.type} paint`);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Drop shadows are drawn as a blurred copy of the shape, grown by the spread and offset
+function renderShadows(node, box, context) {
+  return (node.effects || [])
+    .filter(effect => effect.visible !== false)
+    .map(effect => {
+      if (effect.type !== 'DROP_SHADOW') {
+        skip(context, effect.type);
+        return '';
+      }
+      const spread = effect.spread || 0;
+      const shadowBox = {
+        x: box.x + (effect.offset?.x || 0) - spread,
+        y: box.y + (effect.offset?.y || 0) - spread,
+        width: box.width + spread * 2,
+        height: box.height + spread * 2
+      };
+      const color = svgColor(effect.color || { r: 0, g: 0, b: 0, a: 0.25 });
+      let filter = '';
+      if (effect.radius > 0) {
+        const id = `blur${context.nextId++}`;
+        context.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feGaussianBlur stdDeviation="${round(effect.radius / 2)}"/></filter>`);
+        filter = ` filter="url(#${id})"`;
+      }
+      const shadowNode = { ...node, cornerRadius: (node.cornerRadius || 0) + spread };
+      return shapeElement(shadowNode, shadowBox, `fill="${color.value}" fill-opacity="${color.opacity}"${filter}`);
+    })
+    .join('');
+}
+
+// Fills stacked bottom to top, then strokes; strokeAlign INSIDE/OUTSIDE shift the outline
+function renderBox(node, box, context) {
+  let svg = renderShadows(node, box, context);
+
+  visiblePaints(node.fills, context).forEach(fill => {
+    const color = svgColor(fill.color, fill.opacity ?? 1);
+    svg += shapeElement(node, box, `fill="${color.value}" fill-opacity="${color.opacity}"`);
+  });
+
+  const weight = node.strokeWeight ?? 1;
+  if (weight > 0) {
+    const align = node.strokeAlign || 'INSIDE';
+    const inset = align === 'INSIDE' ? weight / 2 : align === 'OUTSIDE' ? -weight / 2 : 0;
+    visiblePaints(node.strokes, context).forEach(stroke => {
+      const color = svgColor(stroke.color, stroke.opacity ?? 1);
+      svg += shapeElement(node, box, `fill="none" stroke="${color.value}" stroke-opacity="${color.opacity}" stroke-width="${weight}"`, inset);
+    });
+  }
+  return svg;
+}
+
+// Greedy word wrap using an average glyph width; fixed-width text boxes wrap in Figma
+function wrapLines(text, maxWidth, fontSize, letterSpacing) {
+  const charWidth = fontSize * 0.55 + letterSpacing;
+  const maxChars = Math.max(Math.floor(maxWidth / charWidth), 1);
+
+  return text.split('\n').flatMap(paragraph => {
+    const lines = [];
+    let line = '';
+    paragraph.split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length > maxChars && line) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    });
+    lines.push(line);
+    return lines;
+  });
+}
+
+function renderText(node, box, context) {
+  const style = node.style || {};
+  const fontSize = style.fontSize || 16;
+  const lineHeight = style.lineHeightPx || fontSize * 1.2;
+  const letterSpacing = style.letterSpacing || 0;
+
+  let characters = node.characters || '';
+  if (style.textCase === 'UPPER') characters = characters.toUpperCase();
+  if (style.textCase === 'LOWER') characters = characters.toLowerCase();
+
+  const lines = style.textAutoResize === 'WIDTH_AND_HEIGHT'
+    ? characters.split('\n')
+    : wrapLines(characters, box.width, fontSize, letterSpacing);
+
+  const fill = visiblePaints(node.fills, context)[0];
+  const color = fill ? svgColor(fill.color, fill.opacity ?? 1) : { value: 'rgb(0,0,0)', opacity: 1 };
+
+  const anchors = { LEFT: ['start', box.x], CENTER: ['middle', box.x + box.width / 2], RIGHT: ['end', box.x + box.width], JUSTIFIED: ['start', box.x] };
+  const [anchor, x] = anchors[style.textAlignHorizontal] || anchors.LEFT;
+
+  // Baselines sit about 80% of the font size below the top of each line box
+  const textHeight = lines.length * lineHeight;
+  let top = box.y;
+  if (style.textAlignVertical === 'CENTER') top += (box.height - textHeight) / 2;
+  if (style.textAlignVertical === 'BOTTOM') top += box.height - textHeight;
+  const firstBaseline = top + (lineHeight - fontSize) / 2 + fontSize * 0.8;
+
+  const attributes = [
+    `x="${round(x)}"`,
+    `y="${round(firstBaseline)}"`,
+    `font-family="${escapeXML(style.fontFamily || 'sans-serif')}, sans-serif"`,
+    `font-size="${fontSize}"`,
+    `font-weight="${style.fontWeight || 400}"`,
+    `text-anchor="${anchor}"`,
+    `fill="${color.value}"`,
+    `fill-opacity="${color.opacity}"`
+  ];
+  if (style.italic) attributes.push('font-style="italic"');
+  if (letterSpacing) attributes.push(`letter-spacing="${round(letterSpacing)}"`);
+  if (style.textDecoration === 'UNDERLINE') attributes.push('text-decoration="underline"');
+  if (style.textDecoration === 'STRIKETHROUGH') attributes.push('text-decoration="line-through"');
+
+  // Text shadows follow the glyphs, so they use an SVG drop-shadow filter instead of a shape
+  const shadows = (node.effects || []).filter(effect => effect.visible !== false);
+  shadows.forEach((effect, index) => {
+    if (effect.type !== 'DROP_SHADOW' || index > 0) {
+      skip(context, effect.type === 'DROP_SHADOW' ? 'extra text shadow' : effect.type);
+      return;
+    }
+    const shadowColor = svgColor(effect.color || { r: 0, g: 0, b: 0, a: 0.25 });
+    const id = `shadow${context.nextId++}`;
+    context.defs.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%"><feDropShadow dx="${effect.offset?.x || 0}" dy="${effect.offset?.y || 0}" stdDeviation="${round((effect.radius || 0) / 2)}" flood-color="${shadowColor.value}" flood-opacity="${shadowColor.opacity}"/></filter>`);
+    attributes.push(`filter="url(#${id})"`);
+  });
+
+  const spans = lines.map((line, index) =>
+    `<tspan x="${round(x)}" dy="${index === 0 ? 0 : round(lineHeight)}">${escapeXML(line)}</tspan>`
+  ).join('');
+  return `<text ${attributes.join(' ')}>${spans}</text>`;
+}
+
+function renderNode(node, context) {
+  if (node.visible === false) return '';
+  if (!node.absoluteBoundingBox) {
+    skip(context, 'no bounding box');
+    return '';
+  }
+  if (node.rotation) {
+    skip(context, 'rotation');
+  }
+
+  const box = relativeBox(node, context);
+  let svg;
+
+  if (node.type === 'TEXT') {
+    svg = renderText(node, box, context);
+  } else if (SHAPE_TYPES.includes(node.type)) {
+    svg = renderBox(node, box, context);
+  } else if (CONTAINER_TYPES.includes(node.type)) {
+    svg = renderBox(node, box, context);
+    const children = (node.children || []).map(child => renderNode(child, context)).join('');
+    if (node.clipsContent && children) {
+      const id = `clip${context.nextId++}`;
+      context.defs.push(`<clipPath id="${id}">${shapeElement(node, box, '')}</clipPath>`);
+      svg += `<g clip-path="url(#${id})">${children}</g>`;
+    } else {
+      svg += children;
+    }
+  } else {
+    skip(context, node.type);
+    return '';
+  }
+
+  context.rendered++;
+  const opacity = node.opacity ?? 1;
+  return opacity < 1 ? `<g opacity="${round(opacity)}">${svg}</g>` : svg;
+}
+
+// SVG document for a node tree, sized to the root's absoluteBoundingBox
+export function figmaNodeToSVG(root, { scale = 1, background = '#ffffff' } = {}) {
+  const context = createContext(root);
+  const { width, height } = root.absoluteBoundingBox;
+  const body = renderNode(root, context);
+  const backgroundRect = background ? `<rect width="${width}" height="${height}" fill="${escapeXML(background)}"/>` : '';
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${Math.round(width * scale)}" height="${Math.round(height * scale)}" viewBox="0 0 ${width} ${height}">` +
+    `<defs>${context.defs.join('')}</defs>${backgroundRect}${body}</svg>`;
+  return { svg, rendered: context.rendered, skipped: context.skipped };
+}
+
+// Rasterize pasted Figma JSON to a PNG in the output directory.
+// options.scale (default 1) and options.background (default white; null for transparent).
+// Returns { path, url, width, height, scale, nodeId, nodeName, renderedNodes, skipped }.
+export async function rasterizeFigmaJSON(figmaJSON, options = {}) {
+  const output = resolveOutput(options);
+  const root = findRenderRoot(figmaJSON);
+  if (!root) {
+    const error = new Error('No node with an absoluteBoundingBox found to render');
+    error.status = 400;
+    throw error;
+  }
+
+  const scale = parseFloat(options.scale) || 1;
+  if (scale <= 0 || scale > 4) {
+    const error = new Error(`Invalid scale: ${options.scale}. Use a number between 0.01 and 4`);
+    error.status = 400;
+    throw error;
+  }
+
+  console.log(`Rasterizing Figma node "${root.name}" locally at ${scale}x...`);
+  const { svg, rendered, skipped } = figmaNodeToSVG(root, {
+    scale,
+    background: options.background === undefined ? '#ffffff' : options.background
+  });
+
+  const outputPath = path.join(output.dir, `figma-raster-${Date.now()}.png`);
+  const info = await sharp(Buffer.from(svg)).png().toFile(outputPath);
+  console.log(`Rendered ${rendered} node(s) to ${path.basename(outputPath)} (${info.width}x${info.height})`);
+  if (Object.keys(skipped).length > 0) {
+    console.log('Skipped during rasterization:', skipped);
+  }
+
+  return {
+    path: outputPath,
+    url: outputUrl(output, outputPath),
+    width: info.width,
+    height: info.height,
+    scale,
+    nodeId: root.id || null,
+    nodeName: root.name || null,
+    renderedNodes: rendered,
+    skipped
+  };
+}
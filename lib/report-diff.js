@@ -0,0 +1,141 @@
+import { loadReport } from './reports.js';
+
+// Mismatch categories compared between two runs and the report field holding each list
+const MISMATCH_CATEGORIES = {
+  color: 'colorMismatches',
+  spacing: 'spacingMismatches',
+  text: 'textMismatches',
+  size: 'sizeMismatches',
+  field: 'fieldMismatches'
+};
+
+// A mismatch is identified by the property/element it is about, not by its values,
+// so a fix that changes the detected value still counts as the same issue.
+// Color property names are positional (primaryColor, color_3, borderColor_4), so only their
+// kind is kept and the element, token and usage pin down which color it is.
+function mismatchIdentity(mismatch) {
+  const kind = mismatch.property
+    ? String(mismatch.property).replace(/_\d+$/, '').replace(/^primaryColor$/, 'color')
+    : mismatch.issue || mismatch.type;
+  const parts = [
+    kind,
+    mismatch.nodeId || mismatch.elementName || mismatch.element,
+    mismatch.component,
+    mismatch.token && `token ${mismatch.token}`,
+    mismatch.usage
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(' · ') : JSON.stringify(mismatch);
+}
+
+function mismatchValue(mismatch) {
+  return mismatch.actual ?? mismatch.detected ?? null;
+}
+
+function loadOrThrow(id, label) {
+  const report = loadReport(id);
+  if (!report) {
+    const error = new Error(`${label} report ${id} not found`);
+    error.status = 404;
+    throw error;
+  }
+  if (!Object.values(MISMATCH_CATEGORIES).some(field => Array.isArray(report[field]))) {
+    const error = new Error(`${label} report ${id} (${report.analysisType || 'unknown type'}) has no mismatch lists to diff`);
+    error.status = 400;
+    throw error;
+  }
+  return report;
+}
+
+// Classify one category's mismatches as resolved, new or unchanged.
+// Identities can repeat (e.g. two "Spacing Consistency" entries), so they are paired in order.
+function diffCategory(baseList = [], headList = []) {
+  const remaining = new Map();
+  baseList.forEach(mismatch => {
+    const identity = mismatchIdentity(mismatch);
+    if (!remaining.has(identity)) remaining.set(identity, []);
+    remaining.get(identity).push(mismatch);
+  });
+
+  const added = [];
+  const unchanged = [];
+  headList.forEach(mismatch => {
+    const identity = mismatchIdentity(mismatch);
+    const candidates = remaining.get(identity);
+    if (candidates && candidates.length > 0) {
+      const before = candidates.shift();
+      unchanged.push({
+        identity,
+        before,
+        after: mismatch,
+        valueChanged: mismatchValue(before) !== mismatchValue(mismatch),
+        severityChanged: before.severity !== mismatch.severity
+      });
+    } else {
+      added.push({ identity, after: mismatch });
+    }
+  });
+
+  const resolved = [];
+  remaining.forEach((candidates, identity) => {
+    candidates.forEach(before => resolved.push({ identity, before }));
+  });
+
+  return { resolved, new: added, unchanged };
+}
+
+function runSummary(report) {
+  const accuracy = parseFloat(report.accuracy);
+  return {
+    id: String(report.id),
+    timestamp: report.timestamp || null,
+    analysisType: report.analysisType || null,
+    screenName: report.metadata?.screenName || null,
+    accuracy: isNaN(accuracy) ? null : accuracy,
+    totalMismatches: report.totalMismatches ?? null,
+    spacingOverlay: report.visualizations?.spacingOverlay || null,
+    screenshotPath: report.visualizations?.screenshotPath || null
+  };
+}
+
+// Compare two stored analysis runs (base = earlier run, head = re-run after fixes)
+export function diffReports(baseId, headId) {
+  if (!baseId || !headId) {
+    const error = new Error('Both base and head report ids are required');
+    error.status = 400;
+    throw error;
+  }
+
+  const base = loadOrThrow(baseId, 'Base');
+  const head = loadOrThrow(headId, 'Head');
+
+  const categories = {};
+  const totals = { resolved: 0, new: 0, unchanged: 0 };
+  Object.entries(MISMATCH_CATEGORIES).forEach(([category, field]) => {
+    const diff = diffCategory(base[field], head[field]);
+    categories[category] = diff;
+    totals.resolved += diff.resolved.length;
+    totals.new += diff.new.length;
+    totals.unchanged += diff.unchanged.length;
+  });
+
+  const baseRun = runSummary(base);
+  const headRun = runSummary(head);
+  const accuracyDelta = baseRun.accuracy !== null && headRun.accuracy !== null
+    ? parseFloat((headRun.accuracy - baseRun.accuracy).toFixed(2))
+    : null;
+
+  const sameNode = (base.metadata?.fileKey || null) === (head.metadata?.fileKey || null) &&
+    (base.metadata?.nodeId || null) === (head.metadata?.nodeId || null);
+  if (!sameNode) {
+    console.warn(`Diffing reports ${baseId} and ${headId} from different Figma nodes`);
+  }
+
+  return {
+    base: baseRun,
+    head: headRun,
+    sameNode,
+    accuracyDelta,
+    totals,
+    categories
+  };
+}
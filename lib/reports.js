@@ -0,0 +1,372 @@
+import path from 'path';
+import fs from 'fs';
+import { reportsDir, uploadsDir } from './config.js';
+
+// Reports are stored as reports/report-<id>.json, except element comparisons
+// which keep their historical name reports/element-comparison-<id>.json.
+// Every report carries a `metadata` block used for listing and cleanup.
+
+export const ANALYSIS_TYPES = ['STANDARD', 'AI_ENHANCED', 'PIXEL_COMPARISON', 'ELEMENT_COMPARISON', 'BATCH', 'TOKEN_COMPLIANCE', 'THEME_MATRIX', 'DOM_COMPARISON', 'RESPONSIVE', 'STATE_MATRIX'];
+
+const REPORT_FILE_PATTERN = /^(report|element-comparison)-(\d+)\.json$/;
+
+const SORT_FIELDS = ['timestamp', 'accuracy', 'screenName', 'analysisType', 'screenType'];
+
+function reportFileName(analysisType, id) {
+  return analysisType === 'ELEMENT_COMPARISON'
+    ? `element-comparison-${id}.json`
+    : `report-${id}.json`;
+}
+
+// Work out the analysis type of reports saved before metadata existed
+function inferAnalysisType(report, fileName) {
+  if (report.analysisType) return report.analysisType;
+  if (fileName.startsWith('element-comparison-') || report.comparisonTable) return 'ELEMENT_COMPARISON';
+  if (report.similarity !== undefined) return 'PIXEL_COMPARISON';
+  return 'STANDARD';
+}
+
+function reportAccuracy(report, analysisType) {
+  let value;
+  if (analysisType === 'PIXEL_COMPARISON') {
+    value = report.similarity;
+  } else if (analysisType === 'ELEMENT_COMPARISON') {
+    value = report.summary?.overallAccuracy;
+  } else {
+    value = report.accuracy;
+  }
+  const accuracy = parseFloat(value);
+  return isNaN(accuracy) ? null : accuracy;
+}
+
+// Use the Figma node name when no screen name was given
+function figmaScreenName(figmaJSON) {
+  if (!figmaJSON) return null;
+  if (figmaJSON.nodes) {
+    const firstNode = Object.values(figmaJSON.nodes)[0];
+    return firstNode?.document?.name || figmaJSON.name || null;
+  }
+  return figmaJSON.document?.name || figmaJSON.name || null;
+}
+
+// Collect every /uploads/<file> referenced anywhere in a report
+function collectUploadReferences(value, files = new Set()) {
+  if (typeof value === 'string') {
+    const match = value.match(/^\/uploads\/([^/?#]+)$/);
+    if (match) files.add(match[1]);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectUploadReferences(item, files));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectUploadReferences(item, files));
+  }
+  return files;
+}
+
+// Mismatch lists are arrays in current reports but may be plain counts in older ones
+function countOf(value) {
+  if (Array.isArray(value)) return value.length;
+  return typeof value === 'number' ? value : null;
+}
+
+// Per-category mismatch counts (null where a category does not apply to the analysis type)
+function mismatchCounts(report, analysisType) {
+  if (analysisType === 'ELEMENT_COMPARISON') {
+    return {
+      color: report.summary?.colorIssues ?? null,
+      spacing: null,
+      text: report.summary?.fontIssues ?? null,
+      size: null,
+      field: null
+    };
+  }
+  if (analysisType === 'PIXEL_COMPARISON') {
+    return { color: null, spacing: null, text: null, size: null, field: null };
+  }
+  if (analysisType === 'DOM_COMPARISON' || analysisType === 'STATE_MATRIX') {
+    return { ...report.summary?.mismatchesByCategory, field: null };
+  }
+  return {
+    color: countOf(report.colorMismatches),
+    spacing: countOf(report.spacingMismatches),
+    text: countOf(report.textMismatches),
+    size: countOf(report.sizeMismatches),
+    field: countOf(report.fieldMismatches)
+  };
+}
+
+function buildMetadata(report, fileName, id) {
+  const analysisType = inferAnalysisType(report, fileName);
+  const saved = report.metadata || {};
+  const similarity = parseFloat(report.similarity ?? report.regression?.vsLastApproved?.similarity);
+  return {
+    id: String(id),
+    analysisType,
+    timestamp: report.timestamp || null,
+    screenName: saved.screenName || null,
+    fileKey: saved.fileKey || null,
+    nodeId: saved.nodeId || null,
+    designId: saved.designId || null,
+    screenType: saved.screenType || report.screenType?.type || null,
+    accuracy: saved.accuracy ?? reportAccuracy(report, analysisType),
+    similarity: isNaN(similarity) ? null : similarity,
+    totalMismatches: report.totalMismatches ?? report.summary?.notMatchingElements ?? report.diffRegions ?? null,
+    mismatchCounts: mismatchCounts(report, analysisType),
+    uploads: saved.uploads || []
+  };
+}
+
+// Persist a report with its metadata and return the saved report
+export function saveReport(report, { screenName, fileKey, nodeId, designId, figmaJSON, uploads = [] } = {}) {
+  if (!report.id) {
+    report.id = Date.now();
+  }
+  const analysisType = inferAnalysisType(report, '');
+
+  report.metadata = {
+    analysisType,
+    screenName: screenName || figmaScreenName(figmaJSON),
+    fileKey: fileKey || null,
+    nodeId: nodeId || null,
+    // Stored design the analysis ran against (see lib/designs.js)
+    designId: designId || null,
+    screenType: report.screenType?.type || null,
+    accuracy: reportAccuracy(report, analysisType),
+    // Input files that are not referenced by the report itself (originals before resizing, etc.)
+    uploads: uploads.filter(Boolean).map(filePath => path.basename(filePath))
+  };
+
+  fs.writeFileSync(
+    path.join(reportsDir, reportFileName(analysisType, report.id)),
+    JSON.stringify(report, null, 2)
+  );
+
+  return report;
+}
+
+function findReportFile(id) {
+  const safeId = path.basename(String(id));
+  for (const fileName of [`report-${safeId}.json`, `element-comparison-${safeId}.json`]) {
+    const filePath = path.join(reportsDir, fileName);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+export function loadReport(id) {
+  const filePath = findReportFile(id);
+  return filePath ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+// Summaries of all stored reports (reads every report file; fine for local history sizes)
+export function listReportSummaries() {
+  return fs.readdirSync(reportsDir)
+    .map(fileName => ({ fileName, match: fileName.match(REPORT_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ fileName, match }) => {
+      try {
+        const report = JSON.parse(fs.readFileSync(path.join(reportsDir, fileName), 'utf8'));
+        const { uploads, ...summary } = buildMetadata(report, fileName, report.id || match[2]);
+        return summary;
+      } catch (error) {
+        console.warn(`Skipping unreadable report ${fileName}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+// Filter, sort and paginate stored reports
+export function queryReports(query = {}) {
+  const {
+    type,
+    screenName,
+    fileKey,
+    nodeId,
+    screenType,
+    minAccuracy,
+    maxAccuracy,
+    from,
+    to,
+    sort = 'timestamp',
+    order = 'desc'
+  } = query;
+
+  if (!SORT_FIELDS.includes(sort)) {
+    const error = new Error(`Invalid sort field: ${sort}. Use one of ${SORT_FIELDS.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const types = type ? String(type).toUpperCase().split(',') : null;
+  const unknownType = types && types.find(t => !ANALYSIS_TYPES.includes(t));
+  if (unknownType) {
+    const error = new Error(`Invalid analysis type: ${unknownType}. Use one of ${ANALYSIS_TYPES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  const min = minAccuracy !== undefined ? parseFloat(minAccuracy) : null;
+  const max = maxAccuracy !== undefined ? parseFloat(maxAccuracy) : null;
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  let reports = listReportSummaries().filter(report => {
+    if (types && !types.includes(report.analysisType)) return false;
+    if (screenName && !(report.screenName || '').toLowerCase().includes(String(screenName).toLowerCase())) return false;
+    if (fileKey && report.fileKey !== fileKey) return false;
+    if (nodeId && report.nodeId !== nodeId && report.nodeId !== String(nodeId).replace('-', ':')) return false;
+    if (screenType && report.screenType !== screenType) return false;
+    if (min !== null && !(report.accuracy >= min)) return false;
+    if (max !== null && !(report.accuracy <= max)) return false;
+    const time = report.timestamp ? new Date(report.timestamp).getTime() : null;
+    if (fromTime !== null && !(time >= fromTime)) return false;
+    if (toTime !== null && !(time <= toTime)) return false;
+    return true;
+  });
+
+  const direction = order === 'asc' ? 1 : -1;
+  reports.sort((a, b) => {
+    let valueA = a[sort];
+    let valueB = b[sort];
+    if (sort === 'timestamp') {
+      valueA = valueA ? new Date(valueA).getTime() : 0;
+      valueB = valueB ? new Date(valueB).getTime() : 0;
+    }
+    // Missing values always sort last
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+    if (valueA < valueB) return -1 * direction;
+    if (valueA > valueB) return 1 * direction;
+    return 0;
+  });
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  const total = reports.length;
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const page = Math.min(Math.max(parseInt(query.page) || 1, 1), totalPages);
+
+  return {
+    reports: reports.slice((page - 1) * limit, page * limit),
+    total,
+    page,
+    limit,
+    totalPages
+  };
+}
+
+// Upload file names a report produced or referenced
+function reportUploads(report) {
+  const files = collectUploadReferences(report);
+  (report.metadata?.uploads || []).forEach(file => files.add(file));
+
+  // Resized images are derived from an original that is not referenced directly
+  [...files].forEach(file => {
+    if (file.endsWith('-resized.png')) {
+      files.add(file.replace('-resized.png', '.png'));
+    }
+  });
+  return new Set([...files].map(file => path.basename(file)));
+}
+
+// Delete a report and the uploads it produced or referenced.
+// Uploads another saved report still references (batch and matrix runs share screenshots) are kept.
+export function deleteReport(id) {
+  const filePath = findReportFile(id);
+  if (!filePath) return null;
+
+  const report = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const files = reportUploads(report);
+
+  const shared = new Set();
+  fs.readdirSync(reportsDir)
+    .filter(fileName => REPORT_FILE_PATTERN.test(fileName) && path.join(reportsDir, fileName) !== filePath)
+    .forEach(fileName => {
+      try {
+        reportUploads(JSON.parse(fs.readFileSync(path.join(reportsDir, fileName), 'utf8')))
+          .forEach(file => shared.add(file));
+      } catch (error) {
+        console.warn(`Skipping unreadable report ${fileName}:`, error.message);
+      }
+    });
+
+  const deletedFiles = [];
+  files.forEach(file => {
+    if (shared.has(file)) return;
+    const uploadPath = path.join(uploadsDir, file);
+    if (fs.existsSync(uploadPath)) {
+      fs.unlinkSync(uploadPath);
+      deletedFiles.push(file);
+    }
+  });
+
+  fs.unlinkSync(filePath);
+  console.log(`Deleted report ${id} and ${deletedFiles.length} upload file(s)`);
+
+  return { id: String(id), deletedFiles };
+}
+
+// Group reports of the same Figma node (or screen name when no node is known)
+function trendKey(report) {
+  if (report.fileKey && report.nodeId) return `${report.fileKey}:${report.nodeId}`;
+  if (report.fileKey) return report.fileKey;
+  return `screen:${report.screenName || 'Unnamed screen'}`;
+}
+
+// Converging when the score moved up over the series, drifting when it moved down
+function trendDirection(points) {
+  const scores = points.map(point => point.accuracy).filter(value => value !== null);
+  if (scores.length < 2) return 'stable';
+  const delta = scores[scores.length - 1] - scores[0];
+  if (delta > 1) return 'converging';
+  if (delta < -1) return 'drifting';
+  return 'stable';
+}
+
+// Accuracy, similarity and mismatch counts over time for each Figma node
+export function reportTrends({ fileKey, nodeId, type } = {}) {
+  const types = type ? String(type).toUpperCase().split(',') : null;
+  const groups = new Map();
+
+  listReportSummaries()
+    .filter(report => !types || types.includes(report.analysisType))
+    .filter(report => !fileKey || report.fileKey === fileKey)
+    .filter(report => !nodeId || report.nodeId === nodeId || report.nodeId === String(nodeId).replace('-', ':'))
+    .forEach(report => {
+      const key = trendKey(report);
+      if (!groups.has(key)) {
+        groups.set(key, {
+          key,
+          fileKey: report.fileKey,
+          nodeId: report.nodeId,
+          screenName: report.screenName,
+          points: []
+        });
+      }
+      const group = groups.get(key);
+      group.screenName = group.screenName || report.screenName;
+      group.points.push({
+        id: report.id,
+        timestamp: report.timestamp,
+        analysisType: report.analysisType,
+        accuracy: report.accuracy,
+        similarity: report.similarity,
+        totalMismatches: report.totalMismatches,
+        mismatchCounts: report.mismatchCounts
+      });
+    });
+
+  const nodes = [...groups.values()].map(group => {
+    group.points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const latest = group.points[group.points.length - 1];
+    return {
+      ...group,
+      runs: group.points.length,
+      latestAccuracy: latest.accuracy,
+      lastRun: latest.timestamp,
+      trend: trendDirection(group.points)
+    };
+  });
+
+  // Most recently analysed nodes first
+  nodes.sort((a, b) => new Date(b.lastRun) - new Date(a.lastRun));
+  return { nodes };
+}
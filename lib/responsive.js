@@ -0,0 +1,267 @@
+import path from 'path';
+import { analyze, analyzeWithAI } from './analyze.js';
+import { findTopLevelFrames, frameDesign } from './batch.js';
+import { captureURL } from './capture.js';
+import { breakpointType } from './dimensions.js';
+import { reportStage } from './progress.js';
+
+// Responsive matrix: the mobile, tablet and desktop frames of one screen, each analyzed against
+// the implementation at its viewport width. Breakpoints are configured as
+//   [{ name: 'mobile', width: 375, frame: 'Login / Mobile', height?, type? }]
+// where frame is a top-level frame's name or node id (default: the frame closest in width) and
+// type (mobile, tablet, desktop) defaults to the width's standard breakpoint. Without a
+// configuration every top-level frame is a breakpoint at its own width.
+
+// A breakpoint passes when its analysis accuracy reaches this percentage
+const DEFAULT_PASS_ACCURACY = 80;
+// Mismatch categories that describe layout rather than colors or text
+const LAYOUT_MISMATCHES = ['layoutMismatches', 'spacingMismatches', 'sizeMismatches'];
+
+function configError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function frameWidth(frame) {
+  return Math.round(frame.absoluteBoundingBox?.width || 0);
+}
+
+// Accepts [{...}] or { breakpoints: [{...}] }; names default to the width's breakpoint type
+export function parseBreakpoints(config) {
+  const list = Array.isArray(config) ? config : config?.breakpoints;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw configError('Breakpoints must be a non-empty array of { name, width, frame }');
+  }
+
+  const breakpoints = list.map((entry, index) => {
+    const width = Math.round(parseFloat(entry?.width));
+    if (!width || width <= 0) {
+      throw configError(`Breakpoint ${entry?.name || index + 1} needs a width in pixels`);
+    }
+    if (entry.type && !['mobile', 'tablet', 'desktop'].includes(entry.type)) {
+      throw configError(`Invalid breakpoint type: ${entry.type}. Use mobile, tablet or desktop`);
+    }
+    return {
+      name: String(entry.name || breakpointType(width)),
+      width,
+      height: Math.round(parseFloat(entry.height)) || null,
+      frame: entry.frame || null,
+      type: entry.type || breakpointType(width)
+    };
+  });
+
+  const names = breakpoints.map(breakpoint => breakpoint.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    throw configError(`Breakpoint names must be unique: ${duplicate}`);
+  }
+  return breakpoints.sort((a, b) => a.width - b.width);
+}
+
+// One breakpoint per frame, named after its type ("tablet", or "tablet-834" when two share one)
+function breakpointsFromFrames(frames) {
+  const sorted = [...frames].sort((a, b) => frameWidth(a) - frameWidth(b));
+  return sorted.map(frame => {
+    const width = frameWidth(frame);
+    const type = breakpointType(width);
+    const shared = sorted.filter(other => breakpointType(frameWidth(other)) === type).length > 1;
+    return { name: shared ? `${type}-${width}` : type, width, height: null, frame: frame.id, type };
+  });
+}
+
+// The configured frame by node id or name, else the unused frame closest in width
+function findFrame(breakpoint, frames, usedFrames) {
+  if (breakpoint.frame) {
+    const wanted = String(breakpoint.frame);
+    const frame = frames.find(candidate => candidate.id === wanted || candidate.id === wanted.replace('-', ':')) ||
+      frames.find(candidate => normalizeName(candidate.name) === normalizeName(wanted)) ||
+      frames.find(candidate => normalizeName(candidate.name).includes(normalizeName(wanted)));
+    if (!frame) {
+      throw configError(`No frame "${wanted}" for breakpoint ${breakpoint.name}. Frames: ${frames.map(candidate => candidate.name).join(', ')}`);
+    }
+    return { frame, matchedBy: 'frame' };
+  }
+
+  const candidates = frames.filter(frame => !usedFrames.has(frame.id));
+  const pool = candidates.length > 0 ? candidates : frames;
+  const frame = pool.reduce((best, candidate) =>
+    Math.abs(frameWidth(candidate) - breakpoint.width) < Math.abs(frameWidth(best) - breakpoint.width) ? candidate : best);
+  return { frame, matchedBy: 'width' };
+}
+
+// Explicit breakpoint per screenshot, else the breakpoint name or width in the file name
+// ("login-mobile.png", "login-375.png")
+function findScreenshot(breakpoint, screenshots, usedScreenshots) {
+  const free = screenshots.filter(shot => !usedScreenshots.has(shot));
+  const fileName = shot => path.basename(shot.name).replace(/\.[a-z0-9]+$/i, '');
+  return free.find(shot => shot.breakpoint && normalizeName(shot.breakpoint) === normalizeName(breakpoint.name)) ||
+    free.find(shot => !shot.breakpoint && normalizeName(fileName(shot)).includes(normalizeName(breakpoint.name))) ||
+    free.find(shot => !shot.breakpoint && new RegExp(`(^|[^0-9])${breakpoint.width}([^0-9]|$)`).test(fileName(shot))) ||
+    null;
+}
+
+// Layout mismatches of one report, keyed so the same issue can be found at other breakpoints
+function layoutIssues(report) {
+  return LAYOUT_MISMATCHES.flatMap(category => (report[category] || []).map(mismatch => ({
+    category: category.replace('Mismatches', ''),
+    property: mismatch.property,
+    expected: mismatch.expected ?? null,
+    actual: mismatch.actual ?? mismatch.detected ?? null,
+    severity: mismatch.severity || null
+  })));
+}
+
+// Issues found at some analyzed breakpoints but not at others: where the layouts diverge
+function findDivergences(results) {
+  const analyzed = results.filter(result => result.layoutIssues);
+  const byProperty = new Map();
+  analyzed.forEach(result => {
+    result.layoutIssues.forEach(issue => {
+      if (!byProperty.has(issue.property)) {
+        byProperty.set(issue.property, { property: issue.property, category: issue.category, failsAt: [] });
+      }
+      const entry = byProperty.get(issue.property);
+      if (!entry.failsAt.includes(result.name)) entry.failsAt.push(result.name);
+    });
+  });
+
+  return [...byProperty.values()]
+    .filter(entry => entry.failsAt.length < analyzed.length)
+    .map(entry => ({
+      ...entry,
+      passesAt: analyzed.map(result => result.name).filter(name => !entry.failsAt.includes(name))
+    }));
+}
+
+// Analyze each breakpoint's Figma frame against its screenshot, or against options.url captured
+// at the breakpoint's width when no screenshot is given.
+// breakpoints: configuration as above (default: one per top-level frame).
+// screenshots: [{ path, name, breakpoint? }].
+// options: screen (only frames whose name contains it), url and the captureURL options,
+// threshold (pass accuracy, default 80), useAI, plus the analysis options.
+// Returns a RESPONSIVE roll-up; each analyzed breakpoint carries its full report.
+export async function analyzeResponsive({ figmaJSON, breakpoints = null, screenshots = [], options = {} }) {
+  let frames = findTopLevelFrames(figmaJSON);
+  if (options.screen) {
+    frames = frames.filter(frame => normalizeName(frame.name).includes(normalizeName(options.screen)));
+  }
+  if (frames.length === 0) {
+    throw configError(options.screen
+      ? `No top-level frame named like "${options.screen}"`
+      : 'No top-level FRAME nodes found in the Figma design');
+  }
+  if (screenshots.length === 0 && !options.url) {
+    throw configError('Upload a screenshot per breakpoint or send a URL to capture at each width');
+  }
+
+  const configured = breakpoints ? parseBreakpoints(breakpoints) : breakpointsFromFrames(frames);
+  const threshold = parseFloat(options.threshold) >= 0 ? parseFloat(options.threshold) : DEFAULT_PASS_ACCURACY;
+  console.log(`Responsive matrix: ${configured.map(breakpoint => `${breakpoint.name} (${breakpoint.width}px)`).join(', ')}`);
+
+  const runAnalysis = options.useAI ? analyzeWithAI : analyze;
+  const usedFrames = new Set();
+  const usedScreenshots = new Set();
+  const results = [];
+  for (const [index, breakpoint] of configured.entries()) {
+    const { frame, matchedBy } = findFrame(breakpoint, frames, usedFrames);
+    usedFrames.add(frame.id);
+    const frameJSON = frameDesign(figmaJSON, frame);
+    const result = {
+      name: breakpoint.name,
+      type: breakpoint.type,
+      width: breakpoint.width,
+      frameId: frame.id,
+      frameName: frame.name,
+      frameWidth: frameWidth(frame),
+      frameMatchedBy: matchedBy,
+      screenshot: null
+    };
+
+    const shot = findScreenshot(breakpoint, screenshots, usedScreenshots);
+    if (!shot && !options.url) {
+      results.push({ ...result, status: 'missing', accuracy: null, passed: false });
+      continue;
+    }
+
+    reportStage(options, 'breakpoint', `Analyzing ${breakpoint.name} at ${breakpoint.width}px (${index + 1}/${configured.length})`);
+    try {
+      let screenshotPath;
+      if (shot) {
+        usedScreenshots.add(shot);
+        screenshotPath = shot.path;
+        result.screenshot = shot.name;
+      } else {
+        const { path: capturePath, ...capture } = await captureURL({
+          url: options.url,
+          figmaJSON: frameJSON,
+          options: { ...options, width: breakpoint.width, height: breakpoint.height || undefined }
+        });
+        screenshotPath = capturePath;
+        result.screenshot = path.basename(capturePath);
+        result.capture = capture;
+      }
+
+      const report = await runAnalysis({
+        figmaJSON: frameJSON,
+        screenshot: screenshotPath,
+        options: { ...options, breakpoint: breakpoint.type, figmaProperties: null }
+      });
+      if (result.capture) report.capture = result.capture;
+      const accuracy = parseFloat(report.accuracy);
+      results.push({
+        ...result,
+        status: 'analyzed',
+        accuracy: isNaN(accuracy) ? null : accuracy,
+        passed: accuracy >= threshold,
+        totalMismatches: report.totalMismatches,
+        dimensionWarning: report.dimensionValidation?.warning ? report.dimensionValidation.message : null,
+        layoutIssues: layoutIssues(report),
+        screenshotPath,
+        figmaJSON: frameJSON,
+        report
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error(`Responsive analysis failed for breakpoint "${breakpoint.name}":`, error.message);
+      results.push({ ...result, status: 'failed', accuracy: null, passed: false, error: error.message });
+    }
+  }
+
+  const analyzed = results.filter(result => result.accuracy !== null && result.accuracy !== undefined);
+  const combined = analyzed.length > 0
+    ? analyzed.reduce((sum, result) => sum + result.accuracy, 0) / analyzed.length
+    : null;
+
+  // Breakpoint reports are saved next to the roll-up, so its id must not repeat theirs
+  const id = Math.max(Date.now(), ...results.map(result => (result.report?.id || 0) + 1));
+
+  return {
+    id,
+    timestamp: new Date().toISOString(),
+    analysisType: 'RESPONSIVE',
+    accuracy: combined === null ? null : combined.toFixed(2),
+    summary: {
+      breakpoints: results.length,
+      analyzed: analyzed.length,
+      passed: results.filter(result => result.passed).length,
+      failed: results.filter(result => result.status === 'analyzed' && !result.passed).length,
+      errors: results.filter(result => result.status === 'failed').length,
+      missing: results.filter(result => result.status === 'missing').length,
+      lowestAccuracy: analyzed.length > 0 ? Math.min(...analyzed.map(result => result.accuracy)) : null,
+      threshold
+    },
+    breakpoints: results,
+    divergences: findDivergences(results),
+    unusedFrames: frames
+      .filter(frame => !usedFrames.has(frame.id))
+      .map(frame => ({ frameId: frame.id, frameName: frame.name, width: frameWidth(frame) })),
+    unusedScreenshots: screenshots
+      .filter(shot => !usedScreenshots.has(shot))
+      .map(shot => path.basename(shot.name))
+  };
+}
@@ -0,0 +1,243 @@
+import path from 'path';
+import sharp from 'sharp';
+import { outputUrl, resolveOutput } from './config.js';
+import { reportStage } from './progress.js';
+import { findRenderRoot } from './rasterize.js';
+
+// Tall (scrollable) designs: several viewport-sized screenshots taken while scrolling are
+// stitched into one full-height image, or a single viewport is compared with the matching
+// vertical slice of the Figma frame. Either way the screenshot and the frame share an aspect
+// ratio, so normalizing does not squash a viewport into a whole page.
+
+// Rows are compared as greyscale strips this many samples wide
+const ROW_SAMPLES = 32;
+// Mean difference (0-255) below which two rows count as the same
+const ROW_TOLERANCE = 3;
+// A row whose samples span less than this is background and says nothing about the scroll offset
+const UNIFORM_ROW_RANGE = 8;
+// Overlaps with fewer rows of content than this are not trusted
+const MIN_INFORMATIVE_ROWS = 8;
+// Sticky headers and footers are at most this share of the viewport
+const MAX_STICKY_SHARE = 1 / 3;
+
+function scrollError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// One ROW_SAMPLES-wide greyscale strip per pixel row
+async function rowSignature(screenshotPath) {
+  const { width, height } = await sharp(screenshotPath).metadata();
+  const data = await sharp(screenshotPath)
+    .greyscale()
+    .resize(ROW_SAMPLES, height, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(data.subarray(y * ROW_SAMPLES, (y + 1) * ROW_SAMPLES));
+  }
+  return { width, height, rows };
+}
+
+function rowDifference(a, b) {
+  let sum = 0;
+  for (let i = 0; i < ROW_SAMPLES; i++) {
+    sum += Math.abs(a[i] - b[i]);
+  }
+  return sum / ROW_SAMPLES;
+}
+
+function isUniform(row) {
+  let min = 255;
+  let max = 0;
+  for (const value of row) {
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  return max - min < UNIFORM_ROW_RANGE;
+}
+
+// Rows that are the same in every screenshot at the top (fromEnd: bottom), i.e. a sticky
+// header or footer. Plain background that happens to match is not a header.
+function stickyRows(signatures, fromEnd) {
+  const { height } = signatures[0];
+  const limit = Math.floor(height * MAX_STICKY_SHARE);
+  const rowAt = (signature, offset) => signature.rows[fromEnd ? height - 1 - offset : offset];
+
+  let count = 0;
+  while (count < limit &&
+    signatures.every(signature => rowDifference(rowAt(signature, count), rowAt(signatures[0], count)) <= ROW_TOLERANCE)) {
+    count++;
+  }
+  const hasContent = Array.from({ length: count }, (_, offset) => rowAt(signatures[0], offset)).some(row => !isUniform(row));
+  return hasContent ? count : 0;
+}
+
+// How far the content scrolled between two screenshots: the offset where the top of `next`
+// lines up with `previous`. Returns { scroll, overlap, difference, matched }.
+function findScroll(previous, next, header, footer) {
+  const content = previous.height - header - footer;
+  // Comparing every few rows keeps tall @2x/@3x captures fast
+  const step = Math.max(1, Math.ceil(content / 600));
+  let best = { scroll: content, difference: Infinity };
+
+  for (let scroll = 1; scroll < content; scroll++) {
+    let sum = 0;
+    let informative = 0;
+    for (let row = 0; row < content - scroll; row += step) {
+      const nextRow = next.rows[header + row];
+      if (isUniform(nextRow)) continue;
+      sum += rowDifference(previous.rows[header + scroll + row], nextRow);
+      informative++;
+    }
+    if (informative < MIN_INFORMATIVE_ROWS) continue;
+    const difference = sum / informative;
+    if (difference < best.difference) {
+      best = { scroll, difference };
+    }
+  }
+
+  if (best.difference > ROW_TOLERANCE) {
+    // No overlap found: the screenshots are assumed to follow each other directly
+    return { scroll: content, overlap: 0, difference: null, matched: false };
+  }
+  return {
+    scroll: best.scroll,
+    overlap: content - best.scroll,
+    difference: parseFloat(best.difference.toFixed(2)),
+    matched: true
+  };
+}
+
+// Stitch screenshots taken while scrolling down a page (in scroll order) into one image.
+// Sticky headers and footers are detected and kept once; the overlap between consecutive
+// screenshots is found by comparing rows. options: outputDir/urlPrefix, onProgress.
+// Returns { path, url, width, height, screenshots, header, footer, steps: [{ screenshot, scroll, overlap, difference, matched }] }.
+export async function stitchScreenshots(screenshotPaths, options = {}) {
+  if (!screenshotPaths || screenshotPaths.length === 0) {
+    throw scrollError('At least one screenshot is required to stitch');
+  }
+  const output = resolveOutput(options);
+  reportStage(options, 'stitch', `Stitching ${screenshotPaths.length} screenshot(s)`);
+
+  const signatures = [];
+  for (const screenshotPath of screenshotPaths) {
+    signatures.push(await rowSignature(screenshotPath));
+  }
+  const { width, height } = signatures[0];
+  const mismatched = signatures.findIndex(signature => signature.width !== width || signature.height !== height);
+  if (mismatched !== -1) {
+    throw scrollError(`Screenshots to stitch must have the same size: ${path.basename(screenshotPaths[mismatched])} is ` +
+      `${signatures[mismatched].width}x${signatures[mismatched].height}, the first is ${width}x${height}`);
+  }
+
+  const header = signatures.length > 1 ? stickyRows(signatures, false) : 0;
+  const footer = signatures.length > 1 ? stickyRows(signatures, true) : 0;
+
+  // The first screenshot without its footer, then each screenshot's newly scrolled-in rows
+  const pieces = [{ input: screenshotPaths[0], top: 0, height: height - footer }];
+  const steps = [];
+  let stitchedHeight = height - footer;
+  for (let index = 1; index < signatures.length; index++) {
+    const step = findScroll(signatures[index - 1], signatures[index], header, footer);
+    steps.push({ screenshot: index, ...step });
+    pieces.push({ input: screenshotPaths[index], top: height - footer - step.scroll, height: step.scroll });
+    stitchedHeight += step.scroll;
+  }
+  if (footer > 0) {
+    pieces.push({ input: screenshotPaths[screenshotPaths.length - 1], top: height - footer, height: footer });
+  }
+  stitchedHeight += footer;
+
+  const composites = [];
+  let y = 0;
+  for (const piece of pieces) {
+    const buffer = await sharp(piece.input)
+      .extract({ left: 0, top: piece.top, width, height: piece.height })
+      .png()
+      .toBuffer();
+    composites.push({ input: buffer, left: 0, top: y });
+    y += piece.height;
+  }
+
+  const outputPath = path.join(output.dir, `stitched-${Date.now()}.png`);
+  await sharp({ create: { width, height: stitchedHeight, channels: 4, background: { r: 255, g: 255, b: 255, alpha: 1 } } })
+    .composite(composites)
+    .png()
+    .toFile(outputPath);
+
+  const unmatched = steps.filter(step => !step.matched).length;
+  console.log(`Stitched ${screenshotPaths.length} screenshot(s) into ${width}x${stitchedHeight} ` +
+    `(header ${header}px, footer ${footer}px${unmatched ? `, ${unmatched} without overlap` : ''})`);
+
+  return {
+    path: outputPath,
+    url: outputUrl(output, outputPath),
+    width,
+    height: stitchedHeight,
+    screenshots: screenshotPaths.length,
+    header,
+    footer,
+    steps
+  };
+}
+
+// Move a node and its descendants down by dy
+function shiftNode(node, dy) {
+  ['absoluteBoundingBox', 'absoluteRenderBounds'].forEach(key => {
+    if (node[key]) node[key] = { ...node[key], y: node[key].y + dy };
+  });
+  (node.children || []).forEach(child => shiftNode(child, dy));
+}
+
+// Drop descendants entirely outside [top, bottom) in absolute coordinates
+function pruneOutside(node, top, bottom) {
+  if (!node.children) return;
+  node.children = node.children.filter(child => {
+    const box = child.absoluteBoundingBox;
+    return !box || (box.y < bottom && box.y + box.height > top);
+  });
+  node.children.forEach(child => pruneOutside(child, top, bottom));
+}
+
+// The vertical slice [top, top + height) of the Figma frame, as a copy of figmaJSON whose frame
+// is the slice (top and height in design pixels). Children marked isFixed in Figma (fixed when
+// scrolling) move with the viewport. The copy's `slice` records { top, height, frameHeight, frameName }.
+export function sliceFigmaFrame(figmaJSON, { top = 0, height }) {
+  const sliced = structuredClone(figmaJSON);
+  const root = findRenderRoot(sliced);
+  const box = root?.absoluteBoundingBox;
+  if (!box) {
+    throw scrollError('The Figma JSON has no frame with an absoluteBoundingBox to slice');
+  }
+
+  const sliceTop = Math.max(0, Math.round(parseFloat(top) || 0));
+  if (sliceTop >= box.height) {
+    throw scrollError(`Slice top ${sliceTop} is below the end of the frame (height ${Math.round(box.height)})`);
+  }
+  const sliceHeight = Math.min(Math.round(height) || box.height, box.height - sliceTop);
+
+  (root.children || []).filter(child => child.isFixed).forEach(child => shiftNode(child, sliceTop));
+  pruneOutside(root, box.y + sliceTop, box.y + sliceTop + sliceHeight);
+  root.absoluteBoundingBox = { ...box, y: box.y + sliceTop, height: sliceHeight };
+  if (root.absoluteRenderBounds) {
+    root.absoluteRenderBounds = { ...root.absoluteRenderBounds, y: box.y + sliceTop, height: sliceHeight };
+  }
+
+  sliced.slice = { top: sliceTop, height: sliceHeight, frameHeight: Math.round(box.height), frameName: root.name || null };
+  console.log(`Sliced frame "${root.name}" to ${sliceTop}-${sliceTop + sliceHeight} of ${Math.round(box.height)}px`);
+  return sliced;
+}
+
+// The slice of the frame a viewport screenshot shows when scrolled to `top` (design pixels):
+// as tall as the screenshot at the frame's width
+export async function sliceForScreenshot(figmaJSON, screenshotPath, { top = 0 } = {}) {
+  const frameWidth = findRenderRoot(figmaJSON)?.absoluteBoundingBox?.width;
+  if (!frameWidth) {
+    throw scrollError('The Figma JSON has no frame with an absoluteBoundingBox to slice');
+  }
+  const { width, height } = await sharp(screenshotPath).metadata();
+  return sliceFigmaFrame(figmaJSON, { top, height: height * frameWidth / width });
+}
@@ -0,0 +1,671 @@
+// Importers for non-Figma design exports, shared by the server and the browser (served at /shared).
+// Keep this module free of Node imports.
+//
+// Penpot, Sketch and Adobe XD exports are converted into Figma node JSON (FRAME/GROUP/
+// RECTANGLE/ELLIPSE/TEXT nodes with absoluteBoundingBox, SOLID fills, strokes, effects and
+// text styles), so extractFigmaProperties and everything after it work unchanged:
+//
+//   const figmaJSON = importDesign(JSON.parse(text), { frame: 'Login' });
+//
+// Accepted input:
+//   penpot - file JSON from the backend API ({ data: { pagesIndex } }), a single page
+//            ({ objects }), camelCase or kebab-case keys
+//   sketch - a page or artboard JSON from the .sketch archive (pages/<id>.json), or
+//            { pages: [...] } with every page
+//   xd     - artwork/<artboard>/graphics/graphicContent.agc of the .xd archive; artboard bounds
+//            come from the resources file's `artboards` map when merged in ({ artboards, children })
+//
+// The result has the shape of a Figma nodes response with one entry per imported frame, plus
+// `importedFrom: { format, frame, frames }`. Figma JSON (and already imported JSON) is
+// returned as is. Gradients, images and vector paths are not converted; vector shapes keep
+// their box and solid paints only.
+
+export const DESIGN_FORMATS = ['figma', 'penpot', 'sketch', 'xd'];
+
+const PENPOT_ROOT_ID = '00000000-0000-0000-0000-000000000000';
+
+function importError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value, fallback = null) {
+  const number = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function box(x, y, width, height) {
+  return { x: round(x), y: round(y), width: round(Math.max(width, 0)), height: round(Math.max(height, 0)) };
+}
+
+// '#1a73e8' -> Figma color (0-1 floats)
+function hexColor(hex, alpha = 1) {
+  const value = String(hex || '').replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value.substring(0, 6);
+  if (!/^[0-9a-f]{6}$/i.test(full)) return null;
+  return {
+    r: parseInt(full.substring(0, 2), 16) / 255,
+    g: parseInt(full.substring(2, 4), 16) / 255,
+    b: parseInt(full.substring(4, 6), 16) / 255,
+    a: alpha
+  };
+}
+
+function solidPaint(color, opacity = 1, visible = true) {
+  return color ? { type: 'SOLID', visible, opacity, color } : null;
+}
+
+function dropShadow({ inner = false, color, x = 0, y = 0, radius = 0, spread = 0, visible = true }) {
+  return {
+    type: inner ? 'INNER_SHADOW' : 'DROP_SHADOW',
+    visible,
+    color: color || { r: 0, g: 0, b: 0, a: 0.25 },
+    offset: { x, y },
+    radius,
+    spread
+  };
+}
+
+// Four corner radii [topLeft, topRight, bottomRight, bottomLeft] as Figma stores them
+function cornerRadius(node, radii) {
+  const values = radii.map(radius => toNumber(radius, 0));
+  if (values.every(radius => radius === values[0])) {
+    if (values[0] > 0) node.cornerRadius = values[0];
+  } else {
+    node.rectangleCornerRadii = values;
+  }
+}
+
+// "Inter-SemiBold", "Bold Italic" -> 600, 700
+const WEIGHT_NAMES = [
+  [/thin|hairline/i, 100],
+  [/extra\s*light|ultra\s*light/i, 200],
+  [/semi\s*bold|demi\s*bold/i, 600],
+  [/extra\s*bold|ultra\s*bold/i, 800],
+  [/black|heavy/i, 900],
+  [/light/i, 300],
+  [/medium/i, 500],
+  [/bold/i, 700]
+];
+
+function fontWeightFromName(name) {
+  const match = WEIGHT_NAMES.find(([pattern]) => pattern.test(name || ''));
+  return match ? match[1] : 400;
+}
+
+const TEXT_ALIGN = { left: 'LEFT', center: 'CENTER', right: 'RIGHT', justify: 'JUSTIFIED', justified: 'JUSTIFIED' };
+const TEXT_CASE = { uppercase: 'UPPER', lowercase: 'LOWER', capitalize: 'TITLE' };
+
+function textStyle({ fontFamily, fontSize, fontWeight, lineHeightPx, letterSpacing, align, textCase, textDecoration }) {
+  const style = {
+    fontFamily: fontFamily || 'Unknown',
+    fontSize: fontSize || 16,
+    fontWeight: fontWeight || 400,
+    letterSpacing: letterSpacing || 0,
+    textAlignHorizontal: TEXT_ALIGN[String(align || 'left').toLowerCase()] || 'LEFT'
+  };
+  if (lineHeightPx) style.lineHeightPx = round(lineHeightPx);
+  if (TEXT_CASE[textCase]) style.textCase = TEXT_CASE[textCase];
+  if (textDecoration === 'underline') style.textDecoration = 'UNDERLINE';
+  if (textDecoration === 'line-through') style.textDecoration = 'STRIKETHROUGH';
+  return style;
+}
+
+function selectFrames(format, frames, { frame, allFrames }) {
+  if (frames.length === 0) {
+    throw importError(`The ${format} export has no boards or artboards to import`);
+  }
+  if (frame) {
+    const wanted = String(frame).toLowerCase();
+    const match = frames.find(candidate => candidate.id === frame || String(candidate.name).toLowerCase() === wanted);
+    if (!match) {
+      throw importError(`No frame "${frame}" in the ${format} export. Available: ${frames.map(candidate => candidate.name).join(', ')}`);
+    }
+    return [match];
+  }
+  return allFrames ? frames : [frames[0]];
+}
+
+// Figma nodes-response shape for the converted frames
+function figmaResult(format, name, frames, options) {
+  const selected = selectFrames(format, frames, options);
+  const nodes = {};
+  selected.forEach(frame => {
+    nodes[frame.id] = { document: frame };
+  });
+  return {
+    name: name || selected[0].name,
+    importedFrom: {
+      format,
+      frame: selected.length === 1 ? selected[0].name : null,
+      frames: frames.map(frame => ({ id: frame.id, name: frame.name }))
+    },
+    nodes
+  };
+}
+
+// --- Penpot -----------------------------------------------------------------
+
+function camelKey(key) {
+  return key.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+// Maps keyed by shape, page or library ids; their keys are UUIDs and must stay as they are
+const PENPOT_ID_MAPS = new Set(['objects', 'pagesIndex', 'components', 'colors', 'typographies', 'media']);
+
+// Penpot's backend JSON uses kebab-case keys, the plugin/JS API camelCase.
+// Only property names are converted, not the ids keying the maps above.
+function camelKeys(value, idKeys = false) {
+  if (Array.isArray(value)) return value.map(entry => camelKeys(entry));
+  if (!value || typeof value !== 'object') return value;
+  const result = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    const name = idKeys ? key : camelKey(key);
+    result[name] = camelKeys(entry, !idKeys && PENPOT_ID_MAPS.has(name));
+  });
+  return result;
+}
+
+function penpotPages(json) {
+  const data = json.data || json;
+  if (data.pagesIndex) {
+    const order = data.pages || Object.keys(data.pagesIndex);
+    return order.map(id => data.pagesIndex[id]).filter(Boolean);
+  }
+  return data.objects ? [data] : [];
+}
+
+function penpotPaints(paints, colorKey, opacityKey) {
+  return (paints || [])
+    .map(paint => solidPaint(hexColor(paint[colorKey]), toNumber(paint[opacityKey], 1)))
+    .filter(Boolean);
+}
+
+// Text leaves of Penpot's content tree (root > paragraph-set > paragraph > text leaf)
+function penpotTextLeaves(content) {
+  const leaves = [];
+  const paragraphs = [];
+  const walk = (node, paragraph) => {
+    if (!node) return;
+    if (node.type === 'paragraph') {
+      paragraph = { node, text: '' };
+      paragraphs.push(paragraph);
+    }
+    if (typeof node.text === 'string') {
+      leaves.push({ ...node, paragraph: paragraph?.node });
+      if (paragraph) paragraph.text += node.text;
+    }
+    (node.children || []).forEach(child => walk(child, paragraph));
+  };
+  walk(content, null);
+  return { leaves, text: paragraphs.map(paragraph => paragraph.text).join('\n') };
+}
+
+const PENPOT_ALIGN = { start: 'MIN', center: 'CENTER', end: 'MAX', spaceBetween: 'SPACE_BETWEEN', 'space-between': 'SPACE_BETWEEN', stretch: 'MIN' };
+
+function penpotNode(shape, objects) {
+  const type = {
+    frame: shape.componentId && !shape.mainInstance ? 'INSTANCE' : shape.mainInstance ? 'COMPONENT' : 'FRAME',
+    group: shape.componentId && !shape.mainInstance ? 'INSTANCE' : 'GROUP',
+    rect: 'RECTANGLE',
+    circle: 'ELLIPSE',
+    text: 'TEXT',
+    image: 'RECTANGLE'
+  }[shape.type] || 'VECTOR';
+  const bounds = shape.selrect || shape;
+
+  const node = {
+    id: shape.id,
+    name: shape.name || shape.type,
+    type,
+    absoluteBoundingBox: box(toNumber(bounds.x, 0), toNumber(bounds.y, 0), toNumber(bounds.width, 0), toNumber(bounds.height, 0)),
+    fills: shape.type === 'text' ? [] : penpotPaints(shape.fills, 'fillColor', 'fillOpacity'),
+    strokes: penpotPaints(shape.strokes, 'strokeColor', 'strokeOpacity')
+  };
+  if (shape.hidden) node.visible = false;
+  if (shape.blocked) node.locked = true;
+  if (toNumber(shape.opacity, 1) < 1) node.opacity = toNumber(shape.opacity);
+  if (type === 'INSTANCE') node.componentId = shape.componentId;
+
+  if (node.strokes.length > 0) {
+    node.strokeWeight = toNumber(shape.strokes[0].strokeWidth, 1);
+    node.strokeAlign = { inner: 'INSIDE', outer: 'OUTSIDE' }[shape.strokes[0].strokeAlignment] || 'CENTER';
+  }
+  if (shape.r1 !== undefined) {
+    cornerRadius(node, [shape.r1, shape.r2, shape.r3, shape.r4]);
+  } else if (shape.rx !== undefined) {
+    cornerRadius(node, [shape.rx, shape.rx, shape.rx, shape.rx]);
+  }
+  node.effects = (shape.shadow || []).map(shadow => dropShadow({
+    inner: shadow.style === 'inner-shadow' || shadow.style === 'innerShadow',
+    color: hexColor(shadow.color?.color, toNumber(shadow.color?.opacity, 1)),
+    x: toNumber(shadow.offsetX, 0),
+    y: toNumber(shadow.offsetY, 0),
+    radius: toNumber(shadow.blur, 0),
+    spread: toNumber(shadow.spread, 0),
+    visible: !shadow.hidden
+  }));
+
+  if (shape.type === 'text') {
+    const { leaves, text } = penpotTextLeaves(shape.content);
+    const leaf = leaves[0] || {};
+    const fontSize = toNumber(leaf.fontSize, 14);
+    node.characters = text;
+    node.style = textStyle({
+      fontFamily: leaf.fontFamily,
+      fontSize,
+      fontWeight: toNumber(leaf.fontWeight, 400),
+      lineHeightPx: toNumber(leaf.lineHeight) ? toNumber(leaf.lineHeight) * fontSize : null,
+      letterSpacing: toNumber(leaf.letterSpacing, 0),
+      align: leaf.textAlign || leaf.paragraph?.textAlign,
+      textCase: leaf.textTransform,
+      textDecoration: leaf.textDecoration
+    });
+    node.fills = leaf.fills?.length
+      ? penpotPaints(leaf.fills, 'fillColor', 'fillOpacity')
+      : [solidPaint(hexColor(leaf.fillColor || '#000000'), toNumber(leaf.fillOpacity, 1))].filter(Boolean);
+  }
+
+  // Flex layout maps onto auto layout
+  if (shape.layout === 'flex') {
+    const horizontal = String(shape.layoutFlexDir || 'row').startsWith('row');
+    const padding = shape.layoutPadding || {};
+    Object.assign(node, {
+      layoutMode: horizontal ? 'HORIZONTAL' : 'VERTICAL',
+      itemSpacing: toNumber(horizontal ? shape.layoutGap?.columnGap : shape.layoutGap?.rowGap, 0),
+      paddingTop: toNumber(padding.p1, 0),
+      paddingRight: toNumber(padding.p2, 0),
+      paddingBottom: toNumber(padding.p3, 0),
+      paddingLeft: toNumber(padding.p4, 0),
+      primaryAxisAlignItems: PENPOT_ALIGN[shape.layoutJustifyContent] || 'MIN',
+      counterAxisAlignItems: PENPOT_ALIGN[shape.layoutAlignItems] || 'MIN'
+    });
+  }
+
+  const children = (shape.shapes || []).map(id => objects[id]).filter(Boolean).map(child => penpotNode(child, objects));
+  if (node.layoutMode) {
+    // Auto-layout children are listed in flow order
+    const axis = node.layoutMode === 'HORIZONTAL' ? 'x' : 'y';
+    children.sort((a, b) => a.absoluteBoundingBox[axis] - b.absoluteBoundingBox[axis]);
+  }
+  if (children.length > 0 || shape.shapes) node.children = children;
+  return node;
+}
+
+function importPenpot(json, options) {
+  const pages = penpotPages(camelKeys(json));
+  const page = options.page
+    ? pages.find(candidate => candidate.id === options.page || candidate.name === options.page)
+    : pages.find(candidate => Object.values(candidate.objects || {}).some(shape => shape.type === 'frame' && shape.id !== PENPOT_ROOT_ID));
+  if (!page) {
+    throw importError(options.page ? `No page "${options.page}" in the Penpot file` : 'The Penpot file has no boards');
+  }
+
+  const objects = page.objects;
+  const root = objects[PENPOT_ROOT_ID];
+  const topLevel = root?.shapes
+    ? root.shapes.map(id => objects[id])
+    : Object.values(objects).filter(shape => shape.parentId === PENPOT_ROOT_ID && shape.id !== PENPOT_ROOT_ID);
+  const boards = topLevel.filter(shape => shape?.type === 'frame').map(shape => penpotNode(shape, objects));
+  return figmaResult('penpot', json.name || page.name, boards, options);
+}
+
+// --- Sketch -----------------------------------------------------------------
+
+function sketchColor(color) {
+  return color ? { r: color.red ?? 0, g: color.green ?? 0, b: color.blue ?? 0, a: color.alpha ?? 1 } : null;
+}
+
+function sketchPaints(paints) {
+  return (paints || [])
+    .filter(paint => (paint.fillType || 0) === 0)
+    .map(paint => solidPaint(sketchColor(paint.color), paint.contextSettings?.opacity ?? 1, paint.isEnabled !== false))
+    .filter(Boolean);
+}
+
+// Font, color and paragraph attributes of the first run of a text layer
+function sketchTextAttributes(layer) {
+  return layer.attributedString?.attributes?.[0]?.attributes ||
+    layer.style?.textStyle?.encodedAttributes ||
+    {};
+}
+
+const SKETCH_ALIGN = ['left', 'right', 'center', 'justify', 'left'];
+const SKETCH_TEXT_CASE = { 1: 'uppercase', 2: 'lowercase' };
+const SKETCH_TYPES = {
+  artboard: 'FRAME',
+  symbolMaster: 'COMPONENT',
+  symbolInstance: 'INSTANCE',
+  group: 'GROUP',
+  rectangle: 'RECTANGLE',
+  bitmap: 'RECTANGLE',
+  oval: 'ELLIPSE',
+  text: 'TEXT'
+};
+
+// Sketch frames are relative to the parent; Figma boxes are absolute. Layers inlined from a
+// symbol master get "I<instance>;" id prefixes, as Figma gives instance children.
+function sketchNode(layer, originX, originY, context, overrides = {}, idPrefix = '') {
+  const frame = layer.frame || {};
+  const x = originX + (frame.x || 0);
+  const y = originY + (frame.y || 0);
+  const style = layer.style || {};
+
+  const node = {
+    id: idPrefix + layer.do_objectID,
+    name: layer.name || layer._class,
+    type: SKETCH_TYPES[layer._class] || 'VECTOR',
+    absoluteBoundingBox: box(x, y, frame.width || 0, frame.height || 0),
+    fills: sketchPaints(style.fills),
+    strokes: sketchPaints(style.borders),
+    effects: [
+      ...(style.shadows || []).map(shadow => ({ shadow, inner: false })),
+      ...(style.innerShadows || []).map(shadow => ({ shadow, inner: true }))
+    ].map(({ shadow, inner }) => dropShadow({
+      inner,
+      color: sketchColor(shadow.color),
+      x: shadow.offsetX || 0,
+      y: shadow.offsetY || 0,
+      radius: shadow.blurRadius || 0,
+      spread: shadow.spread || 0,
+      visible: shadow.isEnabled !== false
+    }))
+  };
+  if (layer.isVisible === false) node.visible = false;
+  if (layer.isLocked) node.locked = true;
+  if ((style.contextSettings?.opacity ?? 1) < 1) node.opacity = style.contextSettings.opacity;
+
+  const border = (style.borders || []).find(candidate => candidate.isEnabled !== false);
+  if (border) {
+    node.strokeWeight = border.thickness || 1;
+    node.strokeAlign = ['CENTER', 'INSIDE', 'OUTSIDE'][border.position || 0];
+  }
+  if ((layer._class === 'artboard' || layer._class === 'symbolMaster') && layer.hasBackgroundColor) {
+    node.fills = [solidPaint(sketchColor(layer.backgroundColor))].filter(Boolean);
+  }
+  if (layer._class === 'rectangle') {
+    const points = layer.points || [];
+    if (points.length === 4 && points.some(point => point.cornerRadius)) {
+      cornerRadius(node, points.map(point => point.cornerRadius || 0));
+    } else if (layer.fixedRadius) {
+      node.cornerRadius = layer.fixedRadius;
+    }
+  }
+
+  if (layer._class === 'text') {
+    const attributes = sketchTextAttributes(layer);
+    const font = attributes.MSAttributedStringFontAttribute?.attributes || {};
+    const fontName = font.name || '';
+    const paragraph = attributes.paragraphStyle || {};
+    node.characters = overrides[layer.do_objectID] ?? layer.attributedString?.string ?? '';
+    node.style = textStyle({
+      fontFamily: fontName.split('-')[0],
+      fontSize: font.size,
+      fontWeight: fontWeightFromName(fontName.split('-')[1] || fontName),
+      lineHeightPx: paragraph.maximumLineHeight || paragraph.minimumLineHeight,
+      letterSpacing: attributes.kerning || 0,
+      align: SKETCH_ALIGN[paragraph.alignment || 0],
+      textCase: SKETCH_TEXT_CASE[attributes.MSAttributedStringTextTransformAttribute],
+      textDecoration: attributes.underlineStyle ? 'underline' : attributes.strikethroughStyle ? 'line-through' : null
+    });
+    const color = sketchColor(attributes.MSAttributedStringColorAttribute);
+    if (node.fills.length === 0) node.fills = [solidPaint(color || { r: 0, g: 0, b: 0, a: 1 })];
+  }
+
+  let layers = layer.layers;
+  if (layer._class === 'symbolInstance') {
+    node.componentId = layer.symbolID;
+    // Inline the master's layers when the export contains it, with text overrides applied
+    const master = context.masters.get(layer.symbolID);
+    if (master && !context.inlining.has(layer.symbolID)) {
+      const instanceOverrides = { ...overrides };
+      (layer.overrideValues || []).forEach(override => {
+        const [path, property] = String(override.overrideName).split('_');
+        if (property === 'stringValue') instanceOverrides[path.split('/').pop()] = override.value;
+      });
+      context.inlining.add(layer.symbolID);
+      node.children = (master.layers || []).map(child => sketchNode(child, x, y, context, instanceOverrides, `I${node.id};`));
+      context.inlining.delete(layer.symbolID);
+    }
+  }
+  if (layers && !['shapeGroup', 'shapePath'].includes(layer._class)) {
+    node.children = layers
+      .filter(child => !['slice', 'MSImmutableHotspotLayer'].includes(child._class))
+      .map(child => sketchNode(child, x, y, context, overrides, idPrefix));
+  }
+  return node;
+}
+
+function sketchPagesOf(json) {
+  if (Array.isArray(json.pages)) return json.pages;
+  if (json.document?.pages && Array.isArray(json.document.pages)) return json.document.pages;
+  if (json._class === 'page') return [json];
+  return [{ _class: 'page', name: json.name, layers: [json] }];
+}
+
+function importSketch(json, options) {
+  const pages = sketchPagesOf(json).filter(page => page && typeof page === 'object');
+  const masters = new Map();
+  const collectMasters = layer => {
+    if (layer._class === 'symbolMaster') masters.set(layer.symbolID, layer);
+    (layer.layers || []).forEach(collectMasters);
+  };
+  pages.forEach(collectMasters);
+  (json.document?.foreignSymbols || json.foreignSymbols || []).forEach(symbol => {
+    if (symbol.symbolMaster) masters.set(symbol.symbolMaster.symbolID, symbol.symbolMaster);
+  });
+
+  const page = options.page
+    ? pages.find(candidate => candidate.do_objectID === options.page || candidate.name === options.page)
+    : pages.find(candidate => (candidate.layers || []).some(layer => layer._class === 'artboard')) || pages[0];
+  if (!page) {
+    throw importError(`No page "${options.page}" in the Sketch document`);
+  }
+
+  // Artboards first so the default frame is a screen; symbol masters can still be picked by name
+  const context = { masters, inlining: new Set() };
+  const layers = page.layers || [];
+  const artboards = [
+    ...layers.filter(layer => layer._class === 'artboard'),
+    ...layers.filter(layer => layer._class === 'symbolMaster')
+  ].map(layer => sketchNode(layer, 0, 0, context));
+  return figmaResult('sketch', json.name || page.name, artboards, options);
+}
+
+// --- Adobe XD ---------------------------------------------------------------
+
+function xdColor(color) {
+  const value = color?.value;
+  if (!value) return null;
+  return { r: (value.r ?? 0) / 255, g: (value.g ?? 0) / 255, b: (value.b ?? 0) / 255, a: color.alpha ?? 1 };
+}
+
+function xdPaints(paint) {
+  return paint?.type === 'solid' ? [solidPaint(xdColor(paint.color))].filter(Boolean) : [];
+}
+
+// Local box of an XD shape before the node's transform
+function xdShapeBox(shape) {
+  if (!shape) return null;
+  if (shape.type === 'rect') return { x: shape.x || 0, y: shape.y || 0, width: shape.width || 0, height: shape.height || 0 };
+  if (shape.type === 'ellipse') return { x: shape.cx - shape.rx, y: shape.cy - shape.ry, width: shape.rx * 2, height: shape.ry * 2 };
+  if (shape.type === 'circle') return { x: shape.cx - shape.r, y: shape.cy - shape.r, width: shape.r * 2, height: shape.r * 2 };
+  if (shape.type === 'line') {
+    return {
+      x: Math.min(shape.x1, shape.x2),
+      y: Math.min(shape.y1, shape.y2),
+      width: Math.abs(shape.x2 - shape.x1),
+      height: Math.abs(shape.y2 - shape.y1)
+    };
+  }
+  if (shape.width !== undefined) return { x: shape.x || 0, y: shape.y || 0, width: shape.width, height: shape.height || 0 };
+  return null;
+}
+
+// XD places point text by its first baseline and stores no box for it, so the box is estimated
+// from the font size, the line positions and the longest line
+function xdTextBox(text, font, lineHeight) {
+  const size = font.size || 16;
+  if (text.frame?.type === 'area' || text.frame?.type === 'autoHeight') {
+    return { x: 0, y: 0, width: text.frame.width || 0, height: text.frame.height || 0 };
+  }
+  const lines = (text.paragraphs || []).flatMap(paragraph => paragraph.lines || []).map(line => line[0]).filter(Boolean);
+  const rawLines = String(text.rawText || '').split('\n');
+  const longest = Math.max(...rawLines.map(line => line.length), 0);
+  const lineCount = Math.max(lines.length, rawLines.length, 1);
+  return {
+    x: lines.length > 0 ? Math.min(...lines.map(line => line.x || 0)) : 0,
+    y: (lines[0]?.y || 0) - size * 0.8,
+    width: longest * size * 0.55,
+    height: lineCount * (lineHeight || size * 1.2)
+  };
+}
+
+function xdNode(item, originX, originY) {
+  const transform = item.transform || {};
+  const x = originX + (transform.tx || 0);
+  const y = originY + (transform.ty || 0);
+  const style = item.style || {};
+  const symbolId = item.meta?.ux?.symbolId || item.syncSourceGuid;
+
+  const node = {
+    id: item.id,
+    name: item.name || item.type,
+    type: 'GROUP',
+    fills: xdPaints(style.fill),
+    strokes: style.stroke?.type === 'solid' ? xdPaints(style.stroke) : [],
+    effects: (style.filters || [])
+      .filter(filter => filter.type === 'dropShadow')
+      .flatMap(filter => (filter.params?.dropShadows || []).map(shadow => dropShadow({
+        color: xdColor(shadow.color),
+        x: shadow.dx || 0,
+        y: shadow.dy || 0,
+        radius: shadow.r || 0,
+        visible: filter.visible !== false && filter.params?.visible !== false
+      })))
+  };
+  if (item.visible === false) node.visible = false;
+  if (style.opacity !== undefined && style.opacity < 1) node.opacity = style.opacity;
+  if (node.strokes.length > 0) {
+    node.strokeWeight = style.stroke.width || 1;
+    node.strokeAlign = { inside: 'INSIDE', outside: 'OUTSIDE' }[style.stroke.align] || 'CENTER';
+  }
+
+  let local = null;
+  if (item.type === 'shape') {
+    node.type = { rect: 'RECTANGLE', ellipse: 'ELLIPSE', circle: 'ELLIPSE' }[item.shape?.type] || 'VECTOR';
+    local = xdShapeBox(item.shape);
+    const radii = item.shape?.r;
+    if (radii !== undefined) cornerRadius(node, Array.isArray(radii) ? radii : [radii, radii, radii, radii]);
+  } else if (item.type === 'text') {
+    const font = style.font || {};
+    const attributes = style.textAttributes || {};
+    node.type = 'TEXT';
+    node.characters = item.text?.rawText || '';
+    node.style = textStyle({
+      fontFamily: font.family || (font.postscriptName || '').split('-')[0],
+      fontSize: font.size,
+      fontWeight: fontWeightFromName(font.style || font.postscriptName),
+      lineHeightPx: attributes.lineHeight,
+      // XD letter spacing is in thousandths of an em
+      letterSpacing: attributes.letterSpacing ? round(attributes.letterSpacing * (font.size || 16) / 1000) : 0,
+      align: attributes.paragraphAlign,
+      textCase: attributes.textTransform,
+      textDecoration: attributes.underline ? 'underline' : attributes.strikethrough ? 'line-through' : null
+    });
+    if (node.fills.length === 0) node.fills = [solidPaint({ r: 0, g: 0, b: 0, a: 1 })];
+    local = xdTextBox(item.text || {}, font, attributes.lineHeight);
+  } else if (symbolId) {
+    node.type = 'INSTANCE';
+    node.componentId = symbolId;
+  }
+
+  const children = (item.group?.children || item.artboard?.children || []).map(child => xdNode(child, x, y));
+  if (children.length > 0) node.children = children;
+
+  if (local) {
+    node.absoluteBoundingBox = box(x + local.x, y + local.y, local.width, local.height);
+  } else if (children.length > 0) {
+    // Groups take the union of their children's boxes
+    const boxes = children.map(child => child.absoluteBoundingBox).filter(Boolean);
+    if (boxes.length > 0) {
+      const left = Math.min(...boxes.map(b => b.x));
+      const top = Math.min(...boxes.map(b => b.y));
+      const right = Math.max(...boxes.map(b => b.x + b.width));
+      const bottom = Math.max(...boxes.map(b => b.y + b.height));
+      node.absoluteBoundingBox = box(left, top, right - left, bottom - top);
+    }
+  }
+  return node;
+}
+
+function importXD(json, options) {
+  const bounds = json.artboards || json.resources?.artboards || {};
+  const items = json.type === 'artboard' ? [json] : (json.children || []).filter(item => item.type === 'artboard');
+
+  const artboards = items.map(item => {
+    const ref = item.artboard?.ref;
+    const info = bounds[ref] || bounds[item.id] || item.artboard || {};
+    const x = info.x || 0;
+    const y = info.y || 0;
+    const node = xdNode({ ...item, transform: null }, x, y);
+    node.type = 'FRAME';
+    node.name = item.name || info.name || ref || 'Artboard';
+    // Artboard children are placed relative to the artboard's origin
+    const width = info.width ?? node.absoluteBoundingBox?.width ?? 0;
+    const height = info.height ?? node.absoluteBoundingBox?.height ?? 0;
+    node.absoluteBoundingBox = box(x, y, width, height);
+    if (node.fills.length === 0) node.fills = [solidPaint({ r: 1, g: 1, b: 1, a: 1 })];
+    return node;
+  });
+  return figmaResult('xd', json.name, artboards, options);
+}
+
+// --- Entry points -----------------------------------------------------------
+
+function hasKey(object, key) {
+  return !!object && typeof object === 'object' && (key in object || key.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`) in object);
+}
+
+// Source tool of a design export: 'penpot', 'sketch', 'xd' or 'figma' (the default)
+export function detectDesignFormat(json) {
+  if (!json || typeof json !== 'object' || json.nodes || json.importedFrom) return 'figma';
+  if (hasKey(json.data, 'pagesIndex') || hasKey(json, 'pagesIndex') ||
+      (json.objects && Object.values(json.objects).some(shape => shape?.type === 'frame'))) {
+    return 'penpot';
+  }
+  if (json._class || (Array.isArray(json.pages) && json.pages[0]?._class) || json.document?._class) {
+    return 'sketch';
+  }
+  if (json.type === 'artboard' || (Array.isArray(json.children) && json.children.some(child => child?.type === 'artboard'))) {
+    return 'xd';
+  }
+  return 'figma';
+}
+
+// Convert a Penpot, Sketch or XD export into Figma node JSON; Figma JSON is returned unchanged.
+// Options: format ('auto' or one of DESIGN_FORMATS), frame (board/artboard name or id, default
+// the first), allFrames (every board of the page, for batch runs), page (name or id)
+export function importDesign(json, { format = 'auto', frame = null, allFrames = false, page = null } = {}) {
+  const source = !format || format === 'auto' ? detectDesignFormat(json) : format;
+  if (!DESIGN_FORMATS.includes(source)) {
+    throw importError(`Unknown design format "${format}". Use one of: ${DESIGN_FORMATS.join(', ')}`);
+  }
+
+  const options = { frame, allFrames, page };
+  switch (source) {
+    case 'penpot':
+      return importPenpot(json, options);
+    case 'sketch':
+      return importSketch(json, options);
+    case 'xd':
+      return importXD(json, options);
+    default:
+      return json;
+  }
+}
@@ -0,0 +1,981 @@
+// Figma JSON parsing shared by the server and the browser (served at /shared).
+// Keep this module free of Node imports.
+
+// Convert Figma RGB to hex
+export function rgbToHex(color) {
+  if (!color) return '#000000';
+  const r = Math.round((color.r || 0) * 255);
+  const g = Math.round((color.g || 0) * 255);
+  const b = Math.round((color.b || 0) * 255);
+  return '#' + [r, g, b].map(x => x.toString(16).padStart(2, '0')).join('');
+}
+
+// Index the named design tokens a Figma response carries:
+//   styles      - `styles` maps of file/node responses (styleId -> { name, styleType })
+//   components  - `components`/`componentSets` maps (componentId -> name, variant sets prefixed)
+//   variables   - local variables from GET /v1/files/:key/variables/local, pasted as
+//                 `variables`/`variableCollections` or the raw `meta` block
+export function buildTokenIndex(json) {
+  const index = { styles: {}, components: {}, variables: {}, collections: {} };
+  const sources = [json, ...Object.values(json.nodes || {})];
+  const componentSets = {};
+
+  sources.forEach(source => {
+    Object.assign(index.styles, source.styles || {});
+    Object.assign(componentSets, source.componentSets || {});
+  });
+  sources.forEach(source => {
+    Object.entries(source.components || {}).forEach(([id, component]) => {
+      const set = componentSets[component.componentSetId];
+      index.components[id] = {
+        name: set ? `${set.name}/${component.name}` : component.name,
+        key: component.key || null
+      };
+    });
+  });
+
+  const variables = json.variables || json.meta?.variables || {};
+  const collections = json.variableCollections || json.meta?.variableCollections || {};
+  Object.entries(collections).forEach(([id, collection]) => {
+    index.collections[id] = {
+      name: collection.name,
+      modes: collection.modes || [],
+      defaultModeId: collection.defaultModeId || collection.modes?.[0]?.modeId || null
+    };
+  });
+  Object.entries(variables).forEach(([id, variable]) => {
+    index.variables[id] = {
+      name: variable.name,
+      collection: collections[variable.variableCollectionId]?.name || null,
+      collectionId: variable.variableCollectionId || null,
+      valuesByMode: variable.valuesByMode || {}
+    };
+  });
+
+  return index;
+}
+
+// Variable collections and their modes (e.g. Light/Dark, Brand A/Brand B)
+export function listVariableModes(json) {
+  return Object.entries(buildTokenIndex(json).collections).map(([id, collection]) => ({
+    id,
+    name: collection.name,
+    defaultModeId: collection.defaultModeId,
+    modes: collection.modes.map(mode => ({ modeId: mode.modeId, name: mode.name }))
+  }));
+}
+
+// Mode of a collection to read values from: the requested mode by id or (case-insensitive)
+// name, or the collection's default when it has no such mode
+function collectionModeId(collection, mode) {
+  if (!collection) return null;
+  const requested = String(mode || '').toLowerCase();
+  const match = collection.modes.find(candidate =>
+    candidate.modeId === mode || candidate.name?.toLowerCase() === requested
+  );
+  return match ? match.modeId : collection.defaultModeId;
+}
+
+// Color value of a variable in a mode, following aliases to other variables (which may
+// live in another collection, resolved in that collection's matching mode)
+export function resolveVariableColor(tokenIndex, variableId, mode, depth = 0) {
+  const variable = tokenIndex.variables[variableId];
+  if (!variable || depth > 10) return null;
+
+  const modeId = collectionModeId(tokenIndex.collections[variable.collectionId], mode);
+  const value = variable.valuesByMode[modeId] ?? Object.values(variable.valuesByMode)[0];
+  if (value?.type === 'VARIABLE_ALIAS') {
+    return resolveVariableColor(tokenIndex, value.id, mode, depth + 1);
+  }
+  return value && value.r !== undefined ? rgbToHex(value) : null;
+}
+
+// Throw unless some collection in the file has the requested mode
+function assertModeExists(tokenIndex, mode) {
+  const collections = Object.values(tokenIndex.collections);
+  const requested = String(mode).toLowerCase();
+  const exists = collections.some(collection => collection.modes.some(candidate =>
+    candidate.modeId === mode || candidate.name?.toLowerCase() === requested
+  ));
+  if (exists) return;
+
+  const available = [...new Set(collections.flatMap(collection => collection.modes.map(candidate => candidate.name)))];
+  const error = new Error(available.length > 0
+    ? `Unknown variable mode "${mode}". Available: ${available.join(', ')}`
+    : `Variable mode "${mode}" requested but the Figma JSON has no variable collections`);
+  error.status = 400;
+  throw error;
+}
+
+// Token behind a node property: a bound variable wins over a style.
+// styleKey is the node.styles key (fill, stroke, text, effect); variable is the bound alias
+function resolveToken(tokenIndex, node, styleKey, variable) {
+  if (variable?.id) {
+    const resolved = tokenIndex.variables[variable.id];
+    return { name: resolved?.name || variable.id, source: 'variable', id: variable.id, collection: resolved?.collection || null };
+  }
+
+  const styleId = node.styles?.[styleKey] || node.styles?.[`${styleKey}s`];
+  if (styleId) {
+    return { name: tokenIndex.styles[styleId]?.name || styleId, source: 'style', id: styleId };
+  }
+  return null;
+}
+
+// Variable bound to the paint at index: paint-level alias or node.boundVariables.fills[index]
+function paintVariable(node, paint, listName, index) {
+  return paint.boundVariables?.color || node.boundVariables?.[listName]?.[index] || null;
+}
+
+// Extract comprehensive properties from Figma JSON.
+// options.mode (variable mode name or id, e.g. "Dark") resolves variable-bound colors in
+// that mode instead of using the color baked into the JSON.
+export function extractFigmaProperties(json, options = {}) {
+  const properties = {
+    colors: [],
+    typography: [],
+    spacing: {},
+    dimensions: {},
+    layout: {},
+    borders: {},
+    shadows: {},
+    elements: [],
+    hierarchy: [],
+    formFields: [],
+    autoLayoutFrames: []
+  };
+  
+  const colorSet = new Set();
+  const tokenIndex = buildTokenIndex(json);
+  const mode = options.mode || null;
+  if (mode) {
+    assertModeExists(tokenIndex, mode);
+    properties.variableMode = { mode, resolvedColors: 0 };
+  }
+  let elementIndex = 0;
+  const allNodes = []; // Collect all nodes for proximity searches
+  let frameOrigin = null; // Store the frame's origin to normalize coordinates
+  
+  // Auto-layout spec of a HORIZONTAL/VERTICAL frame: padding, spacing, alignment and the
+  // in-flow children in layout order, with boxes relative to the root frame
+  function describeAutoLayoutFrame(node, element) {
+    if (node.layoutMode !== 'HORIZONTAL' && node.layoutMode !== 'VERTICAL') return null;
+    if (!element.properties.position) return null;
+    const origin = frameOrigin || { x: 0, y: 0 };
+    
+    const children = (node.children || [])
+      .filter(child => child.visible !== false && child.layoutPositioning !== 'ABSOLUTE' && child.absoluteBoundingBox)
+      .map(child => ({
+        id: child.id,
+        name: child.name || `Unnamed ${child.type}`,
+        type: child.type,
+        layoutAlign: child.layoutAlign || null,
+        position: {
+          x: Math.round(child.absoluteBoundingBox.x - origin.x),
+          y: Math.round(child.absoluteBoundingBox.y - origin.y),
+          width: Math.round(child.absoluteBoundingBox.width),
+          height: Math.round(child.absoluteBoundingBox.height)
+        }
+      }));
+    
+    return {
+      id: element.id,
+      nodeId: node.id,
+      name: element.name,
+      depth: element.depth,
+      layoutMode: node.layoutMode,
+      padding: {
+        top: node.paddingTop || 0,
+        right: node.paddingRight || 0,
+        bottom: node.paddingBottom || 0,
+        left: node.paddingLeft || 0
+      },
+      itemSpacing: node.itemSpacing || 0,
+      primaryAxisAlignItems: node.primaryAxisAlignItems || 'MIN',
+      counterAxisAlignItems: node.counterAxisAlignItems || 'MIN',
+      position: element.properties.position,
+      // Without a visible fill or stroke the frame's own edges can't be seen in a screenshot
+      hasBackground: [...(node.fills || []), ...(node.strokes || [])]
+        .some(paint => paint.visible !== false && paint.opacity !== 0),
+      children
+    };
+  }
+  
+  // Helper function to find nearby text nodes for label detection
+  function findNearbyText(node, allTextNodes, maxDistance = 50) {
+    if (!node.absoluteBoundingBox) return null;
+    
+    const nodeX = node.absoluteBoundingBox.x;
+    const nodeY = node.absoluteBoundingBox.y;
+    let closestText = null;
+    let minDistance = maxDistance;
+    
+    allTextNodes.forEach(textNode => {
+      if (!textNode.absoluteBoundingBox || !textNode.characters) return;
+      
+      const textX = textNode.absoluteBoundingBox.x;
+      const textY = textNode.absoluteBoundingBox.y;
+      
+      // Calculate Euclidean distance
+      const distance = Math.sqrt(Math.pow(nodeX - textX, 2) + Math.pow(nodeY - textY, 2));
+      
+      // Prefer labels above or to the left of the field
+      const isAbove = textY < nodeY;
+      const isLeft = textX < nodeX && Math.abs(textY - nodeY) < 20;
+      
+      if (distance < minDistance && (isAbove || isLeft)) {
+        minDistance = distance;
+        closestText = textNode.characters;
+      }
+    });
+    
+    return closestText;
+  }
+  
+  // Helper function to extract placeholder text from child nodes
+  function extractPlaceholder(node, childNodes) {
+    if (!node.absoluteBoundingBox) return null;
+    
+    const nodeBounds = node.absoluteBoundingBox;
+    
+    for (const child of childNodes) {
+      if (child.type === 'TEXT' && child.absoluteBoundingBox && child.characters) {
+        const childBounds = child.absoluteBoundingBox;
+        
+        // Check if text node is within parent bounds
+        if (childBounds.x >= nodeBounds.x &&
+            childBounds.y >= nodeBounds.y &&
+            childBounds.x + childBounds.width <= nodeBounds.x + nodeBounds.width &&
+            childBounds.y + childBounds.height <= nodeBounds.y + nodeBounds.height) {
+          return child.characters;
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  // Hex of a paint: in the requested mode a variable-bound color is read from the variable
+  function paintHex(paint, token) {
+    if (mode && token?.source === 'variable') {
+      const resolved = resolveVariableColor(tokenIndex, token.id, mode);
+      if (resolved) {
+        properties.variableMode.resolvedColors++;
+        return resolved;
+      }
+    }
+    return rgbToHex(paint.color);
+  }
+  
+  // Record a color once per hex value; a later occurrence can still supply the token name
+  function addColor(hex, entry, token, component) {
+    if (!colorSet.has(hex)) {
+      colorSet.add(hex);
+      properties.colors.push({ ...entry, value: hex, token: token?.name || null, tokenSource: token?.source || null, component: component?.name || null });
+      return;
+    }
+    const existing = properties.colors.find(color => color.value === hex);
+    if (existing && !existing.token && token) {
+      existing.token = token.name;
+      existing.tokenSource = token.source;
+      existing.component = existing.component || component?.name || null;
+    }
+  }
+  
+  // Helper function to traverse nested nodes with enhanced property extraction.
+  // component is the nearest enclosing INSTANCE/COMPONENT ({ id, name }) whose rules the node follows
+  function traverseNode(node, parentId = null, depth = 0, component = null) {
+    const currentElementId = `element_${elementIndex++}`;
+    
+    if ((node.type === 'INSTANCE' && node.componentId) || node.type === 'COMPONENT') {
+      const componentId = node.type === 'COMPONENT' ? node.id : node.componentId;
+      component = { id: componentId, name: tokenIndex.components[componentId]?.name || node.name };
+    }
+    
+    // Create element structure for hierarchy tracking
+    const element = {
+      id: currentElementId,
+      nodeId: node.id || null,
+      type: node.type,
+      name: node.name || `Unnamed ${node.type}`,
+      parentId: parentId,
+      depth: depth,
+      component: component,
+      tokens: {},
+      properties: {}
+    };
+    
+    // Extract position and dimensions
+    if (node.absoluteBoundingBox) {
+      // Store frame origin for the first node (root frame)
+      if (depth === 0 && !frameOrigin) {
+        frameOrigin = {
+          x: node.absoluteBoundingBox.x,
+          y: node.absoluteBoundingBox.y
+        };
+      }
+      
+      // Calculate relative position (relative to the frame, not the canvas)
+      const relativeX = frameOrigin ? node.absoluteBoundingBox.x - frameOrigin.x : node.absoluteBoundingBox.x;
+      const relativeY = frameOrigin ? node.absoluteBoundingBox.y - frameOrigin.y : node.absoluteBoundingBox.y;
+      
+      element.properties.position = {
+        x: Math.round(relativeX),
+        y: Math.round(relativeY),
+        width: Math.round(node.absoluteBoundingBox.width),
+        height: Math.round(node.absoluteBoundingBox.height)
+      };
+      
+      // Set global dimensions from root element
+      if (!properties.dimensions.width && depth === 0) {
+        properties.dimensions = {
+          width: element.properties.position.width,
+          height: element.properties.position.height
+        };
+      }
+    }
+    
+    // Extract layout constraints
+    if (node.constraints) {
+      element.properties.constraints = {
+        horizontal: node.constraints.horizontal,
+        vertical: node.constraints.vertical
+      };
+    }
+    
+    // Extract colors from fills
+    if (node.fills && Array.isArray(node.fills)) {
+      node.fills.forEach((fill, index) => {
+        if (fill.type === 'SOLID' && fill.color && fill.visible !== false) {
+          const opacity = fill.opacity !== undefined ? fill.opacity : 1;
+          const token = resolveToken(tokenIndex, node, 'fill', paintVariable(node, fill, 'fills', index));
+          const hex = paintHex(fill, token);
+          
+          if (node.type !== 'TEXT' && !element.properties.backgroundColor) {
+            element.properties.backgroundColor = hex;
+            element.tokens.fill = token;
+          }
+          
+          addColor(hex, {
+            property: properties.colors.length === 0 ? 'primaryColor' : `color_${properties.colors.length}`,
+            opacity: opacity,
+            elementId: currentElementId,
+            nodeId: element.nodeId,
+            elementName: element.name,
+            elementType: node.type,
+            usage: 'fill'
+          }, token, component);
+        }
+      });
+    }
+    
+    // Extract stroke/border properties
+    if (node.strokes && Array.isArray(node.strokes)) {
+      node.strokes.forEach((stroke, index) => {
+        if (stroke.type === 'SOLID' && stroke.color && stroke.visible !== false) {
+          const strokeWeight = node.strokeWeight || 1;
+          const token = resolveToken(tokenIndex, node, 'stroke', paintVariable(node, stroke, 'strokes', index));
+          const hex = paintHex(stroke, token);
+          element.tokens.stroke = element.tokens.stroke || token;
+          
+          addColor(hex, {
+            property: `borderColor_${properties.colors.length}`,
+            elementId: currentElementId,
+            nodeId: element.nodeId,
+            elementName: element.name,
+            usage: 'stroke'
+          }, token, component);
+          
+          // Store border properties
+          element.properties.border = {
+            width: strokeWeight,
+            color: hex,
+            style: 'solid'
+          };
+        }
+      });
+    }
+    
+    // Extract corner radius
+    if (node.cornerRadius !== undefined) {
+      element.properties.borderRadius = node.cornerRadius;
+      if (!properties.borders.borderRadius) {
+        properties.borders.borderRadius = node.cornerRadius;
+      }
+    }
+    
+    // Extract individual corner radii
+    if (node.rectangleCornerRadii) {
+      element.properties.borderRadius = {
+        topLeft: node.rectangleCornerRadii[0] || 0,
+        topRight: node.rectangleCornerRadii[1] || 0,
+        bottomRight: node.rectangleCornerRadii[2] || 0,
+        bottomLeft: node.rectangleCornerRadii[3] || 0
+      };
+    }
+    
+    // Extract shadow effects
+    if (node.effects && Array.isArray(node.effects)) {
+      const shadows = node.effects.filter(effect => 
+        effect.type === 'DROP_SHADOW' || effect.type === 'INNER_SHADOW'
+      );
+      
+      if (shadows.length > 0) {
+        element.properties.shadows = shadows.map(shadow => ({
+          type: shadow.type,
+          color: shadow.color ? rgbToHex(shadow.color) : '#000000',
+          offset: {
+            x: shadow.offset?.x || 0,
+            y: shadow.offset?.y || 0
+          },
+          radius: shadow.radius || 0,
+          spread: shadow.spread || 0,
+          visible: shadow.visible !== false
+        }));
+        
+        // Store first shadow in global properties
+        if (!properties.shadows.dropShadow) {
+          properties.shadows = element.properties.shadows[0];
+        }
+      }
+    }
+    
+    // Extract typography for TEXT nodes
+    if (node.type === 'TEXT') {
+      const textProps = {
+        elementId: currentElementId,
+        fontFamily: node.style?.fontFamily || 'Unknown',
+        fontSize: node.style?.fontSize || 16,
+        fontWeight: node.style?.fontWeight || 400,
+        lineHeight: node.style?.lineHeightPx || node.style?.lineHeightPercent || 'normal',
+        letterSpacing: node.style?.letterSpacing || 0,
+        textAlign: node.style?.textAlignHorizontal || 'left',
+        textCase: node.style?.textCase || 'none',
+        textDecoration: node.style?.textDecoration || 'none',
+        content: node.characters || '',
+        // Text style name (e.g. "heading/h1"); individual properties may also be bound to variables
+        token: resolveToken(tokenIndex, node, 'text')?.name || null,
+        variables: {},
+        component: component?.name || null
+      };
+      ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing'].forEach(field => {
+        const binding = node.boundVariables?.[field];
+        const alias = Array.isArray(binding) ? binding[0] : binding;
+        if (alias?.id) {
+          textProps.variables[field] = tokenIndex.variables[alias.id]?.name || alias.id;
+        }
+      });
+      element.tokens.text = textProps.token;
+      
+      properties.typography.push(textProps);
+      element.properties.typography = textProps;
+      
+      // Extract text color
+      if (node.fills && node.fills[0] && node.fills[0].color) {
+        const token = resolveToken(tokenIndex, node, 'fill', paintVariable(node, node.fills[0], 'fills', 0));
+        const textColorHex = paintHex(node.fills[0], token);
+        textProps.color = textColorHex;
+        textProps.colorToken = token?.name || null;
+        
+        addColor(textColorHex, {
+          property: 'textColor',
+          elementId: currentElementId,
+          usage: 'text'
+        }, token, component);
+      }
+    }
+    
+    // Extract padding and layout properties
+    if (node.paddingLeft !== undefined || node.paddingTop !== undefined || 
+        node.paddingRight !== undefined || node.paddingBottom !== undefined) {
+      
+      element.properties.padding = {
+        top: node.paddingTop || 0,
+        right: node.paddingRight || 0,
+        bottom: node.paddingBottom || 0,
+        left: node.paddingLeft || 0
+      };
+      
+      // Store in global spacing if not already set
+      if (!properties.spacing.padding) {
+        properties.spacing.padding = element.properties.padding;
+      }
+    }
+    
+    // Extract layout properties for containers
+    if (node.layoutMode) {
+      element.properties.layout = {
+        mode: node.layoutMode, // 'VERTICAL', 'HORIZONTAL', 'NONE'
+        primaryAxisSizingMode: node.primaryAxisSizingMode,
+        counterAxisSizingMode: node.counterAxisSizingMode,
+        primaryAxisAlignItems: node.primaryAxisAlignItems,
+        counterAxisAlignItems: node.counterAxisAlignItems,
+        itemSpacing: node.itemSpacing || 0
+      };
+      
+      // Store layout info globally
+      if (!properties.layout.mode) {
+        properties.layout = element.properties.layout;
+      }
+      
+      const autoLayoutFrame = describeAutoLayoutFrame(node, element);
+      if (autoLayoutFrame) {
+        properties.autoLayoutFrames.push(autoLayoutFrame);
+      }
+    }
+    
+    // Extract spacing between items
+    if (node.itemSpacing !== undefined) {
+      element.properties.gap = node.itemSpacing;
+      if (!properties.spacing.gap) {
+        properties.spacing.gap = node.itemSpacing;
+      }
+    }
+    
+    // Store node for proximity searches
+    allNodes.push({ ...node, elementId: currentElementId, element });
+    
+    // Detect form fields (inputs, buttons) by patterns
+    const fieldPatterns = /input|field|email|password|username|search|button|submit|login|register|signup|signin/i;
+    const isFormField = (node.type === 'RECTANGLE' || node.type === 'FRAME' || node.type === 'COMPONENT' || node.type === 'INSTANCE') 
+                        && fieldPatterns.test(node.name);
+    
+    // Also detect INSTANCE nodes that contain text (likely form fields)
+    const isInstanceWithText = node.type === 'INSTANCE' && 
+                               node.children && 
+                               node.children.some(child => 
+                                 child.type === 'TEXT' && 
+                                 child.characters && 
+                                 /@|example\.com|username/i.test(child.characters)
+                               );
+    
+    if ((isFormField || isInstanceWithText) && node.absoluteBoundingBox) {
+      // Determine field type with more granularity
+      let fieldType = 'input';
+      const nameLower = node.name.toLowerCase();
+      
+      if (/button|submit|login|register|signup|signin|continue|next/i.test(nameLower)) {
+        fieldType = 'button';
+      } else if (/password/i.test(nameLower)) {
+        fieldType = 'password';
+      } else if (/email/i.test(nameLower)) {
+        fieldType = 'email';
+      } else if (/checkbox|check/i.test(nameLower)) {
+        fieldType = 'checkbox';
+      } else if (/radio/i.test(nameLower)) {
+        fieldType = 'radio';
+      } else if (/select|dropdown/i.test(nameLower)) {
+        fieldType = 'select';
+      } else if (/textarea|text area/i.test(nameLower)) {
+        fieldType = 'textarea';
+      }
+      
+      const field = {
+        id: currentElementId,
+        nodeId: node.id || null,
+        name: node.name,
+        type: fieldType,
+        nodeType: node.type,
+        componentId: node.componentId || null,
+        component: component?.name || null,
+        // Token names behind the field's background, border and label text
+        tokens: {
+          background: element.tokens.fill?.name || null,
+          border: element.tokens.stroke?.name || null,
+          text: null
+        },
+        properties: {
+          position: element.properties.position,
+          dimensions: {
+            width: element.properties.position?.width,
+            height: element.properties.position?.height
+          },
+          styling: {
+            backgroundColor: element.properties.backgroundColor,
+            borderColor: element.properties.border?.color,
+            borderWidth: element.properties.border?.width,
+            borderRadius: element.properties.borderRadius,
+            opacity: element.properties.opacity,
+            // Additional styling details
+            fills: node.fills || [],
+            strokes: node.strokes || [],
+            effects: node.effects || []
+          },
+          constraints: node.constraints || {},
+          layoutAlign: node.layoutAlign || null,
+          layoutGrow: node.layoutGrow || 0
+        },
+        placeholder: null,
+        label: null,
+        // Additional metadata
+        metadata: {
+          isVisible: node.visible !== false,
+          isLocked: node.locked === true,
+          // Field state indicators
+          hasPlaceholder: false,
+          hasLabel: false,
+          hasIcon: false,
+          // Validation indicators
+          isRequired: false,
+          validationType: null
+        },
+        // Group fields by their parent container
+        parentContainerId: parentId,
+        parentContainerName: allNodes.find(n => n.elementId === parentId)?.name || null
+      };
+      
+      // Extract placeholder text from children
+      if (node.children && Array.isArray(node.children)) {
+        field.placeholder = extractPlaceholder(node, node.children);
+        field.metadata.hasPlaceholder = !!field.placeholder;
+        
+        const textChild = node.children.find(child => child.type === 'TEXT');
+        if (textChild) {
+          field.tokens.text = resolveToken(tokenIndex, textChild, 'text')?.name || null;
+        }
+        
+        // Check for icons in children
+        field.metadata.hasIcon = node.children.some(child => 
+          child.type === 'VECTOR' || 
+          child.type === 'BOOLEAN_OPERATION' ||
+          (child.name && /icon|svg/i.test(child.name))
+        );
+        
+        // Check for required indicators
+        field.metadata.isRequired = node.children.some(child => 
+          child.type === 'TEXT' && 
+          child.characters && 
+          /\*|required/i.test(child.characters)
+        );
+      }
+      
+      // Infer validation type from field type and name
+      if (fieldType === 'email') {
+        field.metadata.validationType = 'email';
+      } else if (fieldType === 'password') {
+        field.metadata.validationType = 'password';
+      } else if (/phone|tel/i.test(nameLower)) {
+        field.metadata.validationType = 'phone';
+      } else if (/url|link/i.test(nameLower)) {
+        field.metadata.validationType = 'url';
+      }
+      
+      properties.formFields.push(field);
+    }
+    
+    // Add element to collection
+    properties.elements.push(element);
+    properties.hierarchy.push({
+      id: currentElementId,
+      parentId: parentId,
+      depth: depth,
+      type: node.type,
+      name: element.name
+    });
+    
+    // Traverse children with updated parent context
+    if (node.children && Array.isArray(node.children)) {
+      node.children.forEach(child => traverseNode(child, currentElementId, depth + 1, component));
+    }
+  }
+  
+  // Start traversal - handle different JSON formats
+  if (json.nodes) {
+    // Direct pasted JSON format - traverse all nodes
+    for (const nodeId in json.nodes) {
+      const node = json.nodes[nodeId];
+      if (node.document) {
+        traverseNode(node.document);
+      }
+    }
+  } else if (json.document) {
+    // Figma API response format
+    if (json.document.children) {
+      json.document.children.forEach(child => traverseNode(child));
+    } else {
+      traverseNode(json.document);
+    }
+  } else if (json.children) {
+    // Direct frame/node format
+    json.children.forEach(child => traverseNode(child));
+  } else {
+    // Fallback - try to traverse the object directly
+    traverseNode(json);
+  }
+  
+  // Post-process form fields: find labels and sort by position
+  if (properties.formFields.length > 0) {
+    // Collect all text nodes for label detection
+    const textNodes = allNodes.filter(n => n.type === 'TEXT' && n.characters);
+    
+    // Find labels for each field
+    properties.formFields.forEach(field => {
+      const fieldNode = allNodes.find(n => n.elementId === field.id);
+      if (fieldNode) {
+        field.label = findNearbyText(fieldNode, textNodes);
+        field.metadata.hasLabel = !!field.label;
+      }
+    });
+    
+    // Group fields by parent container
+    const fieldGroups = {};
+    properties.formFields.forEach(field => {
+      const parentId = field.parentContainerId || 'root';
+      if (!fieldGroups[parentId]) {
+        fieldGroups[parentId] = {
+          containerId: parentId,
+          containerName: field.parentContainerName || 'Root',
+          fields: []
+        };
+      }
+      fieldGroups[parentId].fields.push(field);
+    });
+    
+    // Store field groups
+    properties.fieldGroups = Object.values(fieldGroups);
+    
+    // Sort fields by Y position, then X position
+    properties.formFields.sort((a, b) => {
+      const posA = a.properties.position;
+      const posB = b.properties.position;
+      if (!posA || !posB) return 0;
+      
+      // Sort by Y first (top to bottom)
+      if (Math.abs(posA.y - posB.y) > 5) {
+        return posA.y - posB.y;
+      }
+      // Then by X (left to right)
+      return posA.x - posB.x;
+    });
+    
+    // Calculate aggregate field metrics
+    const fieldMetrics = {
+      averageBorderRadius: 0,
+      averageHeight: 0,
+      averageWidth: 0,
+      commonBorderColor: null,
+      commonBackgroundColor: null
+    };
+    
+    let totalBorderRadius = 0;
+    let borderRadiusCount = 0;
+    const borderColors = {};
+    const bgColors = {};
+    
+    properties.formFields.forEach(field => {
+      if (field.properties.styling.borderRadius) {
+        totalBorderRadius += field.properties.styling.borderRadius;
+        borderRadiusCount++;
+      }
+      
+      if (field.properties.dimensions) {
+        fieldMetrics.averageHeight += field.properties.dimensions.height || 0;
+        fieldMetrics.averageWidth += field.properties.dimensions.width || 0;
+      }
+      
+      // Track color frequencies
+      const borderColor = field.properties.styling.borderColor;
+      if (borderColor) {
+        borderColors[borderColor] = (borderColors[borderColor] || 0) + 1;
+      }
+      
+      const bgColor = field.properties.styling.backgroundColor;
+      if (bgColor) {
+        bgColors[bgColor] = (bgColors[bgColor] || 0) + 1;
+      }
+    });
+    
+    // Calculate averages
+    const fieldCount = properties.formFields.length;
+    fieldMetrics.averageBorderRadius = borderRadiusCount > 0 ? totalBorderRadius / borderRadiusCount : 0;
+    fieldMetrics.averageHeight = fieldMetrics.averageHeight / fieldCount;
+    fieldMetrics.averageWidth = fieldMetrics.averageWidth / fieldCount;
+    
+    // Find most common colors
+    fieldMetrics.commonBorderColor = Object.keys(borderColors).reduce((a, b) => 
+      borderColors[a] > borderColors[b] ? a : b, null);
+    fieldMetrics.commonBackgroundColor = Object.keys(bgColors).reduce((a, b) => 
+      bgColors[a] > bgColors[b] ? a : b, null);
+    
+    properties.fieldMetrics = fieldMetrics;
+  } else {
+    // No fields detected
+    properties.formFields = null;
+    console.log('No fields detected in Figma—interesting design!');
+  }
+  
+  // Calculate spacing relationships between sibling elements
+  properties.spacingRelationships = calculateSpacingRelationships(properties.elements);
+  
+  // Detect screen type
+  properties.screenType = detectScreenType(properties);
+  
+  return properties;
+}
+
+// Detect screen type based on form fields and content patterns
+export function detectScreenType(properties) {
+  const screenTypeInfo = {
+    type: 'unknown',
+    confidence: 0,
+    indicators: []
+  };
+  
+  // Check if there are form fields
+  if (!properties.formFields || properties.formFields.length === 0) {
+    // No form fields, could be display screen
+    screenTypeInfo.type = 'display';
+    screenTypeInfo.confidence = 0.6;
+    screenTypeInfo.indicators.push('No form fields detected');
+    return screenTypeInfo;
+  }
+  
+  const fieldCount = properties.formFields.length;
+  const fieldNames = properties.formFields.map(f => f.name.toLowerCase()).join(' ');
+  const fieldLabels = properties.formFields.map(f => (f.label || '').toLowerCase()).filter(l => l).join(' ');
+  const allFieldText = fieldNames + ' ' + fieldLabels;
+  
+  // Pattern matching for different screen types
+  const patterns = {
+    login: {
+      keywords: ['login', 'signin', 'sign in', 'email', 'password', 'username', 'remember'],
+      fieldRange: [2, 4], // typically 2-4 fields (username/email, password, maybe remember me)
+      buttonPatterns: ['login', 'sign in', 'signin', 'submit']
+    },
+    register: {
+      keywords: ['register', 'signup', 'sign up', 'create account', 'email', 'password', 'confirm', 'name', 'username'],
+      fieldRange: [3, 8], // typically more fields than login
+      buttonPatterns: ['register', 'sign up', 'signup', 'create', 'submit']
+    },
+    profile: {
+      keywords: ['profile', 'account', 'settings', 'name', 'email', 'bio', 'avatar', 'picture'],
+      fieldRange: [2, 10],
+      buttonPatterns: ['save', 'update', 'edit', 'change']
+    },
+    search: {
+      keywords: ['search', 'find', 'query', 'filter', 'results'],
+      fieldRange: [1, 5],
+      buttonPatterns: ['search', 'find', 'go', 'filter']
+    },
+    contact: {
+      keywords: ['contact', 'message', 'email', 'subject', 'inquiry', 'support'],
+      fieldRange: [3, 6],
+      buttonPatterns: ['send', 'submit', 'contact']
+    },
+    checkout: {
+      keywords: ['checkout', 'payment', 'card', 'billing', 'shipping', 'address', 'cvv'],
+      fieldRange: [5, 15],
+      buttonPatterns: ['pay', 'checkout', 'purchase', 'buy', 'order']
+    }
+  };
+  
+  let bestMatch = null;
+  let highestScore = 0;
+  
+  // Check each pattern
+  for (const [screenType, pattern] of Object.entries(patterns)) {
+    let score = 0;
+    const matchedIndicators = [];
+    
+    // Check field count
+    if (fieldCount >= pattern.fieldRange[0] && fieldCount <= pattern.fieldRange[1]) {
+      score += 0.3;
+      matchedIndicators.push(`Field count (${fieldCount}) matches expected range`);
+    }
+    
+    // Check keywords
+    const keywordMatches = pattern.keywords.filter(keyword => 
+      allFieldText.includes(keyword)
+    );
+    if (keywordMatches.length > 0) {
+      score += 0.4 * (keywordMatches.length / pattern.keywords.length);
+      matchedIndicators.push(`Keywords found: ${keywordMatches.join(', ')}`);
+    }
+    
+    // Check button patterns
+    const buttons = properties.formFields.filter(f => f.type === 'button');
+    const buttonText = buttons.map(b => b.name.toLowerCase()).join(' ');
+    const buttonMatches = pattern.buttonPatterns.filter(btnPattern => 
+      buttonText.includes(btnPattern)
+    );
+    if (buttonMatches.length > 0) {
+      score += 0.3;
+      matchedIndicators.push(`Button patterns: ${buttonMatches.join(', ')}`);
+    }
+    
+    if (score > highestScore) {
+      highestScore = score;
+      bestMatch = {
+        type: screenType,
+        confidence: score,
+        indicators: matchedIndicators
+      };
+    }
+  }
+  
+  // If we have a good match, return it
+  if (bestMatch && bestMatch.confidence >= 0.5) {
+    return bestMatch;
+  }
+  
+  // Default to form screen if we have fields but couldn't identify specific type
+  return {
+    type: 'form',
+    confidence: 0.4,
+    indicators: [`Generic form with ${fieldCount} fields`]
+  };
+}
+
+// Helper function to calculate spacing between elements
+export function calculateSpacingRelationships(elements) {
+  const relationships = [];
+  
+  // Group elements by parent to find siblings
+  const elementsByParent = {};
+  elements.forEach(element => {
+    const parentId = element.parentId || 'root';
+    if (!elementsByParent[parentId]) {
+      elementsByParent[parentId] = [];
+    }
+    elementsByParent[parentId].push(element);
+  });
+  
+  // Calculate spacing between siblings
+  Object.keys(elementsByParent).forEach(parentId => {
+    const siblings = elementsByParent[parentId];
+    if (siblings.length > 1) {
+      // Sort siblings by position
+      siblings.sort((a, b) => {
+        if (!a.properties.position || !b.properties.position) return 0;
+        // Sort by Y first, then X
+        if (Math.abs(a.properties.position.y - b.properties.position.y) > 5) {
+          return a.properties.position.y - b.properties.position.y;
+        }
+        return a.properties.position.x - b.properties.position.x;
+      });
+      
+      // Calculate spacing between consecutive siblings
+      for (let i = 0; i < siblings.length - 1; i++) {
+        const current = siblings[i];
+        const next = siblings[i + 1];
+        
+        if (current.properties.position && next.properties.position) {
+          const horizontalGap = next.properties.position.x - 
+            (current.properties.position.x + current.properties.position.width);
+          const verticalGap = next.properties.position.y - 
+            (current.properties.position.y + current.properties.position.height);
+          
+          relationships.push({
+            from: current.id,
+            to: next.id,
+            horizontalGap: Math.max(0, horizontalGap),
+            verticalGap: Math.max(0, verticalGap),
+            type: Math.abs(verticalGap) > Math.abs(horizontalGap) ? 'vertical' : 'horizontal'
+          });
+        }
+      }
+    }
+  });
+  
+  return relationships;
+}
@@ -0,0 +1,726 @@
+import path from 'path';
+import sharp from 'sharp';
+import { withCapturePage } from './capture.js';
+import { colorDistance } from './color.js';
+import { outputUrl, resolveOutput } from './config.js';
+import { compareFieldProperties } from './fields.js';
+import { reportStage } from './progress.js';
+import { buildTokenIndex, rgbToHex } from './shared/figma-properties.js';
+
+// Interactive states: Figma component sets define hover, focus, pressed, disabled and error
+// variants, while the other analyses only see the default rendering. Each state of a component
+// is compared with its own variant, on a screenshot of the component in that state (uploaded, or
+// captured in headless Chrome by hovering, focusing or pressing it), giving a component x state matrix.
+
+// Canonical states and the variant values that mean them
+const STATE_ALIASES = {
+  default: ['default', 'rest', 'enabled', 'normal', 'idle', 'base'],
+  hover: ['hover', 'hovered', 'hovering'],
+  focus: ['focus', 'focused', 'focusvisible', 'keyboardfocus'],
+  pressed: ['pressed', 'active', 'pressing', 'clicked'],
+  disabled: ['disabled', 'inactive'],
+  error: ['error', 'invalid', 'danger']
+};
+const STATE_ORDER = Object.keys(STATE_ALIASES);
+// Variant properties that hold the interaction state
+const STATE_PROPERTY = /state|status|interaction/i;
+
+// Same Delta E 2000 thresholds as compareProperties
+const CLOSE_MATCH = 2.3;
+const POOR_MATCH = 10.0;
+// Mean channel difference (0-255) below which a state's screenshot looks the same as the default one
+const UNCHANGED_DIFFERENCE = 2;
+// A state passes when its accuracy reaches this percentage
+const DEFAULT_PASS_ACCURACY = 80;
+// Viewport of state captures when the request does not set one
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+// Time for CSS transitions to finish after a state is put on
+const TRANSITION_SETTLE_MS = 300;
+// Screenshots larger than this show a screen rather than one component
+const MAX_COMPONENT_PIXELS = 4000000;
+
+function stateError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "Hovered" -> hover; values outside the known states keep their own (normalized) name
+function canonicalState(value) {
+  const key = normalizeName(value);
+  return STATE_ORDER.find(state => STATE_ALIASES[state].includes(key)) || key;
+}
+
+function stateRank(state) {
+  const index = STATE_ORDER.indexOf(state);
+  return index === -1 ? STATE_ORDER.length : index;
+}
+
+// "State=Hover, Size=Large" -> { State: 'Hover', Size: 'Large' }
+function parseVariantName(name) {
+  const properties = {};
+  String(name || '').split(',').forEach(part => {
+    const [key, value] = part.split('=').map(text => text?.trim());
+    if (key && value) properties[key] = value;
+  });
+  return properties;
+}
+
+// Variant properties of a COMPONENT inside a set, or of an INSTANCE of one
+function variantProperties(node, tokenIndex) {
+  if (node.variantProperties) return node.variantProperties;
+  if (node.type !== 'INSTANCE') return parseVariantName(node.name);
+
+  const fromInstance = Object.entries(node.componentProperties || {})
+    .filter(([, property]) => property.type === 'VARIANT')
+    .map(([key, property]) => [key.split('#')[0], property.value]);
+  if (fromInstance.length > 0) return Object.fromEntries(fromInstance);
+  const componentName = tokenIndex.components[node.componentId]?.name || '';
+  return parseVariantName(componentName.split('/').pop());
+}
+
+// The variant property holding the state: one named like "State", else one whose values
+// include at least two known states
+function findStateProperty(variants) {
+  const names = [...new Set(variants.flatMap(variant => Object.keys(variant.properties)))];
+  return names.find(name => STATE_PROPERTY.test(name)) ||
+    names.find(name => new Set(variants
+      .map(variant => canonicalState(variant.properties[name] ?? ''))
+      .filter(state => STATE_ORDER.includes(state))).size >= 2) ||
+    null;
+}
+
+function documentRoots(figmaJSON) {
+  if (figmaJSON.nodes) {
+    return Object.values(figmaJSON.nodes).map(entry => entry.document).filter(Boolean);
+  }
+  return [figmaJSON.document || figmaJSON];
+}
+
+// Component sets with a state property, from COMPONENT_SET nodes in the document and from
+// instances of sets defined elsewhere (e.g. a library), which only contribute the states they show.
+// Returns [{ component, componentSetId, source: 'componentSet' | 'instances', stateProperty,
+// variants: [{ nodeId, name, properties, state, value, node }] }].
+export function findComponentStates(figmaJSON) {
+  const tokenIndex = buildTokenIndex(figmaJSON);
+  const componentSets = [];
+  const instances = [];
+  const walk = node => {
+    if (!node || node.visible === false) return;
+    if (node.type === 'COMPONENT_SET') componentSets.push(node);
+    if (node.type === 'INSTANCE') instances.push(node);
+    (node.children || []).forEach(walk);
+  };
+  documentRoots(figmaJSON).forEach(walk);
+
+  const sets = new Map();
+  componentSets.forEach(setNode => {
+    sets.set(normalizeName(setNode.name), {
+      component: setNode.name,
+      componentSetId: setNode.id,
+      source: 'componentSet',
+      variants: (setNode.children || [])
+        .filter(child => child.type === 'COMPONENT')
+        .map(child => ({ nodeId: child.id, name: child.name, properties: variantProperties(child, tokenIndex), node: child }))
+    });
+  });
+
+  // Variants drawn in a set win over instances of them; instances add one variant each
+  instances.forEach(instance => {
+    const componentName = tokenIndex.components[instance.componentId]?.name;
+    const setName = componentName?.includes('/') ? componentName.slice(0, componentName.lastIndexOf('/')) : instance.name;
+    const key = normalizeName(setName);
+    if (sets.get(key)?.source === 'componentSet') return;
+    if (!sets.has(key)) {
+      sets.set(key, { component: setName, componentSetId: null, source: 'instances', variants: [] });
+    }
+    const properties = variantProperties(instance, tokenIndex);
+    const variants = sets.get(key).variants;
+    if (variants.some(variant => JSON.stringify(variant.properties) === JSON.stringify(properties))) return;
+    variants.push({
+      nodeId: instance.id,
+      name: Object.entries(properties).map(([name, value]) => `${name}=${value}`).join(', ') || instance.name,
+      properties,
+      node: instance
+    });
+  });
+
+  return [...sets.values()]
+    .map(set => {
+      const stateProperty = findStateProperty(set.variants);
+      if (!stateProperty) return null;
+      const variants = set.variants
+        .filter(variant => variant.properties[stateProperty] !== undefined)
+        .map(variant => ({
+          ...variant,
+          state: canonicalState(variant.properties[stateProperty]),
+          value: variant.properties[stateProperty]
+        }));
+      return { ...set, stateProperty, variants };
+    })
+    .filter(Boolean);
+}
+
+// One variant per state: the one whose other properties match `fixed` (default: those of the
+// default-state variant, e.g. Size=Large), else the first with that state. Default comes first.
+function pickStateVariants(set, fixed) {
+  const base = fixed || Object.fromEntries(Object.entries(
+    (set.variants.find(variant => variant.state === 'default') || set.variants[0]).properties
+  ).filter(([key]) => key !== set.stateProperty));
+  const matches = variant => Object.entries(base).every(([key, value]) =>
+    key === set.stateProperty || normalizeName(variant.properties[key] ?? '') === normalizeName(value));
+
+  const states = [...new Set(set.variants.map(variant => variant.state))]
+    .sort((a, b) => stateRank(a) - stateRank(b) || a.localeCompare(b));
+  return {
+    properties: base,
+    variants: states.map(state =>
+      set.variants.find(variant => variant.state === state && matches(variant)) ||
+      set.variants.find(variant => variant.state === state))
+  };
+}
+
+// Solid paint blended over white (the usual page behind a component), with layer opacity
+function solidHex(paints, opacity = 1) {
+  const paint = (paints || []).find(candidate => candidate.type === 'SOLID' && candidate.visible !== false);
+  if (!paint?.color) return null;
+  const alpha = (paint.opacity ?? 1) * (paint.color.a ?? 1) * opacity;
+  return rgbToHex({
+    r: 1 - alpha * (1 - paint.color.r),
+    g: 1 - alpha * (1 - paint.color.g),
+    b: 1 - alpha * (1 - paint.color.b)
+  });
+}
+
+// The variant's own fill, else that of a child covering most of it (a background rectangle)
+function backgroundHex(node, opacity) {
+  const own = solidHex(node.fills, opacity);
+  if (own) return own;
+  const box = node.absoluteBoundingBox;
+  const cover = (node.children || []).find(child => child.visible !== false &&
+    child.type !== 'TEXT' && child.absoluteBoundingBox && box &&
+    child.absoluteBoundingBox.width * child.absoluteBoundingBox.height >= box.width * box.height * 0.9 &&
+    solidHex(child.fills));
+  return cover ? solidHex(cover.fills, opacity * (cover.opacity ?? 1)) : null;
+}
+
+function findText(node) {
+  if (node.visible === false) return null;
+  if (node.type === 'TEXT') return node;
+  for (const child of node.children || []) {
+    const text = findText(child);
+    if (text) return text;
+  }
+  return null;
+}
+
+function fieldType(componentName) {
+  if (/button|submit|cta/i.test(componentName)) return 'button';
+  if (/checkbox/i.test(componentName)) return 'checkbox';
+  if (/radio/i.test(componentName)) return 'radio';
+  if (/select|dropdown/i.test(componentName)) return 'select';
+  if (/textarea|text area/i.test(componentName)) return 'textarea';
+  if (/input|field|text/i.test(componentName)) return 'input';
+  return 'other';
+}
+
+// The variant as a field for compareFieldProperties. Screenshots show the component cropped to
+// its render bounds (focus rings and shadows draw outside the bounding box), so the field sits
+// at (0, 0) with the render bounds' size; inset locates the bounding box within them.
+function variantField(set, variant) {
+  const node = variant.node;
+  const box = node.absoluteBoundingBox || {};
+  const render = node.absoluteRenderBounds || box;
+  const opacity = node.opacity ?? 1;
+  const text = findText(node);
+  const hasStroke = (node.strokeWeight ?? 1) > 0 && solidHex(node.strokes);
+
+  return {
+    name: text?.characters || set.component,
+    type: fieldType(set.component),
+    component: set.component,
+    tokens: { background: null, border: null, text: null },
+    properties: {
+      position: { x: 0, y: 0 },
+      dimensions: { width: Math.round(render.width || 0), height: Math.round(render.height || 0) },
+      styling: {
+        backgroundColor: backgroundHex(node, opacity),
+        borderColor: hasStroke ? solidHex(node.strokes, opacity) : 'none',
+        borderRadius: node.cornerRadius,
+        opacity
+      }
+    },
+    textColor: text ? solidHex(text.fills, opacity * (text.opacity ?? 1)) : null,
+    // Outside strokes (typical for focus rings) are drawn just outside the bounding box
+    strokeOutside: node.strokeAlign === 'OUTSIDE',
+    inset: {
+      left: (box.x ?? 0) - (render.x ?? 0),
+      top: (box.y ?? 0) - (render.y ?? 0),
+      right: (render.x ?? 0) + (render.width ?? 0) - (box.x ?? 0) - (box.width ?? 0),
+      bottom: (render.y ?? 0) + (render.height ?? 0) - (box.y ?? 0) - (box.height ?? 0),
+      width: box.width,
+      height: box.height
+    }
+  };
+}
+
+// Whether two variants look different in Figma (so their screenshots should too)
+function variantsDiffer(a, b) {
+  const colorDiffers = (x, y) => (x && x !== 'none') !== (y && y !== 'none') ||
+    (x && y && x !== 'none' && y !== 'none' && colorDistance(x, y) > CLOSE_MATCH);
+  return colorDiffers(a.properties.styling.backgroundColor, b.properties.styling.backgroundColor) ||
+    colorDiffers(a.properties.styling.borderColor, b.properties.styling.borderColor) ||
+    colorDiffers(a.textColor, b.textColor) ||
+    a.properties.styling.opacity !== b.properties.styling.opacity ||
+    a.properties.dimensions.width !== b.properties.dimensions.width ||
+    a.properties.dimensions.height !== b.properties.dimensions.height;
+}
+
+// Colors of a component screenshot: the most common color inside the component (background), the
+// most common one clearly different from it (text and icons) and the color just inside each edge
+// of the bounding box, or just outside it for outside strokes (border). inset is in design pixels;
+// scale is screenshot pixels per design pixel.
+async function sampleComponent(screenshotPath, { inset, strokeOutside }, scale) {
+  const { data, info } = await sharp(screenshotPath)
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const clamp = (value, max) => Math.max(0, Math.min(Math.round(value), max));
+  const left = clamp(inset.left * scale, width - 1);
+  const top = clamp(inset.top * scale, height - 1);
+  const box = {
+    left,
+    top,
+    width: inset.width ? clamp(inset.width * scale, width - left) : width - left,
+    height: inset.height ? clamp(inset.height * scale, height - top) : height - top
+  };
+  const pixel = (x, y) => {
+    const index = (clamp(y, height - 1) * width + clamp(x, width - 1)) * 3;
+    return [data[index], data[index + 1], data[index + 2]];
+  };
+  const toHex = ([r, g, b]) => rgbToHex({ r: r / 255, g: g / 255, b: b / 255 });
+
+  // Colors bucketed at 5 bits per channel; each bucket reports its mean color
+  const buckets = new Map();
+  const marginX = Math.max(2, Math.round(box.width * 0.15));
+  const marginY = Math.max(2, Math.round(box.height * 0.15));
+  for (let y = box.top + marginY; y < box.top + box.height - marginY; y++) {
+    for (let x = box.left + marginX; x < box.left + box.width - marginX; x++) {
+      const [r, g, b] = pixel(x, y);
+      const key = (r >> 3) << 10 | (g >> 3) << 5 | b >> 3;
+      const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+      bucket.count++;
+      bucket.r += r;
+      bucket.g += g;
+      bucket.b += b;
+      buckets.set(key, bucket);
+    }
+  }
+  const ranked = [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(bucket => toHex([bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count]));
+  const background = ranked[0] || null;
+  const foreground = background ? ranked.find(hex => colorDistance(hex, background) > POOR_MATCH) || null : null;
+
+  // Five pixels around each edge's midpoint, one device pixel row in (or out) at @2x and above
+  const depth = strokeOutside ? -1 - Math.floor(scale / 2) : Math.floor(scale / 2);
+  const edgeColor = (x, y, dx, dy) => {
+    const samples = [-2, -1, 0, 1, 2].map(step => pixel(x + step * dx, y + step * dy));
+    return toHex([0, 1, 2].map(channel => samples.reduce((sum, sample) => sum + sample[channel], 0) / samples.length));
+  };
+  const midX = box.left + box.width / 2;
+  const midY = box.top + box.height / 2;
+  const edges = [
+    edgeColor(midX, box.top + depth, 1, 0),
+    edgeColor(midX, box.top + box.height - 1 - depth, 1, 0),
+    edgeColor(box.left + depth, midY, 0, 1),
+    edgeColor(box.left + box.width - 1 - depth, midY, 0, 1)
+  ];
+  const borders = background ? edges.filter(hex => colorDistance(hex, background) > CLOSE_MATCH) : [];
+
+  return {
+    background,
+    foreground,
+    hasBorder: borders.length >= 3,
+    border: borders.length >= 3 ? borders[0] : null
+  };
+}
+
+// Mean channel difference (0-255) of two screenshots scaled to the same small size
+async function imageDifference(a, b) {
+  const load = file => sharp(file).flatten({ background: '#ffffff' }).removeAlpha().resize(32, 32, { fit: 'fill' }).raw().toBuffer();
+  const [first, second] = await Promise.all([load(a), load(b)]);
+  let sum = 0;
+  for (let i = 0; i < first.length; i++) {
+    sum += Math.abs(first[i] - second[i]);
+  }
+  return sum / first.length;
+}
+
+function matchQuality(score) {
+  return score > 0.9 ? 'excellent' : score > 0.7 ? 'good' : score > 0.5 ? 'fair' : 'poor';
+}
+
+// Compare one state's screenshot with its variant: compareFieldProperties for size and border,
+// Delta E for the colors (it compares colors as exact strings, which screenshots never match),
+// and, against the default state, whether the state changes anything at all
+async function compareState({ set, variant, field, shot, defaultResult, options }) {
+  const { width, height } = await sharp(shot.path).metadata();
+  if (width * height > MAX_COMPONENT_PIXELS) {
+    throw stateError(`${shot.name} is ${width}x${height}: crop state screenshots to the component`);
+  }
+  // Captures know their device scale factor; uploads say it in the file name (@2x) or pixelRatio
+  const nameScale = path.basename(shot.name).match(/@(\d+(?:\.\d+)?)x\.[a-z0-9]+$/i)?.[1];
+  const scale = parseFloat(shot.scale || nameScale || options.pixelRatio) || 1;
+  const sample = await sampleComponent(shot.path, field, scale);
+
+  const comparison = compareFieldProperties(field, {
+    type: field.type,
+    bounds: { x: 0, y: 0, width: Math.round(width / scale), height: Math.round(height / scale) },
+    properties: { hasBorder: sample.hasBorder }
+  });
+
+  const colors = {
+    background: { expected: field.properties.styling.backgroundColor, detected: sample.background },
+    border: { expected: field.properties.styling.borderColor !== 'none' ? field.properties.styling.borderColor : null, detected: sample.border },
+    text: { expected: field.textColor, detected: sample.foreground }
+  };
+  Object.entries(colors).forEach(([name, color]) => {
+    if (!color.expected || !color.detected) return;
+    color.deltaE = parseFloat(colorDistance(color.expected, color.detected).toFixed(2));
+    if (color.deltaE <= CLOSE_MATCH) return;
+    const major = color.deltaE > POOR_MATCH;
+    comparison.differences.push({
+      property: `${name}Color`,
+      expected: color.expected,
+      detected: color.detected,
+      difference: `ΔE ${color.deltaE}`,
+      severity: major ? 'major' : 'minor',
+      component: set.component
+    });
+    comparison.scores.style *= major ? 0.6 : 0.8;
+  });
+
+  let visualChange = null;
+  let unchanged = false;
+  if (defaultResult?.shot && variant.state !== 'default') {
+    visualChange = parseFloat((await imageDifference(defaultResult.shot.path, shot.path)).toFixed(2));
+    unchanged = visualChange < UNCHANGED_DIFFERENCE && variantsDiffer(field, defaultResult.field);
+    if (unchanged) {
+      comparison.differences.push({
+        property: 'state',
+        expected: `${variant.value} differs from ${defaultResult.value}`,
+        detected: `Looks the same as ${defaultResult.value}`,
+        difference: `The ${variant.value} variant changes the component but the screenshot does not`,
+        severity: 'major',
+        component: set.component
+      });
+      comparison.scores.style *= 0.5;
+    }
+  }
+
+  const { position, dimensions, style, content } = comparison.scores;
+  const score = (position + dimensions + style + content) / 4;
+  return {
+    accuracy: parseFloat((score * 100).toFixed(2)),
+    matchQuality: matchQuality(score),
+    scores: comparison.scores,
+    differences: comparison.differences,
+    colors,
+    visualChange,
+    unchanged
+  };
+}
+
+// Capture settings per component: [{ component, selector, states?: { <state>: selector } }] or
+// { components: [...] }. selector finds the component on the page; a state's own selector finds
+// an element the app already renders in that state.
+export function parseStateCaptures(config) {
+  const list = Array.isArray(config) ? config : config?.components;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw stateError('Capturing states needs a CSS selector per component: [{ component, selector, states? }]');
+  }
+  return list.map((entry, index) => {
+    if (!entry?.component || typeof entry.selector !== 'string' || !entry.selector.trim()) {
+      throw stateError(`Capture entry ${index + 1} needs a component name and a CSS selector`);
+    }
+    return {
+      component: String(entry.component),
+      selector: entry.selector.trim(),
+      states: Object.fromEntries(Object.entries(entry.states || {}).map(([state, selector]) => [canonicalState(state), selector]))
+    };
+  });
+}
+
+// How a state is put on in the browser. Hover, focus and pressed use real mouse and keyboard
+// focus; disabled and error set the attributes the app's CSS is expected to style.
+const STATE_ACTIONS = {
+  default: async () => {},
+  hover: (page, handle) => handle.hover(),
+  focus: (page, handle) => handle.focus(),
+  pressed: async (page, handle) => {
+    await handle.hover();
+    await page.mouse.down();
+  },
+  disabled: (page, handle) => handle.evaluate(element => {
+    element.setAttribute('disabled', '');
+    element.setAttribute('aria-disabled', 'true');
+  }),
+  error: (page, handle) => handle.evaluate(element => element.setAttribute('aria-invalid', 'true'))
+};
+
+// Screenshot each state of one component on options.url, cropped to the element plus the
+// variant's focus ring/shadow overflow. Returns Map(state -> shot | { error }).
+async function captureStates(set, entries, capture, options) {
+  const output = resolveOutput(options);
+  const waitUntil = options.waitUntil || 'networkidle2';
+  const shots = new Map();
+  const viewport = {
+    width: options.width || DEFAULT_VIEWPORT.width,
+    height: options.height || DEFAULT_VIEWPORT.height
+  };
+
+  await withCapturePage({ url: options.url, options: { ...options, ...viewport } }, async (page, context) => {
+    for (const [index, { variant, field }] of entries.entries()) {
+      const stateSelector = capture.states[variant.state];
+      const action = STATE_ACTIONS[variant.state];
+      if (!stateSelector && !action) {
+        shots.set(variant.state, { error: `No selector for the ${variant.value} state: add states.${variant.state} to the capture settings` });
+        continue;
+      }
+      reportStage(options, 'capture', `Capturing ${set.component} ${variant.value}`);
+      if (index > 0) {
+        await page.reload({ waitUntil });
+      }
+      await page.mouse.move(0, 0);
+
+      const selector = stateSelector || capture.selector;
+      const handle = await page.$(selector);
+      if (!handle) {
+        shots.set(variant.state, { error: `Selector "${selector}" not found on ${context.capturedUrl}` });
+        continue;
+      }
+      await handle.scrollIntoView();
+      // An element matched by the state's own selector is already in that state, unless the
+      // state needs the pointer or focus on it
+      if (!stateSelector || ['hover', 'focus', 'pressed'].includes(variant.state)) {
+        await action?.(page, handle);
+      }
+      await new Promise(resolve => setTimeout(resolve, TRANSITION_SETTLE_MS));
+
+      const box = await handle.boundingBox();
+      if (!box) {
+        shots.set(variant.state, { error: `"${selector}" is not visible` });
+        continue;
+      }
+      // Clips are in page coordinates, element boxes in viewport coordinates
+      const { pageLeft, pageTop } = await page.evaluate(() => ({
+        pageLeft: window.visualViewport.pageLeft,
+        pageTop: window.visualViewport.pageTop
+      }));
+      const { inset } = field;
+      const x = Math.max(0, box.x + pageLeft - inset.left);
+      const y = Math.max(0, box.y + pageTop - inset.top);
+      const outputPath = path.join(output.dir, `state-${normalizeName(set.component)}-${variant.state}-${Date.now()}.png`);
+      await page.screenshot({
+        path: outputPath,
+        clip: {
+          x,
+          y,
+          width: box.x + pageLeft + box.width + inset.right - x,
+          height: box.y + pageTop + box.height + inset.bottom - y
+        }
+      });
+      if (variant.state === 'pressed') {
+        await page.mouse.up();
+      }
+
+      shots.set(variant.state, {
+        path: outputPath,
+        name: path.basename(outputPath),
+        url: outputUrl(output, outputPath),
+        scale: context.deviceScaleFactor,
+        capture: { capturedUrl: context.capturedUrl, selector, forced: !stateSelector && ['disabled', 'error'].includes(variant.state) }
+      });
+    }
+  });
+  return shots;
+}
+
+// Words of a file name, alone and joined with the next one ("focus-visible" -> focusvisible)
+function fileNameTokens(name) {
+  const words = path.basename(name).replace(/\.[a-z0-9]+$/i, '').replace(/@\d+x$/i, '')
+    .toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  return [...words, ...words.slice(1).map((word, index) => words[index] + word)];
+}
+
+// Explicit "Component:state" per screenshot (or just the state with one component), else the
+// state and, with several components, the component named in the file name:
+// "button-hover.png", "text-field--error@2x.png". Returns Map("<set index>:<state>" -> shot).
+function pairScreenshots(screenshots, sets) {
+  const pairs = new Map();
+  const findSet = text => {
+    if (sets.length === 1) return 0;
+    const target = normalizeName(text);
+    const matches = sets
+      .map((set, index) => ({ index, names: [set.component, set.component.split('/').pop()].map(normalizeName) }))
+      .filter(({ names }) => names.some(name => name && target.includes(name)));
+    matches.sort((a, b) => Math.max(...b.names.map(name => name.length)) - Math.max(...a.names.map(name => name.length)));
+    return matches.length > 0 ? matches[0].index : -1;
+  };
+
+  screenshots.forEach(shot => {
+    let setIndex;
+    let state;
+    if (shot.state) {
+      const [componentName, stateName] = shot.state.includes(':') ? shot.state.split(':') : [shot.name, shot.state];
+      setIndex = findSet(componentName);
+      state = canonicalState(stateName);
+    } else {
+      setIndex = findSet(shot.name);
+      const tokens = fileNameTokens(shot.name);
+      const values = setIndex === -1 ? [] : sets[setIndex].variants.map(variant => variant.value);
+      const known = [...new Set([...STATE_ORDER.flatMap(name => STATE_ALIASES[name]), ...values.map(normalizeName)])];
+      const token = known.filter(candidate => tokens.includes(candidate)).sort((a, b) => b.length - a.length)[0];
+      state = token ? canonicalState(token) : null;
+    }
+    const key = `${setIndex}:${state}`;
+    if (setIndex !== -1 && state && !pairs.has(key)) {
+      pairs.set(key, shot);
+    }
+  });
+  return pairs;
+}
+
+// Compare every state variant of the design's component sets with a screenshot of the component
+// in that state. screenshots: [{ path, name, state?, url? }], state as "Component:state".
+// options: component (only sets named like it), variant (other variant properties to hold fixed,
+// e.g. { Size: 'Large' }), pixelRatio, threshold (pass accuracy, default 80), url with components
+// (capture settings, see parseStateCaptures) and the withCapturePage options.
+// Returns a STATE_MATRIX report: components x states.
+export async function analyzeStateMatrix({ figmaJSON, screenshots = [], options = {} }) {
+  let sets = findComponentStates(figmaJSON);
+  if (options.component) {
+    sets = sets.filter(set => normalizeName(set.component).includes(normalizeName(options.component)));
+  }
+  if (sets.length === 0) {
+    throw stateError(options.component
+      ? `No component set named like "${options.component}" has a state variant property`
+      : 'No component sets or instances with a state variant property (e.g. State=Hover) found in the Figma design');
+  }
+  if (screenshots.length === 0 && !options.url) {
+    throw stateError('Upload a screenshot per component state or send a URL and component selectors to capture them');
+  }
+  const captures = options.url ? parseStateCaptures(options.components) : [];
+  const threshold = parseFloat(options.threshold) >= 0 ? parseFloat(options.threshold) : DEFAULT_PASS_ACCURACY;
+  const pairs = pairScreenshots(screenshots, sets);
+  console.log(`State matrix: ${sets.map(set => `${set.component} (${set.variants.length} variants)`).join(', ')}`);
+
+  const components = [];
+  for (const [setIndex, set] of sets.entries()) {
+    reportStage(options, 'component', `Checking ${set.component} (${setIndex + 1}/${sets.length})`);
+    const picked = pickStateVariants(set, options.variant);
+    const entries = picked.variants.map(variant => ({ variant, field: variantField(set, variant) }));
+
+    const capture = captures.find(entry => normalizeName(set.component).includes(normalizeName(entry.component)));
+    const toCapture = entries.filter(({ variant }) => !pairs.has(`${setIndex}:${variant.state}`));
+    let captured = new Map();
+    let captureError = null;
+    if (capture && toCapture.length > 0) {
+      try {
+        captured = await captureStates(set, toCapture, capture, options);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // Nothing can be captured without a browser; uploaded states are still compared
+        console.error(`State capture failed for ${set.component}:`, error.message);
+        captureError = error.message;
+      }
+    }
+
+    const states = [];
+    let defaultResult = null;
+    for (const { variant, field } of entries) {
+      const result = {
+        state: variant.state,
+        value: variant.value,
+        variant: variant.name,
+        nodeId: variant.nodeId,
+        screenshot: null
+      };
+      const shot = pairs.get(`${setIndex}:${variant.state}`) || captured.get(variant.state);
+      if (!shot || shot.error) {
+        const reason = shot?.error || captureError;
+        states.push({ ...result, status: reason ? 'failed' : 'missing', accuracy: null, passed: false, ...(reason && { error: reason }) });
+        continue;
+      }
+
+      result.screenshot = shot.name;
+      if (shot.url) result.screenshotUrl = shot.url;
+      if (shot.capture) result.capture = shot.capture;
+      try {
+        const comparison = await compareState({ set, variant, field, shot, defaultResult, options });
+        states.push({ ...result, status: 'analyzed', ...comparison, passed: comparison.accuracy >= threshold && !comparison.unchanged });
+        if (variant.state === 'default') {
+          defaultResult = { shot, field, value: variant.value };
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error(`State comparison failed for ${set.component} ${variant.value}:`, error.message);
+        states.push({ ...result, status: 'failed', accuracy: null, passed: false, error: error.message });
+      }
+    }
+
+    components.push({
+      component: set.component,
+      componentSetId: set.componentSetId,
+      source: set.source,
+      stateProperty: set.stateProperty,
+      properties: picked.properties,
+      states
+    });
+  }
+
+  const all = components.flatMap(component => component.states);
+  const analyzed = all.filter(result => result.status === 'analyzed');
+  const combined = analyzed.length > 0
+    ? analyzed.reduce((sum, result) => sum + result.accuracy, 0) / analyzed.length
+    : null;
+  const differences = analyzed.flatMap(result => result.differences);
+  const pairedShots = new Set(pairs.values());
+
+  return {
+    id: Date.now(),
+    timestamp: new Date().toISOString(),
+    analysisType: 'STATE_MATRIX',
+    accuracy: combined === null ? null : combined.toFixed(2),
+    totalMismatches: differences.length,
+    summary: {
+      components: components.length,
+      states: all.length,
+      analyzed: analyzed.length,
+      passed: all.filter(result => result.passed).length,
+      failed: analyzed.filter(result => !result.passed).length,
+      errors: all.filter(result => result.status === 'failed').length,
+      missing: all.filter(result => result.status === 'missing').length,
+      unchanged: analyzed.filter(result => result.unchanged).length,
+      lowestAccuracy: analyzed.length > 0 ? Math.min(...analyzed.map(result => result.accuracy)) : null,
+      threshold,
+      mismatchesByCategory: {
+        color: differences.filter(difference => /Color$|^border$/.test(difference.property)).length,
+        spacing: null,
+        text: null,
+        size: differences.filter(difference => difference.property === 'dimensions').length
+      }
+    },
+    // Matrix columns: every state found, known states first
+    states: [...new Set(all.map(result => result.state))].sort((a, b) => stateRank(a) - stateRank(b) || a.localeCompare(b)),
+    components,
+    unusedScreenshots: screenshots.filter(shot => !pairedShots.has(shot)).map(shot => path.basename(shot.name))
+  };
+}
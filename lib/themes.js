@@ -0,0 +1,118 @@
+import path from 'path';
+import { analyze, analyzeWithAI } from './analyze.js';
+import { reportStage } from './progress.js';
+import { listVariableModes } from './shared/figma-properties.js';
+
+// Theme matrix: the same Figma frame checked once per variable mode (Light/Dark, brands),
+// each against the screenshot of the app rendered in that theme.
+
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Mode names across all collections, longest first so "Dark High Contrast" wins over "Dark"
+function availableModes(figmaJSON) {
+  const names = listVariableModes(figmaJSON).flatMap(collection => collection.modes.map(mode => mode.name));
+  return [...new Set(names)].sort((a, b) => b.length - a.length);
+}
+
+// Explicit mode per screenshot, else the mode whose name appears in the file name
+// ("login-dark.png" -> Dark)
+function pairScreenshotsWithModes(screenshots, modes) {
+  return screenshots.map(shot => {
+    if (shot.mode) {
+      const mode = modes.find(candidate => normalizeName(candidate) === normalizeName(shot.mode));
+      return { shot, mode: mode || null };
+    }
+    const fileName = normalizeName(path.basename(shot.name).replace(/\.[a-z0-9]+$/i, ''));
+    const mode = modes.find(candidate => normalizeName(candidate) && fileName.includes(normalizeName(candidate)));
+    return { shot, mode: mode || null };
+  });
+}
+
+// Per-mode color score with the same weighting compareProperties uses for accuracy
+function colorAccuracy(report) {
+  const total = report.figmaProperties?.colors?.length || 0;
+  if (total === 0) return null;
+  const major = report.colorMismatches.filter(mismatch => mismatch.severity === 'major').length;
+  const minor = report.colorMismatches.filter(mismatch => mismatch.severity === 'minor').length;
+  return parseFloat(Math.max((total - major - minor * 0.5) / total * 100, 0).toFixed(2));
+}
+
+// Analyze one screenshot per variable mode of the same frame.
+// screenshots: [{ path, name, mode? }]; without mode the file name must contain the mode name.
+// Returns a THEME_MATRIX roll-up; each analyzed mode carries its full report.
+export async function analyzeThemeMatrix({ figmaJSON, screenshots, options = {} }) {
+  const modes = availableModes(figmaJSON);
+  if (modes.length === 0) {
+    const error = new Error('The Figma JSON has no variable collections. Merge GET /v1/files/:key/variables/local into it as variables/variableCollections (or its meta block)');
+    error.status = 400;
+    throw error;
+  }
+  if (!screenshots || screenshots.length === 0) {
+    const error = new Error('At least one screenshot is required');
+    error.status = 400;
+    throw error;
+  }
+
+  const pairs = pairScreenshotsWithModes(screenshots, modes);
+  const unpaired = pairs.filter(pair => !pair.mode);
+  if (unpaired.length > 0) {
+    const error = new Error(`Could not tell the variable mode of ${unpaired.map(pair => pair.shot.name).join(', ')}. ` +
+      `Name files after a mode or send one of: ${modes.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  console.log(`Theme matrix: ${pairs.length} screenshot(s) across modes ${pairs.map(pair => pair.mode).join(', ')}`);
+
+  const runAnalysis = options.useAI ? analyzeWithAI : analyze;
+  const results = [];
+  for (const [index, { shot, mode }] of pairs.entries()) {
+    reportStage(options, 'mode', `Analyzing ${mode} (${index + 1}/${pairs.length})`);
+    const result = { mode, screenshot: shot.name };
+
+    try {
+      // Properties are extracted per mode, so any precomputed ones do not apply
+      const report = await runAnalysis({ figmaJSON, screenshot: shot.path, options: { ...options, variableMode: mode, figmaProperties: null } });
+      results.push({
+        ...result,
+        status: 'analyzed',
+        accuracy: parseFloat(report.accuracy),
+        colorAccuracy: colorAccuracy(report),
+        resolvedColors: report.figmaProperties.variableMode?.resolvedColors || 0,
+        colorMismatches: report.colorMismatches,
+        totalMismatches: report.totalMismatches,
+        report
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.error(`Theme analysis failed for mode "${mode}":`, error.message);
+      results.push({ ...result, status: 'failed', accuracy: null, colorAccuracy: null, error: error.message });
+    }
+  }
+
+  const analyzed = results.filter(result => result.colorAccuracy !== null && result.colorAccuracy !== undefined);
+  const combined = analyzed.length > 0
+    ? analyzed.reduce((sum, result) => sum + result.colorAccuracy, 0) / analyzed.length
+    : null;
+
+  // Mode reports are saved next to the matrix, so its id must not repeat theirs
+  const id = Math.max(Date.now(), ...results.map(result => (result.report?.id || 0) + 1));
+
+  return {
+    id,
+    timestamp: new Date().toISOString(),
+    analysisType: 'THEME_MATRIX',
+    accuracy: combined === null ? null : combined.toFixed(2),
+    summary: {
+      modes: results.length,
+      analyzed: results.filter(result => result.status === 'analyzed').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      lowestColorAccuracy: analyzed.length > 0 ? Math.min(...analyzed.map(result => result.colorAccuracy)) : null
+    },
+    modes: results,
+    missingModes: modes.filter(mode => !pairs.some(pair => pair.mode === mode)),
+    collections: listVariableModes(figmaJSON)
+  };
+}
@@ -0,0 +1,371 @@
+import { outputUrl, resolveOutput } from './config.js';
+import { colorDistance, extractDominantColors } from './color.js';
+import { extractAllTextFromScreenshot } from './ocr.js';
+import { reportStage } from './progress.js';
+import { analyzeScreenshot } from './vision.js';
+
+// Design tokens as a spec source: parse Style Dictionary (incl. the W3C $value format) or
+// Tokens Studio JSON into palette, type scale and spacing scale, and check a screenshot
+// for colors and sizes that are off-token.
+
+// A rendered color is on-token within this deltaE (just noticeable difference); beyond
+// POOR_MATCH it is clearly a different color
+const ON_TOKEN_DELTA_E = 2.3;
+const POOR_MATCH_DELTA_E = 10;
+// Measured sizes are estimates from the screenshot, so they get a few pixels of slack
+const FONT_SIZE_TOLERANCE = 2;
+const SPACING_TOLERANCE = 2;
+const REM_PX = 16;
+
+const MAX_REFERENCE_DEPTH = 10;
+
+function tokensError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Detect the file format: Tokens Studio exports carry $themes/$metadata and plural types
+function detectFormat(json) {
+  if (json.$themes || json.$metadata) return 'tokens-studio';
+  const text = JSON.stringify(json);
+  if (text.includes('"$value"')) return 'dtcg';
+  if (/"type"\s*:\s*"(fontSizes|spacing|borderRadius|fontFamilies|fontWeights|typography)"/.test(text)) return 'tokens-studio';
+  return 'style-dictionary';
+}
+
+// Flatten the token tree into { name, value, type } leaves. Tokens Studio sets are merged
+// (their names are not part of token paths); DTCG $type is inherited from groups.
+function flattenTokens(json, format) {
+  const tokens = [];
+  const walk = (node, path, inheritedType) => {
+    if (!node || typeof node !== 'object') return;
+
+    const value = node.$value !== undefined ? node.$value : node.value;
+    if (value !== undefined && (format !== 'dtcg' || node.$value !== undefined)) {
+      tokens.push({
+        name: path.join('.'),
+        value,
+        type: node.$type || node.type || node.attributes?.category || inheritedType || null
+      });
+      return;
+    }
+
+    Object.entries(node).forEach(([key, child]) => {
+      if (key.startsWith('$')) return;
+      walk(child, [...path, key], node.$type || inheritedType);
+    });
+  };
+
+  if (format === 'tokens-studio' && (json.$metadata || json.$themes)) {
+    const setOrder = json.$metadata?.tokenSetOrder || Object.keys(json).filter(key => !key.startsWith('$'));
+    setOrder.forEach(setName => walk(json[setName], [], null));
+  } else {
+    walk(json, [], null);
+  }
+  return tokens;
+}
+
+// Resolve {path.to.token} references, including references inside composite values.
+// Style Dictionary also writes them as {path.to.token.value}.
+function resolveReferences(tokens) {
+  const byName = new Map(tokens.map(token => [token.name, token]));
+  const lookup = name => byName.get(name) || byName.get(name.replace(/\.\$?value$/, ''));
+
+  const resolve = (value, depth = 0) => {
+    if (depth > MAX_REFERENCE_DEPTH) return null;
+    if (typeof value === 'string') {
+      const whole = value.match(/^\{([^}]+)\}$/);
+      if (whole) {
+        const target = lookup(whole[1]);
+        return target ? resolve(target.value, depth + 1) : null;
+      }
+      return value.replace(/\{([^}]+)\}/g, (match, name) => {
+        const target = lookup(name);
+        const resolved = target ? resolve(target.value, depth + 1) : null;
+        return typeof resolved === 'string' || typeof resolved === 'number' ? String(resolved) : match;
+      });
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, resolve(inner, depth + 1)]));
+    }
+    return value;
+  };
+
+  return tokens.map(token => ({ ...token, value: resolve(token.value) }));
+}
+
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  const color = value.trim().toLowerCase();
+
+  const hex = color.match(/^#([0-9a-f]{3,8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length === 3 || digits.length === 4) {
+      digits = digits.slice(0, 3).split('').map(digit => digit + digit).join('');
+    }
+    return digits.length >= 6 ? `#${digits.slice(0, 6)}` : null;
+  }
+
+  const rgb = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  if (rgb) {
+    return '#' + rgb.slice(1, 4).map(channel => Math.min(parseInt(channel), 255).toString(16).padStart(2, '0')).join('');
+  }
+  return null;
+}
+
+// Pixel value of a dimension: 16, "16px", "1rem"; percentages and expressions are not sizes
+function parseDimension(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'object' && value?.value !== undefined) {
+    return value.unit === 'rem' ? value.value * REM_PX : value.value;
+  }
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(/^(-?\d*\.?\d+)(px|rem|em)?$/);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === 'rem' || match[2] === 'em' ? number * REM_PX : number;
+}
+
+// Which scale a token belongs to, from its type or (Style Dictionary CTI) its path
+function tokenCategory(token) {
+  const type = (token.type || '').toLowerCase();
+  const path = token.name.toLowerCase();
+
+  if (type === 'color' || /(^|\.)colou?rs?(\.|$)/.test(path)) return 'color';
+  if (type === 'typography') return 'typography';
+  if (type === 'fontsizes' || type === 'fontsize' || /font-?size|(^|\.)size\.font(\.|$)|(^|\.)font\.size(\.|$)/.test(path)) return 'fontSize';
+  if (type === 'borderradius' || /radius|radii/.test(path)) return 'radius';
+  if (type === 'spacing' || /(^|\.)(spacing|space|gap|padding|margin)s?(\.|$)/.test(path)) return 'spacing';
+  if (type === 'dimension' && /(^|\.)size(\.|$)/.test(path)) return 'spacing';
+  return null;
+}
+
+// Parse a Style Dictionary / Tokens Studio file into the scales used for compliance checks.
+// Returns { format, colors, fontSizes, spacing, radii, typography, skipped }.
+export function parseDesignTokens(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw tokensError('Design tokens must be a JSON object');
+  }
+
+  const format = detectFormat(json);
+  const tokens = resolveReferences(flattenTokens(json, format));
+  const parsed = { format, colors: [], fontSizes: [], spacing: [], radii: [], typography: [], skipped: 0 };
+
+  tokens.forEach(token => {
+    const category = tokenCategory(token);
+    if (category === 'color') {
+      const hex = parseColor(token.value);
+      if (hex) {
+        parsed.colors.push({ name: token.name, value: hex });
+        return;
+      }
+    } else if (category === 'typography' && token.value && typeof token.value === 'object') {
+      const fontSize = parseDimension(token.value.fontSize);
+      parsed.typography.push({
+        name: token.name,
+        fontFamily: token.value.fontFamily || null,
+        fontWeight: token.value.fontWeight || null,
+        fontSize,
+        lineHeight: token.value.lineHeight || null
+      });
+      if (fontSize) {
+        parsed.fontSizes.push({ name: token.name, value: fontSize });
+      }
+      return;
+    } else if (category) {
+      const size = parseDimension(token.value);
+      const target = { fontSize: parsed.fontSizes, spacing: parsed.spacing, radius: parsed.radii }[category];
+      if (size !== null) {
+        target.push({ name: token.name, value: size });
+        return;
+      }
+    }
+    parsed.skipped++;
+  });
+
+  if (parsed.colors.length + parsed.fontSizes.length + parsed.spacing.length === 0) {
+    throw tokensError('No color, font size or spacing tokens found in the design tokens file');
+  }
+  console.log(`Parsed ${format} tokens: ${parsed.colors.length} colors, ${parsed.fontSizes.length} font sizes, ${parsed.spacing.length} spacing values (${parsed.skipped} skipped)`);
+  return parsed;
+}
+
+function nearestToken(scale, value, distance) {
+  return scale.reduce((best, token) => {
+    const d = distance(token.value, value);
+    return !best || d < best.distance ? { token, distance: d } : best;
+  }, null);
+}
+
+function hexChannels(hex) {
+  return [1, 3, 5].map(index => parseInt(hex.substring(index, index + 2), 16));
+}
+
+// Anti-aliased edges between two token colors (e.g. a blue button on white) produce
+// in-between shades; a color on the line between two tokens is a blend, not off-token
+function isTokenBlend(hex, colorTokens) {
+  const color = hexChannels(hex);
+  for (let i = 0; i < colorTokens.length; i++) {
+    for (let j = i + 1; j < colorTokens.length; j++) {
+      const a = hexChannels(colorTokens[i].value);
+      const b = hexChannels(colorTokens[j].value);
+      const direction = b.map((channel, k) => channel - a[k]);
+      const length = direction.reduce((sum, d) => sum + d * d, 0);
+      if (length === 0) continue;
+
+      const t = direction.reduce((sum, d, k) => sum + d * (color[k] - a[k]), 0) / length;
+      if (t <= 0 || t >= 1) continue;
+      const mix = '#' + a.map((channel, k) => Math.round(channel + direction[k] * t).toString(16).padStart(2, '0')).join('');
+      if (colorDistance(hex, mix) <= ON_TOKEN_DELTA_E) return true;
+    }
+  }
+  return false;
+}
+
+function checkPalette(palette, colorTokens) {
+  const offToken = [];
+  let blended = 0;
+  palette.forEach(color => {
+    const nearest = nearestToken(colorTokens, color.hex, colorDistance);
+    if (nearest.distance <= ON_TOKEN_DELTA_E) return;
+    if (isTokenBlend(color.hex, colorTokens)) {
+      blended++;
+      return;
+    }
+    offToken.push({
+      property: `Off-token color ${color.hex}`,
+      expected: `${nearest.token.value} (${nearest.token.name})`,
+      actual: color.hex,
+      token: nearest.token.name,
+      severity: nearest.distance > POOR_MATCH_DELTA_E ? 'major' : 'minor',
+      deltaE: nearest.distance.toFixed(2)
+    });
+  });
+  return { checked: palette.length, onToken: palette.length - offToken.length, blended, offToken };
+}
+
+// Off-scale sizes are grouped by rounded value so repeated gaps/lines are reported once
+function checkScale(measurements, scale, tolerance, label) {
+  const groups = new Map();
+  measurements.forEach(measurement => {
+    const key = Math.round(measurement.value);
+    const group = groups.get(key) || { value: key, count: 0, samples: [] };
+    group.count++;
+    if (group.samples.length < 3 && measurement.sample) group.samples.push(measurement.sample);
+    groups.set(key, group);
+  });
+
+  const offToken = [];
+  groups.forEach(group => {
+    const nearest = nearestToken(scale, group.value, (a, b) => Math.abs(a - b));
+    if (nearest.distance <= tolerance) return;
+    offToken.push({
+      property: `Off-scale ${label} ${group.value}px`,
+      expected: `${nearest.token.value}px (${nearest.token.name})`,
+      actual: `${group.value}px`,
+      token: nearest.token.name,
+      occurrences: group.count,
+      samples: group.samples,
+      severity: nearest.distance > tolerance * 2 ? 'major' : 'minor',
+      difference: nearest.distance
+    });
+  });
+
+  const onToken = measurements.length - offToken.reduce((sum, mismatch) => sum + mismatch.occurrences, 0);
+  return { checked: measurements.length, onToken, offToken };
+}
+
+// Check a screenshot against parsed (or raw) design tokens.
+// options.pixelRatio (default 1) converts screenshot pixels to token pixels, e.g. 2 for @2x captures.
+// Pass detectedProperties to reuse an analyzeScreenshot() result.
+// Returns { palette, typeScale, spacingScale, compliance, colorMismatches, textMismatches, spacingMismatches }.
+export async function checkTokenCompliance({ screenshot, tokens, detectedProperties = null, options = {} }) {
+  const designTokens = tokens.format ? tokens : parseDesignTokens(tokens);
+  const pixelRatio = parseFloat(options.pixelRatio) || 1;
+  const result = { tokensFormat: designTokens.format, pixelRatio };
+
+  reportStage(options, 'tokens-palette', 'Checking palette against color tokens');
+  if (designTokens.colors.length > 0) {
+    const colors = await extractDominantColors(screenshot);
+    result.palette = checkPalette(colors.palette, designTokens.colors);
+  } else {
+    result.palette = { skipped: 'No color tokens' };
+  }
+
+  reportStage(options, 'tokens-type', 'Checking text sizes against the type scale');
+  if (designTokens.fontSizes.length > 0) {
+    const ocr = await extractAllTextFromScreenshot(screenshot);
+    if (ocr.error) {
+      result.typeScale = { skipped: `OCR unavailable: ${ocr.error}` };
+    } else {
+      // OCR line boxes give an estimated font size for each line of text
+      const lines = ocr.elements
+        .filter(element => element.type === 'line' && element.fontSize > 0)
+        .map(element => ({ value: element.fontSize / pixelRatio, sample: element.text }));
+      result.typeScale = checkScale(lines, designTokens.fontSizes, FONT_SIZE_TOLERANCE, 'font size');
+    }
+  } else {
+    result.typeScale = { skipped: 'No font size tokens' };
+  }
+
+  reportStage(options, 'tokens-spacing', 'Checking gaps against the spacing scale');
+  if (designTokens.spacing.length > 0) {
+    const detected = detectedProperties || await analyzeScreenshot(screenshot);
+    const gaps = (detected.spacing?.spacingPatterns || [])
+      .filter(pattern => pattern.gap > 0)
+      .map(pattern => ({ value: pattern.gap / pixelRatio, sample: `${pattern.type} ${pattern.from} → ${pattern.to}` }));
+    result.spacingScale = checkScale(gaps, designTokens.spacing, SPACING_TOLERANCE, 'spacing');
+  } else {
+    result.spacingScale = { skipped: 'No spacing tokens' };
+  }
+
+  const checks = [result.palette, result.typeScale, result.spacingScale].filter(check => !check.skipped);
+  const checked = checks.reduce((sum, check) => sum + check.checked, 0);
+  const onToken = checks.reduce((sum, check) => sum + check.onToken, 0);
+  result.compliance = checked > 0 ? (onToken / checked * 100).toFixed(2) : null;
+
+  result.colorMismatches = result.palette.offToken || [];
+  result.textMismatches = result.typeScale.offToken || [];
+  result.spacingMismatches = result.spacingScale.offToken || [];
+  return result;
+}
+
+// Token-only analysis for screens without a Figma frame, shared by /analyze and the CLI
+export async function analyzeTokenCompliance({ tokens, screenshot, options = {} }) {
+  const output = resolveOutput(options);
+
+  reportStage(options, 'tokens', 'Parsing design tokens');
+  const designTokens = tokens.format ? tokens : parseDesignTokens(tokens);
+  const compliance = await checkTokenCompliance({ screenshot, tokens: designTokens, options });
+  const { colorMismatches, textMismatches, spacingMismatches, ...tokenCompliance } = compliance;
+  const mismatches = [...colorMismatches, ...textMismatches, ...spacingMismatches];
+
+  return {
+    id: Date.now(),
+    timestamp: new Date().toISOString(),
+    analysisType: 'TOKEN_COMPLIANCE',
+    accuracy: compliance.compliance,
+    designTokens: {
+      format: designTokens.format,
+      colors: designTokens.colors.length,
+      fontSizes: designTokens.fontSizes.length,
+      spacing: designTokens.spacing.length,
+      radii: designTokens.radii.length,
+      typography: designTokens.typography.length
+    },
+    tokenCompliance: tokenCompliance,
+    totalMismatches: mismatches.length,
+    propertyMismatches: mismatches,
+    colorMismatches,
+    textMismatches,
+    spacingMismatches,
+    sizeMismatches: [],
+    fieldMismatches: [],
+    visualizations: {
+      screenshotPath: outputUrl(output, screenshot)
+    }
+  };
+}
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import https from 'https';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import OpenAI from 'openai';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { visionRecordingsDir } from './config.js';
+
+// Vision-model providers behind one interface:
+//
+//   const provider = getVisionProvider('gemini', { apiKey });
+//   const { text, model } = await provider.detect({ imagePath, prompt, systemPrompt });
+//
+// detect() sends one image plus a prompt and returns the raw model text; callers parse it
+// with parseJSONResponse(). New models are added with registerVisionProvider(name, factory).
+//
+// Provider selection: explicit name > VISION_PROVIDER > OPENAI_MODE=azure > openai.
+// With VISION_RECORD=true every real response is also written to vision-recordings/
+// (or VISION_RECORDINGS_DIR) so the "mock" provider can replay it offline.
+
+const providers = new Map();
+
+export function registerVisionProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+export function listVisionProviders() {
+  return Array.from(providers.keys());
+}
+
+function recordingsDir() {
+  return process.env.VISION_RECORDINGS_DIR || visionRecordingsDir;
+}
+
+// Recordings are keyed by the image content and the prompts, not by file name,
+// so a re-uploaded copy of the same screenshot replays the same response.
+export function recordingKey({ imagePath, prompt, systemPrompt = '' }) {
+  return crypto.createHash('sha256')
+    .update(fs.readFileSync(imagePath))
+    .update('\0' + systemPrompt + '\0' + prompt)
+    .digest('hex');
+}
+
+async function imageInput(imagePath) {
+  const buffer = fs.readFileSync(imagePath);
+  const metadata = await sharp(imagePath).metadata();
+  return {
+    base64: buffer.toString('base64'),
+    mimeType: metadata.format === 'png' ? 'image/png' : 'image/jpeg'
+  };
+}
+
+// Parse model output that should be JSON but may be wrapped in markdown fences or prose
+export function parseJSONResponse(text, providerName = 'model') {
+  const cleaned = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (e) {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[0]);
+    }
+    throw new Error(`Invalid JSON response from ${providerName}`);
+  }
+}
+
+// HTTPS agent with a client certificate for Azure OpenAI deployments that require one
+function azureCertificateAgent(certPath) {
+  if (!certPath || !fs.existsSync(certPath)) return null;
+
+  console.log('Using Azure certificate:', certPath);
+  return new https.Agent({
+    cert: fs.readFileSync(certPath),
+    passphrase: process.env.AZURE_CERT_PASSPHRASE,
+    rejectUnauthorized: false // Set to true in production
+  });
+}
+
+// OpenAI and Azure OpenAI share the chat completions call
+function chatCompletionsProvider(name, client, model) {
+  return {
+    name,
+    model,
+    async detect({ imagePath, prompt, systemPrompt, maxTokens = 4000, temperature = 0.2 }) {
+      const image = await imageInput(imagePath);
+      const messages = [];
+      if (systemPrompt) {
+        messages.push({ role: 'system', content: systemPrompt });
+      }
+      messages.push({
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.base64}`, detail: 'high' } }
+        ]
+      });
+
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature
+      });
+      return { text: response.choices[0].message.content, model, provider: name };
+    }
+  };
+}
+
+registerVisionProvider('openai', (config = {}) => {
+  const apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error('OpenAI API key is required. Please provide it or set OPENAI_API_KEY in environment.');
+  }
+
+  const client = new OpenAI({
+    apiKey,
+    baseURL: config.endpoint || process.env.OPENAI_ENDPOINT || 'https://api.openai.com/v1'
+  });
+  const model = config.model || process.env.OPENAI_MODEL || config.defaultModel || 'gpt-4o';
+  return chatCompletionsProvider('openai', client, model);
+});
+
+registerVisionProvider('azure', (config = {}) => {
+  // TEMP_AZURE_* are set per request by /analyze-with-ai when the UI supplies Azure settings
+  const apiKey = config.apiKey || process.env.AZURE_OPENAI_API_KEY;
+  const endpoint = config.endpoint || process.env.TEMP_AZURE_ENDPOINT || process.env.AZURE_OPENAI_ENDPOINT;
+  const deployment = config.deployment || process.env.TEMP_AZURE_DEPLOYMENT || process.env.AZURE_OPENAI_DEPLOYMENT;
+  const apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-12-01-preview';
+
+  if (!apiKey || !endpoint || !deployment) {
+    throw new Error('Azure OpenAI configuration is incomplete. Please check your environment variables.');
+  }
+
+  const azureConfig = {
+    apiKey,
+    baseURL: `${endpoint}/openai/deployments/${deployment}`,
+    defaultQuery: { 'api-version': apiVersion },
+    defaultHeaders: { 'api-key': apiKey }
+  };
+  const agent = azureCertificateAgent(config.certPath || process.env.TEMP_AZURE_CERT_PATH || process.env.AZURE_CERT_PATH);
+  if (agent) {
+    azureConfig.httpAgent = agent;
+  }
+
+  return chatCompletionsProvider('azure', new OpenAI(azureConfig), deployment);
+});
+
+registerVisionProvider('gemini', (config = {}) => {
+  const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+  if (!apiKey) {
+    throw new Error('Gemini API key is required. Please provide it or set GEMINI_API_KEY in environment.');
+  }
+
+  const modelName = config.model || process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName });
+
+  return {
+    name: 'gemini',
+    model: modelName,
+    async detect({ imagePath, prompt, systemPrompt }) {
+      const image = await imageInput(imagePath);
+      const fullPrompt = systemPrompt ? `${systemPrompt}\n\n${prompt}` : prompt;
+      const result = await model.generateContent([
+        fullPrompt,
+        { inlineData: { data: image.base64, mimeType: image.mimeType } }
+      ]);
+      const response = await result.response;
+      return { text: response.text(), model: modelName, provider: 'gemini' };
+    }
+  };
+});
+
+// Offline provider: replays a recorded response for the same image and prompt,
+// falls back to vision-recordings/default.json, and otherwise returns an empty detection.
+registerVisionProvider('mock', () => ({
+  name: 'mock',
+  model: 'mock',
+  async detect(request) {
+    const dir = recordingsDir();
+    const recording = path.join(dir, `${recordingKey(request)}.json`);
+    const fallback = path.join(dir, 'default.json');
+
+    for (const file of [recording, fallback]) {
+      if (fs.existsSync(file)) {
+        const recorded = JSON.parse(fs.readFileSync(file, 'utf8'));
+        console.log(`Mock vision provider replaying ${path.basename(file)} (recorded from ${recorded.provider})`);
+        return { text: recorded.text, model: 'mock', provider: 'mock' };
+      }
+    }
+
+    console.log('Mock vision provider: no recording found, returning an empty detection');
+    return {
+      text: JSON.stringify({
+        detectedElements: [],
+        summary: { totalElements: 0, elementsByType: {}, screenType: 'other', observations: 'Mock provider: no recorded response' }
+      }),
+      model: 'mock',
+      provider: 'mock'
+    };
+  }
+}));
+
+// Wrap a provider so every response is saved for later replay by the mock provider
+function withRecording(provider) {
+  return {
+    ...provider,
+    async detect(request) {
+      const result = await provider.detect(request);
+      const dir = recordingsDir();
+      fs.mkdirSync(dir, { recursive: true });
+      const key = recordingKey(request);
+      fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify({
+        provider: result.provider,
+        model: result.model,
+        recordedAt: new Date().toISOString(),
+        image: path.basename(request.imagePath),
+        text: result.text
+      }, null, 2));
+      console.log(`Recorded ${result.provider} response as ${key}.json`);
+      return result;
+    }
+  };
+}
+
+export function defaultVisionProviderName() {
+  if (process.env.VISION_PROVIDER) return process.env.VISION_PROVIDER;
+  return process.env.OPENAI_MODE === 'azure' ? 'azure' : 'openai';
+}
+
+// Resolve a provider by name (see defaultVisionProviderName) with optional per-call config
+export function getVisionProvider(name, config = {}) {
+  const providerName = name || defaultVisionProviderName();
+  const factory = providers.get(providerName);
+  if (!factory) {
+    const error = new Error(`Unknown vision provider: ${providerName}. Available: ${listVisionProviders().join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const provider = factory(config);
+  return process.env.VISION_RECORD === 'true' && providerName !== 'mock'
+    ? withRecording(provider)
+    : provider;
+}
@@ -0,0 +1,654 @@
+import sharp from 'sharp';
+import { extractDominantColors } from './color.js';
+
+// Analyze screenshot to detect comprehensive UI properties
+export async function analyzeScreenshot(screenshotPath) {
+  try {
+    const metadata = await sharp(screenshotPath).metadata();
+    console.log('Screenshot dimensions:', metadata.width, 'x', metadata.height);
+    
+    // Extract colors using existing advanced method
+    const colors = await extractDominantColors(screenshotPath);
+    
+    // Detect UI elements using computer vision techniques
+    const uiElements = await detectUIElements(screenshotPath, metadata);
+    
+    // Analyze typography regions
+    const textRegions = await detectTextRegions(screenshotPath, metadata);
+    
+    // Calculate spacing between detected elements
+    const spacingAnalysis = calculateDetectedSpacing(uiElements);
+    
+    // Detect borders and visual separators
+    const borderAnalysis = await detectBorders(screenshotPath, metadata);
+    
+    // Analyze layout patterns
+    const layoutAnalysis = analyzeLayoutPatterns(uiElements);
+    
+    return {
+      colors: colors.palette.slice(0, 10).map((color, index) => ({
+        property: index === 0 ? 'dominant' : `color_${index}`,
+        hex: color.hex,
+        frequency: color.frequency,
+        importance: color.importance
+      })),
+      dimensions: {
+        width: metadata.width,
+        height: metadata.height
+      },
+      elements: uiElements,
+      textRegions: textRegions,
+      spacing: spacingAnalysis,
+      borders: borderAnalysis,
+      layout: layoutAnalysis,
+      analysis: {
+        totalElements: uiElements.length,
+        textElements: textRegions.length,
+        averageSpacing: spacingAnalysis.averageGap,
+        layoutComplexity: layoutAnalysis.complexity
+      }
+    };
+  } catch (error) {
+    console.error('Screenshot analysis error:', error);
+    // Fallback to basic analysis
+    const metadata = await sharp(screenshotPath).metadata();
+    const colors = await extractDominantColors(screenshotPath);
+    
+    return {
+      colors: colors.palette.slice(0, 10).map((color, index) => ({
+        property: index === 0 ? 'dominant' : `color_${index}`,
+        hex: color.hex
+      })),
+      dimensions: {
+        width: metadata.width,
+        height: metadata.height
+      },
+      elements: [],
+      error: 'Advanced analysis failed, using basic color analysis'
+    };
+  }
+}
+
+// Detect UI elements using edge detection and contour analysis
+async function detectUIElements(imagePath, metadata) {
+  const elements = [];
+  
+  try {
+    // Convert to grayscale and apply edge detection
+    const edgeBuffer = await sharp(imagePath)
+      .greyscale()
+      .convolve({
+        width: 3,
+        height: 3,
+        kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1] // Laplacian edge detection
+      })
+      .raw()
+      .toBuffer();
+    
+    // Apply Gaussian blur to reduce noise
+    const blurredBuffer = await sharp(imagePath)
+      .greyscale()
+      .blur(1)
+      .raw()
+      .toBuffer();
+    
+    // Find contours using a simplified approach
+    const contours = findContours(edgeBuffer, metadata.width, metadata.height);
+    
+    // Filter and process contours into UI elements
+    let elementId = 0;
+    contours.forEach(contour => {
+      // Filter out very small or very large areas
+      const area = contour.width * contour.height;
+      const minArea = 100; // At least 10x10 pixels
+      const maxArea = (metadata.width * metadata.height) * 0.8; // Max 80% of screen
+      
+      if (area >= minArea && area <= maxArea && contour.width > 5 && contour.height > 5) {
+        elements.push({
+          id: `detected_element_${elementId++}`,
+          type: 'UI_ELEMENT',
+          bounds: {
+            x: contour.x,
+            y: contour.y,
+            width: contour.width,
+            height: contour.height
+          },
+          area: area,
+          aspectRatio: contour.width / contour.height,
+          confidence: calculateElementConfidence(contour, metadata)
+        });
+      }
+    });
+    
+    // Merge overlapping elements
+    const mergedElements = mergeOverlappingElements(elements);
+    
+    // Sort by confidence and size
+    return mergedElements
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, 50); // Limit to top 50 elements
+      
+  } catch (error) {
+    console.error('UI element detection error:', error);
+    return [];
+  }
+}
+
+// Simple contour detection algorithm
+function findContours(edgeBuffer, width, height) {
+  const contours = [];
+  const visited = new Array(width * height).fill(false);
+  const threshold = 50; // Edge strength threshold
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const idx = y * width + x;
+      
+      if (!visited[idx] && edgeBuffer[idx] > threshold) {
+        const contour = traceContour(edgeBuffer, visited, x, y, width, height, threshold);
+        if (contour && contour.points.length > 10) { // Minimum contour size
+          contours.push({
+            x: contour.minX,
+            y: contour.minY,
+            width: contour.maxX - contour.minX,
+            height: contour.maxY - contour.minY,
+            points: contour.points
+          });
+        }
+      }
+    }
+  }
+  
+  return contours;
+}
+
+// Trace contour using flood fill
+function traceContour(edgeBuffer, visited, startX, startY, width, height, threshold) {
+  const points = [];
+  const stack = [{x: startX, y: startY}];
+  let minX = width, maxX = 0, minY = height, maxY = 0;
+  
+  while (stack.length > 0 && points.length < 1000) { // Limit contour size
+    const {x, y} = stack.pop();
+    const idx = y * width + x;
+    
+    if (x < 0 || x >= width || y < 0 || y >= height || 
+        visited[idx] || edgeBuffer[idx] <= threshold) {
+      continue;
+    }
+    
+    visited[idx] = true;
+    points.push({x, y});
+    
+    minX = Math.min(minX, x);
+    maxX = Math.max(maxX, x);
+    minY = Math.min(minY, y);
+    maxY = Math.max(maxY, y);
+    
+    // Check 8 neighbors
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        if (dx !== 0 || dy !== 0) {
+          stack.push({x: x + dx, y: y + dy});
+        }
+      }
+    }
+  }
+  
+  return points.length > 0 ? {points, minX, maxX, minY, maxY} : null;
+}
+
+// Calculate confidence score for detected element
+function calculateElementConfidence(contour, metadata) {
+  const area = contour.width * contour.height;
+  const screenArea = metadata.width * metadata.height;
+  const areaRatio = area / screenArea;
+  
+  // Factors affecting confidence
+  const sizeScore = areaRatio > 0.001 && areaRatio < 0.5 ? 1 : 0.5; // Good size range
+  const aspectScore = contour.width / contour.height > 0.1 && contour.width / contour.height < 10 ? 1 : 0.5; // Reasonable aspect ratio
+  const shapeScore = Math.min(contour.width, contour.height) > 10 ? 1 : 0.5; // Not too thin
+  
+  return (sizeScore + aspectScore + shapeScore) / 3;
+}
+
+// Merge overlapping UI elements
+function mergeOverlappingElements(elements) {
+  const merged = [];
+  const processed = new Set();
+  
+  for (let i = 0; i < elements.length; i++) {
+    if (processed.has(i)) continue;
+    
+    let currentElement = {...elements[i]};
+    processed.add(i);
+    
+    // Find overlapping elements
+    for (let j = i + 1; j < elements.length; j++) {
+      if (processed.has(j)) continue;
+      
+      if (elementsOverlap(currentElement.bounds, elements[j].bounds)) {
+        // Merge elements
+        const merged_bounds = mergeBounds(currentElement.bounds, elements[j].bounds);
+        currentElement = {
+          ...currentElement,
+          bounds: merged_bounds,
+          area: merged_bounds.width * merged_bounds.height,
+          confidence: Math.max(currentElement.confidence, elements[j].confidence)
+        };
+        processed.add(j);
+      }
+    }
+    
+    merged.push(currentElement);
+  }
+  
+  return merged;
+}
+
+// Check if two elements overlap
+function elementsOverlap(bounds1, bounds2) {
+  const overlap_x = Math.max(0, Math.min(bounds1.x + bounds1.width, bounds2.x + bounds2.width) - 
+                              Math.max(bounds1.x, bounds2.x));
+  const overlap_y = Math.max(0, Math.min(bounds1.y + bounds1.height, bounds2.y + bounds2.height) - 
+                              Math.max(bounds1.y, bounds2.y));
+  
+  const overlap_area = overlap_x * overlap_y;
+  const area1 = bounds1.width * bounds1.height;
+  const area2 = bounds2.width * bounds2.height;
+  
+  // Elements overlap if overlap is more than 30% of either element
+  return overlap_area > 0.3 * Math.min(area1, area2);
+}
+
+// Merge two bounding rectangles
+function mergeBounds(bounds1, bounds2) {
+  const minX = Math.min(bounds1.x, bounds2.x);
+  const minY = Math.min(bounds1.y, bounds2.y);
+  const maxX = Math.max(bounds1.x + bounds1.width, bounds2.x + bounds2.width);
+  const maxY = Math.max(bounds1.y + bounds1.height, bounds2.y + bounds2.height);
+  
+  return {
+    x: minX,
+    y: minY,
+    width: maxX - minX,
+    height: maxY - minY
+  };
+}
+
+// Detect text regions using morphological operations
+async function detectTextRegions(imagePath, metadata) {
+  try {
+    // Apply morphological operations to detect text-like regions
+    const textBuffer = await sharp(imagePath)
+      .greyscale()
+      .threshold(128) // Binarize
+      .raw()
+      .toBuffer();
+    
+    // Find horizontal and vertical patterns that suggest text
+    const textRegions = [];
+    const blockSize = 20; // Size of blocks to analyze
+    
+    for (let y = 0; y < metadata.height - blockSize; y += blockSize) {
+      for (let x = 0; x < metadata.width - blockSize; x += blockSize) {
+        const textScore = analyzeTextBlock(textBuffer, x, y, blockSize, metadata.width);
+        
+        if (textScore > 0.3) { // Threshold for text detection
+          textRegions.push({
+            x: x,
+            y: y,
+            width: blockSize,
+            height: blockSize,
+            confidence: textScore,
+            type: 'TEXT_REGION'
+          });
+        }
+      }
+    }
+    
+    return mergeTextRegions(textRegions);
+  } catch (error) {
+    console.error('Text detection error:', error);
+    return [];
+  }
+}
+
+// Analyze a block for text-like patterns
+function analyzeTextBlock(buffer, startX, startY, blockSize, imageWidth) {
+  let transitions = 0;
+  let totalPixels = 0;
+  
+  // Count horizontal transitions (characteristic of text)
+  for (let y = startY; y < startY + blockSize; y++) {
+    let lastPixel = null;
+    for (let x = startX; x < startX + blockSize; x++) {
+      const idx = y * imageWidth + x;
+      const pixel = buffer[idx];
+      
+      if (lastPixel !== null && Math.abs(pixel - lastPixel) > 100) {
+        transitions++;
+      }
+      lastPixel = pixel;
+      totalPixels++;
+    }
+  }
+  
+  // Text regions typically have many transitions
+  return transitions / (totalPixels / blockSize);
+}
+
+// Merge nearby text regions
+function mergeTextRegions(regions) {
+  const merged = [];
+  const processed = new Set();
+  
+  for (let i = 0; i < regions.length; i++) {
+    if (processed.has(i)) continue;
+    
+    let currentRegion = {...regions[i]};
+    processed.add(i);
+    
+    // Find nearby regions to merge
+    for (let j = i + 1; j < regions.length; j++) {
+      if (processed.has(j)) continue;
+      
+      const distance = Math.sqrt(
+        Math.pow(currentRegion.x - regions[j].x, 2) + 
+        Math.pow(currentRegion.y - regions[j].y, 2)
+      );
+      
+      if (distance < 30) { // Merge if within 30 pixels
+        currentRegion = {
+          ...currentRegion,
+          ...mergeBounds(currentRegion, regions[j]),
+          confidence: Math.max(currentRegion.confidence, regions[j].confidence)
+        };
+        processed.add(j);
+      }
+    }
+    
+    merged.push(currentRegion);
+  }
+  
+  return merged;
+}
+
+// Calculate spacing between detected elements
+function calculateDetectedSpacing(elements) {
+  if (elements.length < 2) {
+    return {
+      averageGap: 0,
+      horizontalGaps: [],
+      verticalGaps: [],
+      spacingPatterns: []
+    };
+  }
+  
+  const horizontalGaps = [];
+  const verticalGaps = [];
+  const spacingPatterns = [];
+  
+  // Sort elements by position
+  const sortedByY = [...elements].sort((a, b) => a.bounds.y - b.bounds.y);
+  const sortedByX = [...elements].sort((a, b) => a.bounds.x - b.bounds.x);
+  
+  // Calculate vertical gaps (between elements stacked vertically)
+  for (let i = 0; i < sortedByY.length - 1; i++) {
+    const current = sortedByY[i];
+    const next = sortedByY[i + 1];
+    
+    // Check if elements are roughly aligned horizontally
+    const horizontalOverlap = Math.max(0, 
+      Math.min(current.bounds.x + current.bounds.width, next.bounds.x + next.bounds.width) - 
+      Math.max(current.bounds.x, next.bounds.x)
+    );
+    
+    if (horizontalOverlap > 10) { // Some horizontal overlap suggests vertical stacking
+      const gap = next.bounds.y - (current.bounds.y + current.bounds.height);
+      if (gap >= 0 && gap < 200) { // Reasonable gap size
+        verticalGaps.push(gap);
+        spacingPatterns.push({
+          type: 'vertical',
+          from: current.id,
+          to: next.id,
+          gap: gap
+        });
+      }
+    }
+  }
+  
+  // Calculate horizontal gaps (between elements side by side)
+  for (let i = 0; i < sortedByX.length - 1; i++) {
+    const current = sortedByX[i];
+    const next = sortedByX[i + 1];
+    
+    // Check if elements are roughly aligned vertically
+    const verticalOverlap = Math.max(0, 
+      Math.min(current.bounds.y + current.bounds.height, next.bounds.y + next.bounds.height) - 
+      Math.max(current.bounds.y, next.bounds.y)
+    );
+    
+    if (verticalOverlap > 10) { // Some vertical overlap suggests horizontal alignment
+      const gap = next.bounds.x - (current.bounds.x + current.bounds.width);
+      if (gap >= 0 && gap < 200) { // Reasonable gap size
+        horizontalGaps.push(gap);
+        spacingPatterns.push({
+          type: 'horizontal',
+          from: current.id,
+          to: next.id,
+          gap: gap
+        });
+      }
+    }
+  }
+  
+  const allGaps = [...horizontalGaps, ...verticalGaps];
+  const averageGap = allGaps.length > 0 ? allGaps.reduce((sum, gap) => sum + gap, 0) / allGaps.length : 0;
+  
+  return {
+    averageGap: Math.round(averageGap),
+    horizontalGaps,
+    verticalGaps,
+    spacingPatterns,
+    stats: {
+      totalGaps: allGaps.length,
+      minGap: allGaps.length > 0 ? Math.min(...allGaps) : 0,
+      maxGap: allGaps.length > 0 ? Math.max(...allGaps) : 0
+    }
+  };
+}
+
+// Detect borders and visual separators
+async function detectBorders(imagePath, metadata) {
+  try {
+    // Use Sobel edge detection for better border detection
+    const borderBuffer = await sharp(imagePath)
+      .greyscale()
+      .convolve({
+        width: 3,
+        height: 3,
+        kernel: [-1, 0, 1, -2, 0, 2, -1, 0, 1] // Sobel X
+      })
+      .raw()
+      .toBuffer();
+    
+    const borders = [];
+    const threshold = 30;
+    
+    // Detect horizontal lines
+    for (let y = 10; y < metadata.height - 10; y += 5) {
+      let lineStart = null;
+      let lineLength = 0;
+      
+      for (let x = 0; x < metadata.width; x++) {
+        const idx = y * metadata.width + x;
+        
+        if (borderBuffer[idx] > threshold) {
+          if (lineStart === null) lineStart = x;
+          lineLength++;
+        } else {
+          if (lineLength > 50) { // Minimum line length
+            borders.push({
+              type: 'horizontal_line',
+              x: lineStart,
+              y: y,
+              length: lineLength,
+              thickness: 1
+            });
+          }
+          lineStart = null;
+          lineLength = 0;
+        }
+      }
+    }
+    
+    return {
+      detectedBorders: borders.length,
+      borders: borders.slice(0, 20), // Limit results
+      hasVisualSeparators: borders.length > 0
+    };
+  } catch (error) {
+    console.error('Border detection error:', error);
+    return {
+      detectedBorders: 0,
+      borders: [],
+      hasVisualSeparators: false
+    };
+  }
+}
+
+// Analyze layout patterns in detected elements
+function analyzeLayoutPatterns(elements) {
+  if (elements.length < 3) {
+    return {
+      complexity: 'simple',
+      patterns: [],
+      alignment: 'none'
+    };
+  }
+  
+  const patterns = [];
+  let complexity = 'simple';
+  
+  // Analyze alignment patterns
+  const leftAligned = findAlignedElements(elements, 'left');
+  const rightAligned = findAlignedElements(elements, 'right');
+  const centerAligned = findAlignedElements(elements, 'center');
+  const topAligned = findAlignedElements(elements, 'top');
+  const bottomAligned = findAlignedElements(elements, 'bottom');
+  
+  if (leftAligned.length > 2) patterns.push({type: 'left_alignment', count: leftAligned.length});
+  if (rightAligned.length > 2) patterns.push({type: 'right_alignment', count: rightAligned.length});
+  if (centerAligned.length > 2) patterns.push({type: 'center_alignment', count: centerAligned.length});
+  if (topAligned.length > 2) patterns.push({type: 'top_alignment', count: topAligned.length});
+  if (bottomAligned.length > 2) patterns.push({type: 'bottom_alignment', count: bottomAligned.length});
+  
+  // Analyze grid patterns
+  const gridPattern = detectGridPattern(elements);
+  if (gridPattern.isGrid) {
+    patterns.push({type: 'grid_layout', rows: gridPattern.rows, cols: gridPattern.cols});
+    complexity = 'complex';
+  }
+  
+  // Determine overall complexity
+  if (patterns.length > 3) complexity = 'complex';
+  else if (patterns.length > 1) complexity = 'moderate';
+  
+  return {
+    complexity,
+    patterns,
+    alignment: patterns.length > 0 ? patterns[0].type : 'none',
+    stats: {
+      totalPatterns: patterns.length,
+      alignmentScore: patterns.length / elements.length
+    }
+  };
+}
+
+// Find elements aligned to a specific edge
+function findAlignedElements(elements, alignmentType) {
+  const tolerance = 5; // 5px tolerance
+  const aligned = [];
+  
+  elements.forEach(element => {
+    let alignValue;
+    switch (alignmentType) {
+      case 'left': alignValue = element.bounds.x; break;
+      case 'right': alignValue = element.bounds.x + element.bounds.width; break;
+      case 'center': alignValue = element.bounds.x + element.bounds.width / 2; break;
+      case 'top': alignValue = element.bounds.y; break;
+      case 'bottom': alignValue = element.bounds.y + element.bounds.height; break;
+      default: return;
+    }
+    
+    // Find other elements with similar alignment
+    const similarElements = elements.filter(other => {
+      if (other.id === element.id) return false;
+      
+      let otherAlignValue;
+      switch (alignmentType) {
+        case 'left': otherAlignValue = other.bounds.x; break;
+        case 'right': otherAlignValue = other.bounds.x + other.bounds.width; break;
+        case 'center': otherAlignValue = other.bounds.x + other.bounds.width / 2; break;
+        case 'top': otherAlignValue = other.bounds.y; break;
+        case 'bottom': otherAlignValue = other.bounds.y + other.bounds.height; break;
+        default: return false;
+      }
+      
+      return Math.abs(alignValue - otherAlignValue) <= tolerance;
+    });
+    
+    if (similarElements.length > 0) {
+      aligned.push(element);
+    }
+  });
+  
+  return aligned;
+}
+
+// Detect grid layout patterns
+function detectGridPattern(elements) {
+  if (elements.length < 4) return {isGrid: false};
+  
+  // Sort elements by position
+  const sorted = [...elements].sort((a, b) => {
+    if (Math.abs(a.bounds.y - b.bounds.y) < 10) {
+      return a.bounds.x - b.bounds.x;
+    }
+    return a.bounds.y - b.bounds.y;
+  });
+  
+  // Try to detect rows and columns
+  const rows = [];
+  let currentRow = [];
+  let lastY = sorted[0].bounds.y;
+  
+  sorted.forEach(element => {
+    if (Math.abs(element.bounds.y - lastY) < 10) {
+      currentRow.push(element);
+    } else {
+      if (currentRow.length > 0) rows.push(currentRow);
+      currentRow = [element];
+      lastY = element.bounds.y;
+    }
+  });
+  if (currentRow.length > 0) rows.push(currentRow);
+  
+  // Check if it's a regular grid
+  if (rows.length >= 2) {
+    const colCounts = rows.map(row => row.length);
+    const avgCols = colCounts.reduce((sum, count) => sum + count, 0) / colCounts.length;
+    const isRegular = colCounts.every(count => Math.abs(count - avgCols) <= 1);
+    
+    if (isRegular) {
+      return {
+        isGrid: true,
+        rows: rows.length,
+        cols: Math.round(avgCols)
+      };
+    }
+  }
+  
+  return {isGrid: false};
+}
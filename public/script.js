@@ -1,8 +1,8 @@
-// Helper function to escape HTML
+// Helper function to escape HTML, including quotes so it is safe inside attribute values
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // Helper function to safely set text content
@@ -21,6 +21,67 @@ function setInnerHTML(elementId, html) {
   }
 }
 
+// Run a long analysis as a background job (?async=true) and follow its stages over SSE.
+// onStage(job) is called for every progress update; resolves with the job result.
+let activeJobId = null;
+
+async function runAnalysisJob(endpoint, formData, onStage) {
+  const response = await fetch(`${endpoint}?async=true`, {
+    method: 'POST',
+    body: formData,
+  });
+  const job = await response.json();
+  if (!response.ok) {
+    throw new Error(job.message || job.error || 'Failed to start analysis');
+  }
+
+  activeJobId = job.id;
+  const cancelButtons = document.querySelectorAll('.cancel-job-btn');
+  cancelButtons.forEach((btn) => btn.classList.remove('hidden'));
+
+  return new Promise((resolve, reject) => {
+    const events = new EventSource(job.eventsUrl);
+    const finish = () => {
+      events.close();
+      activeJobId = null;
+      cancelButtons.forEach((btn) => btn.classList.add('hidden'));
+    };
+
+    events.addEventListener('progress', (event) => {
+      if (onStage) onStage(JSON.parse(event.data));
+    });
+    events.addEventListener('done', (event) => {
+      const update = JSON.parse(event.data);
+      finish();
+      if (update.status === 'completed') {
+        resolve(update.result);
+      } else if (update.status === 'cancelled') {
+        reject(new Error('Analysis cancelled'));
+      } else {
+        reject(new Error(update.error?.message || 'Analysis failed'));
+      }
+    });
+    events.onerror = () => {
+      finish();
+      reject(new Error('Lost connection to the analysis job'));
+    };
+  });
+}
+
+// Describe a job update for the loading message
+function describeJobStage(job, fallback) {
+  if (job.status === 'queued') {
+    return `Waiting for a free slot (position ${job.queuePosition})...`;
+  }
+  return job.message || fallback;
+}
+
+// Token/component a mismatch refers to, shown next to its property
+function describeTokenRef(mismatch) {
+  const parts = [mismatch.token, mismatch.component].filter(Boolean);
+  return parts.length > 0 ? ` <span class="token-ref">${escapeHtml(parts.join(' · '))}</span>` : '';
+}
+
 // Global function for tab switching (called from HTML onclick)
 function showResultTab(tabName) {
   // Get all tab buttons and content
@@ -49,6 +110,18 @@ function showResultTab(tabName) {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('.cancel-job-btn').forEach((cancelJobBtn) => {
+    cancelJobBtn.addEventListener('click', async () => {
+      if (!activeJobId) return;
+      cancelJobBtn.disabled = true;
+      try {
+        await fetch(`/jobs/${activeJobId}`, { method: 'DELETE' });
+      } finally {
+        cancelJobBtn.disabled = false;
+      }
+    });
+  });
+
   const form = document.getElementById('compareForm');
   const screenshotInput = document.getElementById('codeScreenshot');
   const jsonPreview = document.getElementById('jsonPreview');
@@ -56,6 +129,88 @@ document.addEventListener('DOMContentLoaded', () => {
   // Store fetched Figma data
   let fetchedFigmaJSON = null;
   let rawFigmaJSON = null; // Store the raw JSON for server endpoints
+  let figmaSource = null; // fileKey/nodeId of a design fetched via the API (saved with reports)
+  let storedDesignId = null; // id of rawFigmaJSON in the server's design store (/designs)
+  let loadingStoredDesign = false;
+
+  // Attach report metadata so saved reports can be found by Figma file/node
+  function appendReportMetadata(formData) {
+    if (figmaSource) {
+      formData.append('fileKey', figmaSource.fileKey);
+      if (figmaSource.nodeId) formData.append('nodeId', figmaSource.nodeId);
+    }
+  }
+
+  // Analyses reference the loaded design by its stored id when it has one, instead of re-sending it
+  function appendFigmaDesign(formData, figmaJSON) {
+    if (storedDesignId) {
+      formData.append('designId', storedDesignId);
+    } else {
+      formData.append('figmaJSON', JSON.stringify(figmaJSON));
+    }
+  }
+
+  // Screenshot upload, else the URL the server captures in headless Chrome at the frame's size
+  function captureUrlValue() {
+    return document.getElementById('captureUrl')?.value.trim() || '';
+  }
+
+  function hasScreenshot(input) {
+    return !!input.files[0] || !!captureUrlValue();
+  }
+
+  // Several screenshots are viewports of a tall page, stitched by the server in file name order
+  function appendScreenshot(formData, input) {
+    if (input.files.length > 1) {
+      [...input.files]
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        .forEach(file => formData.append('screenshots', file));
+    } else if (input.files[0]) {
+      formData.append('screenshot', input.files[0]);
+    } else {
+      formData.append('captureUrl', captureUrlValue());
+    }
+    const sliceTop = document.getElementById('sliceTop')?.value.trim();
+    if (sliceTop) formData.append('sliceTop', sliceTop);
+  }
+
+  // Keep pasted JSON in the design store (analyses still send the JSON until this completes)
+  async function storePastedDesign(figmaJSON) {
+    storedDesignId = null;
+    if (loadingStoredDesign) return;
+    try {
+      const response = await fetch('/designs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ figmaJSON })
+      });
+      if (response.ok) {
+        storedDesignId = (await response.json()).id;
+      }
+    } catch (error) {
+      console.warn('Could not store the pasted design:', error);
+    }
+  }
+
+  // Offer the design's variable modes (Light/Dark, brands) once a Figma JSON is loaded
+  function updateVariableModes(figmaJSON) {
+    const select = document.getElementById('variableMode');
+    const hint = document.getElementById('themeAvailableModes');
+    const collections = typeof listVariableModes === 'function' ? listVariableModes(figmaJSON) : [];
+    const modeNames = [...new Set(collections.flatMap(collection => collection.modes.map(mode => mode.name)))];
+
+    if (select) {
+      select.innerHTML = '<option value="">Colors as stored in the design</option>' +
+        modeNames.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+      select.disabled = modeNames.length === 0;
+    }
+    if (hint) {
+      hint.textContent = modeNames.length > 0
+        ? `Modes in this design: ${modeNames.join(', ')}`
+        : 'This design has no variable modes';
+    }
+  }
+
   const screenshotPreview = document.getElementById('screenshotPreview');
   const loading = document.getElementById('loading');
   const results = document.getElementById('results');
@@ -93,11 +248,37 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Preview what an analysis would capture from the URL at the Figma frame's size
+  document.getElementById('previewCaptureBtn')?.addEventListener('click', async () => {
+    const captureUrl = captureUrlValue();
+    if (!captureUrl) {
+      alert('Please enter a URL to capture');
+      return;
+    }
+    const formData = new FormData();
+    formData.append('captureUrl', captureUrl);
+    const jsonToSend = rawFigmaJSON || fetchedFigmaJSON;
+    if (jsonToSend) appendFigmaDesign(formData, jsonToSend);
+
+    screenshotPreview.innerHTML = '<p>Capturing...</p>';
+    try {
+      const response = await fetch('/capture', { method: 'POST', body: formData });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error);
+      screenshotPreview.innerHTML = `<img src="${data.url}" alt="Capture preview">` +
+        `<small>${data.viewport.width}x${data.viewport.height} viewport (${data.viewport.source === 'figma' ? 'from the Figma frame' : 'requested'})</small>`;
+    } catch (error) {
+      screenshotPreview.innerHTML = `<p class="error">Capture failed: ${error.message}</p>`;
+    }
+  });
+
   // Handle API mode tab switching
   const apiModeTabs = document.querySelectorAll('.api-mode-tab');
   const envConfigSection = document.getElementById('envConfigSection');
   const openaiConfigSection = document.getElementById('openaiConfigSection');
   const azureConfigSection = document.getElementById('azureConfigSection');
+  const geminiConfigSection = document.getElementById('geminiConfigSection');
+  const mockConfigSection = document.getElementById('mockConfigSection');
   
   apiModeTabs.forEach(tab => {
     tab.addEventListener('click', () => {
@@ -109,6 +290,8 @@ document.addEventListener('DOMContentLoaded', () => {
       if (envConfigSection) envConfigSection.style.display = 'none';
       if (openaiConfigSection) openaiConfigSection.style.display = 'none';
       if (azureConfigSection) azureConfigSection.style.display = 'none';
+      if (geminiConfigSection) geminiConfigSection.style.display = 'none';
+      if (mockConfigSection) mockConfigSection.style.display = 'none';
       
       // Show selected section
       const mode = tab.dataset.mode;
@@ -118,6 +301,10 @@ document.addEventListener('DOMContentLoaded', () => {
         openaiConfigSection.style.display = 'block';
       } else if (mode === 'azure' && azureConfigSection) {
         azureConfigSection.style.display = 'block';
+      } else if (mode === 'gemini' && geminiConfigSection) {
+        geminiConfigSection.style.display = 'block';
+      } else if (mode === 'mock' && mockConfigSection) {
+        mockConfigSection.style.display = 'block';
       }
     });
   });
@@ -126,23 +313,130 @@ document.addEventListener('DOMContentLoaded', () => {
   const methodTabs = document.querySelectorAll('.method-tab');
   const figmaApiSection = document.getElementById('figmaApiSection');
   const figmaPasteSection = document.getElementById('figmaPasteSection');
+  const figmaStoredSection = document.getElementById('figmaStoredSection');
   
   methodTabs.forEach(tab => {
     tab.addEventListener('click', () => {
       methodTabs.forEach(t => t.classList.remove('active'));
       tab.classList.add('active');
       
-      if (tab.dataset.method === 'api') {
-        figmaApiSection.style.display = 'block';
-        figmaPasteSection.style.display = 'none';
-      } else {
-        figmaApiSection.style.display = 'none';
-        figmaPasteSection.style.display = 'block';
+      figmaApiSection.style.display = tab.dataset.method === 'api' ? 'block' : 'none';
+      figmaPasteSection.style.display = tab.dataset.method === 'paste' ? 'block' : 'none';
+      figmaStoredSection.style.display = tab.dataset.method === 'stored' ? 'block' : 'none';
+      if (tab.dataset.method === 'stored') {
+        loadStoredDesigns();
       }
     });
   });
   
-  // Parse pasted JSON (extractFigmaProperties is loaded from figma-utils.js)
+  // Stored designs: load, refresh or delete designs kept by the server
+  const storedDesignSelect = document.getElementById('storedDesignSelect');
+
+  function showStoredStatus(message, type) {
+    const statusDiv = document.getElementById('figmaStoredStatus');
+    statusDiv.textContent = message;
+    statusDiv.className = `status-message ${type} show`;
+  }
+
+  async function loadStoredDesigns(selectedId) {
+    try {
+      const response = await fetch('/designs');
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || data.error);
+
+      storedDesignSelect.innerHTML = data.designs.length > 0
+        ? data.designs.map(design => {
+          const source = design.fileKey ? `${design.fileKey} ${design.nodeId || ''} v${design.version}` : 'pasted';
+          return `<option value="${escapeHtml(design.id)}" ${design.id === selectedId ? 'selected' : ''}>${escapeHtml(`${design.name || design.id} (${source}, ${new Date(design.updatedAt).toLocaleString()})`)}</option>`;
+        }).join('')
+        : '<option value="">No stored designs yet</option>';
+    } catch (error) {
+      showStoredStatus('Error: ' + error.message, 'error');
+    }
+  }
+
+  document.getElementById('loadStoredDesignBtn')?.addEventListener('click', async () => {
+    const id = storedDesignSelect.value;
+    if (!id) return;
+    try {
+      const [metaResponse, documentResponse] = await Promise.all([
+        fetch(`/designs/${encodeURIComponent(id)}`),
+        fetch(`/designs/${encodeURIComponent(id)}/document`)
+      ]);
+      const design = await metaResponse.json();
+      const figmaJSON = await documentResponse.json();
+      if (!metaResponse.ok || !documentResponse.ok) throw new Error(design.error || figmaJSON.error);
+
+      // Reuse the paste flow for the preview, without storing the design again
+      document.getElementById('figmaJsonPaste').value = JSON.stringify(figmaJSON);
+      loadingStoredDesign = true;
+      parseFigmaJsonBtn.click();
+      loadingStoredDesign = false;
+      storedDesignId = design.id;
+      figmaSource = design.fileKey ? { fileKey: design.fileKey, nodeId: design.nodeId } : null;
+      showStoredStatus(`Loaded ${design.name || design.id}`, 'success');
+    } catch (error) {
+      loadingStoredDesign = false;
+      showStoredStatus('Error: ' + error.message, 'error');
+    }
+  });
+
+  document.getElementById('refreshStoredDesignBtn')?.addEventListener('click', async () => {
+    const id = storedDesignSelect.value;
+    const figmaToken = figmaTokenInput.value.trim();
+    if (!id) return;
+    if (!figmaToken) {
+      showStoredStatus('Enter your access token under Fetch via API to refresh', 'error');
+      return;
+    }
+    try {
+      showStoredStatus('Fetching the latest version...', 'info');
+      const response = await fetch(`/designs/${encodeURIComponent(id)}/refresh`, {
+        method: 'POST',
+        headers: { 'X-Figma-Token': figmaToken }
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      await loadStoredDesigns(data.design.id);
+      showStoredStatus(data.changed ? `Stored new version ${data.design.version}` : 'Already up to date', 'success');
+    } catch (error) {
+      showStoredStatus('Error: ' + error.message, 'error');
+    }
+  });
+
+  document.getElementById('deleteStoredDesignBtn')?.addEventListener('click', async () => {
+    const id = storedDesignSelect.value;
+    if (!id || !confirm(`Delete stored design ${id}?`)) return;
+    try {
+      const response = await fetch(`/designs/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error);
+
+      if (storedDesignId === id) storedDesignId = null;
+      await loadStoredDesigns();
+      showStoredStatus(`Deleted ${id}`, 'success');
+    } catch (error) {
+      showStoredStatus('Error: ' + error.message, 'error');
+    }
+  });
+
+  // Boards of a pasted Penpot/Sketch/XD export; picking one re-parses the paste
+  const designFrameSelect = document.getElementById('designFrame');
+  const designFrameGroup = document.getElementById('designFrameGroup');
+
+  function updateDesignFrames(importedFrom) {
+    const frames = importedFrom?.frames || [];
+    designFrameGroup.style.display = frames.length > 1 ? 'block' : 'none';
+    designFrameSelect.innerHTML = frames.map(frame =>
+      `<option value="${escapeHtml(frame.id)}" ${frame.name === importedFrom.frame ? 'selected' : ''}>${escapeHtml(frame.name)}</option>`
+    ).join('');
+  }
+
+  document.getElementById('figmaJsonPaste')?.addEventListener('input', () => updateDesignFrames(null));
+  designFrameSelect?.addEventListener('change', () => parseFigmaJsonBtn.click());
+
+  // Parse pasted JSON (extractFigmaProperties and importDesign are loaded from figma-utils.js)
   if (parseFigmaJsonBtn) {
     parseFigmaJsonBtn.addEventListener('click', () => {
       const jsonText = document.getElementById('figmaJsonPaste').value.trim();
@@ -156,11 +450,18 @@ document.addEventListener('DOMContentLoaded', () => {
       
       try {
         console.log('Attempting to parse JSON...');
-        const parsedData = JSON.parse(jsonText);
+        // Penpot, Sketch and XD exports are converted to Figma JSON up front
+        const pastedData = JSON.parse(jsonText);
+        const converted = detectDesignFormat(pastedData) !== 'figma';
+        const parsedData = importDesign(pastedData, { frame: converted ? designFrameSelect.value || null : null });
         console.log('JSON parsed successfully:', parsedData);
+        updateDesignFrames(converted ? parsedData.importedFrom : null);
         
         // Store the raw JSON for server endpoints
         rawFigmaJSON = parsedData;
+        figmaSource = null;
+        updateVariableModes(rawFigmaJSON);
+        storePastedDesign(rawFigmaJSON);
         
         // Extract properties - pass the whole JSON to extractFigmaProperties
         // which now handles different formats internally
@@ -204,7 +505,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
         
         statusDiv.className = 'status-message success';
-        statusDiv.textContent = `Successfully parsed JSON! Found ${processedData.formFields?.length || 0} form fields`;
+        const imported = parsedData.importedFrom ? ` (imported ${parsedData.importedFrom.format} board "${parsedData.importedFrom.frame}")` : '';
+        statusDiv.textContent = `Successfully parsed JSON${imported}! Found ${processedData.formFields?.length || 0} form fields`;
         
       } catch (error) {
         console.error('Detailed JSON parse error:', error);
@@ -267,6 +569,9 @@ document.addEventListener('DOMContentLoaded', () => {
         if (response) {
           // Store raw JSON for server endpoints
           rawFigmaJSON = response.design || response;
+          figmaSource = { fileKey: figmaData.fileKey, nodeId: figmaData.nodeId };
+          storedDesignId = response.designId || null;
+          updateVariableModes(rawFigmaJSON);
           
           // Handle new response structure
           if (response.design) {
@@ -304,6 +609,82 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
 
+    // Frame picker: list the file's pages and top-level frames, then fetch the chosen one
+    const browseFramesBtn = document.getElementById('browseFramesBtn');
+    const framePicker = document.getElementById('framePicker');
+
+    function renderFramePicker(tree, selectedNodeId) {
+      const pages = tree.pages.filter(page => page.frames.length > 0);
+      if (pages.length === 0) {
+        framePicker.innerHTML = '<p>No frames found in this file.</p>';
+        return;
+      }
+
+      framePicker.innerHTML = pages.map((page, index) => `
+        <details class="frame-picker-page" ${index === 0 || page.frames.some(frame => frame.linkNodeId === selectedNodeId) ? 'open' : ''}>
+          <summary>${escapeHtml(page.name)} <small>(${page.frames.length} frame${page.frames.length === 1 ? '' : 's'})</small></summary>
+          <div class="frame-picker-grid">
+            ${page.frames.map(frame => `
+              <button type="button" class="frame-picker-card ${frame.linkNodeId === selectedNodeId ? 'selected' : ''}" data-node-id="${frame.linkNodeId}">
+                ${frame.thumbnail ? `<img src="${frame.thumbnail}" alt="${escapeHtml(frame.name)}" loading="lazy">` : '<div class="frame-picker-placeholder">No preview</div>'}
+                <span class="frame-picker-name">${escapeHtml(frame.name)}</span>
+                <small>${frame.section ? escapeHtml(frame.section) + ' · ' : ''}${frame.width ?? '?'}×${frame.height ?? '?'}</small>
+              </button>
+            `).join('')}
+          </div>
+        </details>
+      `).join('');
+
+      framePicker.querySelectorAll('.frame-picker-card').forEach(card => {
+        card.addEventListener('click', () => {
+          // Point the link at the chosen frame and fetch it
+          const url = new URL(figmaLinkInput.value.trim());
+          url.searchParams.set('node-id', card.dataset.nodeId);
+          figmaLinkInput.value = url.toString();
+          framePicker.querySelectorAll('.frame-picker-card.selected').forEach(selected => selected.classList.remove('selected'));
+          card.classList.add('selected');
+          fetchFigmaBtn.click();
+        });
+      });
+    }
+
+    if (browseFramesBtn) {
+      browseFramesBtn.addEventListener('click', async () => {
+        const figmaData = parseFigmaUrl(figmaLinkInput.value.trim());
+        const figmaToken = figmaTokenInput.value.trim();
+        if (!figmaData || !figmaToken) {
+          showStatus('Please enter both Figma link and access token', 'error');
+          return;
+        }
+
+        browseFramesBtn.disabled = true;
+        showStatus('Loading pages and frames...', 'info');
+
+        try {
+          const headers = { 'X-Figma-Token': figmaToken };
+          const figmaCookie = document.getElementById('figmaCookie').value.trim();
+          if (figmaCookie) headers['X-Figma-Cookie'] = figmaCookie;
+          const params = new URLSearchParams({
+            fileKey: figmaData.fileKey,
+            useProxy: document.getElementById('useProxy').checked
+          });
+
+          const response = await fetch(`/figma/frames?${params.toString()}`, { headers });
+          const tree = await response.json();
+          if (!response.ok) {
+            throw new Error(tree.error || 'Failed to list frames');
+          }
+
+          renderFramePicker(tree, figmaData.nodeId);
+          showStatus(`${tree.frameCount} frame(s) in ${tree.name || 'this file'} - pick one to fetch it`, 'success');
+        } catch (error) {
+          showStatus('Error: ' + error.message, 'error');
+        } finally {
+          browseFramesBtn.disabled = false;
+        }
+      });
+    }
+
     // Show status message
     function showStatus(message, type) {
       const statusDiv = document.getElementById('figmaStatus');
@@ -340,8 +721,8 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
 
-        if (!screenshotInput.files[0]) {
-          alert('Please select a code output screenshot');
+        if (!hasScreenshot(screenshotInput)) {
+          alert('Please select a code output screenshot or enter a URL to capture');
           return;
         }
 
@@ -350,8 +731,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const apiMode = activeApiMode ? activeApiMode.dataset.mode : 'env';
         
         let useAI = false;
-        if (apiMode === 'env') {
-          // Server will determine if API keys are available
+        if (apiMode === 'env' || apiMode === 'gemini' || apiMode === 'mock') {
+          // Server will determine if API keys are available (Gemini falls back to GEMINI_API_KEY)
           useAI = true;
         } else if (apiMode === 'openai') {
           const openaiKey = document.getElementById('openaiApiKey').value.trim();
@@ -364,8 +745,14 @@ document.addEventListener('DOMContentLoaded', () => {
         const formData = new FormData();
         // Use raw JSON if available, otherwise use fetchedFigmaJSON
         const jsonToSend = rawFigmaJSON || fetchedFigmaJSON;
-        formData.append('figmaJSON', JSON.stringify(jsonToSend));
-        formData.append('screenshot', screenshotInput.files[0]);
+        appendFigmaDesign(formData, jsonToSend);
+        appendScreenshot(formData, screenshotInput);
+        appendReportMetadata(formData);
+
+        const designTokensFile = document.getElementById('designTokensFile')?.files[0];
+        if (designTokensFile) formData.append('designTokens', designTokensFile);
+        const variableMode = document.getElementById('variableMode')?.value;
+        if (variableMode) formData.append('variableMode', variableMode);
 
         if (useAI) {
           // Get API configuration based on selected mode
@@ -389,10 +776,19 @@ document.addEventListener('DOMContentLoaded', () => {
             if (azureDeployment) formData.append('azureDeployment', azureDeployment);
             if (azureCertFile) formData.append('azureCert', azureCertFile);
             formData.append('apiMode', 'azure');
+          } else if (apiMode === 'gemini') {
+            const geminiKey = document.getElementById('aiGeminiApiKey').value.trim();
+            if (geminiKey) formData.append('geminiApiKey', geminiKey);
+            formData.append('apiMode', 'gemini');
+          } else if (apiMode === 'mock') {
+            formData.append('apiMode', 'mock');
           } else {
             // Using environment variables from server
             formData.append('apiMode', 'env');
           }
+
+          const cacheMode = document.getElementById('aiCacheMode');
+          if (cacheMode) formData.append('cacheMode', cacheMode.value);
         }
 
         // Show loading with appropriate message
@@ -411,17 +807,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
         try {
           const endpoint = useAI ? '/analyze-with-ai' : '/analyze';
-          const response = await fetch(endpoint, {
-            method: 'POST',
-            body: formData,
+          const loadingText = loading ? loading.querySelector('p') : null;
+          const report = await runAnalysisJob(endpoint, formData, (job) => {
+            if (loadingText) loadingText.textContent = describeJobStage(job, 'Analyzing...');
           });
-
-          if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.error || 'Analysis failed');
-          }
-
-          const report = await response.json();
           currentReport = report;
           displayResults(report);
 
@@ -456,15 +845,16 @@ document.addEventListener('DOMContentLoaded', () => {
           return;
         }
 
-        if (!screenshotInput.files[0]) {
-          alert('Please select a screenshot');
+        if (!hasScreenshot(screenshotInput)) {
+          alert('Please select a screenshot or enter a URL to capture');
           return;
         }
 
         const formData = new FormData();
         const jsonToSend = rawFigmaJSON || fetchedFigmaJSON;
-        formData.append('figmaJSON', JSON.stringify(jsonToSend));
-        formData.append('screenshot', screenshotInput.files[0]);
+        appendFigmaDesign(formData, jsonToSend);
+        appendScreenshot(formData, screenshotInput);
+        appendReportMetadata(formData);
 
         // Show loading
         loading.classList.remove('hidden');
@@ -560,6 +950,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       // Display specifications vs detected properties
       displaySpecComparison(report);
+      displayTokenCompliance(report);
 
       // Display spacing visualization if available
       if (report.visualizations && report.visualizations.spacingOverlay) {
@@ -578,6 +969,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       // Display detailed analysis
       displayDetailedAnalysis(report);
+      displayAutoLayout(report);
 
       // Display AI analysis if available
       if (report.analysisType === 'AI_ENHANCED') {
@@ -1303,6 +1695,8 @@ document.addEventListener('DOMContentLoaded', () => {
         </div>
     </div>
     
+    ${generateRegressionSection(report)}
+    
     <div class="analysis">
         <h2>Analysis & Recommendations</h2>
         ${generateAnalysis(report)}
@@ -1327,6 +1721,80 @@ document.addEventListener('DOMContentLoaded', () => {
       URL.revokeObjectURL(url);
     }
 
+    // "vs last approved" results for /compare reports run in regression mode
+    function generateRegressionSection(report) {
+      const regression = report.regression;
+      if (!regression) return '';
+
+      const title = `Regression vs Last Approved (${escapeHtml(regression.name)} @ ${escapeHtml(regression.viewport)})`;
+
+      if (!regression.vsLastApproved) {
+        return `
+    <div class="analysis">
+        <h2>${title}</h2>
+        <div class="analysis-item">
+            No approved baseline yet. Capture <code>${escapeHtml(regression.captureId)}</code> is pending approval
+            and will become the baseline once approved.
+        </div>
+    </div>`;
+      }
+
+      const result = regression.vsLastApproved;
+      const similarity = parseFloat(result.similarity);
+      return `
+    <div class="images">
+        <h2>${title}</h2>
+        <div class="metrics">
+            <div class="metric">
+                <span class="metric-label">Similarity vs Baseline</span>
+                <span class="metric-value ${
+                  similarity >= 99
+                    ? 'similarity-high'
+                    : similarity >= 95
+                    ? 'similarity-medium'
+                    : 'similarity-low'
+                }">${result.similarity}%</span>
+            </div>
+            <div class="metric">
+                <span class="metric-label">Changed Pixels</span>
+                <span class="metric-value">${result.diffPixels.toLocaleString()}</span>
+            </div>
+            <div class="metric">
+                <span class="metric-label">Changed Regions</span>
+                <span class="metric-value">${result.diffRegions || 0}</span>
+            </div>
+            <div class="metric">
+                <span class="metric-label">Baseline Approved</span>
+                <span class="metric-value" style="font-size: 16px;">${
+                  regression.baselineApprovedAt
+                    ? new Date(regression.baselineApprovedAt).toLocaleString()
+                    : '-'
+                }</span>
+            </div>
+        </div>
+        <div class="image-grid">
+            <div class="image-item">
+                <h3>Last Approved</h3>
+                <img src="${window.location.origin}${result.figmaImage}" alt="Last Approved">
+            </div>
+            <div class="image-item">
+                <h3>New Capture</h3>
+                <img src="${window.location.origin}${result.renderedImage}" alt="New Capture">
+            </div>
+            <div class="image-item" style="grid-column: 1 / -1;">
+                <h3>Changes Since Last Approval</h3>
+                <img src="${window.location.origin}${
+                  result.overlayImage || result.diffImage
+                }" alt="Changes Since Last Approval" style="max-width: 800px; margin: 0 auto; display: block; border: 2px solid #e74c3c;">
+            </div>
+        </div>
+        <p style="font-size: 14px; color: #7f8c8d; margin-top: 10px;">
+            Capture <code>${escapeHtml(regression.captureId)}</code> is ${escapeHtml(regression.status)} •
+            approve with POST /baselines/${encodeURIComponent(regression.key)}/captures/${encodeURIComponent(regression.captureId)}/approve
+        </p>
+    </div>`;
+    }
+
     function generateAnalysis(report) {
       const similarity = parseFloat(report.similarity);
       let analysis = '';
@@ -1628,6 +2096,114 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Display specification comparison
+    // Per-frame auto-layout verdicts with expected vs measured pixel values
+    function displayAutoLayout(report) {
+      const container = document.getElementById('autoLayoutResults');
+      if (!container) return;
+      const frames = report.autoLayout?.frames || [];
+      if (frames.length === 0) {
+        container.innerHTML = '<p>No auto-layout frames in this design.</p>';
+        return;
+      }
+
+      const summary = report.autoLayout.summary;
+      const statusClass = { pass: 'trend-converging', fail: 'trend-drifting', unverified: 'trend-stable' };
+      const formatValue = (value) => escapeHtml(Array.isArray(value) ? value.join(' → ') : `${value}px`);
+
+      container.innerHTML = `
+        <div class="history-summary">
+          <span class="trend-converging">${summary.passed} passed</span>
+          <span class="trend-drifting">${summary.failed} failed</span>
+          <span class="trend-stable">${summary.unverified} unverified</span>
+        </div>
+        ${frames.map(frame => `
+          <details class="auto-layout-frame" ${frame.status === 'fail' ? 'open' : ''}>
+            <summary>
+              <span class="${statusClass[frame.status]}">${frame.status.toUpperCase()}</span>
+              ${escapeHtml(frame.name)} (${frame.layoutMode}, ${frame.matchedChildren}/${frame.totalChildren} children found)
+            </summary>
+            ${frame.checks.length > 0 ? `
+              <table>
+                <thead>
+                  <tr>
+                    <th>Property</th>
+                    <th>Child</th>
+                    <th>Expected</th>
+                    <th>Measured</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${frame.checks.map(check => `
+                    <tr class="${check.pass ? '' : check.severity}">
+                      <td>${check.property}${check.alignment ? ` (${check.alignment})` : ''}</td>
+                      <td>${escapeHtml(check.child || '-')}</td>
+                      <td>${formatValue(check.expected)}</td>
+                      <td>${formatValue(check.measured)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            ` : '<p>No children could be located in the screenshot.</p>'}
+          </details>
+        `).join('')}
+      `;
+    }
+
+    // Off-token colors, text sizes and gaps when design tokens were supplied
+    function displayTokenCompliance(report) {
+      const container = document.getElementById('tokenCompliance');
+      if (!container) return;
+      const compliance = report.tokenCompliance;
+      if (!compliance) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+      }
+
+      const checks = [
+        ['Palette', compliance.palette],
+        ['Type scale', compliance.typeScale],
+        ['Spacing scale', compliance.spacingScale]
+      ];
+      const summary = checks.map(([label, check]) => check.skipped
+        ? `<span><strong>${label}:</strong> skipped (${check.skipped})</span>`
+        : `<span><strong>${label}:</strong> ${check.onToken}/${check.checked} on-token</span>`
+      ).join('');
+
+      const rows = checks
+        .flatMap(([label, check]) => (check.offToken || []).map(mismatch => ({ label, mismatch })))
+        .map(({ label, mismatch }) => `
+          <tr class="${mismatch.severity}">
+            <td>${label}</td>
+            <td>${mismatch.actual}${mismatch.occurrences > 1 ? ` (${mismatch.occurrences}x)` : ''}</td>
+            <td>${mismatch.expected}</td>
+            <td>${mismatch.severity}</td>
+          </tr>
+        `).join('');
+
+      container.innerHTML = `
+        <h3>Design Token Compliance (${compliance.tokensFormat})</h3>
+        <div class="history-summary">
+          <span><strong>Compliance:</strong> ${compliance.compliance !== null ? compliance.compliance + '%' : 'n/a'}</span>
+          ${summary}
+        </div>
+        ${rows ? `
+          <table>
+            <thead>
+              <tr>
+                <th>Check</th>
+                <th>Rendered</th>
+                <th>Nearest token</th>
+                <th>Severity</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        ` : '<p>Every checked value is on-token.</p>'}
+      `;
+      container.classList.remove('hidden');
+    }
+
     function displaySpecComparison(report) {
       const specDisplay = document.getElementById('specDisplay');
       const detectedDisplay = document.getElementById('detectedDisplay');
@@ -1737,7 +2313,10 @@ document.addEventListener('DOMContentLoaded', () => {
       ) {
         // Show all Figma colors with their closest matches
         report.figmaProperties.colors.forEach((figmaColor, index) => {
-          const colorName = figmaColor.property || `Color ${index + 1}`;
+          // Prefer the design token name (style or variable) over the generated property name
+          const colorName =
+            (figmaColor.token || figmaColor.property || `Color ${index + 1}`) +
+            (figmaColor.component ? ` · ${figmaColor.component}` : '');
           const expectedColor = figmaColor.value || figmaColor;
 
           // Find if there's a mismatch for this color
@@ -1839,7 +2418,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         }">
                             <div class="mismatch-property">${
                               mismatch.property
-                            }</div>
+                            }${describeTokenRef(mismatch)}</div>
                             <div class="mismatch-values">
                                 <div class="expected-value">
                                     <div class="value-label">Expected</div>
@@ -1948,10 +2527,11 @@ document.addEventListener('DOMContentLoaded', () => {
           headers['X-Figma-Cookie'] = cookie;
         }
         
-        // Build query parameters
+        // Build query parameters; store=true keeps the design for later analyses
         const params = new URLSearchParams({
           fileKey: fileKey,
-          useProxy: useProxy
+          useProxy: useProxy,
+          store: true
         });
         
         // Add nodeId if present
@@ -2791,6 +3371,1002 @@ document.addEventListener('DOMContentLoaded', () => {
       originalDisplayDetectionResults(result);
       lastOpenAIDetection = result.detection;
     };
+
+    // Batch Analysis
+    const batchAnalyzeBtn = document.getElementById('batchAnalyzeBtn');
+    const batchStatus = document.getElementById('batchStatus');
+
+    function showBatchStatus(message, type) {
+      batchStatus.textContent = message;
+      batchStatus.className = `status-message show ${type}`;
+    }
+
+    function renderBatchResults(rollup) {
+      const rows = rollup.screens.map(screen => `
+        <tr ${screen.reportId ? `data-report-id="${screen.reportId}"` : ''}>
+          <td>${escapeHtml(screen.frameName)}</td>
+          <td>${escapeHtml(screen.screenshot)}</td>
+          <td>${screen.matchedBy}${screen.matchedBy === 'visual' ? ` (${Math.round(screen.matchScore * 100)}%)` : ''}</td>
+          <td>${screen.accuracy !== null ? screen.accuracy + '%' : `<span class="trend-drifting">${escapeHtml(screen.error)}</span>`}</td>
+          <td>${screen.totalMismatches ?? '-'}</td>
+        </tr>
+      `).join('');
+
+      const unmatched = [
+        rollup.unmatchedFrames.length ? `<p><strong>Frames without a screenshot:</strong> ${escapeHtml(rollup.unmatchedFrames.map(frame => frame.frameName).join(', '))}</p>` : '',
+        rollup.unmatchedScreenshots.length ? `<p><strong>Screenshots without a frame:</strong> ${escapeHtml(rollup.unmatchedScreenshots.join(', '))}</p>` : ''
+      ].join('');
+
+      document.getElementById('batchResults').innerHTML = `
+        <div class="history-summary">
+          <span><strong>Combined accuracy:</strong> ${rollup.accuracy !== null ? rollup.accuracy + '%' : 'n/a'}</span>
+          <span><strong>Lowest:</strong> ${rollup.summary.lowestAccuracy !== null ? rollup.summary.lowestAccuracy + '%' : 'n/a'}</span>
+          <span><strong>Analyzed:</strong> ${rollup.summary.analyzed}/${rollup.summary.frames} frames</span>
+          ${rollup.summary.failed ? `<span class="trend-drifting">${rollup.summary.failed} failed</span>` : ''}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Frame</th>
+              <th>Screenshot</th>
+              <th>Matched by</th>
+              <th>Accuracy</th>
+              <th>Mismatches</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${unmatched}
+      `;
+
+      document.querySelectorAll('#batchResults tbody tr[data-report-id]').forEach(row => {
+        row.addEventListener('click', () => openHistoryReport(row.dataset.reportId));
+      });
+    }
+
+    if (batchAnalyzeBtn) {
+      batchAnalyzeBtn.addEventListener('click', async () => {
+        if (!rawFigmaJSON) {
+          alert('Please fetch a Figma design first using the Fetch Design button');
+          return;
+        }
+
+        const files = document.getElementById('batchScreenshots').files;
+        if (files.length === 0) {
+          alert('Please select one or more screenshots');
+          return;
+        }
+
+        const formData = new FormData();
+        appendFigmaDesign(formData, rawFigmaJSON);
+        Array.from(files).forEach(file => formData.append('screenshots', file));
+        formData.append('useAI', document.getElementById('batchUseAI').checked ? 'true' : 'false');
+        if (figmaSource) formData.append('fileKey', figmaSource.fileKey);
+
+        batchAnalyzeBtn.disabled = true;
+        showBatchStatus(`Analyzing ${files.length} screenshot(s)... this can take a while`, 'info');
+
+        try {
+          const data = await runAnalysisJob('/analyze-batch', formData, (job) => {
+            showBatchStatus(describeJobStage(job, 'Analyzing...'), 'info');
+          });
+
+          renderBatchResults(data);
+          showBatchStatus(`Batch complete: ${data.summary.analyzed} screen(s) analyzed`, 'success');
+        } catch (error) {
+          showBatchStatus('Error: ' + error.message, 'error');
+        } finally {
+          batchAnalyzeBtn.disabled = false;
+        }
+      });
+    }
+
+    // Theme Matrix
+    const themeAnalyzeBtn = document.getElementById('themeAnalyzeBtn');
+    const themeStatus = document.getElementById('themeStatus');
+
+    function showThemeStatus(message, type) {
+      themeStatus.textContent = message;
+      themeStatus.className = `status-message show ${type}`;
+    }
+
+    function renderThemeResults(matrix) {
+      const rows = matrix.modes.map(result => `
+        <tr ${result.reportId ? `data-report-id="${result.reportId}"` : ''}>
+          <td>${escapeHtml(result.mode)}</td>
+          <td>${escapeHtml(result.screenshot)}</td>
+          <td>${result.colorAccuracy !== null ? result.colorAccuracy + '%' : `<span class="trend-drifting">${escapeHtml(result.error)}</span>`}</td>
+          <td>${result.colorMismatches ? result.colorMismatches.map(mismatch => `
+            <span class="color-swatch" style="background: ${mismatch.expected}" title="expected ${mismatch.expected}"></span>→<span class="color-swatch" style="background: ${mismatch.actual}" title="rendered ${mismatch.actual}"></span>
+            ${escapeHtml(mismatch.token || mismatch.property)}
+          `).join('<br>') || 'None' : '-'}</td>
+        </tr>
+      `).join('');
+
+      document.getElementById('themeResults').innerHTML = `
+        <div class="history-summary">
+          <span><strong>Combined color accuracy:</strong> ${matrix.accuracy !== null ? matrix.accuracy + '%' : 'n/a'}</span>
+          <span><strong>Lowest:</strong> ${matrix.summary.lowestColorAccuracy !== null ? matrix.summary.lowestColorAccuracy + '%' : 'n/a'}</span>
+          ${matrix.missingModes.length ? `<span class="trend-stable">No screenshot for ${escapeHtml(matrix.missingModes.join(', '))}</span>` : ''}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Mode</th>
+              <th>Screenshot</th>
+              <th>Color accuracy</th>
+              <th>Color mismatches (expected → rendered)</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+
+      document.querySelectorAll('#themeResults tbody tr[data-report-id]').forEach(row => {
+        row.addEventListener('click', () => openHistoryReport(row.dataset.reportId));
+      });
+    }
+
+    if (themeAnalyzeBtn) {
+      themeAnalyzeBtn.addEventListener('click', async () => {
+        if (!rawFigmaJSON) {
+          alert('Please fetch a Figma design first using the Fetch Design button');
+          return;
+        }
+
+        const files = document.getElementById('themeScreenshots').files;
+        if (files.length === 0) {
+          alert('Please select one screenshot per mode');
+          return;
+        }
+
+        const formData = new FormData();
+        appendFigmaDesign(formData, rawFigmaJSON);
+        Array.from(files).forEach(file => formData.append('screenshots', file));
+        const modes = document.getElementById('themeModes').value.trim();
+        if (modes) formData.append('modes', modes);
+        appendReportMetadata(formData);
+
+        themeAnalyzeBtn.disabled = true;
+        showThemeStatus(`Analyzing ${files.length} theme(s)...`, 'info');
+
+        try {
+          const data = await runAnalysisJob('/analyze-themes', formData, (job) => {
+            showThemeStatus(describeJobStage(job, 'Analyzing...'), 'info');
+          });
+
+          renderThemeResults(data);
+          showThemeStatus(`Theme matrix complete: ${data.summary.analyzed} mode(s) analyzed`, 'success');
+        } catch (error) {
+          showThemeStatus('Error: ' + error.message, 'error');
+        } finally {
+          themeAnalyzeBtn.disabled = false;
+        }
+      });
+    }
+
+    // Responsive Breakpoints
+    const responsiveAnalyzeBtn = document.getElementById('responsiveAnalyzeBtn');
+    const responsiveStatus = document.getElementById('responsiveStatus');
+
+    function showResponsiveStatus(message, type) {
+      responsiveStatus.textContent = message;
+      responsiveStatus.className = `status-message show ${type}`;
+    }
+
+    function renderResponsiveResults(matrix) {
+      const rows = matrix.breakpoints.map(result => `
+        <tr ${result.reportId ? `data-report-id="${result.reportId}"` : ''}>
+          <td>${escapeHtml(result.name)}</td>
+          <td>${result.width}px</td>
+          <td>${escapeHtml(result.frameName)}${result.frameWidth !== result.width ? ` <small>(${result.frameWidth}px)</small>` : ''}</td>
+          <td>${result.screenshot ? escapeHtml(result.screenshot) : '-'}</td>
+          <td>${result.accuracy !== null ? result.accuracy + '%' : `<span class="trend-drifting">${escapeHtml(result.error || 'No screenshot')}</span>`}</td>
+          <td>${result.status === 'analyzed' ? (result.passed ? '<span class="trend-converging">Pass</span>' : '<span class="trend-drifting">Fail</span>') : '-'}</td>
+          <td>${result.layoutIssues ? result.layoutIssues.length : '-'}${result.dimensionWarning ? ` <span class="trend-stable" title="${escapeHtml(result.dimensionWarning)}">size warning</span>` : ''}</td>
+        </tr>
+      `).join('');
+      const divergences = matrix.divergences.map(divergence => `
+        <li>${escapeHtml(divergence.property)}: fails at ${divergence.failsAt.map(escapeHtml).join(', ')}, passes at ${divergence.passesAt.map(escapeHtml).join(', ')}</li>
+      `).join('');
+
+      document.getElementById('responsiveResults').innerHTML = `
+        <div class="history-summary">
+          <span><strong>Breakpoints passing:</strong> ${matrix.summary.passed}/${matrix.summary.breakpoints} (at ${matrix.summary.threshold}%)</span>
+          <span><strong>Lowest:</strong> ${matrix.summary.lowestAccuracy !== null ? matrix.summary.lowestAccuracy + '%' : 'n/a'}</span>
+          ${matrix.unusedScreenshots.length ? `<span class="trend-stable">Unused screenshots: ${matrix.unusedScreenshots.map(escapeHtml).join(', ')}</span>` : ''}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Breakpoint</th>
+              <th>Width</th>
+              <th>Frame</th>
+              <th>Screenshot</th>
+              <th>Accuracy</th>
+              <th>Result</th>
+              <th>Layout issues</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${divergences ? `<h4>Layout differences between breakpoints</h4><ul>${divergences}</ul>` : ''}
+      `;
+
+      document.querySelectorAll('#responsiveResults tbody tr[data-report-id]').forEach(row => {
+        row.addEventListener('click', () => openHistoryReport(row.dataset.reportId));
+      });
+    }
+
+    if (responsiveAnalyzeBtn) {
+      responsiveAnalyzeBtn.addEventListener('click', async () => {
+        if (!rawFigmaJSON) {
+          alert('Please fetch a Figma design first using the Fetch Design button');
+          return;
+        }
+
+        const files = document.getElementById('responsiveScreenshots').files;
+        const captureUrl = captureUrlValue();
+        if (files.length === 0 && !captureUrl) {
+          alert('Please select one screenshot per breakpoint, or enter a URL to capture');
+          return;
+        }
+
+        const breakpoints = document.getElementById('responsiveBreakpoints').value.trim();
+        if (breakpoints) {
+          try {
+            JSON.parse(breakpoints);
+          } catch (error) {
+            alert('Breakpoints must be a JSON array: ' + error.message);
+            return;
+          }
+        }
+
+        const formData = new FormData();
+        appendFigmaDesign(formData, rawFigmaJSON);
+        Array.from(files).forEach(file => formData.append('screenshots', file));
+        if (captureUrl) formData.append('captureUrl', captureUrl);
+        if (breakpoints) formData.append('breakpoints', breakpoints);
+        const screen = document.getElementById('responsiveScreen').value.trim();
+        if (screen) formData.append('screen', screen);
+        appendReportMetadata(formData);
+
+        responsiveAnalyzeBtn.disabled = true;
+        showResponsiveStatus('Analyzing breakpoints...', 'info');
+
+        try {
+          const data = await runAnalysisJob('/analyze-responsive', formData, (job) => {
+            showResponsiveStatus(describeJobStage(job, 'Analyzing...'), 'info');
+          });
+
+          renderResponsiveResults(data);
+          showResponsiveStatus(`Breakpoints complete: ${data.summary.passed} of ${data.summary.breakpoints} passing`, 'success');
+        } catch (error) {
+          showResponsiveStatus('Error: ' + error.message, 'error');
+        } finally {
+          responsiveAnalyzeBtn.disabled = false;
+        }
+      });
+    }
+
+    // Component States (variant per interaction state)
+    const statesAnalyzeBtn = document.getElementById('statesAnalyzeBtn');
+    const statesStatus = document.getElementById('statesStatus');
+
+    function showStatesStatus(message, type) {
+      statesStatus.textContent = message;
+      statesStatus.className = `status-message show ${type}`;
+    }
+
+    function renderStateResults(matrix) {
+      const cell = result => {
+        if (!result) return '<td>-</td>';
+        if (result.status !== 'analyzed') {
+          return `<td><span class="trend-drifting" title="${escapeHtml(result.error || '')}">${result.status === 'missing' ? 'No screenshot' : 'Failed'}</span></td>`;
+        }
+        const issues = result.differences.map(difference => `${difference.property}: ${difference.expected} vs ${difference.detected}`).join('\n');
+        return `<td title="${escapeHtml(issues)}"><span class="${result.passed ? 'trend-converging' : 'trend-drifting'}">${result.accuracy}%</span>` +
+          `${result.unchanged ? ' <span class="trend-stable">same as default</span>' : ''}</td>`;
+      };
+      const rows = matrix.components.map(component => `
+        <tr>
+          <td>${escapeHtml(component.component)}${Object.keys(component.properties).length ? ` <small>(${escapeHtml(Object.entries(component.properties).map(([key, value]) => `${key}=${value}`).join(', '))})</small>` : ''}</td>
+          ${matrix.states.map(state => cell(component.states.find(result => result.state === state))).join('')}
+        </tr>
+      `).join('');
+      const issues = matrix.components.flatMap(component => component.states
+        .filter(result => result.differences?.length)
+        .map(result => `
+          <li><strong>${escapeHtml(component.component)} ${escapeHtml(result.value)}</strong>: ${result.differences.map(difference => escapeHtml(`${difference.property} (${difference.expected} vs ${difference.detected})`)).join(', ')}</li>
+        `)).join('');
+
+      document.getElementById('statesResults').innerHTML = `
+        <div class="history-summary">
+          <span><strong>States passing:</strong> ${matrix.summary.passed}/${matrix.summary.states} (at ${matrix.summary.threshold}%)</span>
+          <span><strong>Lowest:</strong> ${matrix.summary.lowestAccuracy !== null ? matrix.summary.lowestAccuracy + '%' : 'n/a'}</span>
+          ${matrix.summary.unchanged ? `<span class="trend-drifting">${matrix.summary.unchanged} state(s) look the same as the default</span>` : ''}
+          ${matrix.unusedScreenshots.length ? `<span class="trend-stable">Unused screenshots: ${matrix.unusedScreenshots.map(escapeHtml).join(', ')}</span>` : ''}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>Component</th>
+              ${matrix.states.map(state => `<th>${escapeHtml(state)}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${issues ? `<h4>Differences</h4><ul>${issues}</ul>` : ''}
+      `;
+    }
+
+    if (statesAnalyzeBtn) {
+      statesAnalyzeBtn.addEventListener('click', async () => {
+        if (!rawFigmaJSON) {
+          alert('Please fetch a Figma design first using the Fetch Design button');
+          return;
+        }
+
+        const files = document.getElementById('statesScreenshots').files;
+        const captureUrl = captureUrlValue();
+        const captures = document.getElementById('statesCaptures').value.trim();
+        if (files.length === 0 && !(captureUrl && captures)) {
+          alert('Please select one screenshot per component state, or enter a URL to capture and the component selectors');
+          return;
+        }
+        if (captures) {
+          try {
+            JSON.parse(captures);
+          } catch (error) {
+            alert('Selectors must be a JSON array: ' + error.message);
+            return;
+          }
+        }
+
+        const formData = new FormData();
+        appendFigmaDesign(formData, rawFigmaJSON);
+        Array.from(files).forEach(file => formData.append('screenshots', file));
+        if (captureUrl && captures) {
+          formData.append('captureUrl', captureUrl);
+          formData.append('stateCaptures', captures);
+        }
+        const component = document.getElementById('statesComponent').value.trim();
+        if (component) formData.append('component', component);
+        // "Size=Large, Type=Primary", the same notation as Figma variant names
+        const variant = document.getElementById('statesVariant').value.trim();
+        if (variant) {
+          const properties = Object.fromEntries(variant.split(',')
+            .map(pair => pair.split('=').map(part => part.trim()))
+            .filter(([key, value]) => key && value));
+          formData.append('variant', JSON.stringify(properties));
+        }
+        appendReportMetadata(formData);
+
+        statesAnalyzeBtn.disabled = true;
+        showStatesStatus('Checking component states...', 'info');
+
+        try {
+          const data = await runAnalysisJob('/analyze-states', formData, (job) => {
+            showStatesStatus(describeJobStage(job, 'Checking...'), 'info');
+          });
+
+          renderStateResults(data);
+          showStatesStatus(`State matrix complete: ${data.summary.passed} of ${data.summary.states} states passing`, 'success');
+        } catch (error) {
+          showStatesStatus('Error: ' + error.message, 'error');
+        } finally {
+          statesAnalyzeBtn.disabled = false;
+        }
+      });
+    }
+
+    // DOM Style Comparison (computed styles of the page at the capture URL)
+    const domCompareBtn = document.getElementById('domCompareBtn');
+    const domStatus = document.getElementById('domStatus');
+
+    function showDomStatus(message, type) {
+      domStatus.textContent = message;
+      domStatus.className = `status-message show ${type}`;
+    }
+
+    function formatDomValue(value) {
+      if (value === null || value === undefined) return '-';
+      if (typeof value === 'object') {
+        return Object.entries(value).map(([key, part]) => `${key} ${part}`).join(', ');
+      }
+      return escapeHtml(String(value));
+    }
+
+    function renderDomResults(report) {
+      const rows = report.mismatches.map(mismatch => `
+        <tr>
+          <td>${escapeHtml(mismatch.name)}</td>
+          <td><code>${escapeHtml(mismatch.selector)}</code></td>
+          <td>${mismatch.property}</td>
+          <td>${formatDomValue(mismatch.figma)}</td>
+          <td>${formatDomValue(mismatch.dom)}</td>
+          <td>${mismatch.delta !== null ? (mismatch.delta > 0 ? '+' : '') + mismatch.delta : ''}</td>
+        </tr>
+      `).join('');
+      const matchedBy = Object.entries(report.summary.matchedBy).map(([method, count]) => `${count} by ${method}`).join(', ');
+
+      document.getElementById('domResults').innerHTML = `
+        <div class="history-summary">
+          <span><strong>Passing checks:</strong> ${report.accuracy !== null ? report.accuracy + '%' : 'n/a'} (${report.summary.passingChecks}/${report.summary.checks})</span>
+          <span><strong>Matched:</strong> ${report.summary.matchedElements} element(s)${matchedBy ? ` (${matchedBy})` : ''}</span>
+          ${report.unmatched.length ? `<span class="trend-stable" title="${escapeHtml(report.unmatched.map(element => element.name).join(', '))}">${report.unmatched.length} Figma element(s) not found in the page</span>` : ''}
+          ${report.unusedSelectors.length ? `<span class="trend-drifting">No element for selector(s): ${escapeHtml(report.unusedSelectors.join(', '))}</span>` : ''}
+          ${report.screenshot ? `<a href="${report.screenshot}" target="_blank">Screenshot</a>` : ''}
+        </div>
+        ${rows ? `
+        <table>
+          <thead>
+            <tr>
+              <th>Figma element</th>
+              <th>DOM element</th>
+              <th>Property</th>
+              <th>Figma</th>
+              <th>Computed</th>
+              <th>Delta</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>` : '<p>No mismatches in the matched elements.</p>'}
+      `;
+    }
+
+    if (domCompareBtn) {
+      domCompareBtn.addEventListener('click', async () => {
+        if (!rawFigmaJSON) {
+          alert('Please fetch a Figma design first using the Fetch Design button');
+          return;
+        }
+        const captureUrl = captureUrlValue();
+        if (!captureUrl) {
+          alert('Please enter the URL of the page to compare');
+          return;
+        }
+
+        const selectors = document.getElementById('domSelectors').value.trim();
+        if (selectors) {
+          try {
+            JSON.parse(selectors);
+          } catch (error) {
+            alert('Selectors must be a JSON object: ' + error.message);
+            return;
+          }
+        }
+
+        const formData = new FormData();
+        appendFigmaDesign(formData, rawFigmaJSON);
+        formData.append('captureUrl', captureUrl);
+        if (selectors) formData.append('domSelectors', selectors);
+        formData.append('positionTolerance', document.getElementById('domTolerance').value);
+        const variableMode = document.getElementById('variableMode')?.value;
+        if (variableMode) formData.append('variableMode', variableMode);
+        appendReportMetadata(formData);
+
+        domCompareBtn.disabled = true;
+        showDomStatus(`Comparing ${captureUrl}...`, 'info');
+
+        try {
+          const data = await runAnalysisJob('/api/compare-dom', formData, (job) => {
+            showDomStatus(describeJobStage(job, 'Comparing...'), 'info');
+          });
+
+          renderDomResults(data);
+          showDomStatus(`DOM comparison complete: ${data.totalMismatches} mismatch(es)`, 'success');
+        } catch (error) {
+          showDomStatus('Error: ' + error.message, 'error');
+        } finally {
+          domCompareBtn.disabled = false;
+        }
+      });
+    }
+
+    // Design Changes (Figma version diff)
+    const designDiffBtn = document.getElementById('designDiffBtn');
+    const designDiffStatus = document.getElementById('designDiffStatus');
+
+    function showDesignDiffStatus(message, type) {
+      designDiffStatus.textContent = message;
+      designDiffStatus.className = `status-message show ${type}`;
+    }
+
+    function formatDiffValue(value) {
+      if (value === null || value === undefined) return 'none';
+      if (typeof value === 'object') {
+        return escapeHtml(Object.entries(value).map(([key, entry]) => `${key} ${entry}`).join(', '));
+      }
+      if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+        return `<span class="color-swatch" style="background: ${escapeHtml(value)}"></span>${escapeHtml(value)}`;
+      }
+      return typeof value === 'string' && value.length > 0 ? `"${escapeHtml(value)}"` : escapeHtml(String(value));
+    }
+
+    function renderDesignDiff(diff) {
+      const changeLabel = { added: 'Added', removed: 'Removed', modified: 'Changed' };
+      const summary = diff.summary;
+
+      const items = diff.changes.map(change => {
+        const details = [];
+        if (change.descendants) details.push(`with ${change.descendants} nested element(s)`);
+        if (change.reparented) details.push(`Moved from ${escapeHtml(change.reparented.from)} to ${escapeHtml(change.reparented.to)}`);
+        if (change.moved) details.push(`Moved from (${change.moved.from.x}, ${change.moved.from.y}) to (${change.moved.to.x}, ${change.moved.to.y})`);
+        if (change.resized) details.push(`Resized from ${change.resized.from.width}×${change.resized.from.height} to ${change.resized.to.width}×${change.resized.to.height}`);
+        change.properties.forEach(property => {
+          const tokens = property.tokens ? ` <small>(${escapeHtml(property.tokens.before || 'no token')} → ${escapeHtml(property.tokens.after || 'no token')})</small>` : '';
+          details.push(`${escapeHtml(property.property)}: ${formatDiffValue(property.before)} → ${formatDiffValue(property.after)}${tokens}`);
+        });
+
+        const thumbnails = change.thumbnails ? `
+          <div class="design-diff-thumbnails">
+            ${change.thumbnails.before ? `<figure><img src="${change.thumbnails.before}" alt="Before"><figcaption>Before</figcaption></figure>` : ''}
+            ${change.thumbnails.after ? `<figure><img src="${change.thumbnails.after}" alt="After"><figcaption>After</figcaption></figure>` : ''}
+          </div>
+        ` : '';
+
+        return `
+          <li class="design-diff-change ${change.change}">
+            <div>
+              <span class="design-diff-badge ${change.change}">${changeLabel[change.change]}</span>
+              <strong>${escapeHtml(change.name)}</strong> <small>${change.type} · ${escapeHtml(change.path)}</small>
+              <ul>${details.map(detail => `<li>${detail}</li>`).join('')}</ul>
+            </div>
+            ${thumbnails}
+          </li>
+        `;
+      }).join('');
+
+      document.getElementById('designDiffResults').innerHTML = `
+        <div class="history-summary">
+          <span><strong>${escapeHtml(diff.before.label || 'Before')}</strong> → <strong>${escapeHtml(diff.after.label || 'After')}</strong></span>
+          <span>${summary.added} added, ${summary.removed} removed, ${summary.modified} changed</span>
+          <span>${summary.moved} moved, ${summary.resized} resized · colors ${summary.color}, typography ${summary.typography}, radius ${summary.radius}, spacing ${summary.spacing}, text ${summary.text}</span>
+          ${diff.sameNode ? '' : '<span class="trend-drifting">The snapshots are different Figma nodes</span>'}
+        </div>
+        ${diff.changes.length > 0 ? `<ol class="design-diff-changelog">${items}</ol>` : '<p>No design changes.</p>'}
+      `;
+    }
+
+    if (designDiffBtn) {
+      designDiffBtn.addEventListener('click', async () => {
+        const beforeFile = document.getElementById('diffBeforeFile').files[0];
+        const afterFile = document.getElementById('diffAfterFile').files[0];
+        const beforeVersion = document.getElementById('diffBeforeVersion').value.trim();
+        const afterVersion = document.getElementById('diffAfterVersion').value.trim();
+        const headers = { 'Content-Type': 'application/json' };
+        let body;
+
+        if (beforeFile) {
+          const after = afterFile ? await afterFile.text() : rawFigmaJSON;
+          if (!after) {
+            alert('Choose an After JSON file or load a design first');
+            return;
+          }
+          body = {
+            before: await beforeFile.text(),
+            after,
+            beforeLabel: beforeFile.name,
+            afterLabel: afterFile ? afterFile.name : 'Loaded design'
+          };
+        } else if (beforeVersion) {
+          const figmaData = parseFigmaUrl(figmaLinkInput.value.trim());
+          const figmaToken = figmaTokenInput.value.trim();
+          if (!figmaData || !figmaToken) {
+            alert('Enter the Figma link and access token above to compare versions');
+            return;
+          }
+          headers['X-Figma-Token'] = figmaToken;
+          const figmaCookie = document.getElementById('figmaCookie').value.trim();
+          if (figmaCookie) headers['X-Figma-Cookie'] = figmaCookie;
+          body = {
+            fileKey: figmaData.fileKey,
+            nodeId: figmaData.nodeId,
+            beforeVersion,
+            afterVersion: afterVersion || undefined,
+            useProxy: document.getElementById('useProxy').checked
+          };
+        } else {
+          alert('Choose a Before JSON file or enter a Before version id');
+          return;
+        }
+
+        designDiffBtn.disabled = true;
+        showDesignDiffStatus('Comparing design snapshots...', 'info');
+
+        try {
+          const response = await fetch('/figma/diff', {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body)
+          });
+          const data = await response.json();
+          if (!response.ok) {
+            throw new Error(data.message || data.error || 'Failed to compare designs');
+          }
+
+          renderDesignDiff(data);
+          showDesignDiffStatus(`${data.summary.total} change(s) found`, 'success');
+        } catch (error) {
+          showDesignDiffStatus('Error: ' + error.message, 'error');
+        } finally {
+          designDiffBtn.disabled = false;
+        }
+      });
+    }
+
+    // Report History / Trend Dashboard
+    const loadHistoryBtn = document.getElementById('loadHistoryBtn');
+    const historyNodeSelect = document.getElementById('historyNodeSelect');
+    const historyMetricSelect = document.getElementById('historyMetricSelect');
+    const historyStatus = document.getElementById('historyStatus');
+    const historyChart = document.getElementById('historyChart');
+    let historyNodes = [];
+    let historyChartPoints = [];
+
+    const PERCENT_METRICS = ['accuracy', 'similarity'];
+    const MISMATCH_METRICS = ['color', 'spacing', 'text', 'size', 'field'];
+
+    function showHistoryStatus(message, type) {
+      historyStatus.textContent = message;
+      historyStatus.className = `status-message show ${type}`;
+    }
+
+    function historyValue(point, metric) {
+      if (MISMATCH_METRICS.includes(metric)) {
+        return point.mismatchCounts ? point.mismatchCounts[metric] : null;
+      }
+      const value = point[metric];
+      return value === null || value === undefined ? null : parseFloat(value);
+    }
+
+    async function loadReportHistory() {
+      showHistoryStatus('Loading report history...', 'info');
+      try {
+        const response = await fetch('/reports/trends');
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.message || errorData.error || 'Failed to load history');
+        }
+
+        const data = await response.json();
+        historyNodes = data.nodes;
+
+        if (historyNodes.length === 0) {
+          historyNodeSelect.innerHTML = '<option value="">No saved reports yet</option>';
+          historyNodeSelect.disabled = true;
+          showHistoryStatus('No saved reports yet. Run an analysis to start tracking a screen.', 'info');
+          return;
+        }
+
+        const previous = historyNodeSelect.value;
+        historyNodeSelect.innerHTML = historyNodes.map(node => {
+          const label = node.screenName || node.nodeId || node.fileKey || node.key;
+          return `<option value="${escapeHtml(node.key)}">${escapeHtml(label)} (${node.runs} run${node.runs === 1 ? '' : 's'})</option>`;
+        }).join('');
+        historyNodeSelect.disabled = false;
+        if (historyNodes.some(node => node.key === previous)) {
+          historyNodeSelect.value = previous;
+        }
+
+        showHistoryStatus(`Loaded history for ${historyNodes.length} screen(s)`, 'success');
+        renderHistory();
+      } catch (error) {
+        showHistoryStatus('Error: ' + error.message, 'error');
+      }
+    }
+
+    function renderHistory() {
+      const node = historyNodes.find(n => n.key === historyNodeSelect.value);
+      if (!node) return;
+
+      const summary = document.getElementById('historySummary');
+      summary.innerHTML = `
+        <span><strong>Runs:</strong> ${node.runs}</span>
+        <span><strong>Latest accuracy:</strong> ${node.latestAccuracy !== null ? node.latestAccuracy + '%' : 'n/a'}</span>
+        <span><strong>Last run:</strong> ${new Date(node.lastRun).toLocaleString()}</span>
+        <span><strong>Trend:</strong> <span class="trend-${node.trend}">${node.trend}</span></span>
+      `;
+      summary.classList.remove('hidden');
+
+      drawHistoryChart(node, historyMetricSelect.value);
+      renderHistoryRuns(node);
+    }
+
+    function drawHistoryChart(node, metric) {
+      const container = document.getElementById('historyChartContainer');
+      container.classList.remove('hidden');
+
+      const ctx = historyChart.getContext('2d');
+      const width = historyChart.width;
+      const height = historyChart.height;
+      const pad = { top: 20, right: 20, bottom: 40, left: 50 };
+      ctx.clearRect(0, 0, width, height);
+      historyChartPoints = [];
+
+      const values = node.points.map(point => historyValue(point, metric));
+      const isPercent = PERCENT_METRICS.includes(metric);
+      const maxValue = isPercent ? 100 : Math.max(1, ...values.filter(v => v !== null));
+
+      const plotWidth = width - pad.left - pad.right;
+      const plotHeight = height - pad.top - pad.bottom;
+      const xFor = index => pad.left + (node.points.length === 1 ? plotWidth / 2 : (index / (node.points.length - 1)) * plotWidth);
+      const yFor = value => pad.top + plotHeight - (value / maxValue) * plotHeight;
+
+      // Axes and horizontal grid lines
+      ctx.strokeStyle = '#e0e0e0';
+      ctx.fillStyle = '#7f8c8d';
+      ctx.font = '12px sans-serif';
+      ctx.textAlign = 'right';
+      for (let i = 0; i <= 4; i++) {
+        const value = (maxValue / 4) * i;
+        const y = yFor(value);
+        ctx.beginPath();
+        ctx.moveTo(pad.left, y);
+        ctx.lineTo(width - pad.right, y);
+        ctx.stroke();
+        ctx.fillText(isPercent ? `${value}%` : Math.round(value), pad.left - 8, y + 4);
+      }
+
+      // Line through the runs that have a value for this metric
+      ctx.strokeStyle = '#667eea';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      let started = false;
+      node.points.forEach((point, index) => {
+        const value = values[index];
+        if (value === null || isNaN(value)) return;
+        const x = xFor(index);
+        const y = yFor(value);
+        if (started) {
+          ctx.lineTo(x, y);
+        } else {
+          ctx.moveTo(x, y);
+          started = true;
+        }
+        historyChartPoints.push({ x, y, id: point.id });
+      });
+      ctx.stroke();
+      ctx.lineWidth = 1;
+
+      ctx.fillStyle = '#667eea';
+      historyChartPoints.forEach(({ x, y }) => {
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      // Run dates along the x axis (first and last only to avoid clutter)
+      ctx.fillStyle = '#7f8c8d';
+      ctx.textAlign = 'center';
+      const first = node.points[0];
+      const last = node.points[node.points.length - 1];
+      ctx.fillText(new Date(first.timestamp).toLocaleDateString(), xFor(0), height - 15);
+      if (node.points.length > 1) {
+        ctx.fillText(new Date(last.timestamp).toLocaleDateString(), xFor(node.points.length - 1), height - 15);
+      }
+
+      if (historyChartPoints.length === 0) {
+        ctx.fillText('No runs with this metric', width / 2, height / 2);
+      }
+    }
+
+    function renderHistoryRuns(node) {
+      const runs = document.getElementById('historyRuns');
+      const rows = [...node.points].reverse().map(point => {
+        const counts = point.mismatchCounts || {};
+        return `
+          <tr data-report-id="${point.id}">
+            <td><input type="checkbox" class="diff-select" value="${point.id}"></td>
+            <td>${new Date(point.timestamp).toLocaleString()}</td>
+            <td>${point.analysisType}</td>
+            <td>${point.accuracy !== null ? point.accuracy + '%' : '-'}</td>
+            <td>${point.similarity !== null ? point.similarity + '%' : '-'}</td>
+            <td>${point.totalMismatches !== null ? point.totalMismatches : '-'}</td>
+            <td>${MISMATCH_METRICS.map(type => counts[type] ?? '-').join(' / ')}</td>
+          </tr>
+        `;
+      }).join('');
+
+      runs.innerHTML = `
+        <table>
+          <thead>
+            <tr>
+              <th>Diff</th>
+              <th>Run</th>
+              <th>Type</th>
+              <th>Accuracy</th>
+              <th>Similarity</th>
+              <th>Mismatches</th>
+              <th>Color / Spacing / Text / Size / Field</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      `;
+
+      runs.querySelectorAll('tbody tr').forEach(row => {
+        row.addEventListener('click', event => {
+          if (event.target.classList.contains('diff-select')) return;
+          openHistoryReport(row.dataset.reportId);
+        });
+      });
+
+      // Two ticked runs fill the diff form, oldest first
+      runs.querySelectorAll('.diff-select').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+          const selected = [...runs.querySelectorAll('.diff-select:checked')].map(input => input.value);
+          if (selected.length > 2) {
+            checkbox.checked = false;
+            return;
+          }
+          const ordered = node.points.filter(point => selected.includes(String(point.id)));
+          document.getElementById('diffBaseId').value = ordered[0] ? ordered[0].id : '';
+          document.getElementById('diffHeadId').value = ordered[1] ? ordered[1].id : '';
+        });
+      });
+    }
+
+    // Side-by-side diff of two analysis runs
+    async function loadReportDiff() {
+      const baseId = document.getElementById('diffBaseId').value.trim();
+      const headId = document.getElementById('diffHeadId').value.trim();
+      if (!baseId || !headId) {
+        showHistoryStatus('Select two runs or enter both report ids to compare', 'error');
+        return;
+      }
+
+      showHistoryStatus('Comparing runs...', 'info');
+      try {
+        const response = await fetch(`/reports/diff?base=${encodeURIComponent(baseId)}&head=${encodeURIComponent(headId)}`);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.message || data.error || 'Failed to compare runs');
+        }
+        renderReportDiff(data);
+        showHistoryStatus(`Compared run ${baseId} with ${headId}`, 'success');
+      } catch (error) {
+        showHistoryStatus('Error: ' + error.message, 'error');
+      }
+    }
+
+    function describeMismatch(mismatch) {
+      const expected = mismatch.expected !== undefined ? `expected ${mismatch.expected}` : '';
+      const actual = mismatch.actual ?? mismatch.detected;
+      return [expected, actual !== undefined ? `got ${actual}` : ''].filter(Boolean).join(', ') ||
+        mismatch.issue || mismatch.details || '';
+    }
+
+    function renderReportDiff(diff) {
+      const container = document.getElementById('reportDiff');
+      const delta = diff.accuracyDelta;
+      const deltaClass = delta === null ? 'trend-stable' : delta > 0 ? 'trend-converging' : delta < 0 ? 'trend-drifting' : 'trend-stable';
+      const deltaText = delta === null ? 'n/a' : `${delta > 0 ? '+' : ''}${delta}%`;
+
+      const categoryRows = Object.entries(diff.categories).map(([category, result]) => {
+        const items = [
+          ...result.resolved.map(item => `<li class="diff-resolved">Resolved: <strong>${escapeHtml(item.identity)}</strong> <small>${escapeHtml(describeMismatch(item.before))}</small></li>`),
+          ...result.new.map(item => `<li class="diff-new">New: <strong>${escapeHtml(item.identity)}</strong> <small>${escapeHtml(describeMismatch(item.after))}</small></li>`),
+          ...result.unchanged.map(item => `<li class="diff-unchanged">Unchanged: <strong>${escapeHtml(item.identity)}</strong> <small>${escapeHtml(describeMismatch(item.after))}${item.valueChanged ? ` (was ${escapeHtml(String(item.before.actual ?? item.before.detected))})` : ''}</small></li>`)
+        ];
+        if (items.length === 0) return '';
+        return `
+          <div class="diff-category">
+            <h4>${category.charAt(0).toUpperCase() + category.slice(1)} (${result.resolved.length} resolved, ${result.new.length} new, ${result.unchanged.length} unchanged)</h4>
+            <ul>${items.join('')}</ul>
+          </div>
+        `;
+      }).join('');
+
+      const hasOverlays = diff.base.spacingOverlay && diff.head.spacingOverlay;
+      container.innerHTML = `
+        <div class="history-summary">
+          <span><strong>Accuracy:</strong> ${diff.base.accuracy ?? 'n/a'}% &rarr; ${diff.head.accuracy ?? 'n/a'}% (<span class="${deltaClass}">${deltaText}</span>)</span>
+          <span class="trend-converging">${diff.totals.resolved} resolved</span>
+          <span class="trend-drifting">${diff.totals.new} new</span>
+          <span class="trend-stable">${diff.totals.unchanged} unchanged</span>
+        </div>
+        ${diff.sameNode ? '' : '<p class="status-message show error">These runs belong to different Figma nodes</p>'}
+        ${categoryRows || '<p>No mismatches in either run.</p>'}
+        ${hasOverlays ? `
+          <div class="diff-overlays">
+            <h4>Spacing Overlays</h4>
+            <label>Base &larr; <input type="range" id="diffOverlayBlend" min="0" max="100" value="50"> &rarr; Head</label>
+            <div class="diff-overlay-stack">
+              <img src="${diff.base.spacingOverlay}" alt="Base spacing overlay">
+              <img src="${diff.head.spacingOverlay}" alt="Head spacing overlay" id="diffHeadOverlay" style="opacity: 0.5">
+            </div>
+          </div>
+        ` : '<p><small>Spacing overlays are not available for both runs.</small></p>'}
+      `;
+      container.classList.remove('hidden');
+
+      const blend = document.getElementById('diffOverlayBlend');
+      if (blend) {
+        blend.addEventListener('input', () => {
+          document.getElementById('diffHeadOverlay').style.opacity = blend.value / 100;
+        });
+      }
+    }
+
+    // Open a past report in the regular results view
+    async function openHistoryReport(id) {
+      try {
+        const response = await fetch(`/report/${id}`);
+        if (!response.ok) {
+          const errorData = await response.json();
+          throw new Error(errorData.message || errorData.error || 'Report not found');
+        }
+
+        const report = await response.json();
+
+        if (report.analysisType === 'PIXEL_COMPARISON') {
+          window.open(report.overlayImage || report.diffImage, '_blank');
+          return;
+        }
+
+        if (report.analysisType === 'BATCH') {
+          renderBatchResults(report);
+          document.getElementById('batchResults').scrollIntoView({ behavior: 'smooth' });
+          return;
+        }
+
+        if (report.analysisType === 'THEME_MATRIX') {
+          renderThemeResults(report);
+          document.getElementById('themeResults').scrollIntoView({ behavior: 'smooth' });
+          return;
+        }
+
+        if (report.analysisType === 'RESPONSIVE') {
+          renderResponsiveResults(report);
+          document.getElementById('responsiveResults').scrollIntoView({ behavior: 'smooth' });
+          return;
+        }
+
+        if (report.analysisType === 'STATE_MATRIX') {
+          renderStateResults(report);
+          document.getElementById('statesResults').scrollIntoView({ behavior: 'smooth' });
+          return;
+        }
+
+        if (report.analysisType === 'DOM_COMPARISON') {
+          renderDomResults(report);
+          document.getElementById('domResults').scrollIntoView({ behavior: 'smooth' });
+          return;
+        }
+
+        if (report.analysisType === 'ELEMENT_COMPARISON') {
+          displayElementComparison(report);
+        } else {
+          currentReport = report;
+          displayResults(report);
+        }
+
+        results.classList.remove('hidden');
+        const resultTabs = document.getElementById('resultTabs');
+        if (resultTabs) resultTabs.classList.remove('hidden');
+        showResultTab(report.analysisType === 'ELEMENT_COMPARISON' ? 'element-comparison' : 'overview');
+        results.scrollIntoView({ behavior: 'smooth' });
+      } catch (error) {
+        showHistoryStatus('Error: ' + error.message, 'error');
+      }
+    }
+
+    if (loadHistoryBtn) {
+      loadHistoryBtn.addEventListener('click', loadReportHistory);
+      document.getElementById('diffReportsBtn').addEventListener('click', loadReportDiff);
+      historyNodeSelect.addEventListener('change', renderHistory);
+      historyMetricSelect.addEventListener('change', renderHistory);
+
+      historyChart.addEventListener('click', event => {
+        const rect = historyChart.getBoundingClientRect();
+        const x = (event.clientX - rect.left) * (historyChart.width / rect.width);
+        const y = (event.clientY - rect.top) * (historyChart.height / rect.height);
+        const hit = historyChartPoints.find(point => Math.hypot(point.x - x, point.y - y) <= 8);
+        if (hit) openHistoryReport(hit.id);
+      });
+    }
   }
   
   // Element Comparison functionality
@@ -2803,16 +4379,17 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       const screenshotInput = document.getElementById('codeScreenshot');
-      if (!screenshotInput.files[0]) {
-        alert('Please select a code output screenshot');
+      if (!hasScreenshot(screenshotInput)) {
+        alert('Please select a code output screenshot or enter a URL to capture');
         return;
       }
       
       const formData = new FormData();
       // Use raw JSON if available, otherwise use fetchedFigmaJSON
       const jsonToSend = rawFigmaJSON || fetchedFigmaJSON;
-      formData.append('figmaJSON', JSON.stringify(jsonToSend));
-      formData.append('screenshot', screenshotInput.files[0]);
+      appendFigmaDesign(formData, jsonToSend);
+      appendScreenshot(formData, screenshotInput);
+      appendReportMetadata(formData);
       
       // Show loading
       const loading = document.getElementById('loading');
@@ -2827,17 +4404,10 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       try {
-        const response = await fetch('/api/compare-elements', {
-          method: 'POST',
-          body: formData,
+        const loadingText = loading ? loading.querySelector('p') : null;
+        const elementReport = await runAnalysisJob('/api/compare-elements', formData, (job) => {
+          if (loadingText) loadingText.textContent = describeJobStage(job, 'Performing OCR and element comparison...');
         });
-        
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(errorData.error || 'Element comparison failed');
-        }
-        
-        const elementReport = await response.json();
         displayElementComparison(elementReport);
         
         // Show results and switch to element comparison tab
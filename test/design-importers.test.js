@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { detectDesignFormat, importDesign } from '../lib/shared/design-importers.js';
+
+const penpotFile = JSON.parse(fs.readFileSync(new URL('./fixtures/penpot-file.json', import.meta.url), 'utf8'));
+
+test('detects a Penpot backend export', () => {
+  assert.equal(detectDesignFormat(penpotFile), 'penpot');
+});
+
+test('keeps Penpot UUID keys so boards keep their children', () => {
+  const result = importDesign(penpotFile);
+  const board = result.nodes['7c1d2e3f-4a5b-8061-8005-2b1f2c3d4e61'].document;
+
+  assert.equal(board.name, 'Login');
+  assert.deepEqual(board.children.map(child => child.name), ['Email Input', 'Title']);
+  assert.equal(result.importedFrom.format, 'penpot');
+});
+
+test('converts kebab-case shape properties', () => {
+  const board = importDesign(penpotFile).nodes['7c1d2e3f-4a5b-8061-8005-2b1f2c3d4e61'].document;
+  const [input, title] = board.children;
+
+  assert.equal(input.strokeAlign, 'INSIDE');
+  assert.equal(input.cornerRadius, 8);
+  assert.equal(title.characters, 'Welcome back');
+  assert.equal(title.style.fontSize, 24);
+  assert.equal(title.style.fontFamily, 'Inter');
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { boxChecks, matchElements, parseBoxShadow, parseCSSColor } from '../lib/dom-compare.js';
+import { extractFigmaProperties } from '../lib/shared/figma-properties.js';
+
+// A login frame with a blue button holding a "Sign in" label
+const design = {
+  nodes: {
+    '1:1': {
+      document: {
+        id: '1:1',
+        name: 'Login',
+        type: 'FRAME',
+        absoluteBoundingBox: { x: 100, y: 100, width: 400, height: 300 },
+        children: [{
+          id: '1:2',
+          name: 'Button',
+          type: 'FRAME',
+          layoutMode: 'HORIZONTAL',
+          paddingTop: 8,
+          paddingRight: 16,
+          paddingBottom: 8,
+          paddingLeft: 16,
+          cornerRadius: 6,
+          fills: [{ type: 'SOLID', color: { r: 0, g: 0.4, b: 1, a: 1 } }],
+          effects: [{ type: 'DROP_SHADOW', visible: true, color: { r: 0, g: 0, b: 0, a: 0.25 }, offset: { x: 0, y: 2 }, radius: 4, spread: 0 }],
+          absoluteBoundingBox: { x: 120, y: 150, width: 120, height: 40 },
+          children: [{
+            id: '1:3',
+            name: 'Label',
+            type: 'TEXT',
+            characters: 'Sign in',
+            style: { fontFamily: 'Inter', fontSize: 16, fontWeight: 600 },
+            fills: [{ type: 'SOLID', color: { r: 1, g: 1, b: 1, a: 1 } }],
+            absoluteBoundingBox: { x: 136, y: 158, width: 88, height: 24 }
+          }]
+        }]
+      }
+    }
+  }
+};
+
+const buttonStyle = {
+  backgroundColor: 'rgb(0, 102, 255)',
+  paddingTop: '8px',
+  paddingRight: '16px',
+  paddingBottom: '8px',
+  paddingLeft: '16px',
+  borderTopLeftRadius: '6px',
+  borderTopRightRadius: '6px',
+  borderBottomRightRadius: '6px',
+  borderBottomLeftRadius: '6px',
+  borderTopStyle: 'none',
+  boxShadow: 'rgba(0, 0, 0, 0.25) 0px 2px 4px 0px'
+};
+
+// Entries in the shape collectDOM returns: body > main > button > span
+function domElements({ figmaId = null, label = 'Sign in' } = {}) {
+  return [
+    { index: 0, parent: null, visible: true, figmaId: null, hasText: false, text: label, rect: { x: 0, y: 0, width: 400, height: 300 }, textRect: null, style: {} },
+    { index: 1, parent: 0, visible: true, figmaId: null, hasText: false, text: label, rect: { x: 0, y: 0, width: 400, height: 300 }, textRect: null, style: {} },
+    { index: 2, parent: 1, visible: true, figmaId, hasText: false, text: label, rect: { x: 20, y: 50, width: 120, height: 40 }, textRect: null, style: buttonStyle },
+    { index: 3, parent: 2, visible: true, figmaId: null, hasText: true, text: label, rect: { x: 36, y: 58, width: 88, height: 24 }, textRect: { x: 36, y: 58, width: 88, height: 24 }, style: {} }
+  ];
+}
+
+function elements() {
+  return extractFigmaProperties(design).elements;
+}
+
+test('parseCSSColor reads rgb() and rgba() computed colors', () => {
+  assert.deepEqual(parseCSSColor('rgb(0, 102, 255)'), { hex: '#0066ff', alpha: 1 });
+  assert.deepEqual(parseCSSColor('rgba(255, 255, 255, 0.5)'), { hex: '#ffffff', alpha: 0.5 });
+  assert.deepEqual(parseCSSColor('rgb(0 0 0 / 40%)'), { hex: '#000000', alpha: 0.4 });
+  assert.deepEqual(parseCSSColor('rgba(0, 0, 0, 0)'), { hex: null, alpha: 0 });
+  assert.deepEqual(parseCSSColor('transparent'), { hex: null, alpha: 0 });
+});
+
+test('parseBoxShadow splits shadow lists outside of color functions', () => {
+  assert.deepEqual(parseBoxShadow('none'), []);
+  assert.deepEqual(parseBoxShadow('rgba(0, 0, 0, 0.1) 0px 1px 2px 0px, rgb(255, 0, 0) 0px 0px 0px 1px inset'), [
+    { inset: false, x: 0, y: 1, blur: 2, spread: 0, color: '#000000' },
+    { inset: true, x: 0, y: 0, blur: 0, spread: 1, color: '#ff0000' }
+  ]);
+  assert.deepEqual(parseBoxShadow('rgb(0, 0, 0) -2px 4px 8px'), [
+    { inset: false, x: -2, y: 4, blur: 8, spread: 0, color: '#000000' }
+  ]);
+});
+
+test('matchElements maps text by content and its styled container by size', () => {
+  const figma = elements();
+  const matches = matchElements(figma, domElements(), {}, {});
+  const byName = name => matches.get(figma.find(element => element.name === name).id);
+
+  assert.equal(byName('Label').matchedBy, 'text');
+  assert.equal(byName('Label').dom.index, 3);
+  assert.equal(byName('Button').matchedBy, 'container');
+  assert.equal(byName('Button').dom.index, 2);
+});
+
+test('matchElements prefers data-figma-id, then selectors', () => {
+  const figma = elements();
+  const dom = domElements({ figmaId: '1-2' });
+
+  assert.equal(matchElements(figma, dom, {}, {}).get(figma[1].id).matchedBy, 'data-figma-id');
+
+  const bySelector = matchElements(figma, domElements({ label: 'Log in' }), { Label: 3 }, { Label: 'button span' });
+  assert.equal(bySelector.get(figma[2].id).matchedBy, 'selector');
+  assert.equal(bySelector.get(figma[2].id).dom.index, 3);
+});
+
+test('matchElements leaves text without a same-content element unmatched', () => {
+  const figma = elements();
+  const matches = matchElements(figma, domElements({ label: 'Log in' }), {}, {});
+
+  assert.equal(matches.has(figma[2].id), false);
+  assert.equal(matches.has(figma[1].id), false);
+});
+
+test('boxChecks compares background, padding, radius and shadow', () => {
+  const button = elements().find(element => element.name === 'Button');
+  const dom = domElements()[2];
+
+  const checks = boxChecks(button, dom);
+  assert.deepEqual(checks.filter(check => !check.match), []);
+  assert.deepEqual(checks.map(check => check.property), [
+    'backgroundColor', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderRadius', 'boxShadow'
+  ]);
+
+  const off = boxChecks(button, { ...dom, style: { ...buttonStyle, paddingLeft: '12px', backgroundColor: 'rgb(0, 0, 255)', boxShadow: 'none' } });
+  const failed = Object.fromEntries(off.filter(check => !check.match).map(check => [check.property, check]));
+  assert.deepEqual(Object.keys(failed).sort(), ['backgroundColor', 'boxShadow', 'paddingLeft']);
+  assert.equal(failed.paddingLeft.delta, -4);
+  assert.equal(failed.backgroundColor.dom, '#0000ff');
+});
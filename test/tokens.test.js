@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDesignTokens } from '../lib/tokens.js';
+
+test('resolves Style Dictionary references that end in .value', () => {
+  const parsed = parseDesignTokens({
+    color: {
+      primary: { value: '#0066ff', type: 'color' },
+      button: { value: '{color.primary.value}', type: 'color' },
+      link: { value: '{color.primary}', type: 'color' }
+    }
+  });
+
+  assert.equal(parsed.skipped, 0);
+  assert.deepEqual(parsed.colors.map(color => [color.name, color.value]), [
+    ['color.primary', '#0066ff'],
+    ['color.button', '#0066ff'],
+    ['color.link', '#0066ff']
+  ]);
+});
+
+test('resolves DTCG references that end in .$value', () => {
+  const parsed = parseDesignTokens({
+    color: {
+      $type: 'color',
+      primary: { $value: '#0066ff' },
+      button: { $value: '{color.primary.$value}' }
+    }
+  });
+
+  assert.equal(parsed.skipped, 0);
+  assert.equal(parsed.colors.find(color => color.name === 'color.button').value, '#0066ff');
+});